@@ -16,6 +16,7 @@ const authRoutes = require('./routes/auth');
 const onboardingRoutes = require('./routes/onboarding');
 const projectRoutes = require('./routes/projects');
 const taskRoutes = require('./routes/tasks');
+const taskTemplateRoutes = require('./routes/taskTemplates');
 const suggestionsRoutes = require('./routes/suggestions');
 const skillMatchingRoutes = require('./routes/skillMatching'); 
 const challengeRoutes = require('./routes/challenges');
@@ -23,9 +24,11 @@ const adminRoutes = require('./routes/admin');
 const chatRoutes = require('./routes/chat');
 const aiChatRoutes = require('./routes/aiChat');
 const projectMemberRoutes = require('./routes/projectMembers');
+const invitationRoutes = require('./routes/invitations');
 const commentsRoutes = require('./routes/comments');
 const notificationsRoutes = require('./routes/notifications');
 const githubRoutes = require('./routes/github');
+const githubWebhookRoutes = require('./routes/githubWebhooks');
 const friendsRoutes = require('./routes/friends');
 
 const soloProjectRoutes = require('./routes/soloProjectRoutes');
@@ -153,8 +156,14 @@ app.use((req, res, next) => {
 
 
 // ============== REQUEST PARSING ==============
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// GitHub webhook signatures are computed over the exact bytes received
+const keepRawBody = (req, res, buf) => {
+  if (req.originalUrl.startsWith('/api/github/webhooks')) {
+    req.rawBody = buf;
+  }
+};
+app.use(express.json({ limit: '10mb', verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '10mb', verify: keepRawBody }));
 
 // ============== RATE LIMITING ==============
 // General API rate limiter
@@ -168,11 +177,23 @@ const generalLimiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
   skip: (req) => {
-    // Skip rate limit for health checks
-    return req.path === '/health' || req.path === '/';
+    // Skip rate limit for health checks; GitHub deliveries have their own limiter below
+    return req.path === '/health' || req.path === '/' || req.path === '/github/webhooks';
   }
 });
 
+// GitHub deliveries arrive in bursts from a few shared addresses, so allow far more than users get
+const webhookLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 300,
+  message: {
+    success: false,
+    message: 'Too many webhook deliveries, please slow down.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 // Strict rate limiter for expensive operations
 const strictLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
@@ -196,13 +217,18 @@ const authLimiter = rateLimit({
 
 // Apply general rate limiting to all API routes
 app.use('/api/', generalLimiter);
+app.use('/api/github/webhooks', webhookLimiter);
 
 // ============== REQUEST QUEUE MIDDLEWARE ==============
 // Apply queue middleware to prevent server overload
 app.use('/api/recommendations', createQueueMiddleware('recommendations', PRIORITY.LOW));
 app.use('/api/skill-matching', createQueueMiddleware('recommendations', PRIORITY.LOW));
 app.use('/api/chat', createQueueMiddleware('chat', PRIORITY.HIGH));
-app.use('/api/ai-chat', createQueueMiddleware('ai-chat', PRIORITY.NORMAL));
+// Streams stay open for the whole reply and are already capped per user by aiChatService;
+// queueing them would hold ai-chat slots for minutes and could leave a cancel waiting behind its stream
+app.use('/api/ai-chat', createQueueMiddleware('ai-chat', PRIORITY.NORMAL, {
+  skip: req => req.path === '/stream' || /^\/stream\/[^/]+\/cancel$/.test(req.path)
+}));
 app.use('/api/projects', createQueueMiddleware('projects', PRIORITY.NORMAL));
 
 // Add queue stats to responses (development only)
@@ -216,6 +242,9 @@ app.use((req, res, next) => {
   const start = Date.now();
   
   res.on('finish', () => {
+    // Streamed responses (e.g. AI chat over SSE) stay open on purpose
+    if (res.locals.streaming) return;
+
     const duration = Date.now() - start;
     
     // Log slow requests (>2 seconds)
@@ -279,7 +308,9 @@ app.use('/api/awards', awardsRoutes);
 // 3. Project routes
 app.use('/api/projects', collaborativeProjectCompletionRoutes);
 app.use('/api/projects', taskRoutes);
+app.use('/api/projects', taskTemplateRoutes);
 app.use('/api/projects', projectMemberRoutes);
+app.use('/api/invitations', invitationRoutes);
 app.use('/api/projects', projectRoutes);
 app.use('/api/solo-projects', soloProjectRoutes);
 
@@ -298,6 +329,7 @@ app.use('/api/courses', coursesRoutes);
 
 // 6. Feature routes
 app.use('/api/challenges', challengeRoutes);
+app.use('/api/github/webhooks', githubWebhookRoutes);
 app.use('/api/github', githubRoutes);
 
 // 7. Admin routes
@@ -379,6 +411,9 @@ try {
   console.error('❌ Failed to setup socket handlers:', error.message);
 }
 
+// Socket push channel for the notification center
+require('./services/notificationService').attachSocketServer(io);
+
 // ============== GRACEFUL SHUTDOWN ==============
 let isShuttingDown = false;
 
@@ -0,0 +1,44 @@
+// config/gemini.js
+// AI provider settings. LLM_PROVIDER picks the backend: "gemini" (default) or "stub", which
+// replays recorded fixtures so AI flows run offline and deterministically.
+
+const splitList = value => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+const provider = process.env.LLM_PROVIDER || 'gemini';
+
+module.exports = {
+    provider,
+
+    gemini: {
+        apiKey: process.env.GEMINI_API_KEY,
+        // Tried in order; later models are used when earlier ones are unavailable
+        models: splitList(process.env.GEMINI_MODELS).length > 0
+            ? splitList(process.env.GEMINI_MODELS)
+            : ['gemini-2.5-flash', 'gemini-1.5-pro', 'gemini-1.5-flash']
+    },
+
+    stub: {
+        fixturesDir: process.env.LLM_STUB_FIXTURES_DIR || 'tests/fixtures/llm'
+    },
+
+    // When set, real responses are saved here as stub fixtures
+    recordFixturesDir: process.env.LLM_RECORD_FIXTURES_DIR || null,
+
+    timeoutMs: Number(process.env.LLM_TIMEOUT_MS || 30000),
+    maxRetries: Number(process.env.LLM_MAX_RETRIES || 2),
+    retryBaseDelayMs: 500,
+
+    // Tokens of stored conversation history sent with each chat prompt; older turns are summarised
+    historyTokenBudget: Number(process.env.LLM_HISTORY_TOKEN_BUDGET || 3000),
+
+    // Per-user token allowance per UTC day; 0 disables the limit
+    dailyTokenLimit: Number(process.env.LLM_DAILY_TOKEN_LIMIT || 0),
+
+    // USD per million tokens, for cost accounting
+    pricing: {
+        'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+        'gemini-1.5-pro': { input: 1.25, output: 5.00 },
+        'gemini-1.5-flash': { input: 0.075, output: 0.30 },
+        stub: { input: 0, output: 0 }
+    }
+};
@@ -1,6 +1,7 @@
 // backend/controllers/adminController.js
 const supabase = require('../config/supabase');
 const { logAdminActivity } = require('../middleware/adminAuth');
+const { POLICY_SETTING_KEY } = require('../services/twoFactorService');
 
 // Get admin dashboard stats
 const getDashboardStats = async (req, res) => {
@@ -623,6 +624,14 @@ const updateSystemSettings = async (req, res) => {
       });
     }
 
+    // The 2FA policy is validated and audited through its own endpoint
+    if (Object.prototype.hasOwnProperty.call(settings, POLICY_SETTING_KEY)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use /admin/security/two-factor-policy to change the two-factor policy'
+      });
+    }
+
     // Update each setting
     const updates = Object.entries(settings).map(([key, value]) =>
       supabase
@@ -0,0 +1,124 @@
+// backend/controllers/aiConversationController.js
+// Saved Sync assistant conversations
+const aiConversationService = require('../services/aiConversationService');
+
+const sendError = (res, error, message) => {
+  console.error(`${message}:`, error);
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : message,
+    error: error.message
+  });
+};
+
+/**
+ * List the current user's conversations, most recently active first
+ * @route GET /api/ai-chat/conversations
+ */
+const getConversations = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const { conversations, total } = await aiConversationService.listConversations(req.user.id, { limit, offset });
+
+    res.json({
+      success: true,
+      data: {
+        conversations,
+        pagination: { total, limit, offset }
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to get conversations');
+  }
+};
+
+/**
+ * Start a conversation, optionally linked to a project
+ * @route POST /api/ai-chat/conversations
+ */
+const createConversation = async (req, res) => {
+  try {
+    const conversation = await aiConversationService.createConversation(req.user.id, {
+      title: req.body.title,
+      projectId: req.body.project_id || null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Conversation created',
+      data: { conversation }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to create conversation');
+  }
+};
+
+/**
+ * A conversation with its latest messages
+ * @route GET /api/ai-chat/conversations/:conversationId
+ */
+const getConversation = async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const conversation = await aiConversationService.getConversation(conversationId, req.user.id);
+    const messages = await aiConversationService.getMessages(conversationId, req.user.id, {
+      limit: Math.min(parseInt(req.query.limit) || 50, 200),
+      before: req.query.before
+    });
+
+    res.json({
+      success: true,
+      data: { conversation, messages }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to get conversation');
+  }
+};
+
+/**
+ * Rename a conversation or change its linked project
+ * @route PATCH /api/ai-chat/conversations/:conversationId
+ */
+const updateConversation = async (req, res) => {
+  try {
+    const conversation = await aiConversationService.updateConversation(req.params.conversationId, req.user.id, {
+      title: req.body.title,
+      projectId: req.body.project_id
+    });
+
+    res.json({
+      success: true,
+      message: 'Conversation updated',
+      data: { conversation }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to update conversation');
+  }
+};
+
+/**
+ * Delete a conversation and its messages
+ * @route DELETE /api/ai-chat/conversations/:conversationId
+ */
+const deleteConversation = async (req, res) => {
+  try {
+    await aiConversationService.deleteConversation(req.params.conversationId, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Conversation deleted'
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete conversation');
+  }
+};
+
+module.exports = {
+  getConversations,
+  createConversation,
+  getConversation,
+  updateConversation,
+  deleteConversation
+};
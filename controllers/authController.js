@@ -1,23 +1,10 @@
 // backend/controllers/authController.js - FIXED VERSION
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const supabase = require('../config/supabase');
 const crypto = require('crypto');
 const emailService = require('../services/emailService');
-
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign(
-    { 
-      userId: userId,
-      id: userId // Include both for compatibility
-    }, 
-    process.env.JWT_SECRET, 
-    { 
-      expiresIn: process.env.JWT_EXPIRE || '7d' 
-    }
-  );
-};
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
 
 // Validate registration data
 const validateRegistrationData = (data) => {
@@ -172,10 +159,10 @@ const register = async (req, res) => {
     createdUserId = user.id; // Store user ID for potential rollback
     console.log('User created with pending status:', user.username);
 
-    // Generate JWT token
-    let token;
+    // Start a session (access + refresh token)
+    let session;
     try {
-      token = generateToken(user.id);
+      session = await sessionService.createSession(user.id, req);
     } catch (tokenError) {
       console.error('Token generation failed:', tokenError);
       
@@ -228,7 +215,7 @@ const register = async (req, res) => {
           is_active: true, // Include the active status
           needsOnboarding: true
         },
-        token
+        ...session
       }
     });
 
@@ -299,6 +286,65 @@ const checkUsernameAvailability = async (req, res) => {
   }
 };
 
+// Shared tail of password and 2FA login: record the login, load the profile and start a session
+const sendLoginSuccess = async (user, req, res) => {
+  // Update last login time
+  await supabase
+    .from('users')
+    .update({ last_login_at: new Date().toISOString() })
+    .eq('id', user.id);
+
+  // Get user's programming languages
+  const { data: userLanguages } = await supabase
+    .from('user_programming_languages')
+    .select(`
+      id,
+      proficiency_level,
+      years_experience,
+      programming_languages (id, name, description)
+    `)
+    .eq('user_id', user.id);
+
+  // Get user's topics
+  const { data: userTopics } = await supabase
+    .from('user_topics')
+    .select(`
+      id,
+      interest_level,
+      experience_level,
+      topics (id, name, description, category)
+    `)
+    .eq('user_id', user.id);
+
+  // Check if user has completed onboarding
+  const needsOnboarding = !userLanguages || userLanguages.length === 0;
+
+  // Roles covered by the 2FA policy must enrol before using admin/moderator endpoints
+  const twoFactorSetupRequired = !user.two_factor_enabled &&
+    await twoFactorService.isRequiredForRole(user.role);
+
+  // Start a session (access + refresh token)
+  const session = await sessionService.createSession(user.id, req);
+
+  // Remove password_hash from response
+  const { password_hash, ...userWithoutPassword } = user;
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: {
+        ...userWithoutPassword,
+        needsOnboarding,
+        programming_languages: userLanguages || [],
+        topics: userTopics || []
+      },
+      twoFactorSetupRequired,
+      ...session
+    }
+  });
+};
+
 // Login user
 const login = async (req, res) => {
   try {
@@ -370,56 +416,20 @@ const login = async (req, res) => {
 
     console.log('User authenticated successfully:', user.username);
 
-    // Update last login time
-    await supabase
-      .from('users')
-      .update({ last_login_at: new Date().toISOString() })
-      .eq('id', user.id);
-
-    // Get user's programming languages
-    const { data: userLanguages } = await supabase
-      .from('user_programming_languages')
-      .select(`
-        id,
-        proficiency_level,
-        years_experience,
-        programming_languages (id, name, description)
-      `)
-      .eq('user_id', user.id);
-
-    // Get user's topics
-    const { data: userTopics } = await supabase
-      .from('user_topics')
-      .select(`
-        id,
-        interest_level,
-        experience_level,
-        topics (id, name, description, category)
-      `)
-      .eq('user_id', user.id);
-
-    // Check if user has completed onboarding
-    const needsOnboarding = !userLanguages || userLanguages.length === 0;
-
-    // Generate JWT token
-    const token = generateToken(user.id);
-
-    // Remove password_hash from response
-    const { password_hash, ...userWithoutPassword } = user;
+    // With 2FA enabled the password only earns a short-lived challenge, exchanged at /login/2fa
+    if (user.two_factor_enabled) {
+      const challenge = twoFactorService.createChallenge(user.id);
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          requires2FA: true,
+          ...challenge
+        }
+      });
+    }
 
-    res.json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        user: {
-          ...userWithoutPassword,
-          needsOnboarding,
-          programming_languages: userLanguages || [],
-          topics: userTopics || []
-        },
-        token
-      }
-    });
+    await sendLoginSuccess(user, req, res);
 
   } catch (error) {
     console.error('Login error:', error);
@@ -431,6 +441,40 @@ const login = async (req, res) => {
   }
 };
 
+// Second login step: exchange the challenge token and an authenticator or recovery code for a session
+const loginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    const challenge = twoFactorService.verifyChallenge(challengeToken);
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', challenge.userId)
+      .eq('is_active', true)
+      .single();
+
+    const suspended = user?.is_suspended &&
+      (!user.suspended_until || new Date(user.suspended_until) > new Date());
+
+    if (error || !user || suspended) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    const { method } = await twoFactorService.verifyCode(user.id, code);
+    challenge.complete();
+
+    console.log(`User ${user.username} passed two-factor authentication (${method})`);
+    await sendLoginSuccess(user, req, res);
+
+  } catch (error) {
+    sendTwoFactorError(res, error, 'Two-factor login');
+  }
+};
+
 // ... REST OF THE FILE REMAINS THE SAME (getProfile, updateProfile, changePassword, etc.)
 // [Include all other existing functions here]
 
@@ -588,6 +632,9 @@ const resetPassword = async (req, res) => {
             });
         }
 
+        // Whoever had the old password must not stay signed in
+        await sessionService.revokeAllSessions(user.id, { reason: 'password_reset' });
+
         // Send confirmation email (non-blocking)
         emailService.sendPasswordResetConfirmation(
             user.email, 
@@ -799,9 +846,14 @@ const changePassword = async (req, res) => {
       });
     }
 
+    // Sign out every device, then start a fresh session for this one
+    await sessionService.revokeAllSessions(userId, { reason: 'password_change' });
+    const session = await sessionService.createSession(userId, req);
+
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully. Other devices have been signed out.',
+      data: session
     });
 
   } catch (error) {
@@ -814,8 +866,13 @@ const changePassword = async (req, res) => {
   }
 };
 
+// Revoke the session behind the current access token
 const logout = async (req, res) => {
   try {
+    if (req.sessionId) {
+      await sessionService.revokeSession(req.user.id, req.sessionId, 'logout');
+    }
+
     res.json({
       success: true,
       message: 'Logged out successfully'
@@ -830,13 +887,245 @@ const logout = async (req, res) => {
   }
 };
 
+// Exchange a refresh token for a new access/refresh token pair
+const refreshToken = async (req, res) => {
+  try {
+    const session = await sessionService.rotate(req.body.refreshToken, req);
+
+    res.json({
+      success: true,
+      message: 'Token refreshed',
+      data: session
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          ...session,
+          current: session.id === req.sessionId
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+const revokeSession = async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeSession(req.user.id, req.params.sessionId, 'revoked_by_user');
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Sign out other devices; ?include_current=true signs out this one too
+const revokeAllSessions = async (req, res) => {
+  try {
+    const includeCurrent = req.query.include_current === 'true';
+    const count = await sessionService.revokeAllSessions(req.user.id, {
+      exceptSessionId: includeCurrent ? null : req.sessionId,
+      reason: 'revoked_by_user'
+    });
+
+    res.json({
+      success: true,
+      message: includeCurrent ? 'All sessions revoked' : 'All other sessions revoked',
+      data: { revoked: count }
+    });
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Shared error response for the 2FA management endpoints
+const sendTwoFactorError = (res, error, label) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Internal server error',
+    error: error.message
+  });
+};
+
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const status = await twoFactorService.getStatus(req.user);
+
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    sendTwoFactorError(res, error, 'Two-factor status');
+  }
+};
+
+// Step 1 of enrolment: generate a secret for the authenticator app
+const setupTwoFactor = async (req, res) => {
+  try {
+    const enrollment = await twoFactorService.beginEnrollment(req.user);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: enrollment
+    });
+  } catch (error) {
+    sendTwoFactorError(res, error, 'Two-factor setup');
+  }
+};
+
+// Step 2 of enrolment: confirm with a code, enable 2FA and hand out recovery codes
+const confirmTwoFactor = async (req, res) => {
+  try {
+    const recoveryCodes = await twoFactorService.confirmEnrollment(req.user.id, req.body.code);
+
+    // Other devices signed in with the password alone
+    await sessionService.revokeAllSessions(req.user.id, {
+      exceptSessionId: req.sessionId,
+      reason: 'two_factor_enabled'
+    });
+
+    console.log(`🔐 Two-factor authentication enabled for user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    sendTwoFactorError(res, error, 'Two-factor confirm');
+  }
+};
+
+// Requires the password and a current code
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('id, role, password_hash')
+      .eq('id', req.user.id)
+      .single();
+
+    if (error || !user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const isPasswordValid = await bcrypt.compare(password, user.password_hash);
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    await twoFactorService.verifyCode(user.id, code);
+    await twoFactorService.disable(user);
+
+    console.log(`🔓 Two-factor authentication disabled for user ${user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    sendTwoFactorError(res, error, 'Two-factor disable');
+  }
+};
+
+// Replace recovery codes; requires a current code
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    await twoFactorService.verifyCode(req.user.id, req.body.code);
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    sendTwoFactorError(res, error, 'Recovery code regeneration');
+  }
+};
+
 module.exports = {
   register,
   login,
+  loginTwoFactor,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
   getProfile,
   updateProfile,
   changePassword,
   logout,
+  refreshToken,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
   requestPasswordReset,
   resetPassword,
   checkUsernameAvailability
@@ -1,5 +1,6 @@
 // backend/controllers/awardsController.js
 const supabase = require('../config/supabase');
+const notificationService = require('../services/notificationService');
 
 // Award definitions with criteria
 const AWARD_DEFINITIONS = {
@@ -132,6 +133,15 @@ const checkProjectCompletionAward = async (req, res) => {
 
         console.log('✅ Award created:', newAward);
 
+        await notificationService.publish({
+          userId,
+          type: 'award_earned',
+          title: `Award earned: ${awardDef.title}`,
+          message: awardDef.description,
+          projectId,
+          data: { award_id: newAward.id, award_type: 'project_completion' }
+        });
+
         return res.json({
           success: true,
           awarded: true,
@@ -284,6 +294,15 @@ const checkWeeklyChallengeAward = async (req, res) => {
 
         console.log('✅ Challenge Master award created:', newAward);
 
+        await notificationService.publish({
+          userId,
+          type: 'award_earned',
+          title: `Award earned: ${awardDef.title}`,
+          message: awardDef.description,
+          projectId,
+          data: { award_id: newAward.id, award_type: 'weekly_challenge_master' }
+        });
+
         return res.json({
           success: true,
           awarded: true,
@@ -2,6 +2,10 @@
 const supabase = require('../config/supabase');
 const { runTests } = require('../utils/codeEvaluator');
 const { evaluateCodeWithLanguageFeatures } = require('../utils/languageBasedEvaluator');
+const glicko2 = require('../utils/glicko2');
+
+// Expected pass probability getNextChallenge aims for (0.6 = slightly easier than an even match)
+const TARGET_PASS_PROBABILITY = Number(process.env.CHALLENGE_TARGET_PASS_PROBABILITY || 0.6);
 
 
 // Helper function to check weekly challenge awards after submission
@@ -480,6 +484,15 @@ const getUserStats = async (req, res) => {
       return res.status(500).json({ success: false, message: 'Failed to fetch statistics', error: error.message });
     }
 
+    const { data: skillRatings, error: ratingsError } = await supabase
+      .from('user_skill_ratings')
+      .select('programming_language_id, rating, rating_deviation, volatility, attempts, last_updated, programming_languages (id, name)')
+      .eq('user_id', userId);
+
+    if (ratingsError) {
+      console.error('Error fetching skill ratings:', ratingsError);
+    }
+
     const stats = {
       total_attempts: attempts.length,
       passed: attempts.filter(a => a.status === 'passed').length,
@@ -487,7 +500,21 @@ const getUserStats = async (req, res) => {
       pending: attempts.filter(a => a.status === 'pending').length,
       average_score: attempts.length > 0
         ? Math.round(attempts.reduce((sum, a) => sum + (a.score || 0), 0) / attempts.length)
-        : 0
+        : 0,
+      skill_ratings: (skillRatings || []).map(row => {
+        // Report the deviation as of now, so idle languages show their widened uncertainty
+        const current = glicko2.applyInactivity(glicko2.fromRow(row), row.last_updated);
+        return {
+          programming_language_id: row.programming_language_id,
+          language: row.programming_languages?.name || null,
+          rating: current.rating,
+          rating_deviation: current.rd,
+          volatility: current.volatility,
+          confidence_interval: glicko2.confidenceInterval(current),
+          attempts: row.attempts || 0,
+          last_updated: row.last_updated
+        };
+      })
     };
 
     res.json({ success: true, data: stats });
@@ -678,14 +705,14 @@ submitted_at: new Date().toISOString(),})
       score: attempt.score
     });
 
-    // ===== UPDATE SKILL RATING IF PASSED =====
-    if (status === 'passed' && challenge.programming_language_id) {
+    // ===== UPDATE SKILL RATING =====
+    if ((status === 'passed' || status === 'failed') && challenge.programming_language_id) {
       try {
         await updateSkillRatings(
           userId,
           challenge.programming_language_id,
-          true,
-          challenge.difficulty_level
+          challenge.id,
+          status === 'passed'
         );
         console.log('✅ Skill rating updated for language:', challenge.programming_language_id);
       } catch (skillError) {
@@ -739,28 +766,32 @@ submitted_at: new Date().toISOString(),})
 // ========================= ADAPTIVE CHALLENGE SELECTION =========================
 
 // Get next challenge (adaptive difficulty)
+// Picks the challenge whose expected pass probability is closest to the target
 const getNextChallenge = async (req, res) => {
   try {
     const userId = req.user.id;
     const { programming_language_id, project_id } = req.query;
+    const targetProbability = req.query.target_probability
+      ? parseFloat(req.query.target_probability)
+      : TARGET_PASS_PROBABILITY;
 
     // Get user's skill rating
     const { data: userSkill } = await supabase
       .from('user_skill_ratings')
-      .select('rating, attempts')
+      .select('rating, rating_deviation, volatility, attempts, last_updated')
       .eq('user_id', userId)
       .eq('programming_language_id', programming_language_id)
       .single();
 
-    const userRating = userSkill?.rating || 1200;
+    const player = glicko2.applyInactivity(glicko2.fromRow(userSkill), userSkill?.last_updated);
 
-    // Get challenges near user's skill level
+    // Get challenges for this language
     let query = supabase
       .from('coding_challenges')
       .select(`
         *,
         programming_languages (id, name),
-        challenge_ratings (rating)
+        challenge_ratings (rating, rating_deviation, volatility, last_updated)
       `)
       .eq('is_active', true)
       .eq('programming_language_id', programming_language_id);
@@ -780,16 +811,34 @@ const getNextChallenge = async (req, res) => {
       });
     }
 
-    // Find best match based on rating
-    const bestChallenge = challenges.sort((a, b) => {
-      const ratingA = a.challenge_ratings?.[0]?.rating || mapDifficultyToElo(a.difficulty_level);
-      const ratingB = b.challenge_ratings?.[0]?.rating || mapDifficultyToElo(b.difficulty_level);
-      return Math.abs(ratingA - userRating) - Math.abs(ratingB - userRating);
-    })[0];
+    const scored = challenges.map(challenge => {
+      const ratingRow = challenge.challenge_ratings?.[0];
+      const opponent = glicko2.applyInactivity(
+        glicko2.fromRow(ratingRow, mapDifficultyToElo(challenge.difficulty_level)),
+        ratingRow?.last_updated
+      );
+      return {
+        challenge,
+        expectedPassProbability: glicko2.winProbability(player, opponent)
+      };
+    });
+
+    // Find best match based on expected pass probability
+    const best = scored.sort((a, b) =>
+      Math.abs(a.expectedPassProbability - targetProbability) -
+      Math.abs(b.expectedPassProbability - targetProbability)
+    )[0];
 
     res.json({
       success: true,
-      data: { challenge: bestChallenge, userRating }
+      data: {
+        challenge: best.challenge,
+        userRating: player.rating,
+        ratingDeviation: player.rd,
+        confidenceInterval: glicko2.confidenceInterval(player),
+        expectedPassProbability: Math.round(best.expectedPassProbability * 1000) / 1000,
+        targetProbability
+      }
     });
 
   } catch (error) {
@@ -809,53 +858,194 @@ const mapDifficultyToElo = (difficulty) => {
   return map[difficulty?.toLowerCase()] || 1200;
 };
 
-// Update skill ratings using ELO system
+// Update skill ratings using Glicko-2
+// Each attempt is treated as one game between the user and the challenge.
+// Deviation grows for idle rating periods before the game is applied.
 const updateSkillRatings = async (userId, programming_language_id, challengeId, pass) => {
-  const Kbase = 32;
+  const now = new Date();
 
   const { data: u } = await supabase
-    .from('user_skill_ratings').select('rating, attempts')
+    .from('user_skill_ratings').select('rating, rating_deviation, volatility, attempts, last_updated')
     .eq('user_id', userId).eq('programming_language_id', programming_language_id).single();
 
-  const userRating = u?.rating || 1200;
-  const userAttempts = u?.attempts || 0;
-
   const { data: c } = await supabase
-    .from('challenge_ratings').select('rating, attempts, pass_count')
+    .from('challenge_ratings').select('rating, rating_deviation, volatility, attempts, pass_count, last_updated')
     .eq('challenge_id', challengeId).single();
 
-  let chRating = c?.rating;
-  if (chRating == null) {
+  let initialChallengeRating = c?.rating;
+  if (initialChallengeRating == null) {
     const { data: chRow } = await supabase.from('coding_challenges').select('difficulty_level').eq('id', challengeId).single();
-    chRating = mapDifficultyToElo(chRow?.difficulty_level);
+    initialChallengeRating = mapDifficultyToElo(chRow?.difficulty_level);
   }
-  const chAttempts = c?.attempts ?? 0;
-  const chPass = c?.pass_count ?? 0;
 
-  const expectedUser = 1 / (1 + Math.pow(10, (chRating - userRating) / 400));
-  const S = pass ? 1 : 0;
+  const userBefore = glicko2.applyInactivity(glicko2.fromRow(u), u?.last_updated, now);
+  const challengeBefore = glicko2.applyInactivity(glicko2.fromRow(c, initialChallengeRating), c?.last_updated, now);
 
-  const Kuser = Math.max(16, Kbase - Math.floor(userAttempts / 5));
-  const Kch = Math.max(12, Kbase - Math.floor(chAttempts / 10));
+  const S = pass ? 1 : 0;
+  const userAfter = glicko2.rate(userBefore, challengeBefore, S);
+  const challengeAfter = glicko2.rate(challengeBefore, userBefore, 1 - S);
 
-  const newUser = Math.round(userRating + Kuser * (S - expectedUser));
-  const newCh = Math.round(chRating + Kch * ((1 - S) - (1 - expectedUser)));
+  const userAttempts = u?.attempts || 0;
+  const chAttempts = c?.attempts ?? 0;
+  const chPass = c?.pass_count ?? 0;
 
   await supabase.from('user_skill_ratings').upsert({
     user_id: userId,
     programming_language_id,
-    rating: newUser,
+    rating: userAfter.rating,
+    rating_deviation: userAfter.rd,
+    volatility: userAfter.volatility,
     attempts: userAttempts + 1,
-    last_updated: new Date().toISOString()
-  });
+    last_updated: now.toISOString()
+  }, { onConflict: 'user_id,programming_language_id' });
 
   await supabase.from('challenge_ratings').upsert({
     challenge_id: challengeId,
-    rating: newCh,
+    rating: challengeAfter.rating,
+    rating_deviation: challengeAfter.rd,
+    volatility: challengeAfter.volatility,
     attempts: chAttempts + 1,
     pass_count: chPass + (pass ? 1 : 0),
-    last_updated: new Date().toISOString()
+    last_updated: now.toISOString()
+  }, { onConflict: 'challenge_id' });
+
+  // Append-only history row so progression can be charted later
+  const { error: historyError } = await supabase.from('skill_rating_history').insert({
+    user_id: userId,
+    programming_language_id,
+    challenge_id: challengeId,
+    outcome: pass ? 'passed' : 'failed',
+    rating_before: userBefore.rating,
+    rating_after: userAfter.rating,
+    rating_deviation_before: userBefore.rd,
+    rating_deviation_after: userAfter.rd,
+    created_at: now.toISOString()
+  });
+
+  if (historyError) {
+    console.error('⚠️ Failed to record rating history:', historyError);
+  }
+
+  return { before: userBefore, after: userAfter };
+};
+
+// Start of the day / ISO week (Monday, UTC) that a timestamp falls in
+const getBucketStart = (timestamp, bucket) => {
+  const date = new Date(timestamp);
+  date.setUTCHours(0, 0, 0, 0);
+  if (bucket === 'week') {
+    const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+    date.setUTCDate(date.getUTCDate() - daysSinceMonday);
+  }
+  return date.toISOString().slice(0, 10);
+};
+
+// Collapse history rows (sorted oldest first) into open/close/high/low buckets
+const bucketRatingHistory = (rows, bucket) => {
+  const buckets = new Map();
+
+  rows.forEach(row => {
+    const key = getBucketStart(row.created_at, bucket);
+    const entry = buckets.get(key);
+
+    if (!entry) {
+      buckets.set(key, {
+        period_start: key,
+        open: row.rating_before,
+        close: row.rating_after,
+        high: Math.max(row.rating_before, row.rating_after),
+        low: Math.min(row.rating_before, row.rating_after),
+        rating_deviation: row.rating_deviation_after,
+        attempts: 1,
+        passed: row.outcome === 'passed' ? 1 : 0
+      });
+      return;
+    }
+
+    entry.close = row.rating_after;
+    entry.high = Math.max(entry.high, row.rating_after);
+    entry.low = Math.min(entry.low, row.rating_after);
+    entry.rating_deviation = row.rating_deviation_after;
+    entry.attempts += 1;
+    if (row.outcome === 'passed') entry.passed += 1;
   });
+
+  return Array.from(buckets.values());
+};
+
+// Get the user's rating progression per programming language
+const getRatingHistory = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { programming_language_id, bucket = 'day', from, to } = req.query;
+
+    let historyQuery = supabase
+      .from('skill_rating_history')
+      .select('programming_language_id, challenge_id, outcome, rating_before, rating_after, rating_deviation_before, rating_deviation_after, created_at')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true });
+
+    let ratingsQuery = supabase
+      .from('user_skill_ratings')
+      .select('programming_language_id, rating, rating_deviation, programming_languages (id, name)')
+      .eq('user_id', userId);
+
+    if (programming_language_id) {
+      historyQuery = historyQuery.eq('programming_language_id', programming_language_id);
+      ratingsQuery = ratingsQuery.eq('programming_language_id', programming_language_id);
+    }
+    if (from) historyQuery = historyQuery.gte('created_at', from);
+    if (to) historyQuery = historyQuery.lte('created_at', to);
+
+    const [{ data: history, error: historyError }, { data: ratings, error: ratingsError }] =
+      await Promise.all([historyQuery, ratingsQuery]);
+
+    if (historyError || ratingsError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch rating history',
+        error: (historyError || ratingsError).message
+      });
+    }
+
+    const rowsByLanguage = new Map();
+    (history || []).forEach(row => {
+      if (!rowsByLanguage.has(row.programming_language_id)) {
+        rowsByLanguage.set(row.programming_language_id, []);
+      }
+      rowsByLanguage.get(row.programming_language_id).push(row);
+    });
+
+    const languages = await Promise.all((ratings || []).map(async (current) => {
+      // Percentile against everyone rated in the same language
+      const [{ count: below }, { count: total }] = await Promise.all([
+        supabase
+          .from('user_skill_ratings')
+          .select('user_id', { count: 'exact', head: true })
+          .eq('programming_language_id', current.programming_language_id)
+          .lt('rating', current.rating),
+        supabase
+          .from('user_skill_ratings')
+          .select('user_id', { count: 'exact', head: true })
+          .eq('programming_language_id', current.programming_language_id)
+      ]);
+
+      return {
+        programming_language_id: current.programming_language_id,
+        language: current.programming_languages?.name || null,
+        current_rating: current.rating,
+        rating_deviation: current.rating_deviation,
+        percentile: total ? Math.round(((below || 0) / total) * 100) : null,
+        rated_users: total || 0,
+        series: bucketRatingHistory(rowsByLanguage.get(current.programming_language_id) || [], bucket)
+      };
+    }));
+
+    res.json({ success: true, data: { bucket, languages } });
+  } catch (error) {
+    console.error('Get rating history error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error', error: error.message });
+  }
 };
 
 // ========================= EXPORTS =========================
@@ -871,6 +1061,7 @@ module.exports = {
   getAttemptDetails,
   submitSimpleChallenge,
   getNextChallenge,
+  getRatingHistory,
   updateSkillRatings,
   checkWeeklyChallengeAwardAfterSubmission
 };
\ No newline at end of file
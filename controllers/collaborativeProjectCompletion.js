@@ -1,6 +1,7 @@
 // backend/controllers/collaborativeProjectCompletion.js
 const supabase = require('../config/supabase');
 const { createTimelinePostsForTeam } = require('../utils/timelinePostHelper');
+const notificationService = require('../services/notificationService');
 
 // ===== HELPER FUNCTIONS =====
 
@@ -221,6 +222,17 @@ const awardProjectCompletionAchievements = async (projectId) => {
         console.error('Error inserting awards:', insertError);
       } else {
         console.log(`✅ Successfully created ${awardsToCreate.length} awards!`);
+
+        for (const award of awardsToCreate) {
+          await notificationService.publish({
+            userId: award.user_id,
+            type: 'award_earned',
+            title: `Award earned: ${award.award_title}`,
+            message: award.award_description,
+            projectId,
+            data: { award_type: award.award_type }
+          });
+        }
       }
     }
 
@@ -232,9 +244,10 @@ const awardProjectCompletionAchievements = async (projectId) => {
 };
 
 /**
- * Create notifications for all team members
+ * Notify all team members through the notification center
+ * actorId (optional) is excluded from the recipients
  */
-const notifyTeamMembers = async (projectId, title, message, type = 'project_completed') => {
+const notifyTeamMembers = async (projectId, title, message, type = 'project_completed', actorId = null) => {
   try {
     // Get all active members
     const { data: members, error: membersError } = await supabase
@@ -255,17 +268,14 @@ const notifyTeamMembers = async (projectId, title, message, type = 'project_comp
     const userIds = new Set(members.map(m => m.user_id));
     if (project) userIds.add(project.owner_id);
 
-    // Create notifications
-    const notifications = Array.from(userIds).map(userId => ({
-      user_id: userId,
-      project_id: projectId,
-      notification_type: type,
-      title: title,
-      message: message,
-      created_at: new Date().toISOString()
-    }));
-
-    await supabase.from('notifications').insert(notifications);
+    await notificationService.publish({
+      userIds: Array.from(userIds),
+      type,
+      title,
+      message,
+      projectId,
+      actorId
+    });
   } catch (error) {
     console.error('Error notifying team members:', error);
   }
@@ -676,6 +686,15 @@ const voteOnCompletion = async (req, res) => {
       console.log('✅ Vote recorded');
     }
 
+    // Let the rest of the team know a vote was cast
+    await notifyTeamMembers(
+      projectId,
+      '🗳️ Project Completion Vote',
+      `${req.user.username || 'A teammate'} voted to ${vote} completing "${project.title}".`,
+      'completion_vote',
+      userId
+    );
+
     // Get updated vote counts
     const { data: allVotes } = await supabase
       .from('project_completion_votes')
@@ -1,6 +1,14 @@
 // controllers/commentsController.js
 const supabase = require('../config/supabase');
 const { validateUUID, sanitizeInput } = require('../utils/validation');
+const notificationService = require('../services/notificationService');
+
+// Legacy comment_notifications type -> notification center type
+const COMMENT_NOTIFICATION_TYPES = {
+    mention: { type: 'mention', title: 'You were mentioned in a comment' },
+    task_comment: { type: 'task_comment', title: 'New comment on your task' },
+    reply: { type: 'comment_reply', title: 'New reply to your comment' }
+};
 
 class CommentsController {
     constructor() {
@@ -540,6 +548,24 @@ res.status(201).json({ comment });
                 await supabase
                     .from('comment_notifications')
                     .insert(notifications);
+
+                // Also publish to the unified notification center
+                for (const notification of notifications) {
+                    const mapped = COMMENT_NOTIFICATION_TYPES[notification.notification_type];
+                    await notificationService.publish({
+                        userId: notification.user_id,
+                        type: mapped.type,
+                        title: mapped.title,
+                        message: (comment.content || '').slice(0, 200),
+                        projectId,
+                        actorId: comment.user_id,
+                        data: {
+                            comment_id: comment.id,
+                            task_id: comment.task_id,
+                            parent_comment_id: comment.parent_comment_id || null
+                        }
+                    });
+                }
             }
 
         } catch (error) {
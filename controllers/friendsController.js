@@ -1,5 +1,6 @@
 // backend/controllers/friendsController.js
 const supabase = require('../config/supabase');
+const notificationService = require('../services/notificationService');
 
 // Send friend request
 const sendFriendRequest = async (req, res) => {
@@ -85,6 +86,15 @@ const sendFriendRequest = async (req, res) => {
       });
     }
 
+    await notificationService.publish({
+      userId: addresseeId,
+      type: 'friend_request',
+      title: 'New Friend Request',
+      message: `${req.user.fullName || req.user.username} sent you a friend request`,
+      actorId: requesterId,
+      data: { friendship_id: friendship.id }
+    });
+
     res.status(201).json({
       success: true,
       message: 'Friend request sent successfully',
@@ -421,6 +431,15 @@ const acceptFriendRequest = async (req, res) => {
       });
     }
 
+    await notificationService.publish({
+      userId: friendship.requester_id,
+      type: 'friend_request_accepted',
+      title: 'Friend Request Accepted',
+      message: `${req.user.fullName || req.user.username} accepted your friend request`,
+      actorId: userId,
+      data: { friendship_id: friendship.id }
+    });
+
     res.json({
       success: true,
       message: 'Friend request accepted',
@@ -1,7 +1,10 @@
 // backend/controllers/githubController.js
 const axios = require('axios');
 const supabase = require('../config/supabase');
-const crypto = require('crypto');
+const githubTokenService = require('../services/githubTokenService');
+const githubWebhookService = require('../services/githubWebhookService');
+const { MERGE_STATUSES, SUPPORTED_EVENTS } = githubWebhookService;
+const { getProjectAccess } = require('../utils/projectAccess');
 
 // GitHub OAuth configuration
 const GITHUB_CLIENT_ID = process.env.GITHUB_CLIENT_ID;
@@ -11,10 +14,10 @@ const GITHUB_REDIRECT_URI = process.env.GITHUB_REDIRECT_URI || 'http://localhost
 // Generate OAuth URL
 const getOAuthURL = async (req, res) => {
   try {
-    const state = crypto.randomBytes(32).toString('hex');
-    const scope = 'repo,read:user,user:email';
-    
-    // Store state in user session or cache for later verification
+    // Stored server-side and checked in the callback to prevent login CSRF
+    const state = await githubTokenService.createOAuthState(req.user.id);
+    const scope = githubTokenService.OAUTH_SCOPES.join(',');
+
     const oauthUrl = `https://github.com/login/oauth/authorize?client_id=${GITHUB_CLIENT_ID}&redirect_uri=${encodeURIComponent(GITHUB_REDIRECT_URI)}&scope=${scope}&state=${state}`;
     
     res.json({
@@ -47,6 +50,17 @@ const handleOAuthCallback = async (req, res) => {
       });
     }
 
+    try {
+      await githubTokenService.consumeOAuthState(userId, state);
+    } catch (stateError) {
+      if (!stateError.statusCode) throw stateError;
+      return res.status(stateError.statusCode).json({
+        success: false,
+        message: stateError.message,
+        code: stateError.code
+      });
+    }
+
     // Exchange code for access token
     const tokenResponse = await axios.post('https://github.com/login/oauth/access_token', {
       client_id: GITHUB_CLIENT_ID,
@@ -79,28 +93,11 @@ const handleOAuthCallback = async (req, res) => {
 
     const githubUser = userResponse.data;
 
-    // Store GitHub OAuth data in database
-    const { data, error } = await supabase
-      .from('github_oauth_tokens')
-      .upsert({
-        user_id: userId,
-        access_token: accessToken,
-        github_user_id: githubUser.id,
-        github_username: githubUser.login,
-        github_email: githubUser.email,
-        github_name: githubUser.name,
-        github_avatar_url: githubUser.avatar_url,
-        scope: tokenResponse.data.scope || 'repo,read:user,user:email',
-        token_type: tokenResponse.data.token_type || 'bearer',
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      }, {
-        onConflict: 'user_id'
-      })
-      .select()
-      .single();
-
-    if (error) {
+    // Store GitHub OAuth data in database (tokens are encrypted at rest)
+    let stored;
+    try {
+      stored = await githubTokenService.saveToken(userId, tokenResponse.data, githubUser);
+    } catch (error) {
       console.error('Database error storing GitHub token:', error);
       return res.status(500).json({
         success: false,
@@ -109,13 +106,18 @@ const handleOAuthCallback = async (req, res) => {
       });
     }
 
+    // The user can untick scopes on GitHub's consent screen
+    const missingScopes = githubTokenService.missingScopesFor(stored, githubTokenService.REPO_SCOPES);
+
     res.json({
       success: true,
       message: 'GitHub account connected successfully',
       data: {
         github_username: githubUser.login,
         github_name: githubUser.name,
-        github_avatar_url: githubUser.avatar_url
+        github_avatar_url: githubUser.avatar_url,
+        scopes: githubTokenService.parseScopes(stored.scope),
+        missing_scopes: missingScopes
       }
     });
   } catch (error) {
@@ -168,7 +170,7 @@ const getGitHubUser = async (req, res) => {
 
     const { data: tokenData, error } = await supabase
       .from('github_oauth_tokens')
-      .select('*')
+      .select('github_username, github_name, github_email, github_avatar_url, scope, refresh_token, created_at')
       .eq('user_id', userId)
       .single();
 
@@ -186,6 +188,8 @@ const getGitHubUser = async (req, res) => {
         github_name: tokenData.github_name,
         github_email: tokenData.github_email,
         github_avatar_url: tokenData.github_avatar_url,
+        scopes: githubTokenService.parseScopes(tokenData.scope),
+        missing_scopes: githubTokenService.missingScopesFor(tokenData, githubTokenService.REPO_SCOPES),
         connected_at: tokenData.created_at
       }
     });
@@ -202,25 +206,13 @@ const getGitHubUser = async (req, res) => {
 // Get user repositories
 const getUserRepositories = async (req, res) => {
   try {
-    const userId = req.user.id;
     const { page = 1, per_page = 30, sort = 'updated', type = 'all' } = req.query;
 
-    const { data: tokenData, error: tokenError } = await supabase
-      .from('github_oauth_tokens')
-      .select('access_token')
-      .eq('user_id', userId)
-      .single();
-
-    if (tokenError || !tokenData) {
-      return res.status(404).json({
-        success: false,
-        message: 'GitHub account not connected'
-      });
-    }
+    const { accessToken } = req.github;
 
     const response = await axios.get('https://api.github.com/user/repos', {
       headers: {
-        'Authorization': `token ${tokenData.access_token}`,
+        'Authorization': `token ${accessToken}`,
         'Accept': 'application/vnd.github.v3+json'
       },
       params: {
@@ -275,25 +267,13 @@ const getUserRepositories = async (req, res) => {
 // Get repository details
 const getRepository = async (req, res) => {
   try {
-    const userId = req.user.id;
     const { owner, repo } = req.params;
 
-    const { data: tokenData, error: tokenError } = await supabase
-      .from('github_oauth_tokens')
-      .select('access_token')
-      .eq('user_id', userId)
-      .single();
-
-    if (tokenError || !tokenData) {
-      return res.status(404).json({
-        success: false,
-        message: 'GitHub account not connected'
-      });
-    }
+    const { accessToken } = req.github;
 
     const response = await axios.get(`https://api.github.com/repos/${owner}/${repo}`, {
       headers: {
-        'Authorization': `token ${tokenData.access_token}`,
+        'Authorization': `token ${accessToken}`,
         'Accept': 'application/vnd.github.v3+json'
       }
     });
@@ -346,29 +326,17 @@ const getRepository = async (req, res) => {
 // Get repository contents
 const getRepositoryContents = async (req, res) => {
   try {
-    const userId = req.user.id;
     const { owner, repo } = req.params;
     const { path = '', ref } = req.query;
 
-    const { data: tokenData, error: tokenError } = await supabase
-      .from('github_oauth_tokens')
-      .select('access_token')
-      .eq('user_id', userId)
-      .single();
-
-    if (tokenError || !tokenData) {
-      return res.status(404).json({
-        success: false,
-        message: 'GitHub account not connected'
-      });
-    }
+    const { accessToken } = req.github;
 
     const url = `https://api.github.com/repos/${owner}/${repo}/contents/${path}`;
     const params = ref ? { ref } : {};
 
     const response = await axios.get(url, {
       headers: {
-        'Authorization': `token ${tokenData.access_token}`,
+        'Authorization': `token ${accessToken}`,
         'Accept': 'application/vnd.github.v3+json'
       },
       params
@@ -419,30 +387,18 @@ const getRepositoryContents = async (req, res) => {
 // Get file content
 const getFileContent = async (req, res) => {
   try {
-    const userId = req.user.id;
     const { owner, repo } = req.params;
     const filePath = req.params[0]; // Captures the wildcard path
     const { ref } = req.query;
 
-    const { data: tokenData, error: tokenError } = await supabase
-      .from('github_oauth_tokens')
-      .select('access_token')
-      .eq('user_id', userId)
-      .single();
-
-    if (tokenError || !tokenData) {
-      return res.status(404).json({
-        success: false,
-        message: 'GitHub account not connected'
-      });
-    }
+    const { accessToken } = req.github;
 
     const url = `https://api.github.com/repos/${owner}/${repo}/contents/${filePath}`;
     const params = ref ? { ref } : {};
 
     const response = await axios.get(url, {
       headers: {
-        'Authorization': `token ${tokenData.access_token}`,
+        'Authorization': `token ${accessToken}`,
         'Accept': 'application/vnd.github.v3+json'
       },
       params
@@ -490,25 +446,13 @@ const getFileContent = async (req, res) => {
 // Get repository branches
 const getRepositoryBranches = async (req, res) => {
   try {
-    const userId = req.user.id;
     const { owner, repo } = req.params;
 
-    const { data: tokenData, error: tokenError } = await supabase
-      .from('github_oauth_tokens')
-      .select('access_token')
-      .eq('user_id', userId)
-      .single();
-
-    if (tokenError || !tokenData) {
-      return res.status(404).json({
-        success: false,
-        message: 'GitHub account not connected'
-      });
-    }
+    const { accessToken } = req.github;
 
     const response = await axios.get(`https://api.github.com/repos/${owner}/${repo}/branches`, {
       headers: {
-        'Authorization': `token ${tokenData.access_token}`,
+        'Authorization': `token ${accessToken}`,
         'Accept': 'application/vnd.github.v3+json'
       }
     });
@@ -539,22 +483,10 @@ const getRepositoryBranches = async (req, res) => {
 // Get repository commits
 const getRepositoryCommits = async (req, res) => {
   try {
-    const userId = req.user.id;
     const { owner, repo } = req.params;
     const { sha, path, page = 1, per_page = 30 } = req.query;
 
-    const { data: tokenData, error: tokenError } = await supabase
-      .from('github_oauth_tokens')
-      .select('access_token')
-      .eq('user_id', userId)
-      .single();
-
-    if (tokenError || !tokenData) {
-      return res.status(404).json({
-        success: false,
-        message: 'GitHub account not connected'
-      });
-    }
+    const { accessToken } = req.github;
 
     const params = { page, per_page };
     if (sha) params.sha = sha;
@@ -562,7 +494,7 @@ const getRepositoryCommits = async (req, res) => {
 
     const response = await axios.get(`https://api.github.com/repos/${owner}/${repo}/commits`, {
       headers: {
-        'Authorization': `token ${tokenData.access_token}`,
+        'Authorization': `token ${accessToken}`,
         'Accept': 'application/vnd.github.v3+json'
       },
       params
@@ -603,7 +535,7 @@ const connectRepositoryToProject = async (req, res) => {
   try {
     const userId = req.user.id;
     const { projectId } = req.params;
-    const { repository_full_name, branch = 'main' } = req.body;
+    const { repository_full_name, branch = 'main', merged_pr_status = null } = req.body;
 
     if (!repository_full_name) {
       return res.status(400).json({
@@ -612,6 +544,14 @@ const connectRepositoryToProject = async (req, res) => {
       });
     }
 
+    // Status for tasks referenced by a merged pull request (null leaves them alone)
+    if (merged_pr_status !== null && !MERGE_STATUSES.includes(merged_pr_status)) {
+      return res.status(400).json({
+        success: false,
+        message: `merged_pr_status must be one of: ${MERGE_STATUSES.join(', ')}`
+      });
+    }
+
     // Check if user is a member of the project
     const { data: membership, error: memberError } = await supabase
       .from('project_members')
@@ -627,26 +567,15 @@ const connectRepositoryToProject = async (req, res) => {
       });
     }
 
-    // Check if user has GitHub connected
-    const { data: tokenData, error: tokenError } = await supabase
-      .from('github_oauth_tokens')
-      .select('access_token, github_username')
-      .eq('user_id', userId)
-      .single();
-
-    if (tokenError || !tokenData) {
-      return res.status(404).json({
-        success: false,
-        message: 'GitHub account not connected'
-      });
-    }
+    // Token loaded and scope-checked by requireGitHubToken
+    const { accessToken } = req.github;
 
     // Verify repository access
     const [owner, repo] = repository_full_name.split('/');
     try {
       await axios.get(`https://api.github.com/repos/${owner}/${repo}`, {
         headers: {
-          'Authorization': `token ${tokenData.access_token}`,
+          'Authorization': `token ${accessToken}`,
           'Accept': 'application/vnd.github.v3+json'
         }
       });
@@ -660,6 +589,17 @@ const connectRepositoryToProject = async (req, res) => {
       throw error;
     }
 
+    // Each linked repository gets its own webhook secret; reconnecting the same repository keeps it
+    const { data: existing } = await supabase
+      .from('project_github_repos')
+      .select('repository_full_name, webhook_secret_encrypted')
+      .eq('project_id', projectId)
+      .maybeSingle();
+
+    const keepSecret = existing?.webhook_secret_encrypted &&
+      existing.repository_full_name.toLowerCase() === repository_full_name.toLowerCase();
+    const newSecret = keepSecret ? null : githubWebhookService.createWebhookSecret();
+
     // Connect repository to project
     const { data, error } = await supabase
       .from('project_github_repos')
@@ -667,6 +607,8 @@ const connectRepositoryToProject = async (req, res) => {
         project_id: projectId,
         repository_full_name: repository_full_name,
         branch: branch,
+        merged_pr_status,
+        webhook_secret_encrypted: keepSecret ? existing.webhook_secret_encrypted : newSecret.encrypted,
         connected_by: userId,
         created_at: new Date().toISOString(),
         updated_at: new Date().toISOString()
@@ -685,10 +627,21 @@ const connectRepositoryToProject = async (req, res) => {
       });
     }
 
+    const { webhook_secret_encrypted, ...repository } = data;
+
     res.json({
       success: true,
       message: 'Repository connected to project successfully',
-      data: data
+      data: {
+        ...repository,
+        // Settings for the repository's webhook; the secret is only shown when it is created
+        webhook: {
+          url: `${req.protocol}://${req.get('host')}/api/github/webhooks`,
+          content_type: 'json',
+          events: SUPPORTED_EVENTS.filter(event => event !== 'ping'),
+          secret: newSecret ? newSecret.secret : null
+        }
+      }
     });
   } catch (error) {
     console.error('Connect repository to project error:', error);
@@ -783,9 +736,11 @@ const getProjectRepository = async (req, res) => {
       });
     }
 
+    const { webhook_secret_encrypted, ...repository } = repoData;
+
     res.json({
       success: true,
-      data: repoData
+      data: repository
     });
   } catch (error) {
     console.error('Get project repository error:', error);
@@ -797,6 +752,43 @@ const getProjectRepository = async (req, res) => {
   }
 };
 
+// Commits, pull requests and issues linked to a task through GitHub webhooks
+const getTaskGitHubLinks = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { projectId, taskId } = req.params;
+
+    const access = await getProjectAccess(projectId, userId);
+    if (!access || (!access.isOwner && !access.isMember)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not a member of this project'
+      });
+    }
+
+    const { data: links, error } = await supabase
+      .from('task_github_links')
+      .select('id, link_type, external_id, title, url, state, author_login, repository_full_name, created_at, updated_at')
+      .eq('project_id', projectId)
+      .eq('task_id', taskId)
+      .order('updated_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data: links || []
+    });
+  } catch (error) {
+    console.error('Get task GitHub links error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get task GitHub links',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   getOAuthURL,
   handleOAuthCallback,
@@ -810,5 +802,6 @@ module.exports = {
   getRepositoryCommits,
   connectRepositoryToProject,
   disconnectRepositoryFromProject,
-  getProjectRepository
+  getProjectRepository,
+  getTaskGitHubLinks
 };
\ No newline at end of file
@@ -0,0 +1,92 @@
+// backend/controllers/githubWebhookController.js
+const fs = require('fs');
+const path = require('path');
+const githubWebhookService = require('../services/githubWebhookService');
+
+// When set, every verified delivery is written here so it can be replayed with scripts/replayGitHubWebhook.js
+const RECORD_DIR = process.env.GITHUB_WEBHOOK_RECORD_DIR;
+
+const recordDelivery = (event, deliveryId, payload) => {
+  if (!RECORD_DIR) return;
+
+  try {
+    fs.mkdirSync(RECORD_DIR, { recursive: true });
+    const fileName = `${Date.now()}-${event}-${deliveryId || 'no-delivery-id'}.json`.replace(/[^\w.-]/g, '_');
+    fs.writeFileSync(
+      path.join(RECORD_DIR, fileName),
+      JSON.stringify({ event, deliveryId, payload }, null, 2)
+    );
+  } catch (error) {
+    console.error('Failed to record GitHub webhook delivery:', error.message);
+  }
+};
+
+// POST /api/github/webhooks - Receive push, pull_request and issues events
+const receiveWebhook = async (req, res) => {
+  try {
+    const event = req.get('X-GitHub-Event');
+    const deliveryId = req.get('X-GitHub-Delivery');
+
+    if (!event) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing X-GitHub-Event header'
+      });
+    }
+
+    // Webhooks configured with the form content type send the JSON in a "payload" field
+    let payload = req.body;
+    if (typeof req.body?.payload === 'string') {
+      try {
+        payload = JSON.parse(req.body.payload);
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          message: 'Webhook payload is not valid JSON'
+        });
+      }
+    }
+
+    // Each linked repository has its own secret; the delivery only acts on projects whose secret signed it
+    const projects = await githubWebhookService.authenticateDelivery(
+      req.rawBody,
+      req.get('X-Hub-Signature-256'),
+      payload?.repository?.full_name
+    );
+
+    if (projects.length === 0) {
+      console.warn(`⚠️ Rejected GitHub webhook with invalid signature (delivery ${deliveryId})`);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    recordDelivery(event, deliveryId, payload);
+
+    const result = await githubWebhookService.handleEvent(event, payload, { deliveryId, projects });
+    console.log(`🪝 GitHub ${event}${payload.action ? `.${payload.action}` : ''} processed (delivery ${deliveryId})`);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('GitHub webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process webhook',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  receiveWebhook
+};
@@ -1,4 +1,13 @@
 const supabase = require('../config/supabase');
+const notificationService = require('../services/notificationService');
+const { CHANNELS } = require('../services/notificationService');
+
+// Parse a comma-separated or repeated ?type= query into known notification types
+const parseTypes = (value) => {
+    if (!value) return [];
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(type => type.trim()).filter(type => notificationService.isValidType(type));
+};
 
 class NotificationsController {
     // Get user's comment notifications - SIMPLIFIED VERSION
@@ -199,7 +208,15 @@ class NotificationsController {
             const unreadCount = data ? data.length : 0;
             console.log('Unread count for user', userId, ':', unreadCount);
 
-            res.json({ unread_count: unreadCount });
+            // Unified notification center count alongside the legacy comment count
+            let totalUnread = unreadCount;
+            try {
+                totalUnread = await notificationService.unreadCount(userId);
+            } catch (countError) {
+                console.error('Error fetching unified unread count:', countError);
+            }
+
+            res.json({ unread_count: unreadCount, total_unread: totalUnread });
 
         } catch (error) {
             console.error('Error in getUnreadCount:', error);
@@ -264,6 +281,108 @@ class NotificationsController {
             res.status(500).json({ error: 'Test connection failed: ' + error.message });
         }
     }
+    // ===== UNIFIED NOTIFICATION CENTER =====
+
+    // GET /api/notifications - cursor-paginated feed with type filters
+    async getNotifications(req, res) {
+        try {
+            const userId = req.user.id;
+            const { cursor, limit, type, unread_only, archived } = req.query;
+
+            const result = await notificationService.list(userId, {
+                cursor,
+                limit,
+                types: parseTypes(type),
+                unreadOnly: unread_only === 'true',
+                archived: archived === 'true'
+            });
+
+            res.json({
+                success: true,
+                data: {
+                    notifications: result.notifications,
+                    pagination: {
+                        next_cursor: result.nextCursor,
+                        has_more: !!result.nextCursor
+                    }
+                }
+            });
+
+        } catch (error) {
+            console.error('Error in getNotifications:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : 'Failed to fetch notifications'
+            });
+        }
+    }
+
+    // GET /api/notifications/types - the notification type catalogue
+    async getNotificationTypes(req, res) {
+        const types = Object.entries(notificationService.types).map(([type, definition]) => ({
+            notification_type: type,
+            category: definition.category,
+            description: definition.description,
+            defaults: definition.defaults
+        }));
+
+        res.json({ success: true, data: { types, channels: CHANNELS } });
+    }
+
+    // PUT /api/notifications/mark-read
+    async markRead(req, res) {
+        try {
+            const updated = await notificationService.markRead(req.user.id, req.body.notification_ids);
+            res.json({ success: true, data: { updated } });
+        } catch (error) {
+            console.error('Error in markRead:', error);
+            res.status(500).json({ success: false, message: 'Failed to mark notifications as read' });
+        }
+    }
+
+    // PUT /api/notifications/mark-all-read
+    async markAllRead(req, res) {
+        try {
+            const updated = await notificationService.markAllRead(req.user.id, parseTypes(req.body.types));
+            res.json({ success: true, data: { updated } });
+        } catch (error) {
+            console.error('Error in markAllRead:', error);
+            res.status(500).json({ success: false, message: 'Failed to mark notifications as read' });
+        }
+    }
+
+    // PUT /api/notifications/archive
+    async archiveNotifications(req, res) {
+        try {
+            const archived = await notificationService.archive(req.user.id, req.body.notification_ids);
+            res.json({ success: true, data: { archived } });
+        } catch (error) {
+            console.error('Error in archiveNotifications:', error);
+            res.status(500).json({ success: false, message: 'Failed to archive notifications' });
+        }
+    }
+
+    // GET /api/notifications/preferences
+    async getPreferences(req, res) {
+        try {
+            const preferences = await notificationService.getPreferences(req.user.id);
+            res.json({ success: true, data: { preferences } });
+        } catch (error) {
+            console.error('Error in getPreferences:', error);
+            res.status(500).json({ success: false, message: 'Failed to fetch notification preferences' });
+        }
+    }
+
+    // PUT /api/notifications/preferences
+    async updatePreferences(req, res) {
+        try {
+            const preferences = await notificationService.updatePreferences(req.user.id, req.body.preferences);
+            res.json({ success: true, data: { preferences }, message: 'Notification preferences updated' });
+        } catch (error) {
+            console.error('Error in updatePreferences:', error);
+            res.status(500).json({ success: false, message: 'Failed to update notification preferences' });
+        }
+    }
 }
 
 module.exports = new NotificationsController();
@@ -1,5 +1,6 @@
 // backend/controllers/onboardingController.js - UPDATED WITH SKILL RATING INITIALIZATION
 const supabase = require('../config/supabase');
+const { DEFAULT_RD, DEFAULT_VOLATILITY } = require('../utils/glicko2');
 
 /* ============================== Helper Functions ============================== */
 
@@ -31,6 +32,8 @@ const initializeSkillRatings = async (userId, languages) => {
         user_id: userId,
         programming_language_id: lang.language_id,
         rating: initialRating,
+        rating_deviation: DEFAULT_RD, // self-reported level, so start fully uncertain
+        volatility: DEFAULT_VOLATILITY,
         attempts: 0,
         last_updated: new Date().toISOString()
       };
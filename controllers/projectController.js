@@ -654,6 +654,19 @@ const deleteProject = async (req, res) => {
         .delete()
         .in('depends_on_task_id', taskIds);
 
+      // Delete review comments on task submissions
+      const { data: taskSubmissions } = await supabase
+        .from('task_submissions')
+        .select('id')
+        .in('task_id', taskIds);
+
+      if (taskSubmissions && taskSubmissions.length > 0) {
+        await supabase
+          .from('task_submission_comments')
+          .delete()
+          .in('submission_id', taskSubmissions.map(submission => submission.id));
+      }
+
       // Delete task submissions
       await supabase
         .from('task_submissions')
@@ -762,6 +775,29 @@ const deleteProject = async (req, res) => {
       .delete()
       .eq('project_id', id);
 
+    // Delete task audit trail
+    await supabase
+      .from('task_activity')
+      .delete()
+      .eq('project_id', id);
+
+    // Delete recurring task schedules and templates
+    await supabase
+      .from('task_recurrences')
+      .delete()
+      .eq('project_id', id);
+
+    await supabase
+      .from('task_templates')
+      .delete()
+      .eq('project_id', id);
+
+    // Delete member invitations
+    await supabase
+      .from('project_invitations')
+      .delete()
+      .eq('project_id', id);
+
     // Delete user activity
     await supabase
       .from('user_activity')
@@ -0,0 +1,193 @@
+// backend/controllers/projectInvitationController.js
+const projectInvitationService = require('../services/projectInvitationService');
+const { MANAGER_ROLES, getProjectAccess } = require('../utils/projectAccess');
+
+// Service errors carry a statusCode for expected failures (not found, full, expired...)
+const sendError = (res, error, context) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  console.error(`💥 Error in ${context}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: 'Internal server error',
+    error: error.message
+  });
+};
+
+const requireManager = async (req, res) => {
+  const access = await getProjectAccess(req.params.projectId, req.user.id);
+  if (!access) {
+    res.status(404).json({ success: false, message: 'Project not found' });
+    return false;
+  }
+  if (!MANAGER_ROLES.includes(access.role)) {
+    res.status(403).json({
+      success: false,
+      message: 'Only the project owner or a lead can manage invitations'
+    });
+    return false;
+  }
+  return true;
+};
+
+// GET /api/projects/:projectId/invitations
+const getProjectInvitations = async (req, res) => {
+  try {
+    if (!(await requireManager(req, res))) return;
+
+    const invitations = await projectInvitationService.listForProject(req.params.projectId, {
+      status: req.query.status || null
+    });
+
+    res.json({ success: true, data: { invitations } });
+  } catch (error) {
+    sendError(res, error, 'getProjectInvitations');
+  }
+};
+
+// POST /api/projects/:projectId/invitations
+// Body: { user_id } to invite a user, or { link: true, max_uses } for a shareable link
+const createProjectInvitation = async (req, res) => {
+  try {
+    if (!(await requireManager(req, res))) return;
+
+    const { projectId } = req.params;
+    const {
+      user_id: invitedUserId,
+      link,
+      require_challenge: requireChallenge = false,
+      expires_in_days: expiresInDays,
+      max_uses: maxUses,
+      message
+    } = req.body;
+
+    if (link) {
+      const result = await projectInvitationService.createLink({
+        projectId,
+        invitedBy: req.user.id,
+        requireChallenge,
+        expiresInDays,
+        maxUses
+      });
+
+      console.log('🔗 Invitation link created for project:', projectId);
+      return res.status(201).json({
+        success: true,
+        message: 'Invitation link created. Share it now; the token is not shown again.',
+        data: result
+      });
+    }
+
+    const invitation = await projectInvitationService.inviteUser({
+      projectId,
+      invitedUserId,
+      invitedBy: req.user.id,
+      message: message || null,
+      requireChallenge,
+      expiresInDays
+    });
+
+    console.log('✉️ Invitation sent for project:', projectId);
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent',
+      data: { invitation }
+    });
+  } catch (error) {
+    sendError(res, error, 'createProjectInvitation');
+  }
+};
+
+// POST /api/projects/:projectId/invitations/:invitationId/revoke
+const revokeProjectInvitation = async (req, res) => {
+  try {
+    if (!(await requireManager(req, res))) return;
+
+    const invitation = await projectInvitationService.revoke(
+      req.params.projectId,
+      req.params.invitationId,
+      req.user.id
+    );
+
+    res.json({ success: true, message: 'Invitation revoked', data: { invitation } });
+  } catch (error) {
+    sendError(res, error, 'revokeProjectInvitation');
+  }
+};
+
+// GET /api/invitations - Open invitations addressed to the current user
+const getMyInvitations = async (req, res) => {
+  try {
+    const invitations = await projectInvitationService.listForUser(req.user.id);
+    res.json({ success: true, data: { invitations } });
+  } catch (error) {
+    sendError(res, error, 'getMyInvitations');
+  }
+};
+
+const acceptResponse = (res, result) => {
+  if (result.requiresChallenge) {
+    return res.json({
+      success: true,
+      message: `Invitation accepted. Pass the recruitment challenge to join ${result.project.title}.`,
+      data: result
+    });
+  }
+  return res.json({
+    success: true,
+    message: `Successfully joined ${result.project.title}!`,
+    data: result
+  });
+};
+
+// POST /api/invitations/:invitationId/accept
+const acceptInvitation = async (req, res) => {
+  try {
+    const result = await projectInvitationService.accept(req.params.invitationId, req.user.id);
+    acceptResponse(res, result);
+  } catch (error) {
+    sendError(res, error, 'acceptInvitation');
+  }
+};
+
+// POST /api/invitations/:invitationId/decline
+const declineInvitation = async (req, res) => {
+  try {
+    const invitation = await projectInvitationService.decline(req.params.invitationId, req.user.id);
+    res.json({ success: true, message: 'Invitation declined', data: { invitation } });
+  } catch (error) {
+    sendError(res, error, 'declineInvitation');
+  }
+};
+
+// GET /api/invitations/link/:token
+const previewInvitationLink = async (req, res) => {
+  try {
+    const preview = await projectInvitationService.previewLink(req.params.token);
+    res.json({ success: true, data: preview });
+  } catch (error) {
+    sendError(res, error, 'previewInvitationLink');
+  }
+};
+
+// POST /api/invitations/link/:token/accept
+const acceptInvitationLink = async (req, res) => {
+  try {
+    const result = await projectInvitationService.acceptLink(req.params.token, req.user.id);
+    acceptResponse(res, result);
+  } catch (error) {
+    sendError(res, error, 'acceptInvitationLink');
+  }
+};
+
+module.exports = {
+  getProjectInvitations,
+  createProjectInvitation,
+  revokeProjectInvitation,
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation,
+  previewInvitationLink,
+  acceptInvitationLink
+};
@@ -3,6 +3,10 @@ const supabase = require('../config/supabase');
 const { updateSkillRatings } = require('./challengeController');
 const { runTests } = require('../utils/codeEvaluator'); // ADD THIS IMPORT
 const { evaluateCodeWithLanguageFeatures } = require('../utils/languageBasedEvaluator');
+const notificationService = require('../services/notificationService');
+const skillMatchingService = require('../services/SkillMatchingService');
+const projectInvitationService = require('../services/projectInvitationService');
+const { MANAGER_ROLES, getProjectAccess } = require('../utils/projectAccess');
 
 
 /* ============================== Helper Functions ============================== */
@@ -515,14 +519,14 @@ const submitChallengeAttempt = async (req, res) => {
       score: attempt.score
     });
 
-    // Update skill ratings if passed
-    if (passed && challenge && challenge.programming_language_id) {
+    // Update skill ratings (passes and failures both move the rating)
+    if (challenge && challenge.programming_language_id) {
       try {
         await updateSkillRatings(
           userId,
           challenge.programming_language_id,
-          true, // passed
-          challenge.difficulty_level
+          challenge.id,
+          passed
         );
         console.log('✅ Skill rating updated');
       } catch (skillError) {
@@ -560,6 +564,27 @@ const submitChallengeAttempt = async (req, res) => {
         // Update project member count
         await supabase.rpc('increment_project_members', { project_id: projectId });
         console.log('✅ User added to project');
+
+        // Close any invitation that was waiting on this challenge
+        await projectInvitationService.markJoinedViaChallenge(projectId, userId);
+
+        await notificationService.publish({
+          userId,
+          type: 'recruitment_passed',
+          title: 'Challenge Passed!',
+          message: `You passed the challenge and joined "${project.title}".`,
+          projectId,
+          data: { attempt_id: attempt.id, score: finalScore }
+        });
+
+        await notificationService.publish({
+          userId: project.owner_id,
+          type: 'member_joined',
+          title: 'New Member Joined',
+          message: `${req.user.fullName || req.user.username} passed the challenge and joined "${project.title}".`,
+          projectId,
+          actorId: userId
+        });
       }
 
       return res.json({
@@ -584,6 +609,15 @@ const submitChallengeAttempt = async (req, res) => {
 
     // Failed attempt
     const failedAttemptsCount = await getFailedAttemptsCount(userId, projectId);
+
+    await notificationService.publish({
+      userId,
+      type: 'recruitment_failed',
+      title: 'Challenge Not Passed',
+      message: `Your attempt for "${project.title}" scored ${finalScore}. Keep practicing and try again!`,
+      projectId,
+      data: { attempt_id: attempt.id, score: finalScore }
+    });
     
     let comfortingMessage = null;
     if (failedAttemptsCount >= 7) {
@@ -652,11 +686,113 @@ const getFailedAttemptsCountHandler = async (req, res) => {
   }
 };
 
+/* ============================== Candidate Members ============================== */
+
+// GET /api/projects/:projectId/candidate-members
+const getCandidateMembers = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const userId = req.user.id;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 10, 50);
+
+    const access = await getProjectAccess(projectId, userId);
+    if (!access) {
+      return res.status(404).json({ success: false, message: 'Project not found' });
+    }
+    if (!MANAGER_ROLES.includes(access.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the project owner or a lead can look for candidate members'
+      });
+    }
+
+    const { project, teamGaps, candidates } = await skillMatchingService.recommendCandidates(projectId, { limit });
+    const pendingInvitations = await projectInvitationService.getPendingByUser(projectId);
+
+    res.json({
+      success: true,
+      data: {
+        project: {
+          id: project.id,
+          title: project.title,
+          current_members: project.current_members,
+          maximum_members: project.maximum_members,
+          open_slots: Math.max(0, project.maximum_members - project.current_members)
+        },
+        team_gaps: teamGaps.map(gap => ({
+          type: gap.type,
+          name: gap.name,
+          is_primary: gap.is_primary,
+          team_level: Math.round(gap.teamBest * 100),
+          required_level: Math.round(gap.required * 100)
+        })),
+        candidates: candidates.map(candidate => ({
+          ...candidate,
+          pending_invitation_id: pendingInvitations.get(candidate.user.id)?.id || null
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error in getCandidateMembers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// POST /api/projects/:projectId/candidate-members/:userId/invite
+const inviteCandidateMember = async (req, res) => {
+  try {
+    const { projectId, userId: candidateId } = req.params;
+    const userId = req.user.id;
+
+    const access = await getProjectAccess(projectId, userId);
+    if (!access) {
+      return res.status(404).json({ success: false, message: 'Project not found' });
+    }
+    if (!MANAGER_ROLES.includes(access.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the project owner or a lead can invite members'
+      });
+    }
+
+    const invitation = await projectInvitationService.inviteUser({
+      projectId,
+      invitedUserId: candidateId,
+      invitedBy: userId,
+      message: req.body.message || null,
+      requireChallenge: req.body.require_challenge || false,
+      source: 'candidate_recommendation'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent',
+      data: { invitation }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('❌ Error in inviteCandidateMember:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
 /* ============================== Exports ============================== */
 module.exports = {
   getProjectChallenge,
   canAttemptChallenge,
   submitChallengeAttempt,
   getFailedAttemptsCount: getFailedAttemptsCountHandler,
-  generateComfortingMessage
+  generateComfortingMessage,
+  getCandidateMembers,
+  inviteCandidateMember
 };
\ No newline at end of file
@@ -2,6 +2,114 @@
 const supabase = require('../config/supabase');
 const { checkAutoComplete } = require('./collaborativeProjectCompletion'); // Import the helper
 const { evaluateCodeWithLanguageFeatures } = require('../utils/languageBasedEvaluator');
+const { findCycle, computeCriticalPath } = require('../utils/taskDependencyGraph');
+const notificationService = require('../services/notificationService');
+const { diffTaskFields, recordTaskActivity } = require('../utils/taskActivityLogger');
+const { createUnifiedDiff } = require('../utils/codeDiff');
+const { getProjectAccess, MANAGER_ROLES } = require('../utils/projectAccess');
+const taskRecurrenceService = require('../services/taskRecurrenceService');
+
+// ===== HELPER FUNCTIONS =====
+
+/**
+ * Get the tasks that block a task and are not completed yet
+ */
+const getOpenBlockers = async (taskId) => {
+  const { data: dependencies, error } = await supabase
+    .from('task_dependencies')
+    .select(`
+      depends_on_task_id,
+      blocker:depends_on_task_id(id, title, status)
+    `)
+    .eq('task_id', taskId);
+
+  if (error) throw error;
+
+  return (dependencies || [])
+    .map(dep => dep.blocker)
+    .filter(blocker => blocker && blocker.status !== 'completed');
+};
+
+/**
+ * Load a task only if it belongs to the project, so access checked on :projectId covers it
+ */
+const findProjectTask = async (projectId, taskId, fields = '*') => {
+  const { data: task, error } = await supabase
+    .from('project_tasks')
+    .select(fields)
+    .eq('id', taskId)
+    .eq('project_id', projectId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return task;
+};
+
+const sendTaskNotFound = res => res.status(404).json({
+  success: false,
+  message: 'Task not found'
+});
+
+/**
+ * Get the users allowed to review code submissions: the owner and active leads
+ */
+const getSubmissionReviewers = async (projectId) => {
+  const { data: project } = await supabase
+    .from('projects')
+    .select('owner_id')
+    .eq('id', projectId)
+    .single();
+
+  const { data: leads } = await supabase
+    .from('project_members')
+    .select('user_id')
+    .eq('project_id', projectId)
+    .eq('role', 'lead')
+    .eq('status', 'active');
+
+  return [project?.owner_id, ...(leads || []).map(lead => lead.user_id)].filter(Boolean);
+};
+
+/**
+ * Fire the collaborative project auto-complete check after a task is completed
+ * Never fails the calling request
+ */
+const triggerProjectAutoComplete = async (projectId) => {
+  try {
+    console.log('🤖 Checking if project should auto-complete...');
+    
+    // Get project to verify it's a collab project
+    const { data: project } = await supabase
+      .from('projects')
+      .select('maximum_members, status')
+      .eq('id', projectId)
+      .single();
+
+    // Only auto-complete collaborative projects (not solo projects)
+    if (project && project.maximum_members > 1 && project.status !== 'completed') {
+      // Create a mock request object for the auto-complete check
+      const mockReq = { params: { projectId } };
+      const mockRes = {
+        json: (data) => {
+          if (data.auto_completed) {
+            console.log('🎉 Project auto-completed!');
+          } else {
+            console.log('📊 Project not yet eligible for auto-completion');
+          }
+        },
+        status: () => mockRes
+      };
+      
+      // Trigger auto-complete check (async, don't wait for it)
+      checkAutoComplete(mockReq, mockRes).catch(err => {
+        console.error('Error in auto-complete check:', err);
+      });
+    }
+  } catch (autoCompleteError) {
+    // Don't fail the task update if auto-complete check fails
+    console.error('Error checking auto-complete:', autoCompleteError);
+  }
+};
 
 
 // Update a task - IMPROVED ERROR HANDLING
@@ -71,6 +179,19 @@ const updateTask = async (req, res) => {
 
     console.log('✅ Existing task found:', existingTask.title);
 
+    // A task cannot be completed while the tasks it depends on are still open
+    if (updateData.status === 'completed' && existingTask.status !== 'completed') {
+      const openBlockers = await getOpenBlockers(taskId);
+
+      if (openBlockers.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Task is blocked by dependencies that are not completed yet',
+          data: { blockers: openBlockers }
+        });
+      }
+    }
+
     // Validate assigned user is a project member (if updating assignment)
     if (updateData.assigned_to && updateData.assigned_to !== null && updateData.assigned_to !== '') {
       const { data: assignedMember, error: assignedError } = await supabase
@@ -172,6 +293,29 @@ const updateTask = async (req, res) => {
       });
     }
 
+    // Recurring instances: edits apply to this occurrence only, or to all future ones
+    const editScope = updateData.edit_scope || 'this';
+    const changedFields = Object.keys(diffTaskFields(existingTask, { ...existingTask, ...filteredUpdateData }));
+    const seriesChanged = changedFields.some(field => taskRecurrenceService.SERIES_FIELDS.includes(field));
+
+    if (editScope === 'all_future') {
+      if (!existingTask.recurrence_id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Only recurring tasks can be edited for all future occurrences'
+        });
+      }
+      if (changedFields.includes('due_date')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Change the recurring schedule to move all future occurrences'
+        });
+      }
+    } else if (existingTask.recurrence_id && (seriesChanged || changedFields.includes('due_date'))) {
+      // Edited occurrences are left alone by series edits and schedule changes
+      filteredUpdateData.is_exception = true;
+    }
+
     // Update the task
     const { data: task, error: updateError } = await supabase
       .from('project_tasks')
@@ -204,48 +348,53 @@ const updateTask = async (req, res) => {
 
     console.log('✅ Task updated successfully:', task.id);
 
-    if (updateData.status === 'completed') {
-      try {
-        console.log('🤖 Checking if project should auto-complete...');
-        
-        // Get project to verify it's a collab project
-        const { data: project } = await supabase
-          .from('projects')
-          .select('maximum_members, status')
-          .eq('id', projectId)
-          .single();
+    await recordTaskActivity({
+      action: 'update',
+      task,
+      before: existingTask,
+      after: task,
+      actorId: userId
+    });
 
-        // Only auto-complete collaborative projects (not solo projects)
-        if (project && project.maximum_members > 1 && project.status !== 'completed') {
-          const { checkAutoComplete } = require('./collaborativeProjectCompletion');
-          
-          // Create a mock request object for the auto-complete check
-          const mockReq = { params: { projectId } };
-          const mockRes = {
-            json: (data) => {
-              if (data.auto_completed) {
-                console.log('🎉 Project auto-completed!');
-              } else {
-                console.log('📊 Project not yet eligible for auto-completion');
-              }
-            },
-            status: () => mockRes
-          };
-          
-          // Trigger auto-complete check (async, don't wait for it)
-          checkAutoComplete(mockReq, mockRes).catch(err => {
-            console.error('Error in auto-complete check:', err);
-          });
-        }
-      } catch (autoCompleteError) {
-        // Don't fail the task update if auto-complete check fails
-        console.error('Error checking auto-complete:', autoCompleteError);
+    let seriesUpdated = 0;
+    if (editScope === 'all_future' && seriesChanged) {
+      const { data: recurrence } = await supabase
+        .from('task_recurrences')
+        .select('*')
+        .eq('id', existingTask.recurrence_id)
+        .single();
+
+      if (recurrence) {
+        const updatedInstances = await taskRecurrenceService.applyToFuture(
+          recurrence,
+          existingTask.occurrence_date,
+          filteredUpdateData,
+          { actorId: userId }
+        );
+        seriesUpdated = updatedInstances.filter(instance => instance.id !== task.id).length;
+        console.log(`🔁 Applied changes to ${seriesUpdated} future occurrence(s)`);
       }
     }
 
+    if (task.assigned_to && task.assigned_to !== existingTask.assigned_to) {
+      await notificationService.publish({
+        userId: task.assigned_to,
+        type: 'task_assigned',
+        title: 'Task Assigned',
+        message: `You were assigned to "${task.title}"`,
+        projectId,
+        actorId: userId,
+        data: { task_id: task.id }
+      });
+    }
+
+    if (updateData.status === 'completed') {
+      await triggerProjectAutoComplete(projectId);
+    }
+
     res.json({
       success: true,
-      data: { task },
+      data: { task, series_updated: seriesUpdated },
       message: 'Task updated successfully'
     });
 
@@ -372,19 +521,9 @@ const createTask = async (req, res) => {
   try {
     const { projectId } = req.params;
     const userId = req.user.id;
-    const {
-      title,
-      description,
-      task_type = 'development',
-      priority = 'medium',
-      status = 'todo',
-      assigned_to,
-      estimated_hours,
-      due_date
-    } = req.body;
+    const { template_id } = req.body;
 
     console.log('🆕 Creating task for project:', projectId, 'by user:', userId);
-    console.log('📝 Task data:', { title, task_type, priority, status, assigned_to });
 
     // Verify user has access to create tasks in this project
     const { data: project, error: projectError } = await supabase
@@ -424,6 +563,46 @@ const createTask = async (req, res) => {
       });
     }
 
+    // Fields missing from the request fall back to the template
+    let template = {};
+    if (template_id) {
+      const { data: taskTemplate, error: templateError } = await supabase
+        .from('task_templates')
+        .select('*')
+        .eq('id', template_id)
+        .eq('project_id', projectId)
+        .single();
+
+      if (templateError || !taskTemplate) {
+        return res.status(404).json({
+          success: false,
+          message: 'Task template not found'
+        });
+      }
+      template = taskTemplate;
+    }
+
+    const {
+      title,
+      description,
+      task_type = 'development',
+      priority = 'medium',
+      status = 'todo',
+      assigned_to,
+      estimated_hours,
+      due_date
+    } = {
+      title: template.title,
+      description: template.description,
+      task_type: template.task_type || undefined,
+      priority: template.priority || undefined,
+      assigned_to: template.assigned_to,
+      estimated_hours: template.estimated_hours,
+      ...req.body
+    };
+
+    console.log('📝 Task data:', { title, task_type, priority, status, assigned_to, template_id });
+
     // Validate required fields
     if (!title || title.trim().length === 0) {
       return res.status(400).json({
@@ -489,6 +668,25 @@ const createTask = async (req, res) => {
 
     console.log('✅ Task created successfully:', task.id);
 
+    await recordTaskActivity({
+      action: 'create',
+      task,
+      after: task,
+      actorId: userId
+    });
+
+    if (task.assigned_to) {
+      await notificationService.publish({
+        userId: task.assigned_to,
+        type: 'task_assigned',
+        title: 'Task Assigned',
+        message: `You were assigned to "${task.title}"`,
+        projectId,
+        actorId: userId,
+        data: { task_id: task.id }
+      });
+    }
+
     res.status(201).json({
       success: true,
       data: { task },
@@ -667,6 +865,13 @@ const deleteTask = async (req, res) => {
 
     console.log('✅ Task deleted successfully:', taskId);
 
+    await recordTaskActivity({
+      action: 'delete',
+      task: existingTask,
+      before: existingTask,
+      actorId: userId
+    });
+
     res.json({
       success: true,
       message: 'Task deleted successfully'
@@ -826,6 +1031,22 @@ const submitTaskCode = async (req, res) => {
       });
     }
 
+    const access = await getProjectAccess(projectId, userId);
+
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!access.isOwner && !access.isMember) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You must be a project member to submit code.'
+      });
+    }
+
     // Get task details
     const { data: task, error: taskError } = await supabase
       .from('project_tasks')
@@ -882,6 +1103,16 @@ const submitTaskCode = async (req, res) => {
       passed: evaluation.passed
     });
 
+    // Link resubmissions to the submitter's previous version of this task
+    const { data: previousSubmission } = await supabase
+      .from('task_submissions')
+      .select('id, version, status')
+      .eq('task_id', taskId)
+      .eq('user_id', userId)
+      .order('submitted_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
     // Insert submission into task_submissions table
     // Status is always 'pending' - submissions are NOT rejected based on code quality
     const { data: submission, error: submissionError } = await supabase
@@ -891,6 +1122,8 @@ const submitTaskCode = async (req, res) => {
         user_id: userId,
         submitted_code: submitted_code.trim(),
         status: 'pending', // Always pending for human review
+        previous_submission_id: previousSubmission?.id || null,
+        version: (previousSubmission?.version || 0) + 1,
         automated_review_score: evaluation.score,
         automated_feedback: evaluation.feedback,
         code_quality_metrics: {
@@ -913,6 +1146,25 @@ const submitTaskCode = async (req, res) => {
 
     console.log('✅ Code submission saved successfully');
 
+    // The older version no longer needs a review once it has been replaced
+    if (previousSubmission && ['pending', 'changes_requested'].includes(previousSubmission.status)) {
+      await supabase
+        .from('task_submissions')
+        .update({ status: 'superseded' })
+        .eq('id', previousSubmission.id);
+    }
+
+    const reviewers = await getSubmissionReviewers(projectId);
+    await notificationService.publish({
+      userIds: reviewers,
+      type: 'submission_received',
+      title: 'Code Submitted for Review',
+      message: `${req.user.username} submitted ${submission.version > 1 ? `version ${submission.version} of ` : ''}code for "${task.title}"`,
+      projectId,
+      actorId: userId,
+      data: { task_id: taskId, submission_id: submission.id, version: submission.version }
+    });
+
     // Return success with evaluation results
     res.status(201).json({
       success: true,
@@ -949,6 +1201,26 @@ const getTaskSubmissions = async (req, res) => {
 
     console.log('📋 Fetching submissions for task:', taskId);
 
+    const access = await getProjectAccess(projectId, userId);
+
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!access.isOwner && !access.isMember) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You must be a project member to view submissions.'
+      });
+    }
+
+    if (!await findProjectTask(projectId, taskId, 'id')) {
+      return sendTaskNotFound(res);
+    }
+
     // Get submissions with user details
     const { data: submissions, error } = await supabase
       .from('task_submissions')
@@ -989,6 +1261,1047 @@ const getTaskSubmissions = async (req, res) => {
   }
 };
 
+/**
+ * Compare the feature lists from two code_quality_metrics snapshots
+ */
+const diffQualityFeatures = (fromMetrics, toMetrics) => {
+  const fromFound = new Set(fromMetrics?.foundFeatures || []);
+  const toFound = new Set(toMetrics?.foundFeatures || []);
+  const fromMissing = new Set(fromMetrics?.missingFeatures || []);
+  const toMissing = new Set(toMetrics?.missingFeatures || []);
+
+  return {
+    found_added: [...toFound].filter(feature => !fromFound.has(feature)),
+    found_removed: [...fromFound].filter(feature => !toFound.has(feature)),
+    missing_resolved: [...fromMissing].filter(feature => !toMissing.has(feature)),
+    missing_introduced: [...toMissing].filter(feature => !fromMissing.has(feature))
+  };
+};
+
+/**
+ * Unified diff between two submissions of the same task, with score and feature changes
+ * `from` defaults to the previous version of `to`
+ * @route GET /api/projects/:projectId/tasks/:taskId/submissions/diff?from=&to=
+ */
+const getSubmissionDiff = async (req, res) => {
+  try {
+    const { projectId, taskId } = req.params;
+    const { to, context } = req.query;
+    const userId = req.user.id;
+
+    const access = await getProjectAccess(projectId, userId);
+
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!access.isOwner && !access.isMember) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You must be a project member to view submissions.'
+      });
+    }
+
+    if (!await findProjectTask(projectId, taskId, 'id')) {
+      return sendTaskNotFound(res);
+    }
+
+    const submissionFields = 'id, user_id, version, status, submitted_code, automated_review_score, code_quality_metrics, previous_submission_id, submitted_at';
+
+    const { data: toSubmission, error: toError } = await supabase
+      .from('task_submissions')
+      .select(submissionFields)
+      .eq('id', to)
+      .eq('task_id', taskId)
+      .single();
+
+    if (toError || !toSubmission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+
+    const from = req.query.from || toSubmission.previous_submission_id;
+
+    if (!from) {
+      return res.status(400).json({
+        success: false,
+        message: 'This is the first version of the submission; specify a submission to compare against'
+      });
+    }
+
+    const { data: fromSubmission, error: fromError } = await supabase
+      .from('task_submissions')
+      .select(submissionFields)
+      .eq('id', from)
+      .eq('task_id', taskId)
+      .single();
+
+    if (fromError || !fromSubmission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission to compare against was not found for this task'
+      });
+    }
+
+    const diff = createUnifiedDiff(fromSubmission.submitted_code, toSubmission.submitted_code, {
+      contextLines: context !== undefined ? parseInt(context, 10) : undefined,
+      fromLabel: `submission v${fromSubmission.version || 1} (${fromSubmission.id})`,
+      toLabel: `submission v${toSubmission.version || 1} (${toSubmission.id})`
+    });
+
+    const summarize = ({ submitted_code, code_quality_metrics, ...rest }) => rest;
+    const fromScore = fromSubmission.automated_review_score;
+    const toScore = toSubmission.automated_review_score;
+
+    res.json({
+      success: true,
+      data: {
+        from: summarize(fromSubmission),
+        to: summarize(toSubmission),
+        diff,
+        score: {
+          from: fromScore,
+          to: toScore,
+          delta: fromScore != null && toScore != null ? toScore - fromScore : null
+        },
+        features: diffQualityFeatures(fromSubmission.code_quality_metrics, toSubmission.code_quality_metrics)
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Get submission diff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to compute submission diff',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a single submission with its inline review comments and version chain
+ * @route GET /api/projects/:projectId/tasks/:taskId/submissions/:submissionId
+ */
+const getSubmission = async (req, res) => {
+  try {
+    const { projectId, taskId, submissionId } = req.params;
+    const userId = req.user.id;
+
+    const access = await getProjectAccess(projectId, userId);
+
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!access.isOwner && !access.isMember) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You must be a project member to view submissions.'
+      });
+    }
+
+    if (!await findProjectTask(projectId, taskId, 'id')) {
+      return sendTaskNotFound(res);
+    }
+
+    const { data: submission, error } = await supabase
+      .from('task_submissions')
+      .select(`
+        *,
+        users!task_submissions_user_id_fkey (
+          id,
+          username,
+          full_name,
+          avatar_url
+        ),
+        reviewer:reviewed_by(id, username, full_name, avatar_url)
+      `)
+      .eq('id', submissionId)
+      .eq('task_id', taskId)
+      .single();
+
+    if (error || !submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+
+    const { data: comments, error: commentsError } = await supabase
+      .from('task_submission_comments')
+      .select(`
+        *,
+        author:user_id(id, username, full_name, avatar_url)
+      `)
+      .eq('submission_id', submissionId)
+      .order('line_start', { ascending: true })
+      .order('created_at', { ascending: true });
+
+    if (commentsError) {
+      console.error('Error fetching review comments:', commentsError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch review comments'
+      });
+    }
+
+    const { data: versions } = await supabase
+      .from('task_submissions')
+      .select('id, version, status, previous_submission_id, automated_review_score, submitted_at, reviewed_at')
+      .eq('task_id', taskId)
+      .eq('user_id', submission.user_id)
+      .order('version', { ascending: true });
+
+    res.json({
+      success: true,
+      data: {
+        submission,
+        comments: comments || [],
+        versions: versions || [],
+        can_review: MANAGER_ROLES.includes(access.role) && submission.status === 'pending'
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Get submission error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch submission',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Validate line anchors against the submitted code
+ * Returns an error message or null
+ */
+const validateLineAnchors = (submittedCode, comments) => {
+  const lineCount = String(submittedCode || '').split('\n').length;
+
+  for (const comment of comments) {
+    const lineEnd = comment.line_end ?? comment.line_start;
+    if (comment.line_start > lineCount || lineEnd > lineCount) {
+      return `Line ${Math.max(comment.line_start, lineEnd)} is outside the submitted code (${lineCount} lines)`;
+    }
+    if (lineEnd < comment.line_start) {
+      return 'line_end must not be before line_start';
+    }
+  }
+
+  return null;
+};
+
+const insertReviewComments = async (submissionId, userId, comments) => {
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('task_submission_comments')
+    .insert(comments.map(comment => ({
+      submission_id: submissionId,
+      user_id: userId,
+      line_start: comment.line_start,
+      line_end: comment.line_end ?? comment.line_start,
+      body: comment.body.trim(),
+      created_at: now
+    })))
+    .select(`
+      *,
+      author:user_id(id, username, full_name, avatar_url)
+    `);
+
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Add an inline comment anchored to a line range of a submission
+ * @route POST /api/projects/:projectId/tasks/:taskId/submissions/:submissionId/comments
+ */
+const addSubmissionComment = async (req, res) => {
+  try {
+    const { projectId, taskId, submissionId } = req.params;
+    const { line_start, line_end, body } = req.body;
+    const userId = req.user.id;
+
+    const access = await getProjectAccess(projectId, userId);
+
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!access.isOwner && !access.isMember) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You must be a project member to comment on submissions.'
+      });
+    }
+
+    if (!await findProjectTask(projectId, taskId, 'id')) {
+      return sendTaskNotFound(res);
+    }
+
+    const { data: submission, error: submissionError } = await supabase
+      .from('task_submissions')
+      .select('id, user_id, submitted_code')
+      .eq('id', submissionId)
+      .eq('task_id', taskId)
+      .single();
+
+    if (submissionError || !submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+
+    // Reviewers comment on any submission; other members only on their own
+    if (!MANAGER_ROLES.includes(access.role) && submission.user_id !== userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the project owner, leads or the submitter can comment on this submission'
+      });
+    }
+
+    const comment = { line_start, line_end, body };
+    const anchorError = validateLineAnchors(submission.submitted_code, [comment]);
+
+    if (anchorError) {
+      return res.status(400).json({
+        success: false,
+        message: anchorError
+      });
+    }
+
+    const [created] = await insertReviewComments(submissionId, userId, [comment]);
+
+    res.status(201).json({
+      success: true,
+      data: { comment: created },
+      message: 'Comment added successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Add submission comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add comment',
+      error: error.message
+    });
+  }
+};
+
+const REVIEW_MESSAGES = {
+  approved: 'approved',
+  rejected: 'rejected',
+  changes_requested: 'requested changes on'
+};
+
+/**
+ * Approve, reject or request changes on a pending submission
+ * Optionally completes the task when the submission is approved
+ * @route POST /api/projects/:projectId/tasks/:taskId/submissions/:submissionId/review
+ */
+const reviewSubmission = async (req, res) => {
+  try {
+    const { projectId, taskId, submissionId } = req.params;
+    const { decision, feedback, comments = [], complete_task = false } = req.body;
+    const userId = req.user.id;
+
+    console.log('🧐 Reviewing submission:', submissionId, 'decision:', decision);
+
+    const access = await getProjectAccess(projectId, userId);
+
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!MANAGER_ROLES.includes(access.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the project owner or leads can review submissions'
+      });
+    }
+
+    const task = await findProjectTask(projectId, taskId);
+    if (!task) {
+      return sendTaskNotFound(res);
+    }
+
+    const { data: submission, error: submissionError } = await supabase
+      .from('task_submissions')
+      .select('*')
+      .eq('id', submissionId)
+      .eq('task_id', taskId)
+      .single();
+
+    if (submissionError || !submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+
+    if (submission.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: `Submission has already been ${submission.status.replace('_', ' ')}`
+      });
+    }
+
+    if (decision !== 'approved' && !feedback?.trim() && comments.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Feedback or inline comments are required when rejecting or requesting changes'
+      });
+    }
+
+    const anchorError = validateLineAnchors(submission.submitted_code, comments);
+
+    if (anchorError) {
+      return res.status(400).json({
+        success: false,
+        message: anchorError
+      });
+    }
+
+    // Only update while still pending so two reviewers cannot both decide
+    const { data: reviewed, error: reviewError } = await supabase
+      .from('task_submissions')
+      .update({
+        status: decision,
+        reviewed_by: userId,
+        reviewed_at: new Date().toISOString(),
+        reviewer_feedback: feedback?.trim() || null
+      })
+      .eq('id', submissionId)
+      .eq('status', 'pending')
+      .select()
+      .maybeSingle();
+
+    if (reviewError) {
+      console.error('❌ Error saving review:', reviewError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to save review'
+      });
+    }
+
+    if (!reviewed) {
+      return res.status(409).json({
+        success: false,
+        message: 'Submission was reviewed by someone else in the meantime'
+      });
+    }
+
+    const createdComments = comments.length > 0
+      ? await insertReviewComments(submissionId, userId, comments)
+      : [];
+
+    let taskCompletion = null;
+
+    if (decision === 'approved' && complete_task && task.status !== 'completed') {
+      const openBlockers = await getOpenBlockers(taskId);
+
+      if (openBlockers.length > 0) {
+        taskCompletion = { completed: false, blockers: openBlockers };
+      } else {
+        const now = new Date().toISOString();
+        const { data: completedTask, error: completeError } = await supabase
+          .from('project_tasks')
+          .update({ status: 'completed', completed_at: now, updated_at: now })
+          .eq('id', taskId)
+          .eq('project_id', projectId)
+          .select()
+          .single();
+
+        if (completeError) {
+          console.error('❌ Error completing task after approval:', completeError);
+          taskCompletion = { completed: false, error: 'Failed to complete task' };
+        } else {
+          taskCompletion = { completed: true, task: completedTask };
+
+          await recordTaskActivity({
+            action: 'update',
+            task: completedTask,
+            before: task,
+            after: completedTask,
+            actorId: userId,
+            source: 'review'
+          });
+
+          await triggerProjectAutoComplete(projectId);
+        }
+      }
+    }
+
+    const taskTitle = task.title || 'a task';
+    const reviewers = await getSubmissionReviewers(projectId);
+    await notificationService.publish({
+      userIds: [submission.user_id, ...reviewers],
+      type: 'submission_reviewed',
+      title: decision === 'approved' ? 'Submission Approved' : decision === 'rejected' ? 'Submission Rejected' : 'Changes Requested',
+      message: `${req.user.username} ${REVIEW_MESSAGES[decision]} the code submitted for "${taskTitle}"`,
+      projectId,
+      actorId: userId,
+      data: {
+        task_id: taskId,
+        submission_id: submissionId,
+        decision,
+        task_completed: taskCompletion?.completed || false
+      }
+    });
+
+    console.log('✅ Submission reviewed:', submissionId, decision);
+
+    res.json({
+      success: true,
+      data: {
+        submission: reviewed,
+        comments: createdComments,
+        task_completion: taskCompletion
+      },
+      message: 'Review saved successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Review submission error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review submission',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the dependencies of a task (tasks it depends on and tasks it blocks)
+ * @route GET /api/projects/:projectId/tasks/:taskId/dependencies
+ */
+const getTaskDependencies = async (req, res) => {
+  try {
+    const { projectId, taskId } = req.params;
+    const userId = req.user.id;
+
+    const access = await getProjectAccess(projectId, userId);
+
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!access.isOwner && !access.isMember) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You must be a project member to view task dependencies.'
+      });
+    }
+
+    const { data: task, error: taskError } = await supabase
+      .from('project_tasks')
+      .select('id')
+      .eq('id', taskId)
+      .eq('project_id', projectId)
+      .single();
+
+    if (taskError || !task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const [dependsOnResult, blocksResult] = await Promise.all([
+      supabase
+        .from('task_dependencies')
+        .select(`
+          id,
+          created_at,
+          task:depends_on_task_id(id, title, status, due_date, assigned_to)
+        `)
+        .eq('task_id', taskId),
+      supabase
+        .from('task_dependencies')
+        .select(`
+          id,
+          created_at,
+          task:task_id(id, title, status, due_date, assigned_to)
+        `)
+        .eq('depends_on_task_id', taskId)
+    ]);
+
+    if (dependsOnResult.error || blocksResult.error) {
+      console.error('❌ Error fetching dependencies:', dependsOnResult.error || blocksResult.error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch task dependencies'
+      });
+    }
+
+    const dependsOn = dependsOnResult.data || [];
+
+    res.json({
+      success: true,
+      data: {
+        depends_on: dependsOn,
+        blocks: blocksResult.data || [],
+        is_blocked: dependsOn.some(dep => dep.task && dep.task.status !== 'completed')
+      }
+    });
+
+  } catch (error) {
+    console.error('💥 Get task dependencies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Add a dependency: the task cannot be completed before depends_on_task_id
+ * @route POST /api/projects/:projectId/tasks/:taskId/dependencies
+ */
+const addTaskDependency = async (req, res) => {
+  try {
+    const { projectId, taskId } = req.params;
+    const { depends_on_task_id } = req.body;
+    const userId = req.user.id;
+
+    console.log('🔗 Adding dependency:', taskId, '->', depends_on_task_id);
+
+    const access = await getProjectAccess(projectId, userId);
+
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!access.isOwner && !access.isMember) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You must be a project member to manage task dependencies.'
+      });
+    }
+
+    if (taskId === depends_on_task_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'A task cannot depend on itself'
+      });
+    }
+
+    // Both tasks must belong to this project
+    const { data: tasks, error: tasksError } = await supabase
+      .from('project_tasks')
+      .select('id')
+      .eq('project_id', projectId)
+      .in('id', [taskId, depends_on_task_id]);
+
+    if (tasksError) {
+      console.error('❌ Error fetching tasks:', tasksError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to verify tasks'
+      });
+    }
+
+    if (!tasks || tasks.length !== 2) {
+      return res.status(404).json({
+        success: false,
+        message: 'Both tasks must exist in this project'
+      });
+    }
+
+    // Load the project's current graph for duplicate and cycle checks
+    const { data: projectTasks } = await supabase
+      .from('project_tasks')
+      .select('id')
+      .eq('project_id', projectId);
+
+    const taskIds = (projectTasks || []).map(task => task.id);
+
+    const { data: dependencies, error: depsError } = await supabase
+      .from('task_dependencies')
+      .select('id, task_id, depends_on_task_id')
+      .in('task_id', taskIds);
+
+    if (depsError) {
+      console.error('❌ Error fetching dependencies:', depsError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch task dependencies'
+      });
+    }
+
+    const alreadyExists = (dependencies || []).some(dep =>
+      dep.task_id === taskId && dep.depends_on_task_id === depends_on_task_id
+    );
+
+    if (alreadyExists) {
+      return res.status(409).json({
+        success: false,
+        message: 'Dependency already exists'
+      });
+    }
+
+    const cycle = findCycle(dependencies || [], taskId, depends_on_task_id);
+
+    if (cycle) {
+      return res.status(400).json({
+        success: false,
+        message: 'Adding this dependency would create a cycle',
+        data: { cycle }
+      });
+    }
+
+    const { data: dependency, error: insertError } = await supabase
+      .from('task_dependencies')
+      .insert({
+        task_id: taskId,
+        depends_on_task_id
+      })
+      .select()
+      .single();
+
+    if (insertError) {
+      console.error('❌ Error creating dependency:', insertError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create task dependency',
+        error: insertError.message
+      });
+    }
+
+    console.log('✅ Dependency created:', dependency.id);
+
+    res.status(201).json({
+      success: true,
+      data: { dependency },
+      message: 'Task dependency created successfully'
+    });
+
+  } catch (error) {
+    console.error('💥 Add task dependency error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove a dependency from a task
+ * @route DELETE /api/projects/:projectId/tasks/:taskId/dependencies/:dependsOnTaskId
+ */
+const removeTaskDependency = async (req, res) => {
+  try {
+    const { projectId, taskId, dependsOnTaskId } = req.params;
+    const userId = req.user.id;
+
+    const access = await getProjectAccess(projectId, userId);
+
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!access.isOwner && !access.isMember) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You must be a project member to manage task dependencies.'
+      });
+    }
+
+    const { data: task, error: taskError } = await supabase
+      .from('project_tasks')
+      .select('id')
+      .eq('id', taskId)
+      .eq('project_id', projectId)
+      .single();
+
+    if (taskError || !task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const { data: removed, error: deleteError } = await supabase
+      .from('task_dependencies')
+      .delete()
+      .eq('task_id', taskId)
+      .eq('depends_on_task_id', dependsOnTaskId)
+      .select();
+
+    if (deleteError) {
+      console.error('❌ Error deleting dependency:', deleteError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to remove task dependency',
+        error: deleteError.message
+      });
+    }
+
+    if (!removed || removed.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dependency not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Task dependency removed successfully'
+    });
+
+  } catch (error) {
+    console.error('💥 Remove task dependency error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the project's task dependency graph with its critical path
+ * @route GET /api/projects/:projectId/tasks/dependency-graph
+ */
+const getDependencyGraph = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const userId = req.user.id;
+
+    console.log('🕸️ Building dependency graph for project:', projectId);
+
+    const access = await getProjectAccess(projectId, userId);
+
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!access.isOwner && !access.isMember) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You must be a project member to view task dependencies.'
+      });
+    }
+
+    const { data: tasks, error: tasksError } = await supabase
+      .from('project_tasks')
+      .select('id, title, status, assigned_to, estimated_hours, due_date, completed_at')
+      .eq('project_id', projectId);
+
+    if (tasksError) {
+      console.error('❌ Error fetching tasks for graph:', tasksError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch tasks'
+      });
+    }
+
+    let dependencies = [];
+
+    if (tasks && tasks.length > 0) {
+      const { data, error: depsError } = await supabase
+        .from('task_dependencies')
+        .select('id, task_id, depends_on_task_id')
+        .in('task_id', tasks.map(task => task.id));
+
+      if (depsError) {
+        console.error('❌ Error fetching dependencies for graph:', depsError);
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to fetch task dependencies'
+        });
+      }
+
+      dependencies = data || [];
+    }
+
+    const graph = computeCriticalPath(tasks || [], dependencies);
+
+    console.log(`✅ Graph built: ${graph.nodes.length} tasks, ${graph.edges.length} dependencies`);
+
+    res.json({
+      success: true,
+      data: { graph }
+    });
+
+  } catch (error) {
+    console.error('💥 Get dependency graph error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the audit trail of a single task
+ * @route GET /api/projects/:projectId/tasks/:taskId/history
+ */
+const getTaskHistory = async (req, res) => {
+  try {
+    const { projectId, taskId } = req.params;
+    const userId = req.user.id;
+
+    const access = await getProjectAccess(projectId, userId);
+
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!access.isOwner && !access.isMember) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You must be a project member to view task history.'
+      });
+    }
+
+    const { data: history, error } = await supabase
+      .from('task_activity')
+      .select(`
+        *,
+        actor:actor_id(id, full_name, username, avatar_url)
+      `)
+      .eq('project_id', projectId)
+      .eq('task_id', taskId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('❌ Error fetching task history:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch task history'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { history: history || [] }
+    });
+
+  } catch (error) {
+    console.error('💥 Get task history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the project-wide task activity feed, filterable by member and field
+ * @route GET /api/projects/:projectId/tasks/activity
+ */
+const getProjectTaskActivity = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const userId = req.user.id;
+    const { member, field, action, page = 1, limit = 50 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const access = await getProjectAccess(projectId, userId);
+
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!access.isOwner && !access.isMember) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You must be a project member to view task activity.'
+      });
+    }
+
+    let query = supabase
+      .from('task_activity')
+      .select(`
+        *,
+        actor:actor_id(id, full_name, username, avatar_url)
+      `, { count: 'exact' })
+      .eq('project_id', projectId);
+
+    if (member) {
+      query = query.eq('actor_id', member);
+    }
+    if (field) {
+      query = query.contains('changed_fields', [field]);
+    }
+    if (action) {
+      query = query.eq('action', action);
+    }
+
+    const { data: activity, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      console.error('❌ Error fetching task activity:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch task activity'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        activity: activity || [],
+        pagination: {
+          page: parseInt(page, 10),
+          limit: parseInt(limit, 10),
+          total: count || 0,
+          totalPages: Math.ceil((count || 0) / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('💥 Get project task activity error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   getProjectTasks,
   createTask,
@@ -997,5 +2310,15 @@ module.exports = {
   getTask,
   getTaskStats,
   submitTaskCode,
-  getTaskSubmissions
+  getTaskSubmissions,
+  getSubmission,
+  getSubmissionDiff,
+  addSubmissionComment,
+  reviewSubmission,
+  getTaskDependencies,
+  addTaskDependency,
+  removeTaskDependency,
+  getDependencyGraph,
+  getTaskHistory,
+  getProjectTaskActivity
 };
\ No newline at end of file
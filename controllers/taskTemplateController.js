@@ -0,0 +1,633 @@
+// backend/controllers/taskTemplateController.js
+// Task templates and recurring task schedules for collaborative projects
+const supabase = require('../config/supabase');
+const { getProjectAccess, isProjectParticipant, MANAGER_ROLES } = require('../utils/projectAccess');
+const { validateRule, listOccurrences, toDateString, addDays, parseDate } = require('../utils/taskRecurrence');
+const taskRecurrenceService = require('../services/taskRecurrenceService');
+
+const { SERIES_FIELDS, HORIZON_DAYS } = taskRecurrenceService;
+const RULE_FIELDS = ['frequency', 'interval', 'weekdays', 'nth', 'weekday', 'start_date', 'end_date', 'due_time'];
+
+// ===== HELPER FUNCTIONS =====
+
+const pickFields = (source, fields) => {
+  const picked = {};
+  fields.forEach(field => {
+    if (source && source[field] !== undefined) picked[field] = source[field];
+  });
+  return picked;
+};
+
+/**
+ * Resolve access and send the error response when the user may not proceed
+ * Returns the access object, or null when a response has already been sent
+ */
+const requireAccess = async (req, res, { manage = false } = {}) => {
+  const access = await getProjectAccess(req.params.projectId, req.user.id);
+
+  if (!access) {
+    res.status(404).json({
+      success: false,
+      message: 'Project not found'
+    });
+    return null;
+  }
+
+  if (manage ? !MANAGER_ROLES.includes(access.role) : !access.isOwner && !access.isMember) {
+    res.status(403).json({
+      success: false,
+      message: manage
+        ? 'Only the project owner or leads can manage task templates and schedules'
+        : 'Access denied. You must be a project member.'
+    });
+    return null;
+  }
+
+  return access;
+};
+
+const validateAssignee = async (projectId, assignedTo) => {
+  if (!assignedTo) return null;
+  const allowed = await isProjectParticipant(projectId, assignedTo);
+  return allowed ? null : 'Assigned user must be a project member';
+};
+
+const upcomingOccurrences = (recurrence, count = 5) => {
+  const today = parseDate(new Date());
+  return listOccurrences(recurrence, today, addDays(today, 366)).slice(0, count);
+};
+
+// ===== TEMPLATES =====
+
+/**
+ * List task templates of a project
+ * @route GET /api/projects/:projectId/task-templates
+ */
+const getTaskTemplates = async (req, res) => {
+  try {
+    const access = await requireAccess(req, res);
+    if (!access) return;
+
+    const { data: templates, error } = await supabase
+      .from('task_templates')
+      .select(`
+        *,
+        assigned_user:assigned_to(id, full_name, username)
+      `)
+      .eq('project_id', req.params.projectId)
+      .order('name', { ascending: true });
+
+    if (error) {
+      console.error('❌ Error fetching task templates:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch task templates'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { templates: templates || [] }
+    });
+
+  } catch (error) {
+    console.error('💥 Get task templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create a task template
+ * @route POST /api/projects/:projectId/task-templates
+ */
+const createTaskTemplate = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const access = await requireAccess(req, res, { manage: true });
+    if (!access) return;
+
+    const assigneeError = await validateAssignee(projectId, req.body.assigned_to);
+    if (assigneeError) {
+      return res.status(400).json({
+        success: false,
+        message: assigneeError
+      });
+    }
+
+    const now = new Date().toISOString();
+    const { data: template, error } = await supabase
+      .from('task_templates')
+      .insert({
+        project_id: projectId,
+        created_by: req.user.id,
+        name: req.body.name.trim(),
+        ...pickFields(req.body, SERIES_FIELDS),
+        created_at: now,
+        updated_at: now
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ Error creating task template:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create task template'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: { template },
+      message: 'Task template created successfully'
+    });
+
+  } catch (error) {
+    console.error('💥 Create task template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update a task template. Existing schedules keep their own copy of the fields.
+ * @route PUT /api/projects/:projectId/task-templates/:templateId
+ */
+const updateTaskTemplate = async (req, res) => {
+  try {
+    const { projectId, templateId } = req.params;
+    const access = await requireAccess(req, res, { manage: true });
+    if (!access) return;
+
+    const assigneeError = await validateAssignee(projectId, req.body.assigned_to);
+    if (assigneeError) {
+      return res.status(400).json({
+        success: false,
+        message: assigneeError
+      });
+    }
+
+    const updates = pickFields(req.body, ['name', ...SERIES_FIELDS]);
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid fields provided for update'
+      });
+    }
+
+    const { data: template, error } = await supabase
+      .from('task_templates')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', templateId)
+      .eq('project_id', projectId)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('❌ Error updating task template:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update task template'
+      });
+    }
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { template },
+      message: 'Task template updated successfully'
+    });
+
+  } catch (error) {
+    console.error('💥 Update task template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete a task template. Schedules created from it keep running.
+ * @route DELETE /api/projects/:projectId/task-templates/:templateId
+ */
+const deleteTaskTemplate = async (req, res) => {
+  try {
+    const { projectId, templateId } = req.params;
+    const access = await requireAccess(req, res, { manage: true });
+    if (!access) return;
+
+    const { data: template, error: lookupError } = await supabase
+      .from('task_templates')
+      .select('id')
+      .eq('id', templateId)
+      .eq('project_id', projectId)
+      .maybeSingle();
+
+    if (lookupError) {
+      console.error('❌ Error finding task template:', lookupError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to delete task template'
+      });
+    }
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task template not found'
+      });
+    }
+
+    // Only after the template is known to belong to this project
+    await supabase
+      .from('task_recurrences')
+      .update({ template_id: null })
+      .eq('template_id', templateId)
+      .eq('project_id', projectId);
+
+    const { data: deleted, error } = await supabase
+      .from('task_templates')
+      .delete()
+      .eq('id', templateId)
+      .eq('project_id', projectId)
+      .select('id');
+
+    if (error) {
+      console.error('❌ Error deleting task template:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to delete task template'
+      });
+    }
+
+    if (!deleted || deleted.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Task template deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('💥 Delete task template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// ===== RECURRENCES =====
+
+/**
+ * List recurring task schedules with their next occurrences
+ * @route GET /api/projects/:projectId/task-recurrences
+ */
+const getTaskRecurrences = async (req, res) => {
+  try {
+    const access = await requireAccess(req, res);
+    if (!access) return;
+
+    const { data: recurrences, error } = await supabase
+      .from('task_recurrences')
+      .select(`
+        *,
+        template:template_id(id, name)
+      `)
+      .eq('project_id', req.params.projectId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('❌ Error fetching task recurrences:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch recurring tasks'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        recurrences: (recurrences || []).map(recurrence => ({
+          ...recurrence,
+          upcoming: recurrence.is_active ? upcomingOccurrences(recurrence) : []
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('💥 Get task recurrences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create a recurring task schedule, optionally from a template,
+ * and generate the instances inside the horizon right away
+ * @route POST /api/projects/:projectId/task-recurrences
+ */
+const createTaskRecurrence = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const userId = req.user.id;
+    const access = await requireAccess(req, res, { manage: true });
+    if (!access) return;
+
+    let template = null;
+    if (req.body.template_id) {
+      const { data, error } = await supabase
+        .from('task_templates')
+        .select('*')
+        .eq('id', req.body.template_id)
+        .eq('project_id', projectId)
+        .single();
+
+      if (error || !data) {
+        return res.status(404).json({
+          success: false,
+          message: 'Task template not found'
+        });
+      }
+      template = data;
+    }
+
+    // Request values override the template
+    const taskFields = { ...pickFields(template, SERIES_FIELDS), ...pickFields(req.body, SERIES_FIELDS) };
+    const rule = {
+      interval: 1,
+      start_date: toDateString(parseDate(new Date())),
+      ...pickFields(req.body, RULE_FIELDS)
+    };
+
+    if (!taskFields.title || !String(taskFields.title).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A task title is required, either directly or through the template'
+      });
+    }
+
+    const ruleError = validateRule(rule);
+    if (ruleError) {
+      return res.status(400).json({
+        success: false,
+        message: ruleError
+      });
+    }
+
+    const assigneeError = await validateAssignee(projectId, taskFields.assigned_to);
+    if (assigneeError) {
+      return res.status(400).json({
+        success: false,
+        message: assigneeError
+      });
+    }
+
+    const now = new Date().toISOString();
+    const { data: recurrence, error } = await supabase
+      .from('task_recurrences')
+      .insert({
+        project_id: projectId,
+        template_id: template?.id || null,
+        created_by: userId,
+        ...rule,
+        task_fields: taskFields,
+        is_active: true,
+        generated_until: null,
+        created_at: now,
+        updated_at: now
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ Error creating task recurrence:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create recurring task'
+      });
+    }
+
+    const generated = await taskRecurrenceService.generateForRecurrence(recurrence);
+
+    console.log(`🔁 Recurring task created: ${recurrence.id}, ${generated.length} instance(s) generated`);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        recurrence: { ...recurrence, upcoming: upcomingOccurrences(recurrence) },
+        generated_tasks: generated,
+        horizon_days: HORIZON_DAYS
+      },
+      message: 'Recurring task created successfully'
+    });
+
+  } catch (error) {
+    console.error('💥 Create task recurrence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update a recurring task schedule.
+ * Task field changes apply to all future instances; rule changes rebuild untouched upcoming instances.
+ * @route PUT /api/projects/:projectId/task-recurrences/:recurrenceId
+ */
+const updateTaskRecurrence = async (req, res) => {
+  try {
+    const { projectId, recurrenceId } = req.params;
+    const access = await requireAccess(req, res, { manage: true });
+    if (!access) return;
+
+    const { data: existing, error: fetchError } = await supabase
+      .from('task_recurrences')
+      .select('*')
+      .eq('id', recurrenceId)
+      .eq('project_id', projectId)
+      .single();
+
+    if (fetchError || !existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring task not found'
+      });
+    }
+
+    const ruleChanges = pickFields(req.body, RULE_FIELDS);
+    const fieldChanges = pickFields(req.body, SERIES_FIELDS);
+    const rule = { ...pickFields(existing, RULE_FIELDS), ...ruleChanges };
+
+    const ruleError = validateRule(rule);
+    if (ruleError) {
+      return res.status(400).json({
+        success: false,
+        message: ruleError
+      });
+    }
+
+    const assigneeError = await validateAssignee(projectId, fieldChanges.assigned_to);
+    if (assigneeError) {
+      return res.status(400).json({
+        success: false,
+        message: assigneeError
+      });
+    }
+
+    const today = toDateString(parseDate(new Date()));
+    let updatedTasks = [];
+    if (Object.keys(fieldChanges).length > 0) {
+      updatedTasks = await taskRecurrenceService.applyToFuture(existing, today, fieldChanges, { actorId: req.user.id });
+    }
+
+    const isActive = req.body.is_active !== undefined ? req.body.is_active : existing.is_active;
+    const { data: recurrence, error } = await supabase
+      .from('task_recurrences')
+      .update({
+        ...ruleChanges,
+        task_fields: { ...(existing.task_fields || {}), ...fieldChanges },
+        is_active: isActive,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', recurrenceId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ Error updating task recurrence:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update recurring task'
+      });
+    }
+
+    let regeneration = null;
+    if (Object.keys(ruleChanges).length > 0 || isActive !== existing.is_active) {
+      const actor = { actorId: req.user.id };
+      regeneration = isActive
+        ? await taskRecurrenceService.regenerate(recurrence, new Date(), actor)
+        : { removed: await taskRecurrenceService.removeUntouchedInstances(recurrenceId, today, actor), created: [] };
+    }
+
+    res.json({
+      success: true,
+      data: {
+        recurrence: { ...recurrence, upcoming: recurrence.is_active ? upcomingOccurrences(recurrence) : [] },
+        updated_tasks: updatedTasks.length,
+        removed_tasks: regeneration?.removed || 0,
+        generated_tasks: regeneration?.created || []
+      },
+      message: 'Recurring task updated successfully'
+    });
+
+  } catch (error) {
+    console.error('💥 Update task recurrence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Stop a recurring task schedule and remove its untouched upcoming instances
+ * @route DELETE /api/projects/:projectId/task-recurrences/:recurrenceId
+ */
+const deleteTaskRecurrence = async (req, res) => {
+  try {
+    const { projectId, recurrenceId } = req.params;
+    const access = await requireAccess(req, res, { manage: true });
+    if (!access) return;
+
+    const { data: existing, error: fetchError } = await supabase
+      .from('task_recurrences')
+      .select('id')
+      .eq('id', recurrenceId)
+      .eq('project_id', projectId)
+      .single();
+
+    if (fetchError || !existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring task not found'
+      });
+    }
+
+    const removed = await taskRecurrenceService.removeUntouchedInstances(
+      recurrenceId,
+      toDateString(parseDate(new Date())),
+      { actorId: req.user.id }
+    );
+
+    // Past and edited instances stay; they simply stop belonging to a series
+    await supabase
+      .from('project_tasks')
+      .update({ recurrence_id: null })
+      .eq('recurrence_id', recurrenceId);
+
+    const { error } = await supabase
+      .from('task_recurrences')
+      .delete()
+      .eq('id', recurrenceId);
+
+    if (error) {
+      console.error('❌ Error deleting task recurrence:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to delete recurring task'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { removed_tasks: removed },
+      message: 'Recurring task deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('💥 Delete task recurrence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getTaskTemplates,
+  createTaskTemplate,
+  updateTaskTemplate,
+  deleteTaskTemplate,
+  getTaskRecurrences,
+  createTaskRecurrence,
+  updateTaskRecurrence,
+  deleteTaskRecurrence
+};
@@ -1,5 +1,16 @@
 // backend/middleware/adminAuth.js
 const supabase = require('../config/supabase');
+const twoFactorService = require('../services/twoFactorService');
+
+// Roles covered by the 2FA policy can't use privileged endpoints until they enrol
+const requiresTwoFactorSetup = async (user) =>
+  !user.two_factor_enabled && await twoFactorService.isRequiredForRole(user.role);
+
+const twoFactorRequiredResponse = (res) => res.status(403).json({
+  success: false,
+  code: 'TWO_FACTOR_REQUIRED',
+  message: 'Two-factor authentication must be enabled on your account to access this area'
+});
 
 // Middleware to check if user is admin
 const requireAdmin = async (req, res, next) => {
@@ -15,7 +26,7 @@ const requireAdmin = async (req, res, next) => {
     // Get user details with role
     const { data: user, error } = await supabase
       .from('users')
-      .select('id, role, is_active, is_suspended')
+      .select('id, role, is_active, is_suspended, two_factor_enabled')
       .eq('id', req.user.id)
       .single();
 
@@ -42,6 +53,10 @@ const requireAdmin = async (req, res, next) => {
       });
     }
 
+    if (await requiresTwoFactorSetup(user)) {
+      return twoFactorRequiredResponse(res);
+    }
+
     // Add user info to request
     req.admin = user;
     next();
@@ -66,7 +81,7 @@ const requireModerator = async (req, res, next) => {
 
     const { data: user, error } = await supabase
       .from('users')
-      .select('id, role, is_active, is_suspended')
+      .select('id, role, is_active, is_suspended, two_factor_enabled')
       .eq('id', req.user.id)
       .single();
 
@@ -91,6 +106,10 @@ const requireModerator = async (req, res, next) => {
       });
     }
 
+    if (await requiresTwoFactorSetup(user)) {
+      return twoFactorRequiredResponse(res);
+    }
+
     req.admin = user;
     next();
   } catch (error) {
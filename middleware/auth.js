@@ -1,6 +1,19 @@
 // backend/middleware/auth.js - FIXED VERSION WITH ROLE
 const jwt = require('jsonwebtoken');
 const supabase = require('../config/supabase');
+const sessionService = require('../services/sessionService');
+
+// Tokens carry their session id; older tokens without one are checked against
+// the last "revoke all sessions" time (password change/reset, sign out everywhere)
+const isTokenRevoked = async (decoded, user) => {
+  if (decoded.sid) {
+    return !(await sessionService.isSessionActive(decoded.sid, user.id));
+  }
+  return Boolean(
+    user.sessions_revoked_at &&
+    decoded.iat * 1000 < new Date(user.sessions_revoked_at).getTime()
+  );
+};
 
 const authMiddleware = async (req, res, next) => {
   try {
@@ -36,7 +49,7 @@ const authMiddleware = async (req, res, next) => {
     // Get user from database to ensure they still exist - FIXED: Added 'role' field
     const { data: user, error } = await supabase
       .from('users')
-      .select('id, email, username, full_name, role, is_active')  // ✅ ADDED ROLE
+      .select('id, email, username, full_name, role, is_active, sessions_revoked_at')  // ✅ ADDED ROLE
       .eq('id', decoded.userId || decoded.id)
       .single();
 
@@ -54,6 +67,13 @@ const authMiddleware = async (req, res, next) => {
       });
     }
 
+    if (await isTokenRevoked(decoded, user)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked'
+      });
+    }
+
     // Attach user to request object - FIXED: Added role field
     req.user = {
       id: user.id,
@@ -62,6 +82,7 @@ const authMiddleware = async (req, res, next) => {
       fullName: user.full_name,
       role: user.role || 'user'  // ✅ ADDED ROLE WITH DEFAULT
     };
+    req.sessionId = decoded.sid || null;
 
     console.log(`Authenticated user: ${user.username} (${user.id}) - Role: ${req.user.role}`);
     
@@ -99,11 +120,11 @@ const optionalAuthMiddleware = async (req, res, next) => {
       // FIXED: Added 'role' field to select
       const { data: user, error } = await supabase
         .from('users')
-        .select('id, email, username, full_name, role, is_active')  // ✅ ADDED ROLE
+        .select('id, email, username, full_name, role, is_active, sessions_revoked_at')  // ✅ ADDED ROLE
         .eq('id', decoded.userId || decoded.id)
         .single();
 
-      if (error || !user || !user.is_active) {
+      if (error || !user || !user.is_active || await isTokenRevoked(decoded, user)) {
         req.user = null;
       } else {
         // FIXED: Added role field to user object
@@ -129,10 +150,12 @@ const optionalAuthMiddleware = async (req, res, next) => {
 
 module.exports = {
   authMiddleware,
-  optionalAuthMiddleware
+  optionalAuthMiddleware,
+  isTokenRevoked
 };
 
 // For backward compatibility, export authMiddleware as default
 module.exports = authMiddleware;
 module.exports.authMiddleware = authMiddleware;
-module.exports.optionalAuthMiddleware = optionalAuthMiddleware;
\ No newline at end of file
+module.exports.optionalAuthMiddleware = optionalAuthMiddleware;
+module.exports.isTokenRevoked = isTokenRevoked;
\ No newline at end of file
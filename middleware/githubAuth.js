@@ -0,0 +1,29 @@
+// backend/middleware/githubAuth.js
+const githubTokenService = require('../services/githubTokenService');
+
+// Load the user's decrypted GitHub token into req.github, checking it grants the given scopes
+const requireGitHubToken = (requiredScopes = githubTokenService.REPO_SCOPES) => async (req, res, next) => {
+  try {
+    req.github = await githubTokenService.getAccessToken(req.user.id, { requiredScopes });
+    next();
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        missing_scopes: error.missingScopes
+      });
+    }
+    console.error('GitHub token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load GitHub authorization',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  requireGitHubToken
+};
@@ -123,11 +123,13 @@ const queueManager = new RequestQueueManager();
  * Create queue middleware for specific endpoint types
  * @param {string} queueName - Name of the queue (e.g., 'recommendations', 'chat', 'projects')
  * @param {number} priority - Priority level (1=highest, 10=lowest)
+ * @param {Object} [options]
+ * @param {Function} [options.skip] - req => boolean, for requests that should bypass the queue
  */
-function createQueueMiddleware(queueName, priority = 5) {
+function createQueueMiddleware(queueName, priority = 5, { skip } = {}) {
   return async (req, res, next) => {
     // Skip queue for health checks
-    if (req.path === '/health' || req.path === '/') {
+    if (req.path === '/health' || req.path === '/' || (skip && skip(req))) {
       return next();
     }
 
@@ -137,6 +139,8 @@ function createQueueMiddleware(queueName, priority = 5) {
         return new Promise((resolve) => {
           // Store resolve function to call after response is sent
           res.on('finish', () => resolve());
+          // Clients that disconnect early (e.g. cancelled streams) never reach 'finish'
+          res.on('close', () => resolve());
           next();
         });
       }, priority);
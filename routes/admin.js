@@ -3,6 +3,9 @@ const express = require('express');
 const router = express.Router();
 const { body, param, query, validationResult } = require('express-validator');
 const AnalyticsService = require('../services/analyticsService');
+const recommendationWeightService = require('../services/recommendationWeightService');
+const experimentService = require('../services/experimentService');
+const twoFactorService = require('../services/twoFactorService');
 const { DataSeeder } = require('../scripts/seedConfusionMatrixData');
 const { ConfusionMatrixTester } = require('../scripts/testConfusionMatrix');
 
@@ -27,7 +30,7 @@ const {
 } = require('../controllers/challengeController');
 
 const authMiddleware = require('../middleware/auth');
-const { requireAdmin, requireModerator } = require('../middleware/adminAuth');
+const { requireAdmin, requireModerator, logAdminActivity } = require('../middleware/adminAuth');
 
 // Validation middleware
 const handleValidationErrors = (req, res, next) => {
@@ -127,6 +130,43 @@ router.put('/settings', requireAdmin, [
   body('settings').isObject().withMessage('Settings must be an object')
 ], handleValidationErrors, updateSystemSettings);
 
+// Two-factor authentication policy: which privileged roles must use 2FA
+router.get('/security/two-factor-policy', requireAdmin, async (req, res) => {
+  try {
+    const requiredRoles = await twoFactorService.getRequiredRoles();
+    res.json({ success: true, data: { requiredRoles, availableRoles: twoFactorService.POLICY_ROLES } });
+  } catch (error) {
+    console.error('2FA policy error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch two-factor policy', error: error.message });
+  }
+});
+
+router.put('/security/two-factor-policy', requireAdmin, [
+  body('requiredRoles').isArray({ max: 2 }).withMessage('requiredRoles must be an array'),
+  body('requiredRoles.*').isIn(twoFactorService.POLICY_ROLES).withMessage('Roles must be admin or moderator')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { requiredRoles } = req.body;
+
+    // Don't let an admin lock themselves out of the admin area
+    if (requiredRoles.includes(req.admin.role) && !req.admin.two_factor_enabled) {
+      return res.status(400).json({
+        success: false,
+        code: 'TWO_FACTOR_REQUIRED',
+        message: 'Enable two-factor authentication on your own account before requiring it for your role'
+      });
+    }
+
+    const roles = await twoFactorService.setRequiredRoles(requiredRoles);
+    await logAdminActivity(req.admin.id, 'UPDATE_TWO_FACTOR_POLICY', 'system', null, { requiredRoles: roles }, req);
+
+    res.json({ success: true, data: { requiredRoles: roles }, message: 'Two-factor policy updated' });
+  } catch (error) {
+    console.error('2FA policy update error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: error.statusCode ? error.message : 'Failed to update two-factor policy', error: error.message });
+  }
+});
+
 // Activity logs (Admin only)
 router.get('/activity-logs', requireAdmin, [
   query('page').optional().isInt({ min: 1 }),
@@ -159,6 +199,118 @@ router.get('/analytics/confusion-matrix', requireAdmin, async (req, res) => {
   }
 });
 
+// A/B experiments for recommendation strategies
+router.get('/analytics/experiments', requireAdmin, async (req, res) => {
+  try {
+    const experiments = await experimentService.listExperiments();
+    res.json({ success: true, data: { experiments } });
+  } catch (error) {
+    console.error('Experiments error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch experiments', error: error.message });
+  }
+});
+
+router.post('/analytics/experiments', requireAdmin, [
+  body('key').matches(/^[a-z0-9_-]{1,60}$/i).withMessage('Key must be 1-60 letters, digits, dashes or underscores'),
+  body('name').isString().trim().isLength({ min: 1, max: 200 }).withMessage('Name is required'),
+  body('description').optional({ nullable: true }).isString().isLength({ max: 2000 }),
+  body('variants').isArray({ min: 2, max: 10 }).withMessage('Provide between 2 and 10 variants')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { key, name, description, variants } = req.body;
+    const experiment = await experimentService.createExperiment({
+      key, name, description, variants, createdBy: req.user.id
+    });
+    res.status(201).json({ success: true, data: { experiment } });
+  } catch (error) {
+    console.error('Experiment creation error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: error.statusCode ? error.message : 'Failed to create experiment', error: error.message });
+  }
+});
+
+router.post('/analytics/experiments/:id/:action(start|stop)', requireAdmin, [
+  param('id').isUUID().withMessage('Experiment ID must be a valid UUID')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const status = req.params.action === 'start' ? 'running' : 'stopped';
+    const experiment = await experimentService.setStatus(req.params.id, status);
+    res.json({ success: true, data: { experiment }, message: `Experiment ${experiment.key} is now ${status}` });
+  } catch (error) {
+    console.error('Experiment status error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: error.statusCode ? error.message : 'Failed to update experiment', error: error.message });
+  }
+});
+
+router.get('/analytics/experiments/:id/results', requireAdmin, [
+  param('id').isUUID().withMessage('Experiment ID must be a valid UUID')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const experiment = await experimentService.getExperiment(req.params.id);
+    const report = await AnalyticsService.generateExperimentReport(experiment);
+    res.json({ success: true, data: report });
+  } catch (error) {
+    console.error('Experiment results error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: error.statusCode ? error.message : 'Failed to fetch experiment results', error: error.message });
+  }
+});
+
+// Recommendation weight sets (trained offline from recorded feedback)
+router.get('/analytics/recommendation-weights', requireAdmin, async (req, res) => {
+  try {
+    const weightSets = await recommendationWeightService.listWeightSets();
+    res.json({ success: true, data: { weight_sets: weightSets } });
+  } catch (error) {
+    console.error('Recommendation weights error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch recommendation weights', error: error.message });
+  }
+});
+
+router.post('/analytics/recommendation-weights/train', requireAdmin, [
+  body('since').optional().isISO8601().withMessage('since must be a valid date'),
+  body('notes').optional().isString().isLength({ max: 500 }),
+  body('activate').optional().isBoolean().toBoolean()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { since, notes, activate } = req.body;
+    let weightSet = await recommendationWeightService.trainWeightSet({ since, notes, trainedBy: req.user.id });
+
+    if (activate) {
+      weightSet = await recommendationWeightService.activate(weightSet.id, req.user.id);
+    }
+
+    res.status(201).json({ success: true, data: { weight_set: weightSet } });
+  } catch (error) {
+    console.error('Recommendation weight training error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: error.statusCode ? error.message : 'Failed to train recommendation weights', error: error.message });
+  }
+});
+
+router.post('/analytics/recommendation-weights/rollback', requireAdmin, async (req, res) => {
+  try {
+    const restored = await recommendationWeightService.rollback(req.user.id);
+    res.json({
+      success: true,
+      data: { weight_set: restored },
+      message: restored ? `Rolled back to version ${restored.version}` : 'Rolled back to the built-in default weights'
+    });
+  } catch (error) {
+    console.error('Recommendation weight rollback error:', error);
+    res.status(500).json({ success: false, message: 'Failed to roll back recommendation weights', error: error.message });
+  }
+});
+
+router.post('/analytics/recommendation-weights/:id/activate', requireAdmin, [
+  param('id').isUUID().withMessage('Weight set ID must be a valid UUID')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const weightSet = await recommendationWeightService.activate(req.params.id, req.user.id);
+    res.json({ success: true, data: { weight_set: weightSet }, message: `Version ${weightSet.version} is now active` });
+  } catch (error) {
+    console.error('Recommendation weight activation error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: error.statusCode ? error.message : 'Failed to activate recommendation weights', error: error.message });
+  }
+});
+
 // Development/Testing routes (only in development)
 if (process.env.NODE_ENV !== 'production') {
   router.post('/dev/seed-confusion-matrix', requireAdmin, async (req, res) => {
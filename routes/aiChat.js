@@ -1,69 +1,108 @@
 // backend/routes/aiChat.js - ENHANCED WITH TASKS (Based on your existing structure)
 const express = require('express');
-const { GoogleGenAI } = require('@google/genai');
+const { body, param, query } = require('express-validator');
 const auth = require('../middleware/auth');
 const supabase = require('../config/supabase'); // FIXED: Use supabase instead of database
+const notificationService = require('../services/notificationService');
+const llmService = require('../services/llmService');
+const aiChatService = require('../services/aiChatService');
+const retrievalService = require('../services/retrievalService');
+const {
+  getConversations,
+  createConversation,
+  getConversation,
+  updateConversation,
+  deleteConversation
+} = require('../controllers/aiConversationController');
+const { handleValidationErrors } = require('../middleware/validation');
+const { generateStructured } = require('../utils/structuredOutput');
+const { toCreateProjectData } = require('../utils/aiProjectFormat');
+const {
+  aiProjectSchema,
+  aiProjectJsonSchema,
+  aiCreateProjectSchema
+} = require('../schemas/projectSchemas');
 
 const router = express.Router();
 
-// Initialize Gemini AI with better error handling
-let genAI = null;
-let availableModels = [];
-
-const initializeGeminiAI = async () => {
-  try {
-    if (!process.env.GEMINI_API_KEY) {
-      console.warn('GEMINI_API_KEY not found. AI features will be disabled.');
-      return;
-    }
-
-    console.log('Initializing Gemini AI...');
-    genAI = new GoogleGenAI({
-      apiKey: process.env.GEMINI_API_KEY
-    });
-    
-    try {
-      const testResponse = await genAI.models.generateContent({
-        model: "gemini-2.5-flash",
-        contents: "Hello"
-      });
-      
-      console.log('✅ Gemini AI initialized successfully');
-      availableModels = ['gemini-2.5-flash', 'gemini-1.5-pro', 'gemini-1.5-flash'];
-      
-    } catch (testError) {
-      console.error('❌ Error testing Gemini AI:', testError.message);
-      
-      const alternativeModels = ['gemini-1.5-pro', 'gemini-1.5-flash', 'gemini-pro'];
-      for (const model of alternativeModels) {
-        try {
-          await genAI.models.generateContent({
-            model: model,
-            contents: "Hello"
-          });
-          console.log(`✅ Using alternative model: ${model}`);
-          availableModels = [model];
-          break;
-        } catch (altError) {
-          console.log(`❌ Model ${model} not available`);
-        }
-      }
-    }
-    
-  } catch (error) {
-    console.error('❌ Error initializing Gemini AI:', error.message);
-    genAI = null;
-  }
-};
+const conversationIdValidation = [
+  param('conversationId')
+    .isUUID()
+    .withMessage('Conversation ID must be a valid UUID')
+];
+
+const messagePageValidation = [
+  query('before')
+    .optional()
+    .isISO8601()
+    .withMessage('Before must be a valid date')
+];
+
+const STREAM_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+const streamIdValidation = [
+  body('streamId')
+    .optional()
+    .matches(STREAM_ID_PATTERN)
+    .withMessage('Stream ID must be 8-64 letters, digits, dashes or underscores')
+];
+
+const streamIdParamValidation = [
+  param('streamId')
+    .matches(STREAM_ID_PATTERN)
+    .withMessage('Stream ID must be 8-64 letters, digits, dashes or underscores')
+];
+
+const searchValidation = [
+  query('q')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Search query must be between 1 and 500 characters'),
+
+  query('project_id')
+    .optional()
+    .isUUID()
+    .withMessage('Project ID must be a valid UUID'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+    .toInt()
+];
+
+const conversationFieldsValidation = [
+  body('title')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 120 })
+    .withMessage('Title must be between 1 and 120 characters'),
+
+  body('project_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Project ID must be a valid UUID')
+];
+
+const chatMessageValidation = [
+  body('message')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 4000 })
+    .withMessage('Message must be between 1 and 4000 characters'),
 
-initializeGeminiAI();
+  body('conversationId')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Conversation ID must be a valid UUID'),
 
-const getBestAvailableModel = () => {
-  if (!genAI || availableModels.length === 0) {
-    return null;
-  }
-  return availableModels[0];
-};
+  body('project_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Project ID must be a valid UUID')
+];
 
 // FIXED: Programming language mapping - EXACT match to your database
 const normalizeProgrammingLanguage = (langName) => {
@@ -134,192 +173,170 @@ const normalizeProgrammingLanguage = (langName) => {
 // Test endpoint
 router.get('/test-api', async (req, res) => {
   try {
-    if (!process.env.GEMINI_API_KEY) {
-      return res.json({ error: 'No API key found' });
-    }
-
-    if (!genAI) {
-      return res.json({ error: 'Gemini AI not initialized' });
-    }
+    const testResponse = await llmService.generate({ contents: 'Hello', feature: 'health_check' });
 
-    const testResponse = await genAI.models.generateContent({
-      model: getBestAvailableModel() || "gemini-2.5-flash",
-      contents: "Hello"
-    });
-    
     res.json({
       success: true,
-      apiKeyLength: process.env.GEMINI_API_KEY.length,
-      modelsFound: availableModels.length,
-      models: availableModels,
+      ...llmService.getStatus(),
+      model: testResponse.model,
       testResponse: testResponse.text
     });
   } catch (error) {
     res.json({
       error: error.message,
-      apiKeyExists: !!process.env.GEMINI_API_KEY,
-      apiKeyLength: process.env.GEMINI_API_KEY?.length || 0
+      ...llmService.getStatus()
     });
   }
 });
 
 // ENHANCED: AI Chat endpoint with task breakdown support
-router.post('/', auth, async (req, res) => {
+// History comes from the stored conversation; without a conversationId a new one is stored along with the first reply
+router.post('/', auth, chatMessageValidation, handleValidationErrors, async (req, res) => {
   try {
-    if (!genAI) {
-      return res.status(500).json({
-        success: false,
-        message: 'AI service is not available',
-        error: 'Gemini AI not initialized'
-      });
-    }
+    const { message, conversationId, project_id: projectId } = req.body;
 
-    const modelName = getBestAvailableModel();
-    if (!modelName) {
-      return res.status(500).json({
-        success: false,
-        message: 'No available AI models',
-        error: 'No compatible models found'
-      });
-    }
+    const data = await aiChatService.chat(req.user.id, { message, conversationId, projectId });
 
-    const { message, conversationHistory = [] } = req.body;
-    const userId = req.user.id;
-
-    // ENHANCED: Include weekly task breakdown in the prompt
-
-const systemPrompt = `You are Sync, a helpful and friendly coding project assistant.
-
-IMPORTANT: You should have natural conversations with users. Only provide structured project suggestions when the user explicitly asks for project ideas or help creating a project.
-
-=== WHEN TO PROVIDE A PROJECT SUGGESTION ===
-Only format your response as a structured project when the user asks questions like:
-- "Generate a project idea"
-- "Help me create a project"
-- "I need a coding project"
-- "What project should I build?"
-- "Suggest a JavaScript project"
-- Or similar requests for project ideas
-
-=== PROJECT FORMAT (use ONLY when user asks for a project) ===
-**[Project Name]**
-
-[1-2 sentence description]
-
-Key Features:
-- [Feature 1]
-- [Feature 2]
-- [Feature 3]
-- [Feature 4]
-
-Technologies: [Single programming language - JavaScript, Python, Java, etc.]
-
-Time Estimate: [X weeks]
-
-Difficulty: [Easy/Medium/Hard]
-
-Weekly Task Breakdown:
-
-Week 1: [Task title]
-- [Subtask 1]
-- [Subtask 2]
-- [Subtask 3]
-
-Week 2: [Task title]
-- [Subtask 1]
-- [Subtask 2]
-- [Subtask 3]
-
-Week 3: [Task title]
-- [Subtask 1]
-- [Subtask 2]
-- [Subtask 3]
-
-Week 4: [Task title]
-- [Subtask 1]
-- [Subtask 2]
-- [Subtask 3]
-
-=== PROJECT FORMAT RULES (when applicable) ===
-1. Include the "Weekly Task Breakdown:" section with Week 1, 2, 3, and 4
-2. The "Technologies:" line must contain ONLY ONE programming language (not frameworks/libraries)
-3. Keep tasks practical and achievable for the specified difficulty level
-
-=== FOR CONVERSATIONAL MESSAGES ===
-When the user is NOT asking for a project idea:
-- Be friendly and helpful
-- Answer their questions naturally
-- Provide coding guidance and advice
-- Ask clarifying questions if needed
-- DO NOT format your response as a project
-
-Examples:
-User: "Who are you?"
-You: "Hi! I'm Sync, your AI coding assistant. I can help you with:
-- Generating project ideas with structured weekly tasks
-- Answering programming questions
-- Providing technical guidance
-- Planning and structuring coding projects
+    res.json({
+      success: true,
+      data
+    });
 
-What would you like help with today?"
+  } catch (error) {
+    console.error('AI Chat error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to get AI response',
+      error: error.message
+    });
+  }
+});
 
-User: "What technologies do you know?"
-You: "I'm knowledgeable about many programming languages and technologies including JavaScript, Python, Java, C++, Ruby, Go, and many more. I can help with web development, mobile apps, data science, game development, and other areas. What are you interested in learning or working with?"
+// Same as POST / but streamed as Server-Sent Events: start, chunk..., then done, cancelled or error.
+// Closing the connection cancels generation; the reply is saved when the stream ends.
+router.post('/stream', auth, chatMessageValidation, streamIdValidation, handleValidationErrors, async (req, res) => {
+  const { message, conversationId, project_id: projectId, streamId } = req.body;
+  const connection = new AbortController();
+  let heartbeat = null;
+
+  // Long-lived by design; keep it out of the slow request warnings
+  res.locals.streaming = true;
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    if (!res.writableEnded) connection.abort();
+  });
+
+  const send = (event, data) => {
+    if (res.destroyed || res.writableEnded) return;
+
+    // Headers go out with the first event so setup errors can still get a normal JSON response
+    if (!res.headersSent) {
+      res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+      heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    }
 
-User: "Can you help me with React?"
-You: "Absolutely! I'd be happy to help with React. What specifically do you need help with? Are you:
-- Starting a new React project?
-- Working on an existing project and stuck on something?
-- Learning React concepts?
-- Looking for best practices or optimization tips?"
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
 
-User: "Generate a quiz game project"
-You: [Format as structured project with Weekly Task Breakdown]
+  try {
+    await aiChatService.streamChat(req.user.id, {
+      message,
+      conversationId,
+      projectId,
+      streamId,
+      signal: connection.signal,
+      onEvent: send
+    });
+  } catch (error) {
+    console.error('AI Chat stream error:', error);
+    if (!res.headersSent) {
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to get AI response',
+        error: error.message
+      });
+    }
+    send('error', { message: 'Failed to get AI response', statusCode: 500 });
+  } finally {
+    clearInterval(heartbeat);
+  }
 
-=== CONVERSATION HISTORY ===
-${conversationHistory.map(msg => `${msg.role}: ${msg.content}`).join('\n')}
+  if (!res.writableEnded) res.end();
+});
 
-=== CURRENT USER MESSAGE ===
-User: ${message}
+// Cancel a running stream (SSE or Socket.IO) by the streamId from its start event
+router.post('/stream/:streamId/cancel', auth, streamIdParamValidation, handleValidationErrors, (req, res) => {
+  if (!aiChatService.cancelStream(req.user.id, req.params.streamId)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Stream not found or already finished'
+    });
+  }
 
-Remember: Only use the structured project format when the user is asking for a project idea. Otherwise, have a natural conversation!`;
+  res.json({
+    success: true,
+    message: 'Stream cancelled'
+  });
+});
 
-    const response = await genAI.models.generateContent({
-      model: modelName,
-      contents: systemPrompt
+// Search the tasks, comments, notes, goals and recent chat the user can access - the records
+// the assistant cites. Without project_id, all of the user's projects are searched.
+router.get('/search', auth, searchValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const results = await retrievalService.search(req.user.id, req.query.q, {
+      projectId: req.query.project_id || null,
+      limit: req.query.limit || 10
     });
 
-    const aiMessage = response.text;
-
     res.json({
       success: true,
-      data: {
-        message: aiMessage,
-        timestamp: new Date().toISOString(),
-        conversationId: `${userId}_${Date.now()}`
-      }
+      data: { results }
     });
-
   } catch (error) {
-    console.error('AI Chat error:', error);
-    res.status(500).json({
+    console.error('AI search error:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to get AI response',
+      message: error.statusCode ? error.message : 'Failed to search project records',
       error: error.message
     });
   }
 });
 
+// Saved conversations
+router.get('/conversations', auth, getConversations);
+router.post('/conversations', auth, conversationFieldsValidation, handleValidationErrors, createConversation);
+router.get('/conversations/:conversationId', auth, conversationIdValidation, messagePageValidation, handleValidationErrors, getConversation);
+router.patch('/conversations/:conversationId', auth, conversationIdValidation, conversationFieldsValidation, handleValidationErrors, updateConversation);
+router.delete('/conversations/:conversationId', auth, conversationIdValidation, handleValidationErrors, deleteConversation);
+
 // ENHANCED: Project creation with tasks - using Supabase (no raw SQL)
 router.post('/create-project', auth, async (req, res) => {
   try {
     const userId = req.user.id;
-    const { projectData } = req.body;
+
+    const { value: projectData, error: validationError } = aiCreateProjectSchema.validate(
+      req.body.projectData || {},
+      { abortEarly: false, convert: true }
+    );
+
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid project data',
+        errors: validationError.details.map(detail => detail.message)
+      });
+    }
 
     console.log('═══════════════════════════════════════════════');
     console.log('🔄 BACKEND RECEIVED CREATE PROJECT REQUEST');
     console.log('═══════════════════════════════════════════════');
-    console.log('📥 req.body.projectData:', typeof req.body.projectData);
     console.log('📥 projectData.tasks:', projectData.tasks?.length || 0);
     if (projectData.tasks && Array.isArray(projectData.tasks)) {
       console.log('📋 Received task titles:', projectData.tasks.map(t => t.title));
@@ -555,19 +572,13 @@ router.post('/create-project', auth, async (req, res) => {
     }
 
     // Step 8: Create notification
-    const { error: notifError } = await supabase
-      .from('notifications')
-      .insert({
-        user_id: userId,
-        project_id: projectId,
-        notification_type: 'project_created',
-        title: 'Project Created Successfully',
-        message: `Your project "${projectData.title}" has been created!`
-      });
-
-    if (notifError) {
-      console.error('Error creating notification:', notifError);
-    }
+    await notificationService.publish({
+      userId,
+      type: 'project_created',
+      title: 'Project Created Successfully',
+      message: `Your project "${projectData.title}" has been created!`,
+      projectId
+    });
 
     // Step 9: Fetch complete project with relations
     const { data: completeProject, error: fetchError } = await supabase
@@ -620,96 +631,36 @@ router.post('/create-project', auth, async (req, res) => {
 // Generate project ideas endpoint (your existing code)
 router.post('/generate-project', auth, async (req, res) => {
   try {
-    if (!genAI) {
-      return res.status(500).json({
-        success: false,
-        message: 'AI service is not available',
-        error: 'Gemini AI not initialized'
-      });
-    }
-
-    const modelName = getBestAvailableModel();
-    if (!modelName) {
-      return res.status(500).json({
-        success: false,
-        message: 'No available AI models',
-        error: 'No compatible models found'
-      });
-    }
-
     const { skills = [], interests = [], difficulty = 'easy', projectType = 'web' } = req.body;
 
-    const projectPrompt = `Generate 1 ${difficulty} ${projectType} project idea for a beginner:
+    const projectPrompt = `Generate 1 ${difficulty} ${projectType} project idea for a beginner.
 
 Requirements:
-- Use ONLY JavaScript as the technology (no React, Node.js, or frameworks)
+- Use ONLY JavaScript as the language (no React, Node.js, or frameworks)
 - Make it simple and achievable for beginners
-- Format clearly with sections
-
-Format:
-**Project Name**
-Brief description (2-3 sentences)
-Key Features: 
-• Feature 1
-• Feature 2  
-• Feature 3
-Technologies: JavaScript
-Time Estimate: 1-2 weeks
-Difficulty: Easy
+- 3-5 key features, a 1-2 week time estimate and one weekly task with 3-5 subtasks per week
 
 Focus on: ${skills.join(', ') || 'general web development'}
-Interest: ${interests.join(', ') || 'learning programming'}`;
-
-    const response = await genAI.models.generateContent({
-      model: modelName,
-      contents: projectPrompt
-    });
-
-    const aiResponse = response.text;
-
-    let projects = [];
-    try {
-      const lines = aiResponse.split('\n').filter(line => line.trim());
-      
-      let name = '';
-      let description = '';
-      let technologies = ['JavaScript'];
-      let timeEstimate = '1-2 weeks';
-      let difficulty = 'Easy';
-      
-      for (const line of lines) {
-        if (line.startsWith('**') && line.endsWith('**')) {
-          name = line.replace(/\*\*/g, '').trim();
-        } else if (line.includes('Technologies:')) {
-          const tech = line.replace('Technologies:', '').trim();
-          technologies = tech ? [tech] : ['JavaScript'];
-        } else if (line.includes('Time Estimate:')) {
-          timeEstimate = line.replace('Time Estimate:', '').trim();
-        } else if (line.includes('Difficulty:')) {
-          difficulty = line.replace('Difficulty:', '').trim();
-        } else if (!line.startsWith('•') && !line.includes(':') && line.length > 10 && !description) {
-          description = line.trim();
-        }
-      }
-
-      projects = [{
-        name: name || 'JavaScript Project',
-        description: description || 'A simple JavaScript project for beginners',
-        technologies,
-        timeEstimate,
-        difficulty
-      }];
-
-    } catch (parseError) {
-      console.error('Parse error:', parseError);
-      projects = [{
-        name: "Simple JavaScript Project",
-        description: "A beginner-friendly JavaScript project",
-        technologies: ["JavaScript"],
-        timeEstimate: "1-2 weeks",
-        difficulty: "Easy"
-      }];
-    }
+Interest: ${interests.join(', ') || 'learning programming'}
+
+Respond with a JSON object describing the project.`;
+
+    const { value: project, raw: aiResponse } = await generateStructured(
+      ({ contents, config }) => llmService.generate({ contents, config, userId: req.user.id, feature: 'generate_project' }),
+      { prompt: projectPrompt, schema: aiProjectSchema, jsonSchema: aiProjectJsonSchema }
+    );
+
+    // name/technologies/timeEstimate are the fields the project idea cards read
+    const projects = [{
+      name: project.title,
+      description: project.description,
+      technologies: [project.language],
+      timeEstimate: `${project.weeks} week${project.weeks === 1 ? '' : 's'}`,
+      difficulty: project.difficulty.charAt(0).toUpperCase() + project.difficulty.slice(1),
+      features: project.features,
+      project,
+      projectData: toCreateProjectData(project)
+    }];
 
     res.json({
       success: true,
@@ -722,7 +673,7 @@ Interest: ${interests.join(', ') || 'learning programming'}`;
 
   } catch (error) {
     console.error('Project generation error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Failed to generate project ideas',
       error: error.message
@@ -730,4 +681,27 @@ Interest: ${interests.join(', ') || 'learning programming'}`;
   }
 });
 
+// Token and cost usage of the current user's AI requests
+router.get('/usage', auth, async (req, res) => {
+  try {
+    const since = req.query.since && !isNaN(Date.parse(req.query.since))
+      ? new Date(req.query.since).toISOString()
+      : undefined;
+
+    const usage = await llmService.getUsageSummary(req.user.id, { since });
+
+    res.json({
+      success: true,
+      data: { ...usage, provider: llmService.getStatus().provider }
+    });
+  } catch (error) {
+    console.error('AI usage error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get AI usage',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,7 +1,7 @@
 // backend/routes/auth.js - COMPLETE FILE
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const authController = require('../controllers/authController');
 const authMiddleware = require('../middleware/auth');
 
@@ -154,13 +154,67 @@ const resetPasswordValidation = [
     .withMessage('Password must contain uppercase, lowercase, and number')
 ];
 
+const refreshTokenValidation = [
+  body('refreshToken')
+    .isString()
+    .withMessage('Refresh token is required')
+    .isLength({ min: 20, max: 200 })
+    .withMessage('Invalid refresh token')
+];
+
+const twoFactorCodeValidation = [
+  body('code')
+    .isString()
+    .withMessage('Verification code is required')
+    .trim()
+    .isLength({ min: 6, max: 20 })
+    .withMessage('Invalid verification code')
+];
+
+const loginTwoFactorValidation = [
+  body('challengeToken')
+    .isString()
+    .withMessage('Login challenge is required')
+    .isLength({ max: 1000 })
+    .withMessage('Invalid login challenge'),
+  ...twoFactorCodeValidation
+];
+
+const disableTwoFactorValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  ...twoFactorCodeValidation
+];
+
 // EXISTING ROUTES
 router.post('/register', registerValidation, handleValidationErrors, authController.register);
 router.post('/login', loginValidation, handleValidationErrors, authController.login);
+router.post('/login/2fa', loginTwoFactorValidation, handleValidationErrors, authController.loginTwoFactor);
 router.get('/profile', authMiddleware, authController.getProfile);
 router.put('/profile', authMiddleware, updateProfileValidation, handleValidationErrors, authController.updateProfile);
 router.put('/change-password', authMiddleware, changePasswordValidation, handleValidationErrors, authController.changePassword);
 
+// SESSION ROUTES
+router.post('/refresh', refreshTokenValidation, handleValidationErrors, authController.refreshToken);
+router.post('/logout', authMiddleware, authController.logout);
+router.get('/sessions', authMiddleware, authController.getSessions);
+router.delete('/sessions', authMiddleware, authController.revokeAllSessions);
+router.delete(
+  '/sessions/:sessionId',
+  authMiddleware,
+  param('sessionId').isUUID().withMessage('Session ID must be a valid UUID'),
+  handleValidationErrors,
+  authController.revokeSession
+);
+
+// TWO-FACTOR AUTHENTICATION ROUTES
+router.get('/2fa/status', authMiddleware, authController.getTwoFactorStatus);
+router.post('/2fa/setup', authMiddleware, authController.setupTwoFactor);
+router.post('/2fa/confirm', authMiddleware, twoFactorCodeValidation, handleValidationErrors, authController.confirmTwoFactor);
+router.post('/2fa/disable', authMiddleware, disableTwoFactorValidation, handleValidationErrors, authController.disableTwoFactor);
+router.post('/2fa/recovery-codes', authMiddleware, twoFactorCodeValidation, handleValidationErrors, authController.regenerateRecoveryCodes);
+
 // PASSWORD RESET ROUTES - ADD THESE TWO ROUTES
 router.post(
   '/forgot-password',
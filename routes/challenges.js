@@ -13,7 +13,8 @@ const {
   getUserAttempts,
   getUserStats,
   getAttemptDetails,
-  getNextChallenge
+  getNextChallenge,
+  getRatingHistory
 } = require('../controllers/challengeController');
 
 const {
@@ -179,6 +180,18 @@ router.get('/attempts',
 
 router.get('/stats', authMiddleware, getUserStats);
 
+router.get('/ratings/history',
+  authMiddleware,
+  [
+    query('programming_language_id').optional().isInt({ min: 1 }).withMessage('programming_language_id must be an integer'),
+    query('bucket').optional().isIn(['day', 'week']).withMessage('bucket must be day or week'),
+    query('from').optional().isISO8601().withMessage('from must be a valid ISO 8601 date'),
+    query('to').optional().isISO8601().withMessage('to must be a valid ISO 8601 date')
+  ],
+  handleValidationErrors,
+  getRatingHistory
+);
+
 router.get('/attempts/:attemptId',
   authMiddleware,
   [ param('attemptId').isUUID().withMessage('Attempt ID must be a valid UUID') ],
@@ -191,7 +204,8 @@ router.get('/next',
   authMiddleware,
   [
     query('programming_language_id').optional().isInt({ min: 1 }).withMessage('programming_language_id must be an integer'),
-    query('project_id').optional().isUUID().withMessage('project_id must be a valid UUID')
+    query('project_id').optional().isUUID().withMessage('project_id must be a valid UUID'),
+    query('target_probability').optional().isFloat({ min: 0.05, max: 0.95 }).withMessage('target_probability must be between 0.05 and 0.95')
   ],
   handleValidationErrors,
   getNextChallenge
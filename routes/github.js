@@ -3,6 +3,7 @@ const express = require('express');
 const router = express.Router();
 const githubController = require('../controllers/githubController');
 const authMiddleware = require('../middleware/auth');
+const { requireGitHubToken } = require('../middleware/githubAuth');
 
 // Apply authentication to all routes
 router.use(authMiddleware);
@@ -12,18 +13,19 @@ router.get('/oauth/url', githubController.getOAuthURL);
 router.post('/oauth/callback', githubController.handleOAuthCallback);
 router.delete('/oauth/disconnect', githubController.disconnectGitHub);
 
-// GitHub API routes
+// GitHub API routes (repository access needs a token with the repo scope)
 router.get('/user', githubController.getGitHubUser);
-router.get('/repositories', githubController.getUserRepositories);
-router.get('/repository/:owner/:repo', githubController.getRepository);
-router.get('/repository/:owner/:repo/contents', githubController.getRepositoryContents);
-router.get('/repository/:owner/:repo/contents/*', githubController.getFileContent);
-router.get('/repository/:owner/:repo/branches', githubController.getRepositoryBranches);
-router.get('/repository/:owner/:repo/commits', githubController.getRepositoryCommits);
+router.get('/repositories', requireGitHubToken(), githubController.getUserRepositories);
+router.get('/repository/:owner/:repo', requireGitHubToken(), githubController.getRepository);
+router.get('/repository/:owner/:repo/contents', requireGitHubToken(), githubController.getRepositoryContents);
+router.get('/repository/:owner/:repo/contents/*', requireGitHubToken(), githubController.getFileContent);
+router.get('/repository/:owner/:repo/branches', requireGitHubToken(), githubController.getRepositoryBranches);
+router.get('/repository/:owner/:repo/commits', requireGitHubToken(), githubController.getRepositoryCommits);
 
 // Project-specific GitHub integration
-router.post('/project/:projectId/connect', githubController.connectRepositoryToProject);
+router.post('/project/:projectId/connect', requireGitHubToken(), githubController.connectRepositoryToProject);
 router.delete('/project/:projectId/disconnect', githubController.disconnectRepositoryFromProject);
 router.get('/project/:projectId/repository', githubController.getProjectRepository);
+router.get('/project/:projectId/tasks/:taskId/links', githubController.getTaskGitHubLinks);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,9 @@
+// backend/routes/githubWebhooks.js
+// Called by GitHub, not by users: requests are authenticated by their HMAC signature instead of a JWT
+const express = require('express');
+const router = express.Router();
+const { receiveWebhook } = require('../controllers/githubWebhookController');
+
+router.post('/', receiveWebhook);
+
+module.exports = router;
@@ -0,0 +1,67 @@
+// backend/routes/invitations.js - Invitee side of project invitations
+const express = require('express');
+const { param } = require('express-validator');
+const {
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation,
+  previewInvitationLink,
+  acceptInvitationLink
+} = require('../controllers/projectInvitationController');
+const authMiddleware = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Validation rules
+const invitationIdValidation = [
+  param('invitationId')
+    .isUUID()
+    .withMessage('Invitation ID must be a valid UUID')
+];
+
+const tokenValidation = [
+  param('token')
+    .matches(/^[A-Za-z0-9_-]{20,64}$/)
+    .withMessage('Invalid invitation link')
+];
+
+// All routes require authentication
+router.use(authMiddleware);
+
+// GET /api/invitations - Open invitations for the current user
+router.get('/', getMyInvitations);
+
+// GET /api/invitations/link/:token - Preview a shareable invitation link
+router.get(
+  '/link/:token',
+  tokenValidation,
+  handleValidationErrors,
+  previewInvitationLink
+);
+
+// POST /api/invitations/link/:token/accept - Join through a shareable invitation link
+router.post(
+  '/link/:token/accept',
+  tokenValidation,
+  handleValidationErrors,
+  acceptInvitationLink
+);
+
+// POST /api/invitations/:invitationId/accept - Accept an invitation
+router.post(
+  '/:invitationId/accept',
+  invitationIdValidation,
+  handleValidationErrors,
+  acceptInvitation
+);
+
+// POST /api/invitations/:invitationId/decline - Decline an invitation
+router.post(
+  '/:invitationId/decline',
+  invitationIdValidation,
+  handleValidationErrors,
+  declineInvitation
+);
+
+module.exports = router;
@@ -1,12 +1,83 @@
 // backend/routes/notifications.js - FIXED VERSION
 const express = require('express');
+const { body, query } = require('express-validator');
 const router = express.Router();
 const notificationsController = require('../controllers/notificationsController');
 const authMiddleware = require('../middleware/auth'); // Import the default export
+const { handleValidationErrors } = require('../middleware/validation');
+const { NOTIFICATION_TYPES, CHANNELS } = require('../services/notificationService');
+
+// Validation rules
+const notificationIdsValidation = [
+  body('notification_ids')
+    .isArray({ min: 1, max: 200 })
+    .withMessage('notification_ids must be a non-empty array'),
+  body('notification_ids.*')
+    .isUUID()
+    .withMessage('Each notification ID must be a valid UUID')
+];
+
+const markAllReadValidation = [
+  body('types')
+    .optional()
+    .isArray()
+    .withMessage('types must be an array'),
+  body('types.*')
+    .isIn(Object.keys(NOTIFICATION_TYPES))
+    .withMessage('Unknown notification type')
+];
+
+const listValidation = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('cursor')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Invalid cursor'),
+  query('unread_only')
+    .optional()
+    .isIn(['true', 'false']),
+  query('archived')
+    .optional()
+    .isIn(['true', 'false'])
+];
+
+const preferencesValidation = [
+  body('preferences')
+    .isArray({ min: 1 })
+    .withMessage('preferences must be a non-empty array'),
+  body('preferences.*.notification_type')
+    .isIn(Object.keys(NOTIFICATION_TYPES))
+    .withMessage('Unknown notification type'),
+  ...CHANNELS.map(channel =>
+    body(`preferences.*.${channel}`)
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage(`${channel} must be a boolean`)
+  )
+];
 
 // Apply authentication to all routes
 router.use(authMiddleware);
 
+// Unified notification feed
+router.get('/', listValidation, handleValidationErrors, notificationsController.getNotifications);
+
+// Notification type catalogue
+router.get('/types', notificationsController.getNotificationTypes);
+
+// Per-type, per-channel preferences
+router.get('/preferences', notificationsController.getPreferences);
+router.put('/preferences', preferencesValidation, handleValidationErrors, notificationsController.updatePreferences);
+
+// Mark read / mark all read / archive
+router.put('/mark-read', notificationIdsValidation, handleValidationErrors, notificationsController.markRead);
+router.put('/mark-all-read', markAllReadValidation, handleValidationErrors, notificationsController.markAllRead);
+router.put('/archive', notificationIdsValidation, handleValidationErrors, notificationsController.archiveNotifications);
+
 // Get comment notifications
 router.get('/comments', notificationsController.getCommentNotifications);
 
@@ -16,4 +87,4 @@ router.put('/read', notificationsController.markNotificationsRead);
 // Get unread count
 router.get('/unread-count', notificationsController.getUnreadCount);
 
-module.exports = router;        
\ No newline at end of file
+module.exports = router;
@@ -1,6 +1,6 @@
 // backend/routes/projectMembers.js
 const express = require('express');
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const {
   getProjectMembers,
   updateMemberRole,
@@ -8,6 +8,15 @@ const {
   leaveProject
   // addProjectMember removed as requested
 } = require('../controllers/projectMemberController');
+const {
+  getCandidateMembers,
+  inviteCandidateMember
+} = require('../controllers/projectRecruitmentController');
+const {
+  getProjectInvitations,
+  createProjectInvitation,
+  revokeProjectInvitation
+} = require('../controllers/projectInvitationController');
 const authMiddleware = require('../middleware/auth');
 
 const router = express.Router();
@@ -38,6 +47,70 @@ const memberIdValidation = [
     .withMessage('Member ID must be a valid UUID')
 ];
 
+const candidateIdValidation = [
+  param('userId')
+    .isUUID()
+    .withMessage('User ID must be a valid UUID')
+];
+
+const candidateQueryValidation = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+];
+
+const invitationMessageValidation = [
+  body('message')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message must not exceed 500 characters')
+];
+
+const invitationIdValidation = [
+  param('invitationId')
+    .isUUID()
+    .withMessage('Invitation ID must be a valid UUID')
+];
+
+// Either a user_id to invite, or link: true for a shareable link
+const createInvitationValidation = [
+  body('user_id')
+    .if((value, { req }) => String(req.body.link) !== 'true')
+    .isUUID()
+    .withMessage('user_id must be a valid UUID unless creating a link'),
+  body('link')
+    .optional()
+    .isBoolean()
+    .withMessage('link must be a boolean')
+    .toBoolean(),
+  body('require_challenge')
+    .optional()
+    .isBoolean()
+    .withMessage('require_challenge must be a boolean')
+    .toBoolean(),
+  body('expires_in_days')
+    .optional()
+    .isInt({ min: 1, max: 90 })
+    .withMessage('expires_in_days must be between 1 and 90')
+    .toInt(),
+  body('max_uses')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 100 })
+    .withMessage('max_uses must be between 1 and 100')
+    .toInt(),
+  ...invitationMessageValidation
+];
+
+const invitationStatusValidation = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'awaiting_challenge', 'accepted', 'declined', 'revoked', 'expired'])
+    .withMessage('Invalid invitation status')
+];
+
 const updateRoleValidation = [
   body('role')
     .isIn(['member', 'moderator', 'lead'])
@@ -84,4 +157,51 @@ router.post(
 
 // REMOVED: POST /api/projects/:projectId/members route for adding members
 
+// GET /api/projects/:projectId/candidate-members - Suggest users to recruit (owner/lead)
+router.get(
+  '/:projectId/candidate-members',
+  projectIdValidation,
+  candidateQueryValidation,
+  handleValidationErrors,
+  getCandidateMembers
+);
+
+// POST /api/projects/:projectId/candidate-members/:userId/invite - Invite a suggested user
+router.post(
+  '/:projectId/candidate-members/:userId/invite',
+  projectIdValidation,
+  candidateIdValidation,
+  invitationMessageValidation,
+  body('require_challenge').optional().isBoolean().toBoolean(),
+  handleValidationErrors,
+  inviteCandidateMember
+);
+
+// GET /api/projects/:projectId/invitations - List invitations (owner/lead)
+router.get(
+  '/:projectId/invitations',
+  projectIdValidation,
+  invitationStatusValidation,
+  handleValidationErrors,
+  getProjectInvitations
+);
+
+// POST /api/projects/:projectId/invitations - Invite a user or create a shareable link (owner/lead)
+router.post(
+  '/:projectId/invitations',
+  projectIdValidation,
+  createInvitationValidation,
+  handleValidationErrors,
+  createProjectInvitation
+);
+
+// POST /api/projects/:projectId/invitations/:invitationId/revoke - Revoke an open invitation (owner/lead)
+router.post(
+  '/:projectId/invitations/:invitationId/revoke',
+  projectIdValidation,
+  invitationIdValidation,
+  handleValidationErrors,
+  revokeProjectInvitation
+);
+
 module.exports = router;
\ No newline at end of file
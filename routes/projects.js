@@ -13,6 +13,7 @@ const {
 } = require('../controllers/projectController');
 const authMiddleware = require('../middleware/auth');
 const { handleValidationErrors } = require('../middleware/validation');
+const notificationService = require('../services/notificationService');
 
 const router = express.Router();
 
@@ -304,16 +305,14 @@ router.post('/:projectId/join',
         .single();
 
       if (projectOwner) {
-        await require('../config/supabase')
-          .from('notifications')
-          .insert({
-            user_id: projectOwner.owner_id,
-            project_id: projectId,
-            notification_type: 'member_joined',
-            title: 'New Member Joined',
-            message: `A new member has joined ${project.title}`,
-            is_read: false
-          });
+        await notificationService.publish({
+          userId: projectOwner.owner_id,
+          type: 'member_joined',
+          title: 'New Member Joined',
+          message: `A new member has joined ${project.title}`,
+          projectId,
+          actorId: userId
+        });
       }
 
       res.json({
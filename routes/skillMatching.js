@@ -3,6 +3,8 @@ const express = require('express');
 const router = express.Router();
 const supabase = require('../config/supabase');
 const skillMatching = require('../services/SkillMatchingService');
+const dismissalService = require('../services/recommendationDismissalService');
+const { DISMISSAL_TYPES, MAX_EXPIRY_DAYS } = dismissalService;
 
 // Support both default and named export for auth middleware
 const authModule = require('../middleware/auth');
@@ -29,6 +31,80 @@ function log(...args) {
   if (DEBUG) console.log('[skill-matching]', ...args);
 }
 
+// ----- dismissals ("not interested" / "hide similar") -----
+// Registered before /recommendations/:userId so "dismissals" is not read as a user id
+router.get('/recommendations/dismissals', authMiddleware, async (req, res) => {
+  try {
+    const dismissals = await dismissalService.listActive(req.user.id);
+    return res.json({ success: true, data: { dismissals } });
+  } catch (e) {
+    console.error('List dismissals error:', e);
+    res.status(500).json({ success: false, message: 'Failed to load dismissed recommendations' });
+  }
+});
+
+router.post('/recommendations/dismissals', authMiddleware, async (req, res) => {
+  try {
+    const projectId = req.body.project_id || req.body.projectId;
+    const type = String(req.body.type || 'not_interested').toLowerCase().trim();
+    const expiresInDays = req.body.expires_in_days ?? req.body.expiresInDays;
+    const recIdRaw = req.body.recommendation_id || req.body.recommendationId;
+
+    if (!isUuid(projectId)) {
+      return res.status(400).json({ success: false, message: 'A valid project_id is required' });
+    }
+    if (!DISMISSAL_TYPES[type]) {
+      return res.status(400).json({
+        success: false,
+        message: `type must be one of: ${Object.keys(DISMISSAL_TYPES).join(', ')}`
+      });
+    }
+    if (expiresInDays != null) {
+      const days = Number(expiresInDays);
+      if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+        return res.status(400).json({
+          success: false,
+          message: `expires_in_days must be a whole number between 1 and ${MAX_EXPIRY_DAYS}`
+        });
+      }
+    }
+
+    const dismissal = await dismissalService.dismiss(req.user.id, {
+      projectId,
+      type,
+      expiresInDays,
+      recommendationId: isUuid(recIdRaw) ? recIdRaw : null
+    });
+    log('dismissed', projectId, type);
+
+    return res.status(201).json({ success: true, message: 'Recommendation dismissed', data: { dismissal } });
+  } catch (e) {
+    console.error('Dismiss recommendation error:', e);
+    res.status(e.statusCode || 500).json({
+      success: false,
+      message: e.statusCode ? e.message : 'Failed to dismiss recommendation'
+    });
+  }
+});
+
+router.delete('/recommendations/dismissals/:projectId', authMiddleware, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    if (!isUuid(projectId)) {
+      return res.status(400).json({ success: false, message: 'A valid project id is required' });
+    }
+
+    const removed = await dismissalService.remove(req.user.id, projectId);
+    if (!removed) {
+      return res.status(404).json({ success: false, message: 'Dismissal not found' });
+    }
+    return res.json({ success: true, message: 'Dismissal removed' });
+  } catch (e) {
+    console.error('Remove dismissal error:', e);
+    res.status(500).json({ success: false, message: 'Failed to remove dismissal' });
+  }
+});
+
 // ----- enhanced recommendations -----
 router.get('/recommendations/:userId/enhanced', authMiddleware, async (req, res) => {
   try {
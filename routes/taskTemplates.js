@@ -0,0 +1,238 @@
+// backend/routes/taskTemplates.js
+const express = require('express');
+const { body, param } = require('express-validator');
+const {
+  getTaskTemplates,
+  createTaskTemplate,
+  updateTaskTemplate,
+  deleteTaskTemplate,
+  getTaskRecurrences,
+  createTaskRecurrence,
+  updateTaskRecurrence,
+  deleteTaskRecurrence
+} = require('../controllers/taskTemplateController');
+const authMiddleware = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const { FREQUENCIES } = require('../utils/taskRecurrence');
+
+const router = express.Router();
+
+// Validation rules
+const projectIdValidation = [
+  param('projectId')
+    .isUUID()
+    .withMessage('Project ID must be a valid UUID')
+];
+
+const templateIdValidation = [
+  param('templateId')
+    .isUUID()
+    .withMessage('Template ID must be a valid UUID')
+];
+
+const recurrenceIdValidation = [
+  param('recurrenceId')
+    .isUUID()
+    .withMessage('Recurrence ID must be a valid UUID')
+];
+
+// Task fields shared by templates and recurring schedules
+const taskFieldsValidation = (titleRequired) => [
+  (titleRequired ? body('title') : body('title').optional())
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be between 1 and 200 characters'),
+
+  body('description')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Description must not exceed 2000 characters'),
+
+  body('task_type')
+    .optional()
+    .isIn(['development', 'design', 'testing', 'documentation', 'research', 'meeting', 'review'])
+    .withMessage('Invalid task type'),
+
+  body('priority')
+    .optional()
+    .isIn(['low', 'medium', 'high', 'urgent'])
+    .withMessage('Invalid priority level'),
+
+  body('assigned_to')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Assigned to must be a valid user ID'),
+
+  body('estimated_hours')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Estimated hours must be a positive integer')
+    .toInt()
+];
+
+const templateValidation = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Template name must be between 1 and 100 characters'),
+  ...taskFieldsValidation(true)
+];
+
+const updateTemplateValidation = [
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Template name must be between 1 and 100 characters'),
+  ...taskFieldsValidation(false)
+];
+
+const ruleValidation = (frequencyRequired) => [
+  (frequencyRequired ? body('frequency') : body('frequency').optional())
+    .isIn(FREQUENCIES)
+    .withMessage(`Frequency must be one of: ${FREQUENCIES.join(', ')}`),
+
+  body('interval')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Interval must be between 1 and 365')
+    .toInt(),
+
+  body('weekdays')
+    .optional({ nullable: true })
+    .isArray({ min: 1, max: 7 })
+    .withMessage('Weekdays must be a list of days'),
+
+  body('weekdays.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Weekdays must be between 0 (Sunday) and 6 (Saturday)')
+    .toInt(),
+
+  body('nth')
+    .optional({ nullable: true })
+    .isIn([1, 2, 3, 4, 5, -1])
+    .withMessage('nth must be 1-5, or -1 for the last weekday of the month')
+    .toInt(),
+
+  body('weekday')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Weekday must be between 0 (Sunday) and 6 (Saturday)')
+    .toInt(),
+
+  body('start_date')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+
+  body('end_date')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('End date must be a valid date'),
+
+  body('due_time')
+    .optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Due time must be in HH:MM format')
+];
+
+const createRecurrenceValidation = [
+  body('template_id')
+    .optional()
+    .isUUID()
+    .withMessage('Template ID must be a valid UUID'),
+  ...taskFieldsValidation(false),
+  ...ruleValidation(true)
+];
+
+const updateRecurrenceValidation = [
+  ...taskFieldsValidation(false),
+  ...ruleValidation(false),
+  body('is_active')
+    .optional()
+    .isBoolean()
+    .withMessage('is_active must be a boolean')
+    .toBoolean()
+];
+
+// All routes require authentication
+router.use(authMiddleware);
+
+// GET /api/projects/:projectId/task-templates - List task templates
+router.get(
+  '/:projectId/task-templates',
+  projectIdValidation,
+  handleValidationErrors,
+  getTaskTemplates
+);
+
+// POST /api/projects/:projectId/task-templates - Create a task template
+router.post(
+  '/:projectId/task-templates',
+  projectIdValidation,
+  templateValidation,
+  handleValidationErrors,
+  createTaskTemplate
+);
+
+// PUT /api/projects/:projectId/task-templates/:templateId - Update a task template
+router.put(
+  '/:projectId/task-templates/:templateId',
+  projectIdValidation,
+  templateIdValidation,
+  updateTemplateValidation,
+  handleValidationErrors,
+  updateTaskTemplate
+);
+
+// DELETE /api/projects/:projectId/task-templates/:templateId - Delete a task template
+router.delete(
+  '/:projectId/task-templates/:templateId',
+  projectIdValidation,
+  templateIdValidation,
+  handleValidationErrors,
+  deleteTaskTemplate
+);
+
+// GET /api/projects/:projectId/task-recurrences - List recurring task schedules
+router.get(
+  '/:projectId/task-recurrences',
+  projectIdValidation,
+  handleValidationErrors,
+  getTaskRecurrences
+);
+
+// POST /api/projects/:projectId/task-recurrences - Create a recurring task schedule
+router.post(
+  '/:projectId/task-recurrences',
+  projectIdValidation,
+  createRecurrenceValidation,
+  handleValidationErrors,
+  createTaskRecurrence
+);
+
+// PUT /api/projects/:projectId/task-recurrences/:recurrenceId - Update a recurring task schedule
+router.put(
+  '/:projectId/task-recurrences/:recurrenceId',
+  projectIdValidation,
+  recurrenceIdValidation,
+  updateRecurrenceValidation,
+  handleValidationErrors,
+  updateTaskRecurrence
+);
+
+// DELETE /api/projects/:projectId/task-recurrences/:recurrenceId - Delete a recurring task schedule
+router.delete(
+  '/:projectId/task-recurrences/:recurrenceId',
+  projectIdValidation,
+  recurrenceIdValidation,
+  handleValidationErrors,
+  deleteTaskRecurrence
+);
+
+module.exports = router;
@@ -9,9 +9,20 @@ const {
   getTask,
   getTaskStats,
   submitTaskCode,
-  getTaskSubmissions
+  getTaskSubmissions,
+  getSubmission,
+  getSubmissionDiff,
+  addSubmissionComment,
+  reviewSubmission,
+  getTaskDependencies,
+  addTaskDependency,
+  removeTaskDependency,
+  getDependencyGraph,
+  getTaskHistory,
+  getProjectTaskActivity
 } = require('../controllers/taskController');
 const authMiddleware = require('../middleware/auth');
+const { TRACKED_FIELDS } = require('../utils/taskActivityLogger');
 
 
 const router = express.Router();
@@ -44,7 +55,14 @@ const taskIdValidation = [
 ];
 
 const createTaskValidation = [
+  body('template_id')
+    .optional()
+    .isUUID()
+    .withMessage('Template ID must be a valid UUID'),
+  
+  // The title may come from the template instead
   body('title')
+    .if((value, { req }) => !req.body.template_id || value !== undefined)
     .trim()
     .isLength({ min: 1, max: 200 })
     .withMessage('Title must be between 1 and 200 characters'),
@@ -124,6 +142,11 @@ const submitCodeValidation = [
 
 // FIXED: More flexible validation for updates
 const updateTaskValidation = [
+  body('edit_scope')
+    .optional()
+    .isIn(['this', 'all_future'])
+    .withMessage('Edit scope must be this or all_future'),
+  
   body('title')
     .optional()
     .trim()
@@ -215,6 +238,113 @@ const updateTaskValidation = [
     })
 ];
 
+const submissionIdValidation = [
+  param('submissionId')
+    .isUUID()
+    .withMessage('Submission ID must be a valid UUID')
+];
+
+const submissionDiffValidation = [
+  query('to')
+    .isUUID()
+    .withMessage('to must be a valid submission ID'),
+  
+  query('from')
+    .optional()
+    .isUUID()
+    .withMessage('from must be a valid submission ID'),
+  
+  query('context')
+    .optional()
+    .isInt({ min: 0, max: 50 })
+    .withMessage('context must be between 0 and 50 lines')
+];
+
+const lineAnchorValidation = (prefix) => [
+  body(`${prefix}line_start`)
+    .isInt({ min: 1 })
+    .withMessage('line_start must be a positive line number')
+    .toInt(),
+  
+  body(`${prefix}line_end`)
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('line_end must be a positive line number')
+    .toInt(),
+  
+  body(`${prefix}body`)
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Comment must be between 1 and 2000 characters')
+];
+
+const submissionCommentValidation = lineAnchorValidation('');
+
+const reviewSubmissionValidation = [
+  body('decision')
+    .isIn(['approved', 'rejected', 'changes_requested'])
+    .withMessage('Decision must be approved, rejected or changes_requested'),
+  
+  body('feedback')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 5000 })
+    .withMessage('Feedback must not exceed 5000 characters'),
+  
+  body('complete_task')
+    .optional()
+    .isBoolean()
+    .withMessage('complete_task must be a boolean')
+    .toBoolean(),
+  
+  body('comments')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('Comments must be an array of at most 100 items'),
+  
+  ...lineAnchorValidation('comments.*.')
+];
+
+const addDependencyValidation = [
+  body('depends_on_task_id')
+    .isUUID()
+    .withMessage('Dependency task ID must be a valid UUID')
+];
+
+const dependsOnTaskIdValidation = [
+  param('dependsOnTaskId')
+    .isUUID()
+    .withMessage('Dependency task ID must be a valid UUID')
+];
+
+const activityFeedValidation = [
+  query('member')
+    .optional()
+    .isUUID()
+    .withMessage('Member filter must be a valid user ID'),
+  
+  query('field')
+    .optional()
+    .isIn(TRACKED_FIELDS)
+    .withMessage('Invalid field filter'),
+  
+  query('action')
+    .optional()
+    .isIn(['create', 'update', 'delete'])
+    .withMessage('Action must be create, update or delete'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .toInt(),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .toInt()
+];
+
 const getTasksValidation = [
   query('sort_by')
     .optional()
@@ -271,6 +401,23 @@ router.get(
   getTaskStats
 );
 
+// GET /api/projects/:projectId/tasks/dependency-graph - Get task DAG with critical path
+router.get(
+  '/:projectId/tasks/dependency-graph',
+  projectIdValidation,
+  handleValidationErrors,
+  getDependencyGraph
+);
+
+// GET /api/projects/:projectId/tasks/activity - Project-wide task activity feed
+router.get(
+  '/:projectId/tasks/activity',
+  projectIdValidation,
+  activityFeedValidation,
+  handleValidationErrors,
+  getProjectTaskActivity
+);
+
 // GET /api/projects/:projectId/tasks/:taskId - Get a specific task
 router.get(
   '/:projectId/tasks/:taskId',
@@ -317,4 +464,84 @@ router.get(
   getTaskSubmissions
 );
 
+// GET /api/projects/:projectId/tasks/:taskId/submissions/diff - Diff two submissions of a task
+router.get(
+  '/:projectId/tasks/:taskId/submissions/diff',
+  projectIdValidation,
+  taskIdValidation,
+  submissionDiffValidation,
+  handleValidationErrors,
+  getSubmissionDiff
+);
+
+// GET /api/projects/:projectId/tasks/:taskId/submissions/:submissionId - Get a submission with review comments
+router.get(
+  '/:projectId/tasks/:taskId/submissions/:submissionId',
+  projectIdValidation,
+  taskIdValidation,
+  submissionIdValidation,
+  handleValidationErrors,
+  getSubmission
+);
+
+// POST /api/projects/:projectId/tasks/:taskId/submissions/:submissionId/comments - Add a line-anchored comment
+router.post(
+  '/:projectId/tasks/:taskId/submissions/:submissionId/comments',
+  projectIdValidation,
+  taskIdValidation,
+  submissionIdValidation,
+  submissionCommentValidation,
+  handleValidationErrors,
+  addSubmissionComment
+);
+
+// POST /api/projects/:projectId/tasks/:taskId/submissions/:submissionId/review - Approve, reject or request changes
+router.post(
+  '/:projectId/tasks/:taskId/submissions/:submissionId/review',
+  projectIdValidation,
+  taskIdValidation,
+  submissionIdValidation,
+  reviewSubmissionValidation,
+  handleValidationErrors,
+  reviewSubmission
+);
+
+// GET /api/projects/:projectId/tasks/:taskId/history - Get task audit trail
+router.get(
+  '/:projectId/tasks/:taskId/history',
+  projectIdValidation,
+  taskIdValidation,
+  handleValidationErrors,
+  getTaskHistory
+);
+
+// GET /api/projects/:projectId/tasks/:taskId/dependencies - Get task dependencies
+router.get(
+  '/:projectId/tasks/:taskId/dependencies',
+  projectIdValidation,
+  taskIdValidation,
+  handleValidationErrors,
+  getTaskDependencies
+);
+
+// POST /api/projects/:projectId/tasks/:taskId/dependencies - Add a dependency
+router.post(
+  '/:projectId/tasks/:taskId/dependencies',
+  projectIdValidation,
+  taskIdValidation,
+  addDependencyValidation,
+  handleValidationErrors,
+  addTaskDependency
+);
+
+// DELETE /api/projects/:projectId/tasks/:taskId/dependencies/:dependsOnTaskId - Remove a dependency
+router.delete(
+  '/:projectId/tasks/:taskId/dependencies/:dependsOnTaskId',
+  projectIdValidation,
+  taskIdValidation,
+  dependsOnTaskIdValidation,
+  handleValidationErrors,
+  removeTaskDependency
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,125 @@
+// backend/schemas/projectSchemas.js
+const Joi = require('joi');
+
+const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard', 'expert'];
+const EXPERIENCE_LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+const AI_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// ===== AI GENERATED PROJECTS =====
+
+const aiWeeklyTaskSchema = Joi.object({
+  week: Joi.number().integer().min(1).max(12).required(),
+  title: Joi.string().trim().min(3).max(150).required(),
+  subtasks: Joi.array().items(Joi.string().trim().min(2).max(200)).min(1).max(8).required()
+});
+
+/**
+ * A project suggestion as returned by the model (see aiProjectJsonSchema for the prompt side)
+ */
+const aiProjectSchema = Joi.object({
+  title: Joi.string().trim().min(3).max(100).required(),
+  description: Joi.string().trim().min(10).max(600).required(),
+  features: Joi.array().items(Joi.string().trim().min(2).max(200)).min(2).max(8).required(),
+  language: Joi.string().trim().min(1).max(50).required(),
+  topics: Joi.array().items(Joi.string().trim().min(2).max(50)).max(5).default([]),
+  weeks: Joi.number().integer().min(1).max(12).required(),
+  difficulty: Joi.string().trim().lowercase().valid(...AI_DIFFICULTIES).required(),
+  weeklyTasks: Joi.array().items(aiWeeklyTaskSchema).min(1).max(12).required()
+}).custom((project, helpers) => {
+  const weeks = project.weeklyTasks.map(task => task.week);
+  if (new Set(weeks).size !== weeks.length) {
+    return helpers.message('weeklyTasks must have one entry per week');
+  }
+  if (Math.max(...weeks) > project.weeks) {
+    return helpers.message('weeklyTasks cannot go past the number of weeks');
+  }
+  return { ...project, weeklyTasks: [...project.weeklyTasks].sort((a, b) => a.week - b.week) };
+});
+
+/**
+ * Chat reply: conversational text, plus a project when the user asked for one
+ */
+const aiChatReplySchema = Joi.object({
+  reply: Joi.string().trim().min(1).max(8000).required(),
+  project: aiProjectSchema.allow(null).default(null)
+});
+
+// JSON Schema versions of the above, sent to the model as its response schema
+const aiProjectJsonSchema = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', description: 'Short project name' },
+    description: { type: 'string', description: '1-2 sentence description' },
+    features: { type: 'array', items: { type: 'string' }, minItems: 2, maxItems: 8 },
+    language: { type: 'string', description: 'Exactly one programming language, e.g. JavaScript or Python (no frameworks)' },
+    topics: { type: 'array', items: { type: 'string' }, maxItems: 5 },
+    weeks: { type: 'integer', minimum: 1, maximum: 12 },
+    difficulty: { type: 'string', enum: AI_DIFFICULTIES },
+    weeklyTasks: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 12,
+      items: {
+        type: 'object',
+        properties: {
+          week: { type: 'integer', minimum: 1 },
+          title: { type: 'string' },
+          subtasks: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: 8 }
+        },
+        required: ['week', 'title', 'subtasks']
+      }
+    }
+  },
+  required: ['title', 'description', 'features', 'language', 'weeks', 'difficulty', 'weeklyTasks']
+};
+
+const aiChatReplyJsonSchema = {
+  type: 'object',
+  properties: {
+    reply: { type: 'string', description: 'Message shown to the user' },
+    project: {
+      anyOf: [aiProjectJsonSchema, { type: 'null' }],
+      description: 'Only when the user asked for a project idea, otherwise null'
+    }
+  },
+  required: ['reply', 'project']
+};
+
+// ===== PROJECT CREATION FROM AN AI SUGGESTION =====
+
+const aiCreateTaskSchema = Joi.object({
+  title: Joi.string().trim().min(1).max(255).required(),
+  description: Joi.string().allow('', null).max(5000),
+  priority: Joi.string().valid('low', 'medium', 'high', 'urgent'),
+  category: Joi.string().max(50),
+  estimated_hours: Joi.number().integer().min(0).max(1000).allow(null),
+  target_date: Joi.date().iso().allow(null)
+}).unknown(true);
+
+/**
+ * projectData accepted by POST /api/ai-chat/create-project
+ */
+const aiCreateProjectSchema = Joi.object({
+  title: Joi.string().trim().min(3).max(255).required(),
+  description: Joi.string().trim().min(10).max(2000).required(),
+  detailed_description: Joi.string().allow('', null).max(10000),
+  required_experience_level: Joi.string().valid(...EXPERIENCE_LEVELS).allow(null),
+  maximum_members: Joi.number().integer().min(1).max(50),
+  estimated_duration_weeks: Joi.number().integer().min(1).max(104).allow(null),
+  difficulty_level: Joi.string().lowercase().valid(...DIFFICULTY_LEVELS).allow(null),
+  github_repo_url: Joi.string().uri().allow('', null),
+  deadline: Joi.date().iso().allow(null),
+  programming_languages: Joi.array().items(Joi.string().trim().max(50)).max(10).default([]),
+  topics: Joi.array().items(Joi.string().trim().max(50)).max(10).default([]),
+  tasks: Joi.array().items(aiCreateTaskSchema).max(52).default([])
+}).unknown(true);
+
+module.exports = {
+  DIFFICULTY_LEVELS,
+  EXPERIENCE_LEVELS,
+  aiProjectSchema,
+  aiChatReplySchema,
+  aiProjectJsonSchema,
+  aiChatReplyJsonSchema,
+  aiCreateProjectSchema
+};
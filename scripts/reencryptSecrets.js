@@ -0,0 +1,105 @@
+// scripts/reencryptSecrets.js - Rewrap encrypted secrets with the current DATA_ENCRYPTION_KEY_ID
+// Also encrypts GitHub tokens stored in plaintext before encryption was introduced.
+// Usage: node scripts/reencryptSecrets.js [--dry-run]
+//
+// Key rotation: put the new key first in DATA_ENCRYPTION_KEYS (keeping the old one), deploy,
+// run this script, then remove the old key once it reports nothing left to rewrap.
+// Values written before DATA_ENCRYPTION_KEYS was set use the "default" key, derived from
+// DATA_ENCRYPTION_KEY (or JWT_SECRET); it stays in the keyring automatically, so leave that
+// variable unchanged until this script reports nothing left to rewrap.
+require('dotenv').config();
+
+if (!process.env.SUPABASE_URL) {
+    console.error('❌ SUPABASE_URL is required in .env file');
+    process.exit(1);
+}
+
+const supabase = require('../config/supabase');
+const { encrypt, reencrypt, isEncrypted, needsReencryption } = require('../utils/encryption');
+
+const BATCH_SIZE = 200;
+
+// Tables and columns holding values produced by utils/encryption
+const TARGETS = [
+    { table: 'github_oauth_tokens', key: 'user_id', columns: ['access_token', 'refresh_token'] },
+    { table: 'user_two_factor', key: 'user_id', columns: ['secret_encrypted'] }
+];
+
+const rewrap = value => isEncrypted(value) ? reencrypt(value) : encrypt(value);
+
+async function processTable({ table, key, columns }, dryRun) {
+    const stats = { scanned: 0, updated: 0, failed: 0 };
+    let from = 0;
+
+    while (true) {
+        const { data: rows, error } = await supabase
+            .from(table)
+            .select([key, ...columns].join(', '))
+            .order(key)
+            .range(from, from + BATCH_SIZE - 1);
+
+        if (error) throw error;
+        if (!rows || rows.length === 0) break;
+
+        for (const row of rows) {
+            stats.scanned++;
+            const updates = {};
+
+            for (const column of columns) {
+                const value = row[column];
+                if (value && needsReencryption(value)) updates[column] = value;
+            }
+
+            if (Object.keys(updates).length === 0) continue;
+
+            try {
+                for (const column of Object.keys(updates)) updates[column] = rewrap(updates[column]);
+
+                if (!dryRun) {
+                    const { error: updateError } = await supabase
+                        .from(table)
+                        .update(updates)
+                        .eq(key, row[key]);
+                    if (updateError) throw updateError;
+                }
+                stats.updated++;
+            } catch (rowError) {
+                stats.failed++;
+                console.error(`   ⚠️ ${table} ${row[key]}: ${rowError.message}`);
+            }
+        }
+
+        if (rows.length < BATCH_SIZE) break;
+        from += BATCH_SIZE;
+    }
+
+    return stats;
+}
+
+async function main() {
+    const dryRun = process.argv.includes('--dry-run');
+    console.log(`🔐 Re-encrypting stored secrets${dryRun ? ' (dry run)' : ''}...`);
+
+    let failed = 0;
+    for (const target of TARGETS) {
+        const stats = await processTable(target, dryRun);
+        failed += stats.failed;
+        console.log(`   ${target.table}: ${stats.scanned} rows scanned, ${stats.updated} ${dryRun ? 'to rewrap' : 'rewrapped'}, ${stats.failed} failed`);
+    }
+
+    if (failed > 0) {
+        throw new Error(`${failed} rows could not be re-encrypted (is every old key still in DATA_ENCRYPTION_KEYS?)`);
+    }
+    console.log('✅ Done');
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error('💥 Re-encryption failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { main };
@@ -0,0 +1,104 @@
+// scripts/replayGitHubWebhook.js - Replay a recorded GitHub webhook delivery
+// Usage:
+//   node scripts/replayGitHubWebhook.js <delivery.json> [--url=http://localhost:5000/api/github/webhooks --secret=...]
+//   node scripts/replayGitHubWebhook.js <payload.json> --event=pull_request [--url=...]
+//
+// <delivery.json> is a file written when GITHUB_WEBHOOK_RECORD_DIR is set ({ event, deliveryId, payload });
+// a bare payload (e.g. copied from the repository's "Recent Deliveries" page) needs --event.
+// Sample deliveries live in tests/fixtures/github; npm run test:webhooks replays them against an
+// in-memory database.
+// With --url the delivery is signed with the linked repository's webhook secret (--secret, or
+// GITHUB_WEBHOOK_SECRET) and posted to a running server, which exercises signature checking end to end.
+// Without it the payload is handed straight to the service for every project linked to the repository.
+// A fresh delivery id is used unless --keep-delivery-id is passed, since repeated ids are skipped.
+require('dotenv').config();
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const parseArgs = (argv) => {
+    const args = { _: [] };
+    argv.forEach(arg => {
+        if (!arg.startsWith('--')) {
+            args._.push(arg);
+            return;
+        }
+        const [key, ...rest] = arg.replace(/^--/, '').split('=');
+        args[key] = rest.length ? rest.join('=') : true;
+    });
+    return args;
+};
+
+const loadDelivery = (file, args) => {
+    const recorded = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const isRecording = recorded && recorded.payload && recorded.event;
+
+    const event = typeof args.event === 'string' ? args.event : isRecording ? recorded.event : null;
+    if (!event) throw new Error('Pass --event=<name> when replaying a bare payload');
+
+    return {
+        event,
+        payload: isRecording ? recorded.payload : recorded,
+        deliveryId: args['keep-delivery-id'] && recorded.deliveryId ? recorded.deliveryId : crypto.randomUUID()
+    };
+};
+
+async function postToServer(url, secret, { event, payload, deliveryId }) {
+    const axios = require('axios');
+    const githubWebhookService = require('../services/githubWebhookService');
+
+    if (!secret) {
+        throw new Error('Pass --secret (or set GITHUB_WEBHOOK_SECRET) with the repository\'s webhook secret to sign the delivery');
+    }
+
+    const body = JSON.stringify(payload);
+    const response = await axios.post(url, body, {
+        headers: {
+            'Content-Type': 'application/json',
+            'X-GitHub-Event': event,
+            'X-GitHub-Delivery': deliveryId,
+            'X-Hub-Signature-256': githubWebhookService.sign(body, secret)
+        },
+        validateStatus: () => true
+    });
+
+    console.log(`   HTTP ${response.status}`);
+    return response.data;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const [file] = args._;
+    if (!file) throw new Error('Usage: node scripts/replayGitHubWebhook.js <delivery.json> [--event=push] [--url=...]');
+
+    const delivery = loadDelivery(file, args);
+    console.log(`🪝 Replaying ${delivery.event}${delivery.payload.action ? `.${delivery.payload.action}` : ''} (delivery ${delivery.deliveryId})`);
+
+    let result;
+    if (typeof args.url === 'string') {
+        const secret = typeof args.secret === 'string' ? args.secret : process.env.GITHUB_WEBHOOK_SECRET;
+        result = await postToServer(args.url, secret, delivery);
+    } else {
+        if (!process.env.SUPABASE_URL) throw new Error('SUPABASE_URL is required in .env file');
+        const githubWebhookService = require('../services/githubWebhookService');
+        const linked = await githubWebhookService.getLinkedProjects(delivery.payload.repository?.full_name);
+        const projects = linked.map(({ webhook_secret_encrypted, ...project }) => project);
+        result = await githubWebhookService.handleEvent(delivery.event, delivery.payload, {
+            deliveryId: delivery.deliveryId,
+            projects
+        });
+    }
+
+    console.log(JSON.stringify(result, null, 2));
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error('💥 Replay failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { main, loadDelivery };
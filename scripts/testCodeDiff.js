@@ -0,0 +1,76 @@
+// backend/scripts/testCodeDiff.js
+// Checks the unified diff hunks used for submission comparisons: nearby changes share a hunk
+// without dropping lines, distant ones are split, and the hunks patch the old code into the new.
+const assert = require('assert');
+const { createUnifiedDiff } = require('../utils/codeDiff');
+
+const makeLines = count => Array.from({ length: count }, (_, i) => `line ${i + 1}`);
+
+// Apply hunks to the old lines using only the header positions and the hunk bodies
+const applyHunks = (oldLines, hunks) => {
+  const result = [];
+  let cursor = 0;
+
+  hunks.forEach(hunk => {
+    const hunkStart = hunk.old_lines === 0 ? hunk.old_start : hunk.old_start - 1;
+    result.push(...oldLines.slice(cursor, hunkStart));
+    cursor = hunkStart;
+
+    hunk.lines.forEach(line => {
+      if (line.type !== 'insert') {
+        assert.strictEqual(oldLines[cursor], line.content, `hunk line does not match old line ${cursor + 1}`);
+        cursor++;
+      }
+      if (line.type !== 'delete') result.push(line.content);
+    });
+  });
+
+  return [...result, ...oldLines.slice(cursor)];
+};
+
+const checkGap = (contextLines, gap) => {
+  const oldLines = makeLines(2 * contextLines + gap + 12);
+  const newLines = [...oldLines];
+  const first = contextLines + 3;
+  const second = first + gap + 1;
+  newLines[first] = 'changed A';
+  newLines[second] = 'changed B';
+
+  const { hunks } = createUnifiedDiff(oldLines.join('\n'), newLines.join('\n'), { contextLines });
+
+  const expectedHunks = gap <= 2 * contextLines ? 1 : 2;
+  assert.strictEqual(hunks.length, expectedHunks, `context ${contextLines}, gap ${gap}: expected ${expectedHunks} hunk(s), got ${hunks.length}`);
+
+  hunks.forEach(hunk => {
+    assert.strictEqual(hunk.old_lines, hunk.lines.filter(line => line.type !== 'insert').length, 'old line count in header');
+    assert.strictEqual(hunk.new_lines, hunk.lines.filter(line => line.type !== 'delete').length, 'new line count in header');
+  });
+
+  if (expectedHunks === 1) {
+    // Context before, change, the whole gap, change, context after
+    assert.strictEqual(hunks[0].old_lines, contextLines + 2 + gap + contextLines, `context ${contextLines}, gap ${gap}: gap lines dropped`);
+  }
+
+  assert.deepStrictEqual(applyHunks(oldLines, hunks), newLines, `context ${contextLines}, gap ${gap}: hunks do not reproduce the new code`);
+};
+
+let passed = 0;
+for (let contextLines = 0; contextLines <= 4; contextLines++) {
+  for (let gap = contextLines; gap <= 2 * contextLines + 1; gap++) {
+    checkGap(contextLines, gap);
+    passed++;
+  }
+}
+
+// The reported case: changes 5 lines apart with the default context form one 9-line hunk
+const oldCode = makeLines(9).join('\n');
+const newCode = ['changed 1', ...makeLines(9).slice(1, 6), 'changed 7', ...makeLines(9).slice(7)].join('\n');
+const { unified } = createUnifiedDiff(oldCode, newCode);
+assert.ok(unified.includes('@@ -1,9 +1,9 @@'), `unexpected header:\n${unified}`);
+passed++;
+
+// Identical input has no hunks
+assert.strictEqual(createUnifiedDiff(oldCode, oldCode).hunks.length, 0);
+passed++;
+
+console.log(`✅ Code diff: ${passed} checks passed`);
@@ -0,0 +1,248 @@
+// backend/scripts/testGitHubWebhook.js
+// Replays the recorded deliveries in tests/fixtures/github through the webhook service: task
+// references in commits, pull requests and issues, per-repository signatures, and merged pull
+// requests moving their tasks. The database is replaced with an in-memory table store.
+const assert = require('assert');
+const path = require('path');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'github-webhook-test-secret';
+
+const FIXTURES_DIR = path.join(__dirname, '../tests/fixtures/github');
+
+// ---- In-memory stand-in for the few Supabase query features the service uses ----
+let tables = {};
+
+const from = (table) => {
+  const rows = tables[table] || (tables[table] = []);
+  const filters = [];
+  let action = 'select';
+  let payload = null;
+  let conflictColumns = [];
+
+  const run = () => {
+    if (action === 'insert') {
+      const inserted = [].concat(payload).map(row => ({ id: `${table}-${rows.length + 1}`, ...row }));
+      rows.push(...inserted);
+      return inserted;
+    }
+    if (action === 'upsert') {
+      return [].concat(payload).map(row => {
+        const existing = rows.find(candidate => conflictColumns.every(column => candidate[column] === row[column]));
+        if (existing) return Object.assign(existing, row);
+        const inserted = { id: `${table}-${rows.length + 1}`, ...row };
+        rows.push(inserted);
+        return inserted;
+      });
+    }
+
+    const matching = rows.filter(row => filters.every(filter => filter(row)));
+    if (action === 'update') matching.forEach(row => Object.assign(row, payload));
+    return matching;
+  };
+
+  const result = () => ({ data: run().map(row => ({ ...row })), error: null });
+
+  const query = {
+    select: () => query,
+    insert: (rowsToInsert) => { action = 'insert'; payload = rowsToInsert; return query; },
+    upsert: (rowsToUpsert, { onConflict = 'id' } = {}) => {
+      action = 'upsert';
+      payload = rowsToUpsert;
+      conflictColumns = onConflict.split(',');
+      return query;
+    },
+    update: (values) => { action = 'update'; payload = values; return query; },
+    eq: (column, value) => { filters.push(row => row[column] === value); return query; },
+    in: (column, values) => { filters.push(row => values.includes(row[column])); return query; },
+    ilike: (column, pattern) => {
+      filters.push(row => String(row[column]).toLowerCase() === pattern.replace(/\\(.)/g, '$1').toLowerCase());
+      return query;
+    },
+    single: async () => {
+      const { data } = result();
+      return data.length === 1 ? { data: data[0], error: null } : { data: null, error: new Error('Expected one row') };
+    },
+    maybeSingle: async () => ({ data: result().data[0] || null, error: null }),
+    then: (resolve, reject) => Promise.resolve(result()).then(resolve, reject)
+  };
+  return query;
+};
+
+require.cache[path.resolve(__dirname, '../config/supabase.js')] = {
+  id: path.resolve(__dirname, '../config/supabase.js'),
+  loaded: true,
+  exports: { from }
+};
+
+const notificationService = require('../services/notificationService');
+const githubWebhookService = require('../services/githubWebhookService');
+const { loadDelivery } = require('./replayGitHubWebhook');
+
+const notifications = [];
+notificationService.publish = async (notification) => { notifications.push(notification); };
+
+const REPOSITORY = 'techsync-dev/techsync-demo';
+const PROJECT_ID = 'a1b2c3d4-0000-4000-8000-000000000001';
+const SESSION_TASK = '3f2a9c41-7b8e-4d2a-9c1f-0a1b2c3d4e5f';
+const AVATAR_TASK = '8c7d6e5f-1a2b-4c3d-8e9f-112233445566';
+const BLOCKED_TASK = '5b4a3c2d-9e8f-4a7b-8c6d-5e4f3a2b1c0d';
+const BLOCKER_TASK = 'd0c1b2a3-4e5f-4a6b-9c7d-8e9f0a1b2c3d';
+const MERGER_USER = 'user-grace';
+
+const fixture = name => loadDelivery(path.join(FIXTURES_DIR, name), { 'keep-delivery-id': true });
+
+const resetTables = (mergedPrStatus) => {
+  tables = {
+    project_github_repos: [{ project_id: PROJECT_ID, repository_full_name: REPOSITORY, branch: 'main', merged_pr_status: mergedPrStatus }],
+    project_tasks: [
+      { id: SESSION_TASK, project_id: PROJECT_ID, title: 'Session refresh', status: 'in_progress', assigned_to: 'user-ada' },
+      { id: AVATAR_TASK, project_id: PROJECT_ID, title: 'Avatar uploads', status: 'todo', assigned_to: null },
+      { id: BLOCKED_TASK, project_id: PROJECT_ID, title: 'Profile cleanup', status: 'in_progress', assigned_to: null },
+      { id: BLOCKER_TASK, project_id: PROJECT_ID, title: 'Profile schema', status: 'todo', assigned_to: null }
+    ],
+    task_dependencies: [
+      { task_id: BLOCKED_TASK, depends_on_task_id: BLOCKER_TASK, blocker: { id: BLOCKER_TASK, status: 'todo' } }
+    ],
+    github_oauth_tokens: [{ user_id: MERGER_USER, github_user_id: 4410099 }]
+  };
+  notifications.length = 0;
+};
+
+const linkedProjects = async () => githubWebhookService.getLinkedProjects(REPOSITORY);
+const taskStatus = id => tables.project_tasks.find(task => task.id === id).status;
+
+const run = async () => {
+  let passed = 0;
+
+  // Task references: short ids (8+ hex chars) and full uuids, case-insensitive and de-duplicated
+  assert.deepStrictEqual(
+    githubWebhookService.extractTaskReferences('Fix TS-3F2A9C41 and ts-3f2a9c41, see #task-8C7D6E5F-1A2B-4C3D-8E9F-112233445566'),
+    { shortIds: ['3f2a9c41'], taskIds: [AVATAR_TASK] }
+  );
+  assert.deepStrictEqual(githubWebhookService.extractTaskReferences('TS-3f2a9c4 is too short; XTS-3f2a9c41 is not a word'), { shortIds: [], taskIds: [] });
+  assert.deepStrictEqual(githubWebhookService.extractTaskReferences(null), { shortIds: [], taskIds: [] });
+  passed++;
+
+  const pullRequest = fixture('pull_request-merged.json');
+  assert.deepStrictEqual(
+    githubWebhookService.extractTaskReferences(pullRequest.payload.pull_request.title),
+    { shortIds: ['3f2a9c41', '5b4a3c2d'], taskIds: [] }
+  );
+  passed++;
+
+  // Signatures: only the exact HMAC of the raw body with the repository's secret is accepted
+  const { secret } = githubWebhookService.createWebhookSecret();
+  const body = Buffer.from(JSON.stringify(pullRequest.payload));
+  const signature = githubWebhookService.sign(body, secret);
+  assert.strictEqual(githubWebhookService.verifySignature(body, signature, secret), true);
+  assert.strictEqual(githubWebhookService.verifySignature(body, githubWebhookService.sign(body, 'another secret'), secret), false);
+  assert.strictEqual(githubWebhookService.verifySignature(Buffer.from(`${body} `), signature, secret), false);
+  assert.strictEqual(githubWebhookService.verifySignature(body, signature.slice(0, -2), secret), false);
+  assert.strictEqual(githubWebhookService.verifySignature(body, `${signature}00`, secret), false);
+  assert.strictEqual(githubWebhookService.verifySignature(body, signature.replace('sha256=', 'sha1='), secret), false);
+  assert.strictEqual(githubWebhookService.verifySignature(body, undefined, secret), false);
+  assert.strictEqual(githubWebhookService.verifySignature(body, signature, undefined), false);
+  passed++;
+
+  // A delivery only authenticates for projects whose own secret signed it
+  resetTables('completed');
+  const linkedSecret = githubWebhookService.createWebhookSecret();
+  const otherSecret = githubWebhookService.createWebhookSecret();
+  tables.project_github_repos[0].webhook_secret_encrypted = linkedSecret.encrypted;
+  tables.project_github_repos.push({
+    project_id: 'project-other', repository_full_name: 'someone-else/their-repo', webhook_secret_encrypted: otherSecret.encrypted
+  });
+  const authenticated = await githubWebhookService.authenticateDelivery(body, githubWebhookService.sign(body, linkedSecret.secret), REPOSITORY);
+  assert.deepStrictEqual(authenticated.map(project => project.project_id), [PROJECT_ID]);
+  assert.ok(!('webhook_secret_encrypted' in authenticated[0]), 'secrets are not passed on to the handlers');
+  assert.deepStrictEqual(await githubWebhookService.authenticateDelivery(body, githubWebhookService.sign(body, otherSecret.secret), REPOSITORY), []);
+  passed++;
+
+  // push: distinct commits with references become links; the duplicate merge commit is skipped
+  resetTables(null);
+  const push = fixture('push.json');
+  const pushResult = await githubWebhookService.handleEvent(push.event, push.payload, { deliveryId: push.deliveryId, projects: await linkedProjects() });
+  assert.deepStrictEqual(pushResult, { repository: REPOSITORY, linked: 2 });
+  assert.deepStrictEqual(
+    tables.task_github_links.map(link => [link.task_id, link.link_type, link.state]).sort(),
+    [[AVATAR_TASK, 'commit', 'main'], [SESSION_TASK, 'commit', 'main']].sort()
+  );
+  passed++;
+
+  // issues: linked by full task uuid
+  const issue = fixture('issues-opened.json');
+  const issueResult = await githubWebhookService.handleEvent(issue.event, issue.payload, { deliveryId: issue.deliveryId, projects: await linkedProjects() });
+  assert.deepStrictEqual(issueResult, { repository: REPOSITORY, linked: 1 });
+  assert.ok(tables.task_github_links.some(link => link.task_id === AVATAR_TASK && link.link_type === 'issue' && link.external_id === '17'));
+  passed++;
+
+  // Merged pull request with merged_pr_status "completed": unblocked tasks complete, blocked ones wait
+  resetTables('completed');
+  const merged = await githubWebhookService.handleEvent(pullRequest.event, pullRequest.payload, {
+    deliveryId: pullRequest.deliveryId,
+    projects: await linkedProjects()
+  });
+  assert.strictEqual(merged.linked, 2);
+  assert.deepStrictEqual(merged.moved, [
+    { task_id: SESSION_TASK, status: 'completed' },
+    { task_id: BLOCKED_TASK, status: 'in_progress', skipped: 'blocked' }
+  ]);
+  assert.strictEqual(taskStatus(SESSION_TASK), 'completed');
+  assert.ok(tables.project_tasks.find(task => task.id === SESSION_TASK).completed_at);
+  assert.strictEqual(taskStatus(BLOCKED_TASK), 'in_progress');
+
+  const [activity] = tables.task_activity;
+  assert.strictEqual(tables.task_activity.length, 1);
+  assert.strictEqual(activity.task_id, SESSION_TASK);
+  assert.strictEqual(activity.source, 'github');
+  assert.strictEqual(activity.actor_id, MERGER_USER);
+  assert.deepStrictEqual(activity.changes.status, { before: 'in_progress', after: 'completed' });
+
+  assert.strictEqual(notifications.length, 1);
+  assert.strictEqual(notifications[0].userId, 'user-ada');
+  passed++;
+
+  // Redelivering the same delivery id does not apply it again
+  const redelivered = await githubWebhookService.handleEvent(pullRequest.event, pullRequest.payload, {
+    deliveryId: pullRequest.deliveryId,
+    projects: await linkedProjects()
+  });
+  assert.strictEqual(redelivered.duplicate, true);
+  assert.strictEqual(tables.task_activity.length, 1);
+  passed++;
+
+  // merged_pr_status "in_review" moves the tasks there instead, blockers or not
+  resetTables('in_review');
+  const reviewed = await githubWebhookService.handleEvent(pullRequest.event, pullRequest.payload, { projects: await linkedProjects() });
+  assert.deepStrictEqual(reviewed.moved, [
+    { task_id: SESSION_TASK, status: 'in_review' },
+    { task_id: BLOCKED_TASK, status: 'in_review' }
+  ]);
+  passed++;
+
+  // Without merged_pr_status, or for a PR closed without merging, statuses are left alone
+  resetTables(null);
+  const untouched = await githubWebhookService.handleEvent(pullRequest.event, pullRequest.payload, { projects: await linkedProjects() });
+  assert.deepStrictEqual(untouched.moved, []);
+
+  resetTables('completed');
+  const closedPayload = { ...pullRequest.payload, pull_request: { ...pullRequest.payload.pull_request, merged: false } };
+  const closed = await githubWebhookService.handleEvent('pull_request', closedPayload, { projects: await linkedProjects() });
+  assert.deepStrictEqual(closed.moved, []);
+  assert.strictEqual(taskStatus(SESSION_TASK), 'in_progress');
+  passed++;
+
+  // A delivery that authenticated for no project changes nothing
+  resetTables('completed');
+  const unauthenticated = await githubWebhookService.handleEvent(pullRequest.event, pullRequest.payload, { projects: [] });
+  assert.deepStrictEqual(unauthenticated, { repository: REPOSITORY, linked: 0, moved: [] });
+  assert.strictEqual(taskStatus(SESSION_TASK), 'in_progress');
+  passed++;
+
+  console.log(`✅ GitHub webhooks: ${passed} checks passed`);
+};
+
+run().catch(error => {
+  console.error('❌ GitHub webhook checks failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,204 @@
+// backend/scripts/testTwoFactor.js
+// Checks TOTP codes against the RFC 6238 test vectors and the two-factor service rules: a time
+// step works once, recovery codes are single-use, and login challenges expire and cap attempts.
+// The database is replaced with an in-memory table store, so no Supabase project is needed.
+const assert = require('assert');
+const path = require('path');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'two-factor-test-secret';
+
+// ---- In-memory stand-in for the few Supabase query features the service uses ----
+const tables = {};
+
+const matchOr = (row, expression) => expression.split(',').some(condition => {
+  const [column, operator, value] = condition.split('.');
+  if (operator === 'is' && value === 'null') return row[column] === null || row[column] === undefined;
+  if (operator === 'lt') return row[column] !== null && Number(row[column]) < Number(value);
+  throw new Error(`Unsupported filter ${condition}`);
+});
+
+const from = (table) => {
+  const rows = tables[table] || (tables[table] = []);
+  const filters = [];
+  let action = 'select';
+  let payload = null;
+  let countOnly = false;
+
+  const run = () => {
+    const matching = rows.filter(row => filters.every(filter => filter(row)));
+
+    if (action === 'insert') {
+      const inserted = [].concat(payload).map((row, index) => ({ id: `${table}-${rows.length + index + 1}`, ...row }));
+      rows.push(...inserted);
+      return { data: inserted, error: null };
+    }
+    if (action === 'upsert') {
+      const existing = rows.find(row => row[payload.key] === payload.row[payload.key]);
+      if (existing) Object.assign(existing, payload.row);
+      else rows.push({ ...payload.row });
+      return { data: [payload.row], error: null };
+    }
+    if (action === 'update') {
+      matching.forEach(row => Object.assign(row, payload));
+    }
+    if (action === 'delete') {
+      matching.forEach(row => rows.splice(rows.indexOf(row), 1));
+    }
+    if (countOnly) return { data: null, count: matching.length, error: null };
+    return { data: matching.map(row => ({ ...row })), error: null };
+  };
+
+  const query = {
+    select: (columns, options = {}) => { countOnly = Boolean(options.head); return query; },
+    insert: (rowsToInsert) => { action = 'insert'; payload = rowsToInsert; return query; },
+    upsert: (row, { onConflict } = {}) => { action = 'upsert'; payload = { row, key: onConflict }; return query; },
+    update: (values) => { action = 'update'; payload = values; return query; },
+    delete: () => { action = 'delete'; return query; },
+    eq: (column, value) => { filters.push(row => row[column] === value); return query; },
+    is: (column, value) => { filters.push(row => (row[column] ?? null) === value); return query; },
+    or: (expression) => { filters.push(row => matchOr(row, expression)); return query; },
+    maybeSingle: async () => {
+      const { data, error } = run();
+      return { data: data[0] || null, error };
+    },
+    then: (resolve, reject) => Promise.resolve(run()).then(resolve, reject)
+  };
+  return query;
+};
+
+require.cache[path.resolve(__dirname, '../config/supabase.js')] = {
+  id: path.resolve(__dirname, '../config/supabase.js'),
+  loaded: true,
+  exports: { from }
+};
+
+const totp = require('../utils/totp');
+const { encrypt } = require('../utils/encryption');
+const twoFactorService = require('../services/twoFactorService');
+
+const expectRejection = async (promise, statusCode, pattern) => {
+  await assert.rejects(promise, error => {
+    assert.strictEqual(error.statusCode, statusCode, `expected ${statusCode}, got ${error.statusCode}: ${error.message}`);
+    if (pattern) assert.match(error.message, pattern);
+    return true;
+  });
+};
+
+const expectThrow = (fn, statusCode, code) => {
+  assert.throws(fn, error => {
+    assert.strictEqual(error.statusCode, statusCode, `expected ${statusCode}, got ${error.statusCode}: ${error.message}`);
+    assert.strictEqual(error.code, code);
+    return true;
+  });
+};
+
+const run = async () => {
+  let passed = 0;
+
+  // RFC 6238 appendix B (SHA-1 seed "12345678901234567890"); our 6-digit codes are the low digits
+  const rfcSecret = totp.base32Encode(Buffer.from('12345678901234567890', 'ascii'));
+  assert.strictEqual(rfcSecret, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  const vectors = [
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+    [20000000000, '65353130']
+  ];
+  vectors.forEach(([seconds, expected]) => {
+    const now = seconds * 1000;
+    assert.strictEqual(totp.generateCode(rfcSecret, now), expected.slice(-totp.DIGITS), `RFC 6238 vector at T=${seconds}`);
+    assert.strictEqual(totp.verifyCode(rfcSecret, expected.slice(-totp.DIGITS), now), Math.floor(seconds / totp.STEP_SECONDS));
+    passed++;
+  });
+
+  // One step of drift either way is accepted, two are not; malformed input never matches
+  const now = 1700000000000;
+  const step = Math.floor(now / 1000 / totp.STEP_SECONDS);
+  assert.strictEqual(totp.verifyCode(rfcSecret, totp.hotp(rfcSecret, step - 1), now), step - 1);
+  assert.strictEqual(totp.verifyCode(rfcSecret, totp.hotp(rfcSecret, step + 1), now), step + 1);
+  assert.strictEqual(totp.verifyCode(rfcSecret, totp.hotp(rfcSecret, step - 2), now), null);
+  assert.strictEqual(totp.verifyCode(rfcSecret, '12345', now), null);
+  assert.strictEqual(totp.verifyCode(rfcSecret, 'abcdef', now), null);
+  passed++;
+
+  // Base32 round trip of a generated secret
+  const secret = totp.generateSecret();
+  assert.strictEqual(totp.base32Encode(totp.base32Decode(secret)), secret);
+  passed++;
+
+  // A time step can only be used once, and never an older one after it
+  const userId = 'user-1';
+  tables.user_two_factor = [{
+    user_id: userId,
+    secret_encrypted: encrypt(secret),
+    enabled: true,
+    last_used_step: null
+  }];
+
+  const code = totp.generateCode(secret);
+  assert.deepStrictEqual(await twoFactorService.verifyCode(userId, code), { method: 'totp' });
+  await expectRejection(twoFactorService.verifyCode(userId, code), 401, /already been used/);
+  const previousCode = totp.hotp(secret, totp.verifyCode(secret, code) - 1);
+  await expectRejection(twoFactorService.verifyCode(userId, previousCode), 401, /already been used/);
+  passed++;
+
+  // Recovery codes work once each, ignoring case and separators
+  const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(userId);
+  assert.strictEqual(recoveryCodes.length, 10);
+  assert.strictEqual(new Set(recoveryCodes).size, 10);
+
+  const [first, second] = recoveryCodes;
+  assert.deepStrictEqual(await twoFactorService.verifyCode(userId, first), { method: 'recovery_code' });
+  await expectRejection(twoFactorService.verifyCode(userId, first), 401, /Invalid verification code/);
+  assert.deepStrictEqual(await twoFactorService.verifyCode(userId, second.replace('-', '').toUpperCase()), { method: 'recovery_code' });
+  await expectRejection(twoFactorService.verifyCode(userId, second), 401, /Invalid verification code/);
+  passed++;
+
+  // Regenerating invalidates the old codes
+  const [oldUnused] = recoveryCodes.slice(2);
+  await twoFactorService.regenerateRecoveryCodes(userId);
+  await expectRejection(twoFactorService.verifyCode(userId, oldUnused), 401, /Invalid verification code/);
+  passed++;
+
+  // A challenge allows a limited number of attempts
+  const { challengeToken } = twoFactorService.createChallenge(userId);
+  for (let attempt = 1; attempt <= 5; attempt++) {
+    assert.strictEqual(twoFactorService.verifyChallenge(challengeToken).userId, userId);
+  }
+  expectThrow(() => twoFactorService.verifyChallenge(challengeToken), 429, 'CHALLENGE_EXPIRED');
+  passed++;
+
+  // A completed challenge cannot be used again
+  const completed = twoFactorService.createChallenge(userId);
+  twoFactorService.verifyChallenge(completed.challengeToken).complete();
+  expectThrow(() => twoFactorService.verifyChallenge(completed.challengeToken), 401, 'CHALLENGE_EXPIRED');
+  passed++;
+
+  // Challenges expire after five minutes, and their attempt counters are pruned with them
+  const realNow = Date.now;
+  const expiring = twoFactorService.createChallenge(userId);
+  twoFactorService.verifyChallenge(expiring.challengeToken);
+  try {
+    const later = realNow() + 6 * 60 * 1000;
+    Date.now = () => later;
+    expectThrow(() => twoFactorService.verifyChallenge(expiring.challengeToken), 401, 'CHALLENGE_EXPIRED');
+    twoFactorService.pruneChallenges();
+    assert.strictEqual(twoFactorService.challenges.size, 0);
+  } finally {
+    Date.now = realNow;
+  }
+  passed++;
+
+  // Tokens that are not login challenges are refused
+  expectThrow(() => twoFactorService.verifyChallenge('not-a-token'), 401, 'CHALLENGE_EXPIRED');
+  passed++;
+
+  console.log(`✅ Two-factor: ${passed} checks passed`);
+};
+
+run().catch(error => {
+  console.error('❌ Two-factor checks failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,59 @@
+// scripts/trainRecommendationWeights.js - Offline training of recommendation feature weights
+// Usage: node scripts/trainRecommendationWeights.js [--since=2025-01-01] [--notes="..."] [--activate]
+require('dotenv').config();
+
+if (!process.env.SUPABASE_URL) {
+    console.error('❌ SUPABASE_URL is required in .env file');
+    process.exit(1);
+}
+
+const recommendationWeightService = require('../services/recommendationWeightService');
+
+const parseArgs = (argv) => {
+    const args = {};
+    argv.forEach(arg => {
+        const [key, ...rest] = arg.replace(/^--/, '').split('=');
+        args[key] = rest.length ? rest.join('=') : true;
+    });
+    return args;
+};
+
+const formatMetrics = (label, metrics) => {
+    const pct = (value) => value == null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+    console.log(`   ${label}: precision@${metrics.k} ${pct(metrics.precision_at_k)}, ` +
+        `precision@score>=${metrics.threshold} ${pct(metrics.precision_at_threshold)} ` +
+        `(${metrics.examples} examples, ${metrics.positives} positive, ${metrics.users} users)`);
+};
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    console.log('🧠 Training recommendation weights...');
+    const weightSet = await recommendationWeightService.trainWeightSet({
+        since: typeof args.since === 'string' ? args.since : undefined,
+        notes: typeof args.notes === 'string' ? args.notes : 'Trained by scripts/trainRecommendationWeights.js'
+    });
+
+    console.log(`✅ Stored weight set version ${weightSet.version} (${weightSet.id})`);
+    console.log('   Weights:', weightSet.weights);
+    formatMetrics('Before', weightSet.metrics.before);
+    formatMetrics('After ', weightSet.metrics.after);
+
+    if (args.activate) {
+        await recommendationWeightService.activate(weightSet.id);
+        console.log(`🚀 Version ${weightSet.version} is now active`);
+    } else {
+        console.log('ℹ️  Not activated. Promote it from the admin API or rerun with --activate');
+    }
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error('💥 Training failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { main };
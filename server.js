@@ -17,4 +17,7 @@ server.listen(PORT, () => {
   console.log(`   🔗 Tasks: http://localhost:${PORT}/api/tasks`);
   console.log(`   🔗 GitHub: http://localhost:${PORT}/api/github`);
   console.log('🚀 =================================');
+
+  // Keep recurring task instances generated ahead of time
+  require('./services/taskRecurrenceService').start();
 });
\ No newline at end of file
@@ -4,6 +4,9 @@
 
 const supabase = require('../config/supabase');
 const Redis = require('ioredis');
+const recommendationWeightService = require('./recommendationWeightService');
+const experimentService = require('./experimentService');
+const recommendationDismissalService = require('./recommendationDismissalService');
 
 class SkillMatchingService {
   constructor() {
@@ -19,8 +22,25 @@ class SkillMatchingService {
       language_match: 0.3
     };
 
+    // Built-in weights; a trained weight set promoted by an admin overrides them
+    this.defaultWeights = { ...this.weights };
+    this.weightsVersion = null;
+
     this.primaryBoost = 1.5;
+
+    // Popularity and recency signal tuning
+    this.signalWindowDays = 30;
+    this.popularitySaturation = 20; // join requests in the window that count as "very popular"
+    this.creationHalfLifeDays = 21;
+    this.activityHalfLifeDays = 7;
     this.threshold = 55;
+    this.diversityLambda = 0.25;
+    // Share of the score removed from a project identical to a "hide similar" dismissal
+    this.dismissalPenalty = 0.6;
+    // Team formation: share of a candidate's score that comes from filling team gaps
+    this.complementarityWeight = 0.35;
+    this.topicGapLevel = 0.5;
+    this.candidatePoolSize = 500;
     this.minPassingScore = 70;
     this.maxAttempts = 8;
 
@@ -44,20 +64,36 @@ class SkillMatchingService {
       const startTime = Date.now();
       const limit = options.limit || 10;
 
-      // ✅ OPTIMIZATION: Fetch user and projects in parallel
-      const [user, availableProjects] = await Promise.all([
+      await this.loadActiveWeights();
+
+      // A running A/B experiment may override ranking parameters for this user
+      const assignment = await experimentService.getAssignment(userId);
+      const threshold = assignment?.config.threshold ?? this.threshold;
+      const diversityLambda = assignment?.config.diversityLambda ?? this.diversityLambda;
+
+      // ✅ OPTIMIZATION: Fetch user, projects and dismissals in parallel
+      const [user, availableProjects, dismissals] = await Promise.all([
         this.getUserProfile(userId, true), // Use cache
-        this.getAvailableProjects(userId, true) // Use cache
+        this.getAvailableProjects(userId, true), // Use cache
+        recommendationDismissalService.getActiveForScoring(userId)
       ]);
 
       console.log(`📊 Data loaded in ${Date.now() - startTime}ms`);
 
+      const dismissedIds = new Set(dismissals.map(d => d.project_id));
+      const hiddenSignatures = dismissals
+        .filter(d => d.dismissal_type === 'hide_similar')
+        .map(d => this.similarityTags(d));
+
       const scoringStart = Date.now();
       const scored = [];
       
       for (const project of availableProjects) {
+        if (dismissedIds.has(project.id)) continue;
+
         const features = this.computeFeatures(user, project);
-        const score = this.aggregateScore(features);
+        const dismissedSimilarity = this.maxDismissedSimilarity(project, hiddenSignatures);
+        const score = this.aggregateScore(features) * (1 - this.dismissalPenalty * dismissedSimilarity);
 
         if (process.env.DEBUG_RECS === '1') {
           console.log({
@@ -65,13 +101,20 @@ class SkillMatchingService {
             topic: Number(features.topic.score || 0).toFixed(1),
             lang: Number(features.lang.score || 0).toFixed(1),
             diff: Number(features.diff || 0).toFixed(1),
+            interest: Number(features.interest.score || 0).toFixed(1),
+            popularity: Number(features.popularity.score || 0).toFixed(1),
+            recency: Number(features.recency.score || 0).toFixed(1),
             total: Number(score || 0).toFixed(1)
           });
         }
 
-        if (score >= this.threshold) {
+        if (score >= threshold) {
           const matchFactors = this.buildMatchFactors(user, project, features);
           const technologies = this.extractTechnologies(project);
+
+          if (dismissedSimilarity > 0) {
+            matchFactors.similarToDismissed = Math.round(dismissedSimilarity * 100);
+          }
           
           scored.push({
             projectId: project.id,
@@ -95,10 +138,16 @@ class SkillMatchingService {
 
       console.log(`🎯 Scoring completed in ${Date.now() - scoringStart}ms`);
 
-      const reranked = this.diversityReRank(scored, 0.25);
+      const reranked = this.diversityReRank(scored, diversityLambda);
+
+      if (assignment) {
+        reranked.forEach(rec => {
+          rec.experiment = { key: assignment.experimentKey, variant: assignment.variant };
+        });
+      }
 
       // ✅ OPTIMIZATION: Non-blocking storage (fire and forget)
-      this.storeRecommendations(userId, reranked).catch(err => {
+      this.storeRecommendations(userId, reranked, assignment).catch(err => {
         console.error('Background storage failed:', err);
       });
 
@@ -110,6 +159,266 @@ class SkillMatchingService {
     }
   }
 
+  // ============== TEAM FORMATION: CANDIDATES FOR A PROJECT ==============
+  // Ranks users by the same topic/language/experience features used for project
+  // recommendations, blended with how well they fill gaps left by the current team
+  async recommendCandidates(projectId, options = {}) {
+    const limit = options.limit || 10;
+
+    await this.loadActiveWeights();
+
+    const { data: project, error: projectError } = await supabase
+      .from('projects')
+      .select(`
+        id, title, owner_id, required_experience_level, current_members, maximum_members,
+        project_languages (
+          language_id,
+          programming_languages (id, name),
+          required_level,
+          is_primary
+        ),
+        project_topics (
+          topic_id,
+          topics (id, name, category),
+          is_primary
+        )
+      `)
+      .eq('id', projectId)
+      .single();
+
+    if (projectError || !project) {
+      throw new Error('Project not found');
+    }
+
+    const { data: members, error: membersError } = await supabase
+      .from('project_members')
+      .select('user_id')
+      .eq('project_id', projectId)
+      .eq('status', 'active');
+
+    if (membersError) throw membersError;
+
+    const teamIds = [...new Set([project.owner_id, ...(members || []).map(m => m.user_id)])];
+    const languageIds = (project.project_languages || []).map(pl => pl.programming_languages?.id).filter(Boolean);
+    const topicIds = (project.project_topics || []).map(pt => pt.topics?.id).filter(Boolean);
+
+    if (!languageIds.length && !topicIds.length) {
+      return { project, teamGaps: [], candidates: [] };
+    }
+
+    // Candidate pool: anyone with at least one of the project's languages or topics
+    const [langHolders, topicHolders] = await Promise.all([
+      languageIds.length
+        ? supabase.from('user_programming_languages').select('user_id').in('language_id', languageIds).limit(this.candidatePoolSize)
+        : { data: [] },
+      topicIds.length
+        ? supabase.from('user_topics').select('user_id').in('topic_id', topicIds).limit(this.candidatePoolSize)
+        : { data: [] }
+    ]);
+
+    if (langHolders.error) throw langHolders.error;
+    if (topicHolders.error) throw topicHolders.error;
+
+    const excluded = new Set([...teamIds, ...(options.excludeUserIds || [])]);
+    const candidateIds = [...new Set([
+      ...(langHolders.data || []).map(row => row.user_id),
+      ...(topicHolders.data || []).map(row => row.user_id)
+    ])].filter(id => !excluded.has(id));
+
+    const profiles = await this.getUserProfiles([...teamIds, ...candidateIds]);
+    const team = teamIds.map(id => profiles.get(id)).filter(Boolean);
+    const teamGaps = this.findTeamGaps(team, project);
+
+    const fitWeights = ['topicCoverage', 'languageProficiency', 'difficultyAlignment', 'interestAffinity'];
+    const fitWeightTotal = fitWeights.reduce((sum, key) => sum + (this.weights[key] || 0), 0) || 1;
+
+    const candidates = [];
+    for (const id of candidateIds) {
+      const user = profiles.get(id);
+      if (!user || user.is_active === false || user.is_suspended) continue;
+
+      const topic = this.topicCoverageScore(user.topics, project.project_topics || []);
+      const lang = this.languageProficiencyScore(user.programming_languages, project.project_languages || []);
+      const diff = this.difficultyAlignmentScore(user.years_experience, project.required_experience_level);
+      const interest = this.interestAffinityScore(user.topics, project.project_topics || []);
+
+      const fitScore = (
+        this.weights.topicCoverage * topic.score +
+        this.weights.languageProficiency * lang.score +
+        this.weights.difficultyAlignment * diff +
+        this.weights.interestAffinity * interest.score
+      ) / fitWeightTotal;
+
+      const { score: complementarity, filled } = this.complementarityScore(user, teamGaps);
+      const score = teamGaps.length
+        ? (1 - this.complementarityWeight) * fitScore + this.complementarityWeight * complementarity
+        : fitScore;
+
+      candidates.push({
+        user: {
+          id: user.id,
+          username: user.username,
+          full_name: user.full_name,
+          avatar_url: user.avatar_url || null,
+          years_experience: user.years_experience
+        },
+        score: Math.round(score),
+        fitScore: Math.round(fitScore),
+        complementarityScore: Math.round(complementarity),
+        fillsGaps: filled,
+        explanation: this.explainCandidate(filled, lang, topic),
+        languageMatches: (lang.matches || []).map(m => m.name),
+        topicMatches: (topic.matches || []).map(m => m.name)
+      });
+    }
+
+    candidates.sort((a, b) => b.score - a.score || b.complementarityScore - a.complementarityScore);
+
+    return { project, teamGaps, candidates: candidates.slice(0, limit) };
+  }
+
+  // Batch version of getUserProfile for ranking many users at once
+  async getUserProfiles(userIds) {
+    const profiles = new Map();
+    if (!userIds.length) return profiles;
+
+    const [usersResult, languagesResult, topicsResult] = await Promise.all([
+      supabase
+        .from('users')
+        .select('id, username, full_name, avatar_url, years_experience, is_active, is_suspended')
+        .in('id', userIds),
+      supabase
+        .from('user_programming_languages')
+        .select('user_id, proficiency_level, years_experience, programming_languages (id, name)')
+        .in('user_id', userIds),
+      supabase
+        .from('user_topics')
+        .select('user_id, interest_level, experience_level, topics (id, name, category)')
+        .in('user_id', userIds)
+    ]);
+
+    if (usersResult.error) throw usersResult.error;
+    if (languagesResult.error) console.error('Error fetching candidate languages:', languagesResult.error);
+    if (topicsResult.error) console.error('Error fetching candidate topics:', topicsResult.error);
+
+    (usersResult.data || []).forEach(user => {
+      profiles.set(user.id, { ...user, programming_languages: [], topics: [] });
+    });
+    (languagesResult.data || []).forEach(row => profiles.get(row.user_id)?.programming_languages.push(row));
+    (topicsResult.data || []).forEach(row => profiles.get(row.user_id)?.topics.push(row));
+
+    return profiles;
+  }
+
+  // Languages the team is below the required level in, and topics nobody on the team has experience with
+  findTeamGaps(team, project) {
+    const gaps = [];
+
+    for (const pl of project.project_languages || []) {
+      const name = pl.programming_languages?.name;
+      if (!name) continue;
+
+      const required = this.normalizeRequiredLevel(pl.required_level);
+      const teamBest = Math.max(0, ...team.map(member => {
+        const ul = member.programming_languages.find(l => l.programming_languages?.name === name);
+        return ul ? this.normalizeProficiency(ul.proficiency_level, ul.years_experience) : 0;
+      }));
+
+      if (teamBest < required) {
+        gaps.push({ type: 'language', name, is_primary: !!pl.is_primary, required, teamBest });
+      }
+    }
+
+    for (const pt of project.project_topics || []) {
+      const name = pt.topics?.name;
+      if (!name) continue;
+
+      const teamBest = Math.max(0, ...team.map(member => {
+        const ut = member.topics.find(t => t.topics?.name === name);
+        return ut ? this.normalizeLevel01(ut.experience_level) : 0;
+      }));
+
+      if (teamBest < this.topicGapLevel) {
+        gaps.push({ type: 'topic', name, is_primary: !!pt.is_primary, required: this.topicGapLevel, teamBest });
+      }
+    }
+
+    return gaps;
+  }
+
+  // Share of the team's (primary-weighted) skill gaps a candidate closes
+  complementarityScore(user, teamGaps) {
+    if (!teamGaps.length) return { score: 0, filled: [] };
+
+    let totalWeight = 0;
+    let closed = 0;
+    const filled = [];
+
+    for (const gap of teamGaps) {
+      const weight = gap.is_primary ? this.primaryBoost : 1;
+      totalWeight += weight;
+
+      let level = 0;
+      if (gap.type === 'language') {
+        const ul = user.programming_languages.find(l => l.programming_languages?.name === gap.name);
+        if (ul) level = this.normalizeProficiency(ul.proficiency_level, ul.years_experience);
+      } else {
+        const ut = user.topics.find(t => t.topics?.name === gap.name);
+        if (ut) level = this.normalizeLevel01(ut.experience_level);
+      }
+
+      const improvement = Math.min(level, gap.required) - gap.teamBest;
+      if (improvement > 0) {
+        closed += weight * (improvement / (gap.required - gap.teamBest));
+        filled.push({
+          type: gap.type,
+          name: gap.name,
+          is_primary: gap.is_primary,
+          teamLevel: Number((gap.teamBest * 100).toFixed(0)),
+          candidateLevel: Number((level * 100).toFixed(0)),
+          requiredLevel: Number((gap.required * 100).toFixed(0)),
+          closesGap: level >= gap.required
+        });
+      }
+    }
+
+    return { score: totalWeight ? (closed / totalWeight) * 100 : 0, filled };
+  }
+
+  explainCandidate(filled, lang, topic) {
+    const bits = filled
+      .sort((a, b) => Number(b.is_primary) - Number(a.is_primary))
+      .slice(0, 3)
+      .map(gap => {
+        const what = gap.type === 'language' ? gap.name : `the ${gap.name} topic`;
+        if (gap.teamLevel === 0) return `Brings ${what}, which nobody on the team covers yet`;
+        return gap.closesGap
+          ? `Meets the level needed in ${what}, where the team falls short`
+          : `Strengthens ${what}, where the team falls short`;
+      });
+
+    if (!bits.length) {
+      const strongest = (lang.matches || []).find(m => m.is_primary) || (lang.matches || [])[0];
+      if (strongest) bits.push(`Meets the required level in ${strongest.name}`);
+      if ((topic.matches || []).length) bits.push(`Experienced in ${topic.matches[0].name}`);
+    }
+    return bits;
+  }
+
+  // ============== LEARNED WEIGHTS ==============
+  async loadActiveWeights() {
+    try {
+      const active = await recommendationWeightService.getActiveWeights();
+      this.weights = { ...this.defaultWeights, ...(active?.weights || {}) };
+      this.weightsVersion = active?.version ?? null;
+    } catch (error) {
+      console.error('Error loading recommendation weights, using defaults:', error);
+      this.weights = { ...this.defaultWeights };
+      this.weightsVersion = null;
+    }
+    return this.weights;
+  }
+
   // ============== OPTIMIZED: CACHED USER PROFILE WITH REDIS ==============
   async getUserProfile(userId, useCache = true) {
     const cacheKey = `user:profile:${userId}`;
@@ -238,7 +547,7 @@ class SkillMatchingService {
           is_primary
         ),
         project_topics (
-          topics (id, name),
+          topics (id, name, category),
           is_primary
         )
       `)
@@ -249,10 +558,14 @@ class SkillMatchingService {
       throw error;
     }
 
+    const signals = await this.getProjectSignals((projects || []).map(p => p.id));
+
     const enrichedProjects = (projects || []).map(project => ({
       ...project,
       languages: project.project_languages?.map(pl => pl.programming_languages?.name).filter(Boolean) || [],
-      topics: project.project_topics?.map(pt => pt.topics?.name).filter(Boolean) || []
+      topics: project.project_topics?.map(pt => pt.topics?.name).filter(Boolean) || [],
+      join_requests: signals.joinRequests.get(project.id) || 0,
+      last_activity_at: signals.lastActivity.get(project.id) || null
     }));
 
     // Store in Redis cache
@@ -273,6 +586,57 @@ class SkillMatchingService {
     return this.filterUserProjects(enrichedProjects, userId);
   }
 
+  // ============== HELPER: Popularity and activity signals ==============
+  // Join requests are recruitment challenge attempts; activity is the latest task change
+  async getProjectSignals(projectIds) {
+    const joinRequests = new Map();
+    const lastActivity = new Map();
+    if (!projectIds.length) return { joinRequests, lastActivity };
+
+    const since = new Date(Date.now() - this.signalWindowDays * 24 * 60 * 60 * 1000).toISOString();
+
+    try {
+      const [attemptsResult, tasksResult] = await Promise.all([
+        supabase
+          .from('challenge_attempts')
+          .select('project_id, user_id')
+          .in('project_id', projectIds)
+          .gte('submitted_at', since),
+        supabase
+          .from('project_tasks')
+          .select('project_id, updated_at')
+          .in('project_id', projectIds)
+          .gte('updated_at', since)
+      ]);
+
+      if (attemptsResult.error) {
+        console.error('Error fetching join requests:', attemptsResult.error);
+      }
+      if (tasksResult.error) {
+        console.error('Error fetching project activity:', tasksResult.error);
+      }
+
+      // Count each applicant once per project
+      const applicants = new Map();
+      (attemptsResult.data || []).forEach(attempt => {
+        if (!applicants.has(attempt.project_id)) applicants.set(attempt.project_id, new Set());
+        applicants.get(attempt.project_id).add(attempt.user_id);
+      });
+      applicants.forEach((users, projectId) => joinRequests.set(projectId, users.size));
+
+      (tasksResult.data || []).forEach(task => {
+        const current = lastActivity.get(task.project_id);
+        if (!current || task.updated_at > current) {
+          lastActivity.set(task.project_id, task.updated_at);
+        }
+      });
+    } catch (error) {
+      console.error('Error loading project signals:', error);
+    }
+
+    return { joinRequests, lastActivity };
+  }
+
   // ============== HELPER: Filter out user's own projects ==============
   async filterUserProjects(projects, userId) {
     try {
@@ -449,13 +813,15 @@ class SkillMatchingService {
     return matches;
   }
 
-  async storeRecommendations(userId, recommendations) {
+  async storeRecommendations(userId, recommendations, assignment = null) {
     try {
       const rows = (recommendations || []).map(rec => ({
         user_id: userId,
         project_id: rec.projectId,
         recommendation_score: rec.score,
         match_factors: rec.matchFactors || {},
+        experiment_id: assignment?.experimentId || null,
+        experiment_variant: assignment?.variant || null,
         recommended_at: new Date().toISOString()
       }));
 
@@ -669,18 +1035,100 @@ class SkillMatchingService {
     return Math.max(0, 100 - (reqLevel - userLevel) * 22);
   }
 
+  // Interest in the project's topics; topics in a category the user likes earn partial credit
+  interestAffinityScore(userTopics, projectTopics) {
+    if (!userTopics?.length || !projectTopics?.length) return { score: 0, matches: [] };
+
+    const categoryInterest = new Map();
+    for (const ut of userTopics) {
+      const category = ut.topics?.category;
+      if (!category) continue;
+      const interest = this.normalizeLevel01(ut.interest_level);
+      categoryInterest.set(category, Math.max(categoryInterest.get(category) || 0, interest));
+    }
+
+    let totalWeight = 0;
+    let sum = 0;
+    const matches = [];
+
+    for (const pt of projectTopics) {
+      const name = pt.topics?.name;
+      if (!name) continue;
+
+      const weight = pt.is_primary ? this.primaryBoost : 1;
+      totalWeight += weight;
+
+      const ut = userTopics.find(t => t.topics?.name === name);
+      if (ut) {
+        const interest = this.normalizeLevel01(ut.interest_level);
+        sum += interest * weight;
+        matches.push({ name, is_primary: !!pt.is_primary, interest: ut.interest_level, via: 'topic' });
+      } else if (categoryInterest.has(pt.topics?.category)) {
+        const interest = 0.5 * categoryInterest.get(pt.topics.category);
+        sum += interest * weight;
+        matches.push({ name, is_primary: !!pt.is_primary, category: pt.topics.category, via: 'category' });
+      }
+    }
+
+    const score = totalWeight ? (sum / totalWeight) * 100 : 0;
+    return { score, matches };
+  }
+
+  // Demand from join requests (log-scaled) plus how full the team already is
+  popularityScore(project) {
+    const joinRequests = Number(project.join_requests) || 0;
+    const demand = this.clamp01(Math.log1p(joinRequests) / Math.log1p(this.popularitySaturation));
+    const maxMembers = Number(project.maximum_members) || 0;
+    const fillRate = maxMembers > 0 ? this.clamp01((Number(project.current_members) || 0) / maxMembers) : 0;
+    const score = (0.6 * demand + 0.4 * fillRate) * 100;
+    return { score, joinRequests, fillRate };
+  }
+
+  // Newly created and recently active projects decay towards zero with their half-lives
+  recencyScore(project, now = Date.now()) {
+    const dayMs = 24 * 60 * 60 * 1000;
+    const createdAt = project.created_at ? new Date(project.created_at).getTime() : NaN;
+    if (Number.isNaN(createdAt)) return { score: 0, ageDays: null, daysSinceActivity: null };
+
+    const lastActivity = project.last_activity_at ? new Date(project.last_activity_at).getTime() : createdAt;
+    const ageDays = Math.max(0, (now - createdAt) / dayMs);
+    const daysSinceActivity = Math.max(0, (now - Math.max(createdAt, lastActivity)) / dayMs);
+
+    const freshness = Math.pow(0.5, ageDays / this.creationHalfLifeDays);
+    const activity = Math.pow(0.5, daysSinceActivity / this.activityHalfLifeDays);
+    const score = (0.5 * freshness + 0.5 * activity) * 100;
+
+    return {
+      score,
+      ageDays: Math.round(ageDays),
+      daysSinceActivity: Math.round(daysSinceActivity)
+    };
+  }
+
   computeFeatures(user, project) {
     const topic = this.topicCoverageScore(user.topics, project.project_topics || []);
     const lang = this.languageProficiencyScore(user.programming_languages, project.project_languages || []);
     const diff = this.difficultyAlignmentScore(user.years_experience, project.required_experience_level);
-    return { topic, lang, diff };
+    const interest = this.interestAffinityScore(user.topics, project.project_topics || []);
+    const popularity = this.popularityScore(project);
+    const recency = this.recencyScore(project);
+    return { topic, lang, diff, interest, popularity, recency };
+  }
+
+  // Weighted contribution of each feature to the final score
+  scoreContributions(f) {
+    return {
+      topicCoverage: this.weights.topicCoverage * (f.topic?.score || 0),
+      languageProficiency: this.weights.languageProficiency * (f.lang?.score || 0),
+      difficultyAlignment: this.weights.difficultyAlignment * (f.diff || 0),
+      interestAffinity: this.weights.interestAffinity * (f.interest?.score || 0),
+      popularityBoost: this.weights.popularityBoost * (f.popularity?.score || 0),
+      recencyBoost: this.weights.recencyBoost * (f.recency?.score || 0)
+    };
   }
 
   aggregateScore(f) {
-    let score =
-      this.weights.topicCoverage * (f.topic?.score || 0) +
-      this.weights.languageProficiency * (f.lang?.score || 0) +
-      this.weights.difficultyAlignment * (f.diff || 0);
+    const score = Object.values(this.scoreContributions(f)).reduce((sum, value) => sum + value, 0);
     return Math.max(0, Math.min(100, score));
   }
 
@@ -729,12 +1177,30 @@ class SkillMatchingService {
         userExperience: user.years_experience,
         requiredExperience: project.required_experience_level
       },
-      highlights: this.summarizeHighlights(topLangMatches, topTopicMatches),
+      interestAffinity: {
+        score: Math.round(f.interest?.score || 0),
+        matches: (f.interest?.matches || []).slice(0, 3)
+      },
+      popularity: {
+        score: Math.round(f.popularity?.score || 0),
+        joinRequests: f.popularity?.joinRequests || 0,
+        fillRate: Number(((f.popularity?.fillRate || 0) * 100).toFixed(0))
+      },
+      recency: {
+        score: Math.round(f.recency?.score || 0),
+        ageDays: f.recency?.ageDays ?? null,
+        daysSinceActivity: f.recency?.daysSinceActivity ?? null
+      },
+      contributions: Object.fromEntries(
+        Object.entries(this.scoreContributions(f)).map(([key, value]) => [key, Number(value.toFixed(1))])
+      ),
+      weightsVersion: this.weightsVersion,
+      highlights: this.summarizeHighlights(topLangMatches, topTopicMatches, f),
       suggestions: this.suggestImprovements(criticalGaps)
     };
   }
 
-  summarizeHighlights(langMatches, topicMatches) {
+  summarizeHighlights(langMatches, topicMatches, f = {}) {
     const bits = [];
     if (langMatches.length) {
       const primary = langMatches.find(l => l.is_primary) || langMatches[0];
@@ -744,6 +1210,17 @@ class SkillMatchingService {
       const primary = topicMatches.find(t => t.is_primary) || topicMatches[0];
       if (primary) bits.push(`Good coverage on ${primary.name}`);
     }
+    if ((f.interest?.score || 0) >= 75) {
+      bits.push('Matches topics you are interested in');
+    }
+    if ((f.popularity?.joinRequests || 0) >= 5) {
+      bits.push(`Popular: ${f.popularity.joinRequests} people applied recently`);
+    }
+    if (f.recency?.ageDays != null && f.recency.ageDays <= 7) {
+      bits.push('New project');
+    } else if (f.recency?.daysSinceActivity != null && f.recency.daysSinceActivity <= 2) {
+      bits.push('Recently active');
+    }
     return bits;
   }
 
@@ -761,18 +1238,38 @@ class SkillMatchingService {
     }).slice(0, 3);
   }
 
+  jaccardSimilarity(a, b) {
+    const setA = new Set([...(a || [])]);
+    const setB = new Set([...(b || [])]);
+    const inter = [...setA].filter(x => setB.has(x)).length;
+    const uni = new Set([...setA, ...setB]).size || 1;
+    return inter / uni;
+  }
+
+  // Technologies and topics as one tag set, for comparing projects against dismissals
+  similarityTags({ technologies = [], topics = [] }) {
+    return [
+      ...technologies.filter(t => t && t !== 'Not specified').map(t => `tech:${t.toLowerCase()}`),
+      ...topics.filter(Boolean).map(t => `topic:${t.toLowerCase()}`)
+    ];
+  }
+
+  maxDismissedSimilarity(project, hiddenSignatures) {
+    if (!hiddenSignatures.length) return 0;
+    const tags = this.similarityTags({
+      technologies: this.extractTechnologies(project),
+      topics: project.topics || []
+    });
+    if (!tags.length) return 0;
+    return Math.max(...hiddenSignatures.map(signature => this.jaccardSimilarity(tags, signature)));
+  }
+
   diversityReRank(items, lambda = 0.25) {
     if (items.length <= 1) return items;
     
     const selected = [];
     const remaining = [...items];
-    const sim = (a, b) => {
-      const setA = new Set([...(a.technologies || [])]);
-      const setB = new Set([...(b.technologies || [])]);
-      const inter = [...setA].filter(x => setB.has(x)).length;
-      const uni = new Set([...setA, ...setB]).size || 1;
-      return inter / uni;
-    };
+    const sim = (a, b) => this.jaccardSimilarity(a.technologies, b.technologies);
 
     while (remaining.length) {
       let bestIdx = 0;
@@ -0,0 +1,430 @@
+// services/aiChatService.js - Sync assistant chat turns, whole or streamed, over stored conversations
+const crypto = require('crypto');
+const llmService = require('./llmService');
+const aiConversationService = require('./aiConversationService');
+const retrievalService = require('./retrievalService');
+const { generateStructured, parseJsonResponse } = require('../utils/structuredOutput');
+const { toCreateProjectData, toMarkdown } = require('../utils/aiProjectFormat');
+const { aiProjectSchema, aiChatReplySchema, aiChatReplyJsonSchema } = require('../schemas/projectSchemas');
+
+// Streamed replies are plain text; a project suggestion follows this line as JSON
+const PROJECT_MARKER = '<<<PROJECT>>>';
+const MAX_STREAMS_PER_USER = 3;
+const MAX_SOURCES = 6;
+
+const chatError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const PROJECT_FIELDS = `- "title": project name
+- "description": 1-2 sentence description
+- "features": 3-5 key features
+- "language": ONE programming language (JavaScript, Python, Java, etc. - not a framework or library)
+- "topics": up to 3 short topic names (e.g. "Web Development", "Games")
+- "weeks": time estimate in weeks (usually 4)
+- "difficulty": "easy", "medium" or "hard"
+- "weeklyTasks": one entry per week, each with "week" (1, 2, 3...), a task "title" and 3 "subtasks"`;
+
+const RESPONSE_FORMATS = {
+    json: `Always respond with a JSON object with two fields:
+- "reply": your message to the user
+- "project": null, unless the user asked for a project idea
+
+When the user asks for a project, keep "reply" to one or two friendly sentences introducing it and put the details in "project":
+${PROJECT_FIELDS}`,
+
+    stream: `Write your reply to the user as plain text (Markdown is fine).
+
+When the user asks for a project, keep the reply to one or two friendly sentences introducing it, then write a line containing only ${PROJECT_MARKER} followed by the project as a single JSON object with these fields:
+${PROJECT_FIELDS}
+
+Never write ${PROJECT_MARKER} in any other situation.`
+};
+
+const REMINDERS = {
+    json: 'Remember: Only fill in "project" when the user is asking for a project idea. Otherwise, have a natural conversation!',
+    stream: `Remember: Only add ${PROJECT_MARKER} and a project when the user is asking for a project idea. Otherwise, have a natural conversation!`
+};
+
+const SOURCE_LABELS = {
+    task: 'Task',
+    task_comment: 'Task comment',
+    solo_note: 'Note',
+    solo_goal: 'Goal',
+    chat_message: 'Chat message'
+};
+
+const formatSources = sources => sources.map(source =>
+    `[${source.ref}] ${SOURCE_LABELS[source.source]} "${source.title}" (project "${source.projectTitle}", ${String(source.date || '').slice(0, 10)}): ${source.snippet}`
+).join('\n');
+
+/**
+ * The Sync prompt for one user message
+ *
+ * @param {Object} options
+ * @param {string} options.message - current user message
+ * @param {{ summary: string|null, messages: Array }} options.history - from aiConversationService.buildHistory
+ * @param {string|null} [options.projectContext] - linked project description
+ * @param {Array} [options.sources] - retrieved records, numbered for citation
+ * @param {'json'|'stream'} [options.format] - structured JSON reply, or streamed text with an optional project
+ */
+const buildChatPrompt = ({ message, history, projectContext = null, sources = [], format = 'json' }) => `You are Sync, a helpful and friendly coding project assistant.
+
+IMPORTANT: You should have natural conversations with users. Only provide structured project suggestions when the user explicitly asks for project ideas or help creating a project.
+
+=== WHEN TO PROVIDE A PROJECT SUGGESTION ===
+Only format your response as a structured project when the user asks questions like:
+- "Generate a project idea"
+- "Help me create a project"
+- "I need a coding project"
+- "What project should I build?"
+- "Suggest a JavaScript project"
+- Or similar requests for project ideas
+
+=== RESPONSE FORMAT ===
+${RESPONSE_FORMATS[format]}
+
+Keep tasks practical and achievable for the specified difficulty level.
+
+=== FOR CONVERSATIONAL MESSAGES ===
+When the user is NOT asking for a project idea:
+- Be friendly and helpful
+- Answer their questions naturally
+- Provide coding guidance and advice
+- Ask clarifying questions if needed
+- DO NOT format your response as a project
+
+Examples:
+User: "Who are you?"
+You: "Hi! I'm Sync, your AI coding assistant. I can help you with:
+- Generating project ideas with structured weekly tasks
+- Answering programming questions
+- Providing technical guidance
+- Planning and structuring coding projects
+
+What would you like help with today?"
+
+User: "What technologies do you know?"
+You: "I'm knowledgeable about many programming languages and technologies including JavaScript, Python, Java, C++, Ruby, Go, and many more. I can help with web development, mobile apps, data science, game development, and other areas. What are you interested in learning or working with?"
+
+User: "Can you help me with React?"
+You: "Absolutely! I'd be happy to help with React. What specifically do you need help with? Are you:
+- Starting a new React project?
+- Working on an existing project and stuck on something?
+- Learning React concepts?
+- Looking for best practices or optimization tips?"
+
+User: "Generate a quiz game project"
+You: reply "Here's a quiz game project you could build!" with the project filled in
+
+${projectContext ? `=== LINKED PROJECT ===
+The user linked this conversation to one of their projects. Use it when answering questions about their work.
+${projectContext}
+
+` : ''}${sources.length > 0 ? `=== FROM THE USER'S PROJECTS ===
+Records from the user's own projects that may help with this message. When you use one, cite it inline by its number, e.g. [2]. Only cite the numbers listed here. If these records don't answer a question about their work, say so instead of guessing.
+${formatSources(sources)}
+
+` : ''}${history.summary ? `=== EARLIER CONVERSATION (SUMMARY) ===
+${history.summary}
+
+` : ''}=== CONVERSATION HISTORY ===
+${history.messages.map(msg => `${msg.role}: ${msg.content}`).join('\n')}
+
+=== CURRENT USER MESSAGE ===
+User: ${message}
+
+${REMINDERS[format]}`;
+
+/**
+ * Splits streamed text into the visible reply and the project JSON after PROJECT_MARKER.
+ * Text that could be the start of the marker is held back until the next chunk decides it.
+ */
+const createReplySplitter = () => {
+    let pending = '';
+    let reply = '';
+    let projectText = null;
+
+    return {
+        push(chunk) {
+            if (projectText !== null) {
+                projectText += chunk;
+                return '';
+            }
+
+            pending += chunk;
+            const markerIndex = pending.indexOf(PROJECT_MARKER);
+            let visible;
+
+            if (markerIndex !== -1) {
+                visible = pending.slice(0, markerIndex);
+                projectText = pending.slice(markerIndex + PROJECT_MARKER.length);
+                pending = '';
+            } else {
+                let keep = 0;
+                for (let length = Math.min(PROJECT_MARKER.length - 1, pending.length); length > 0; length--) {
+                    if (PROJECT_MARKER.startsWith(pending.slice(-length))) {
+                        keep = length;
+                        break;
+                    }
+                }
+                visible = pending.slice(0, pending.length - keep);
+                pending = pending.slice(pending.length - keep);
+            }
+
+            reply += visible;
+            return visible;
+        },
+
+        finish() {
+            const rest = projectText === null ? pending : '';
+            reply += rest;
+            pending = '';
+            return { rest, reply: reply.trim(), projectText };
+        }
+    };
+};
+
+/**
+ * Validate the project part of a streamed reply; a malformed project is dropped, not fatal
+ */
+const parseStreamedProject = (projectText) => {
+    if (!projectText || !projectText.trim()) return null;
+
+    try {
+        const { value, error } = aiProjectSchema.validate(parseJsonResponse(projectText), {
+            abortEarly: false,
+            stripUnknown: true,
+            convert: true
+        });
+        if (error) {
+            console.warn(`⚠️ Streamed project suggestion was invalid: ${error.details.map(detail => detail.message).join('; ')}`);
+            return null;
+        }
+        return value;
+    } catch (error) {
+        console.warn(`⚠️ Streamed project suggestion was not valid JSON: ${error.message}`);
+        return null;
+    }
+};
+
+/**
+ * Records relevant to the message, numbered for citation; retrieval problems never fail the chat
+ */
+const retrieveSources = async (userId, message, conversation) => {
+    try {
+        const results = await retrievalService.search(userId, message, {
+            projectId: conversation.project_id || null,
+            limit: MAX_SOURCES
+        });
+        return results.map((result, index) => ({ ref: index + 1, ...result }));
+    } catch (error) {
+        console.error('Error retrieving AI chat sources:', error.message);
+        return [];
+    }
+};
+
+// Sources the reply actually cites, as [n]
+const citedSources = (reply, sources) => {
+    const refs = new Set([...String(reply).matchAll(/\[(\d+)\]/g)].map(match => Number(match[1])));
+    return sources.filter(source => refs.has(source.ref));
+};
+
+// The message keeps the Markdown layout the chat UI displays; project/projectData are the structured data
+const formatReply = (reply, project) => (project ? `${reply}\n\n${toMarkdown(project)}` : reply);
+
+class AIChatService {
+    constructor() {
+        this.activeStreams = new Map(); // `${userId}:${streamId}` -> AbortController
+    }
+
+    async saveTurn(conversation, { message, reply, project, sources = [], outputTokens, metadata = {} }) {
+        const { id: conversationId } = await aiConversationService.saveConversation(conversation);
+        await aiConversationService.addMessage(conversationId, { role: 'user', content: message });
+
+        const replyMetadata = { ...metadata };
+        if (project) replyMetadata.project = project;
+        if (sources.length > 0) replyMetadata.sources = sources;
+
+        return aiConversationService.addMessage(conversationId, {
+            role: 'assistant',
+            content: reply,
+            tokenCount: outputTokens || undefined,
+            metadata: Object.keys(replyMetadata).length > 0 ? replyMetadata : null
+        });
+    }
+
+    /**
+     * Answer a message in one response
+     */
+    async chat(userId, { message, conversationId, projectId }) {
+        const { conversation, history, projectContext } = await aiConversationService.prepareTurn(userId, {
+            conversationId,
+            message,
+            projectId
+        });
+        const sources = await retrieveSources(userId, message, conversation);
+
+        const { value: aiReply, usage } = await generateStructured(
+            ({ contents, config }) => llmService.generate({ contents, config, userId, feature: 'chat' }),
+            {
+                prompt: buildChatPrompt({ message, history, projectContext, sources }),
+                schema: aiChatReplySchema,
+                jsonSchema: aiChatReplyJsonSchema
+            }
+        );
+
+        const aiMessage = formatReply(aiReply.reply, aiReply.project);
+        const cited = citedSources(aiReply.reply, sources);
+        const savedReply = await this.saveTurn(conversation, {
+            message,
+            reply: aiMessage,
+            project: aiReply.project,
+            sources: cited,
+            outputTokens: usage.outputTokens
+        });
+
+        return {
+            message: aiMessage,
+            project: aiReply.project,
+            projectData: aiReply.project ? toCreateProjectData(aiReply.project) : null,
+            sources: cited,
+            timestamp: savedReply.created_at,
+            conversationId: conversation.id,
+            messageId: savedReply.id
+        };
+    }
+
+    /**
+     * Register a cancellable stream for a user. streamId may come from the client so it can
+     * cancel before the start event arrives.
+     */
+    openStream(userId, streamId = crypto.randomUUID()) {
+        const key = `${userId}:${streamId}`;
+        if (this.activeStreams.has(key)) {
+            throw chatError('A stream with this ID is already running', 409);
+        }
+
+        const running = [...this.activeStreams.keys()].filter(active => active.startsWith(`${userId}:`)).length;
+        if (running >= MAX_STREAMS_PER_USER) {
+            throw chatError('Too many AI responses in progress, please wait for one to finish', 429);
+        }
+
+        const controller = new AbortController();
+        this.activeStreams.set(key, controller);
+        return { streamId, controller, close: () => this.activeStreams.delete(key) };
+    }
+
+    /**
+     * Returns false when the stream doesn't exist (finished, or another user's)
+     */
+    cancelStream(userId, streamId) {
+        const controller = this.activeStreams.get(`${userId}:${streamId}`);
+        if (!controller) return false;
+        controller.abort();
+        return true;
+    }
+
+    /**
+     * Answer a message as a stream of events, passed to onEvent(name, data):
+     *   start     { streamId, conversationId, sources }   - sources the reply may cite as [n];
+     *                                                       conversationId is null for a new thread
+     *   chunk     { text }
+     *   done      { ...same fields as chat(), usage }      - sources narrowed to the cited ones
+     *   cancelled { conversationId, messageId }  - partial reply saved when anything was generated;
+     *                                            a new thread is only created if something was
+     * Errors before the first event reject; later errors are reported as
+     *   error     { message, statusCode }
+     *
+     * @param {string} userId
+     * @param {Object} options
+     * @param {AbortSignal} [options.signal] - e.g. the HTTP connection closing
+     * @param {Function} options.onEvent
+     */
+    async streamChat(userId, { message, conversationId, projectId, streamId, signal, onEvent }) {
+        const stream = this.openStream(userId, streamId);
+        const onAbort = () => stream.controller.abort();
+        if (signal?.aborted) onAbort();
+        signal?.addEventListener('abort', onAbort);
+
+        try {
+            const { conversation, history, projectContext } = await aiConversationService.prepareTurn(userId, {
+                conversationId,
+                message,
+                projectId
+            });
+
+            const sources = await retrieveSources(userId, message, conversation);
+
+            onEvent('start', { streamId: stream.streamId, conversationId: conversation.id, sources });
+
+            try {
+                const splitter = createReplySplitter();
+                const result = await llmService.generateStream({
+                    contents: buildChatPrompt({ message, history, projectContext, sources, format: 'stream' }),
+                    userId,
+                    feature: 'chat_stream',
+                    signal: stream.controller.signal,
+                    onChunk: (chunk) => {
+                        const text = splitter.push(chunk);
+                        if (text) onEvent('chunk', { text });
+                    }
+                });
+
+                const { rest, reply, projectText } = splitter.finish();
+                if (rest && !result.cancelled) onEvent('chunk', { text: rest });
+
+                if (result.cancelled) {
+                    const savedReply = reply
+                        ? await this.saveTurn(conversation, {
+                            message,
+                            reply,
+                            sources: citedSources(reply, sources),
+                            metadata: { cancelled: true }
+                        })
+                        : null;
+                    onEvent('cancelled', { conversationId: conversation.id, messageId: savedReply?.id || null });
+                    return;
+                }
+
+                const project = parseStreamedProject(projectText);
+                const aiMessage = formatReply(reply, project);
+                const cited = citedSources(reply, sources);
+                const savedReply = await this.saveTurn(conversation, {
+                    message,
+                    reply: aiMessage,
+                    project,
+                    sources: cited,
+                    outputTokens: result.usage?.outputTokens
+                });
+
+                onEvent('done', {
+                    message: aiMessage,
+                    project,
+                    projectData: project ? toCreateProjectData(project) : null,
+                    sources: cited,
+                    timestamp: savedReply.created_at,
+                    conversationId: conversation.id,
+                    messageId: savedReply.id,
+                    usage: result.usage
+                });
+            } catch (error) {
+                console.error('AI chat stream error:', error);
+                onEvent('error', {
+                    message: error.statusCode ? error.message : 'Failed to get AI response',
+                    statusCode: error.statusCode || 500
+                });
+            }
+        } finally {
+            signal?.removeEventListener('abort', onAbort);
+            stream.close();
+        }
+    }
+}
+
+module.exports = new AIChatService();
+module.exports.buildChatPrompt = buildChatPrompt;
+module.exports.createReplySplitter = createReplySplitter;
+module.exports.PROJECT_MARKER = PROJECT_MARKER;
@@ -0,0 +1,354 @@
+// services/aiConversationService.js - Server-side Sync assistant threads, messages and prompt history
+const supabase = require('../config/supabase');
+const llmConfig = require('../config/gemini');
+const llmService = require('./llmService');
+const { getProjectAccess } = require('../utils/projectAccess');
+
+const MESSAGE_ROLES = ['user', 'assistant'];
+const MAX_TITLE_LENGTH = 120;
+const PROJECT_CONTEXT_TASKS = 10;
+
+const conversationError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// Same rough estimate the stub provider uses; real counts come from the provider when available
+const estimateTokens = text => Math.ceil(String(text || '').length / 4);
+
+const titleFromMessage = (message) => {
+    const text = String(message || '').replace(/\s+/g, ' ').trim();
+    if (!text) return 'New conversation';
+    return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+};
+
+class AIConversationService {
+    async assertProjectAccess(projectId, userId) {
+        const access = await getProjectAccess(projectId, userId);
+        if (!access) {
+            throw conversationError('Project not found', 404);
+        }
+        if (!access.isOwner && !access.isMember) {
+            throw conversationError('Access denied. You must be a project member.', 403);
+        }
+        return access;
+    }
+
+    async createConversation(userId, { title, projectId = null } = {}) {
+        if (projectId) await this.assertProjectAccess(projectId, userId);
+
+        const now = new Date().toISOString();
+        const { data, error } = await supabase
+            .from('ai_conversations')
+            .insert({
+                user_id: userId,
+                title: String(title || 'New conversation').trim().slice(0, MAX_TITLE_LENGTH),
+                project_id: projectId,
+                created_at: now,
+                updated_at: now
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    }
+
+    async listConversations(userId, { limit = 20, offset = 0 } = {}) {
+        const { data, error, count } = await supabase
+            .from('ai_conversations')
+            .select('id, title, project_id, created_at, updated_at, project:project_id(id, title)', { count: 'exact' })
+            .eq('user_id', userId)
+            .order('updated_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (error) throw error;
+        return { conversations: data || [], total: count || 0 };
+    }
+
+    /**
+     * A conversation owned by the user; 404 for anyone else so ids don't leak
+     */
+    async getConversation(conversationId, userId) {
+        const { data, error } = await supabase
+            .from('ai_conversations')
+            .select('*')
+            .eq('id', conversationId)
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) throw conversationError('Conversation not found', 404);
+        return data;
+    }
+
+    /**
+     * Rename a conversation and/or link it to a project (projectId null unlinks)
+     */
+    async updateConversation(conversationId, userId, { title, projectId }) {
+        await this.getConversation(conversationId, userId);
+
+        const updates = { updated_at: new Date().toISOString() };
+        if (title !== undefined) {
+            updates.title = String(title).trim().slice(0, MAX_TITLE_LENGTH);
+        }
+        if (projectId !== undefined) {
+            if (projectId) await this.assertProjectAccess(projectId, userId);
+            updates.project_id = projectId || null;
+        }
+
+        const { data, error } = await supabase
+            .from('ai_conversations')
+            .update(updates)
+            .eq('id', conversationId)
+            .eq('user_id', userId)
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    }
+
+    async deleteConversation(conversationId, userId) {
+        await this.getConversation(conversationId, userId);
+
+        const { error: messagesError } = await supabase
+            .from('ai_messages')
+            .delete()
+            .eq('conversation_id', conversationId);
+
+        if (messagesError) throw messagesError;
+
+        const { error } = await supabase
+            .from('ai_conversations')
+            .delete()
+            .eq('id', conversationId)
+            .eq('user_id', userId);
+
+        if (error) throw error;
+    }
+
+    /**
+     * Messages of a conversation, oldest first; `before` pages backwards from a timestamp
+     */
+    async getMessages(conversationId, userId, { limit = 50, before } = {}) {
+        await this.getConversation(conversationId, userId);
+
+        let query = supabase
+            .from('ai_messages')
+            .select('id, role, content, token_count, metadata, created_at')
+            .eq('conversation_id', conversationId)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (before) query = query.lt('created_at', before);
+
+        const { data, error } = await query;
+        if (error) throw error;
+        return (data || []).reverse();
+    }
+
+    async addMessage(conversationId, { role, content, tokenCount, metadata = null }) {
+        if (!MESSAGE_ROLES.includes(role)) {
+            throw conversationError(`Role must be one of: ${MESSAGE_ROLES.join(', ')}`, 400);
+        }
+
+        const now = new Date().toISOString();
+        const { data, error } = await supabase
+            .from('ai_messages')
+            .insert({
+                conversation_id: conversationId,
+                role,
+                content,
+                token_count: tokenCount ?? estimateTokens(content),
+                metadata,
+                created_at: now
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        await supabase
+            .from('ai_conversations')
+            .update({ updated_at: now })
+            .eq('id', conversationId);
+
+        return data;
+    }
+
+    /**
+     * Stored history for the next prompt: the newest turns that fit the token budget, plus a
+     * running summary of everything older. The summary is extended (and saved) only when
+     * turns fall out of the budget, so most requests don't pay for a summarisation call.
+     *
+     * @returns {Promise<{ summary: string|null, messages: Array }>}
+     */
+    async buildHistory(conversation, { userId, budgetTokens = llmConfig.historyTokenBudget } = {}) {
+        // A thread that hasn't been stored yet has nothing to look back on
+        if (!conversation.id) return { summary: null, messages: [] };
+
+        let query = supabase
+            .from('ai_messages')
+            .select('id, role, content, token_count, created_at')
+            .eq('conversation_id', conversation.id)
+            .order('created_at', { ascending: true });
+
+        if (conversation.summarized_until) {
+            query = query.gt('created_at', conversation.summarized_until);
+        }
+
+        const { data, error } = await query;
+        if (error) throw error;
+
+        const messages = data || [];
+        const recent = [];
+        let used = estimateTokens(conversation.summary);
+
+        for (let i = messages.length - 1; i >= 0; i--) {
+            const tokens = messages[i].token_count || estimateTokens(messages[i].content);
+            if (used + tokens > budgetTokens && recent.length > 0) break;
+            used += tokens;
+            recent.unshift(messages[i]);
+        }
+
+        const older = messages.slice(0, messages.length - recent.length);
+        if (older.length === 0) {
+            return { summary: conversation.summary || null, messages: recent };
+        }
+
+        const summary = await this.summarize(conversation, older, userId);
+        return { summary, messages: recent };
+    }
+
+    /**
+     * Fold older turns into the conversation summary. If summarising fails the turns are
+     * simply left out of this prompt and tried again next time.
+     */
+    async summarize(conversation, olderMessages, userId) {
+        const prompt = `Summarise this conversation between a user and Sync, a coding project assistant, so it can continue without the full transcript.
+Keep facts, decisions, the user's goals and preferences, and any project ideas discussed. Plain text, at most 200 words.
+
+${conversation.summary ? `=== SUMMARY SO FAR ===\n${conversation.summary}\n\n` : ''}=== NEW TURNS ===
+${olderMessages.map(msg => `${msg.role}: ${msg.content}`).join('\n')}`;
+
+        try {
+            const { text } = await llmService.generate({ contents: prompt, userId, feature: 'conversation_summary' });
+            const summary = String(text || '').trim();
+            const summarizedUntil = olderMessages[olderMessages.length - 1].created_at;
+
+            const { error } = await supabase
+                .from('ai_conversations')
+                .update({ summary, summarized_until: summarizedUntil })
+                .eq('id', conversation.id);
+
+            if (error) throw error;
+
+            conversation.summary = summary;
+            conversation.summarized_until = summarizedUntil;
+            return summary;
+        } catch (error) {
+            console.error('Error summarising AI conversation:', error.message);
+            return conversation.summary || null;
+        }
+    }
+
+    /**
+     * Short description of a linked project for the prompt. Access is re-checked on every
+     * prompt so a user who leaves the project stops seeing it.
+     */
+    async getProjectContext(projectId, userId) {
+        try {
+            await this.assertProjectAccess(projectId, userId);
+        } catch (error) {
+            return null;
+        }
+
+        const { data: project, error } = await supabase
+            .from('projects')
+            .select(`
+                id, title, description, status, difficulty_level, estimated_duration_weeks, deadline,
+                project_languages ( programming_languages (name) )
+            `)
+            .eq('id', projectId)
+            .single();
+
+        if (error || !project) return null;
+
+        const { data: tasks } = await supabase
+            .from('project_tasks')
+            .select('title, status, priority, due_date')
+            .eq('project_id', projectId)
+            .neq('status', 'completed')
+            .order('created_at', { ascending: true })
+            .limit(PROJECT_CONTEXT_TASKS);
+
+        const languages = (project.project_languages || [])
+            .map(pl => pl.programming_languages?.name)
+            .filter(Boolean);
+
+        const lines = [
+            `Title: ${project.title}`,
+            `Description: ${project.description || 'none'}`,
+            `Status: ${project.status}`,
+            languages.length > 0 ? `Languages: ${languages.join(', ')}` : null,
+            project.difficulty_level ? `Difficulty: ${project.difficulty_level}` : null,
+            project.deadline ? `Deadline: ${project.deadline}` : null,
+            (tasks || []).length > 0
+                ? `Open tasks:\n${tasks.map(task => `- ${task.title} (${task.status}, ${task.priority || 'no'} priority${task.due_date ? `, due ${task.due_date}` : ''})`).join('\n')}`
+                : 'Open tasks: none'
+        ];
+
+        return lines.filter(Boolean).join('\n');
+    }
+
+    /**
+     * Conversation and prompt sections for a new user message. A new thread is only prepared
+     * here (id null) and stored by saveConversation once there is a reply to keep, so failed
+     * generations don't leave empty conversations behind.
+     */
+    async prepareTurn(userId, { conversationId, message, projectId }) {
+        if (conversationId && projectId) {
+            throw conversationError('project_id can only be sent when starting a conversation; update the conversation to link a project', 400);
+        }
+
+        let conversation;
+        if (conversationId) {
+            conversation = await this.getConversation(conversationId, userId);
+        } else {
+            if (projectId) await this.assertProjectAccess(projectId, userId);
+            conversation = {
+                id: null,
+                user_id: userId,
+                title: titleFromMessage(message),
+                project_id: projectId || null,
+                summary: null
+            };
+        }
+
+        const history = await this.buildHistory(conversation, { userId });
+        const projectContext = conversation.project_id
+            ? await this.getProjectContext(conversation.project_id, userId)
+            : null;
+
+        return { conversation, history, projectContext };
+    }
+
+    /**
+     * Store a conversation prepared by prepareTurn if it is new; the object is updated in place
+     */
+    async saveConversation(conversation) {
+        if (conversation.id) return conversation;
+
+        const created = await this.createConversation(conversation.user_id, {
+            title: conversation.title,
+            projectId: conversation.project_id
+        });
+        return Object.assign(conversation, created);
+    }
+}
+
+module.exports = new AIConversationService();
+module.exports.MESSAGE_ROLES = MESSAGE_ROLES;
+module.exports.estimateTokens = estimateTokens;
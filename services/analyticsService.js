@@ -166,8 +166,9 @@ class AnalyticsService {
     /**
      * Determine recommendation outcome from feedback and actions
      * FIXED: Async function to handle database lookups
+     * Pass isMember when membership is already known to skip the lookup
      */
-    async determineRecommendationOutcome(recommendation, feedback) {
+    async determineRecommendationOutcome(recommendation, feedback, isMember = undefined) {
         // Priority 1: explicit feedback score
         if (feedback && feedback.feedback_score) {
             if (feedback.feedback_score >= 4) return 'positive';
@@ -191,19 +192,23 @@ class AnalyticsService {
         }
 
         // Priority 3: Check if user actually joined the project (separate query)
-        try {
-            const { data: membership, error } = await supabase
-                .from('project_members')
-                .select('status')
-                .eq('user_id', recommendation.user_id)
-                .eq('project_id', recommendation.project_id)
-                .single();
-
-            if (!error && membership && membership.status === 'active') {
-                return 'positive';
+        if (isMember !== undefined) {
+            if (isMember) return 'positive';
+        } else {
+            try {
+                const { data: membership, error } = await supabase
+                    .from('project_members')
+                    .select('status')
+                    .eq('user_id', recommendation.user_id)
+                    .eq('project_id', recommendation.project_id)
+                    .single();
+
+                if (!error && membership && membership.status === 'active') {
+                    return 'positive';
+                }
+            } catch (error) {
+                // Ignore errors for membership lookup
             }
-        } catch (error) {
-            // Ignore errors for membership lookup
         }
 
         // Priority 4: Check user engagement level from recommendation data
@@ -213,6 +218,169 @@ class AnalyticsService {
         return 'negative'; // No engagement = negative outcome
     }
 
+    /**
+     * Per-variant click, join and reject rates for an A/B experiment,
+     * with the confusion-matrix metrics computed separately for each variant
+     */
+    async generateExperimentReport(experiment) {
+        const { data: recommendations, error: recError } = await supabase
+            .from('project_recommendations')
+            .select('*')
+            .eq('experiment_id', experiment.id);
+
+        if (recError) throw recError;
+
+        const recs = recommendations || [];
+        const feedbackByRec = new Map();
+        const memberships = new Set();
+
+        const recIds = recs.map(rec => rec.id);
+        for (let i = 0; i < recIds.length; i += 500) {
+            const { data: feedback, error } = await supabase
+                .from('recommendation_feedback')
+                .select('*')
+                .in('recommendation_id', recIds.slice(i, i + 500));
+
+            if (error) throw error;
+            (feedback || []).forEach(f => {
+                if (!feedbackByRec.has(f.recommendation_id)) feedbackByRec.set(f.recommendation_id, []);
+                feedbackByRec.get(f.recommendation_id).push(f);
+            });
+        }
+
+        const userIds = [...new Set(recs.map(rec => rec.user_id))];
+        for (let i = 0; i < userIds.length; i += 500) {
+            const { data: members, error } = await supabase
+                .from('project_members')
+                .select('user_id, project_id, status')
+                .in('user_id', userIds.slice(i, i + 500));
+
+            if (error) throw error;
+            (members || []).forEach(m => {
+                if (m.status === 'active') memberships.add(`${m.user_id}:${m.project_id}`);
+            });
+        }
+
+        const variants = (experiment.variants || []).map(variant => ({
+            key: variant.key,
+            config: variant.config || {},
+            users: new Set(),
+            recommendations: 0,
+            clicks: 0,
+            joins: 0,
+            rejects: 0,
+            matrix: {
+                high_confidence: { positive: 0, neutral: 0, negative: 0 },
+                medium_confidence: { positive: 0, neutral: 0, negative: 0 },
+                low_confidence: { positive: 0, neutral: 0, negative: 0 }
+            }
+        }));
+        const byKey = new Map(variants.map(v => [v.key, v]));
+
+        for (const rec of recs) {
+            const variant = byKey.get(rec.experiment_variant);
+            if (!variant) continue;
+
+            const feedback = feedbackByRec.get(rec.id) || [];
+            const actions = new Set(feedback.map(f => f.action_taken));
+            const isMember = memberships.has(`${rec.user_id}:${rec.project_id}`);
+
+            variant.users.add(rec.user_id);
+            variant.recommendations++;
+
+            if (actions.has('viewed') || actions.has('applied') || actions.has('joined') ||
+                rec.clicked_at || rec.viewed_at || rec.applied_at) {
+                variant.clicks++;
+            }
+            if (actions.has('joined') || isMember) variant.joins++;
+            if (actions.has('ignored') || feedback.some(f => f.feedback_score && f.feedback_score <= 2)) {
+                variant.rejects++;
+            }
+
+            const confidenceLevel = this.getConfidenceLevel(rec.recommendation_score);
+            const outcome = await this.determineRecommendationOutcome(rec, feedback[feedback.length - 1], isMember);
+            if (confidenceLevel && outcome) variant.matrix[confidenceLevel][outcome]++;
+        }
+
+        const rate = (count, total) => ({ count, ...this.wilsonInterval(count, total) });
+
+        const results = variants.map(variant => ({
+            variant: variant.key,
+            config: variant.config,
+            users: variant.users.size,
+            recommendations: variant.recommendations,
+            click_rate: rate(variant.clicks, variant.recommendations),
+            join_rate: rate(variant.joins, variant.recommendations),
+            reject_rate: rate(variant.rejects, variant.recommendations),
+            confusion_matrix: variant.matrix,
+            precision: this.calculatePrecision(variant.matrix),
+            recall: this.calculateRecall(variant.matrix),
+            f1_score: this.calculateF1Score(variant.matrix)
+        }));
+
+        // Every other variant is compared against the first one (the control)
+        const [control, ...treatments] = results;
+        const comparisons = control ? treatments.map(treatment => ({
+            variant: treatment.variant,
+            against: control.variant,
+            click_rate: this.rateDifference(treatment.click_rate, control.click_rate),
+            join_rate: this.rateDifference(treatment.join_rate, control.join_rate),
+            reject_rate: this.rateDifference(treatment.reject_rate, control.reject_rate)
+        })) : [];
+
+        return {
+            experiment: {
+                id: experiment.id,
+                key: experiment.key,
+                name: experiment.name,
+                status: experiment.status,
+                started_at: experiment.started_at,
+                stopped_at: experiment.stopped_at
+            },
+            confidence: 0.95,
+            variants: results,
+            comparisons
+        };
+    }
+
+    /**
+     * Wilson score interval for a proportion (95% by default)
+     */
+    wilsonInterval(successes, total, z = 1.96) {
+        if (!total) return { rate: 0, lower: 0, upper: 0 };
+
+        const p = successes / total;
+        const z2 = z * z;
+        const denominator = 1 + z2 / total;
+        const center = (p + z2 / (2 * total)) / denominator;
+        const margin = (z * Math.sqrt((p * (1 - p) + z2 / (4 * total)) / total)) / denominator;
+        const round = value => Math.round(value * 10000) / 10000;
+
+        return {
+            rate: round(p),
+            lower: round(Math.max(0, center - margin)),
+            upper: round(Math.min(1, center + margin))
+        };
+    }
+
+    /**
+     * Difference between two rates with Newcombe's interval built from their Wilson intervals;
+     * an interval that excludes zero is a significant difference at the same confidence level
+     */
+    rateDifference(treatment, control) {
+        const round = value => Math.round(value * 10000) / 10000;
+        const difference = treatment.rate - control.rate;
+        const lower = difference - Math.sqrt((treatment.rate - treatment.lower) ** 2 + (control.upper - control.rate) ** 2);
+        const upper = difference + Math.sqrt((treatment.upper - treatment.rate) ** 2 + (control.rate - control.lower) ** 2);
+
+        return {
+            difference: round(difference),
+            lower: round(lower),
+            upper: round(upper),
+            significant: lower > 0 || upper < 0
+        };
+    }
+
     /**
      * Get predicted assessment level from initial score
      */
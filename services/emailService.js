@@ -1,5 +1,13 @@
 const nodemailer = require('nodemailer');
 
+// Notification text carries user-entered project and task titles
+const escapeHtml = value => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
 class EmailService {
     constructor() {
         this.transporter = null;
@@ -271,6 +279,77 @@ class EmailService {
         }
     }
 
+    async sendNotificationEmail(email, username, title, message) {
+        await this.initialize();
+
+        const mailOptions = {
+            from: `"TechSync Platform" <${process.env.GMAIL_USER}>`,
+            to: email,
+            subject: `${title} - TechSync`,
+            html: `
+                <!DOCTYPE html>
+                <html>
+                <head>
+                    <meta charset="UTF-8">
+                    <style>
+                        body { 
+                            font-family: Arial, sans-serif; 
+                            line-height: 1.6; 
+                            color: #333;
+                            background-color: #f5f5f5;
+                            padding: 20px;
+                        }
+                        .container { 
+                            max-width: 600px; 
+                            margin: 0 auto;
+                            background: white;
+                            border-radius: 12px;
+                            overflow: hidden;
+                            box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+                        }
+                        .content { padding: 30px; }
+                        .content p {
+                            margin-bottom: 15px;
+                            color: #555;
+                            font-size: 16px;
+                        }
+                        .footer { 
+                            text-align: center; 
+                            padding: 20px;
+                            background: #f8f9fa;
+                            color: #666; 
+                            font-size: 13px;
+                            border-top: 1px solid #e9ecef;
+                        }
+                    </style>
+                </head>
+                <body>
+                    <div class="container">
+                        <div class="content">
+                            <p>Hi <strong>${escapeHtml(username)}</strong>,</p>
+                            <h2>${escapeHtml(title)}</h2>
+                            <p>${escapeHtml(message)}</p>
+                            <p><a href="${process.env.FRONTEND_URL}/notifications">View your notifications</a></p>
+                        </div>
+                        <div class="footer">
+                            <p>You can change which emails you receive in your notification settings.</p>
+                            <p>© ${new Date().getFullYear()} TechSync. All rights reserved.</p>
+                        </div>
+                    </div>
+                </body>
+                </html>
+            `
+        };
+
+        try {
+            await this.transporter.sendMail(mailOptions);
+            console.log(`✅ Notification email sent to: ${email}`);
+        } catch (error) {
+            console.error('❌ Notification email error:', error);
+            // Don't throw - this is not critical
+        }
+    }
+
     async sendTestEmail(email) {
         await this.initialize();
 
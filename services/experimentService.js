@@ -0,0 +1,255 @@
+// services/experimentService.js - A/B experiments for recommendation strategies
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+
+// Ranking parameters a variant may override in SkillMatchingService.recommendProjects
+const VARIANT_CONFIG_KEYS = {
+    threshold: value => Number.isFinite(value) && value >= 0 && value <= 100,
+    diversityLambda: value => Number.isFinite(value) && value >= 0 && value <= 1
+};
+
+const STATUSES = ['draft', 'running', 'stopped'];
+const CACHE_TTL_MS = 60 * 1000;
+
+class ExperimentService {
+    constructor() {
+        this.runningCache = null;
+        this.runningCacheTime = 0;
+    }
+
+    /**
+     * Validate variant definitions: [{ key, weight, config }]
+     * Returns an error message or null
+     */
+    validateVariants(variants) {
+        if (!Array.isArray(variants) || variants.length < 2) {
+            return 'An experiment needs at least two variants';
+        }
+
+        const keys = new Set();
+        for (const variant of variants) {
+            if (!variant.key || !/^[a-z0-9_-]{1,40}$/i.test(variant.key)) {
+                return 'Variant keys must be 1-40 letters, digits, dashes or underscores';
+            }
+            if (keys.has(variant.key)) return `Duplicate variant key: ${variant.key}`;
+            keys.add(variant.key);
+
+            if (variant.weight !== undefined && !(Number(variant.weight) > 0)) {
+                return `Variant ${variant.key} must have a positive weight`;
+            }
+
+            for (const [configKey, value] of Object.entries(variant.config || {})) {
+                const isValid = VARIANT_CONFIG_KEYS[configKey];
+                if (!isValid) return `Unsupported variant setting: ${configKey}`;
+                if (!isValid(Number(value))) return `Invalid value for ${configKey} in variant ${variant.key}`;
+            }
+        }
+
+        return null;
+    }
+
+    normalizeVariants(variants) {
+        return variants.map(variant => ({
+            key: variant.key,
+            weight: Number(variant.weight) || 1,
+            config: Object.fromEntries(
+                Object.entries(variant.config || {}).map(([configKey, value]) => [configKey, Number(value)])
+            )
+        }));
+    }
+
+    async listExperiments() {
+        const { data, error } = await supabase
+            .from('recommendation_experiments')
+            .select('*')
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    async getExperiment(experimentId) {
+        const { data, error } = await supabase
+            .from('recommendation_experiments')
+            .select('*')
+            .eq('id', experimentId)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) {
+            const notFound = new Error('Experiment not found');
+            notFound.statusCode = 404;
+            throw notFound;
+        }
+        return data;
+    }
+
+    async createExperiment({ key, name, description, variants, createdBy }) {
+        const validationError = this.validateVariants(variants);
+        if (validationError) {
+            const error = new Error(validationError);
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const { data, error } = await supabase
+            .from('recommendation_experiments')
+            .insert({
+                key,
+                name,
+                description: description || null,
+                variants: this.normalizeVariants(variants),
+                status: 'draft',
+                created_by: createdBy || null,
+                created_at: new Date().toISOString()
+            })
+            .select()
+            .single();
+
+        if (error) {
+            if (String(error.code) === '23505') {
+                const duplicate = new Error(`An experiment with key "${key}" already exists`);
+                duplicate.statusCode = 409;
+                throw duplicate;
+            }
+            throw error;
+        }
+        return data;
+    }
+
+    /**
+     * Start or stop an experiment. Only one experiment runs at a time,
+     * so every recommendation request is attributed to at most one variant.
+     */
+    async setStatus(experimentId, status) {
+        if (!STATUSES.includes(status)) {
+            const error = new Error(`Status must be one of: ${STATUSES.join(', ')}`);
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const experiment = await this.getExperiment(experimentId);
+
+        if (status === 'running') {
+            const running = await this.getRunningExperiment(false);
+            if (running && running.id !== experimentId) {
+                const error = new Error(`Experiment "${running.key}" is already running; stop it first`);
+                error.statusCode = 409;
+                throw error;
+            }
+            if (experiment.status === 'stopped') {
+                const error = new Error('A stopped experiment cannot be restarted; create a new one');
+                error.statusCode = 409;
+                throw error;
+            }
+        }
+
+        const now = new Date().toISOString();
+        const { data, error } = await supabase
+            .from('recommendation_experiments')
+            .update({
+                status,
+                ...(status === 'running' ? { started_at: experiment.started_at || now } : {}),
+                ...(status === 'stopped' ? { stopped_at: now } : {})
+            })
+            .eq('id', experimentId)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        this.runningCache = null;
+        this.runningCacheTime = 0;
+        return data;
+    }
+
+    async getRunningExperiment(useCache = true) {
+        if (useCache && this.runningCacheTime && Date.now() - this.runningCacheTime < CACHE_TTL_MS) {
+            return this.runningCache;
+        }
+
+        const { data, error } = await supabase
+            .from('recommendation_experiments')
+            .select('*')
+            .eq('status', 'running')
+            .order('started_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        if (error) {
+            console.error('Error loading running experiment:', error);
+            return null;
+        }
+
+        this.runningCache = data || null;
+        this.runningCacheTime = Date.now();
+        return this.runningCache;
+    }
+
+    /**
+     * Deterministic weighted bucket for a user, so assignment is sticky even before it is stored
+     */
+    pickVariant(experiment, userId) {
+        const variants = experiment.variants || [];
+        const totalWeight = variants.reduce((sum, variant) => sum + (variant.weight || 1), 0);
+        const hash = crypto.createHash('sha256').update(`${experiment.id}:${userId}`).digest();
+        const bucket = (hash.readUInt32BE(0) / 0x100000000) * totalWeight;
+
+        let cumulative = 0;
+        for (const variant of variants) {
+            cumulative += variant.weight || 1;
+            if (bucket < cumulative) return variant;
+        }
+        return variants[variants.length - 1];
+    }
+
+    /**
+     * Variant of the running experiment for a user, assigning one on first use.
+     * Returns { experimentId, experimentKey, variant, config } or null when nothing is running.
+     */
+    async getAssignment(userId) {
+        try {
+            const experiment = await this.getRunningExperiment();
+            if (!experiment) return null;
+
+            const { data: existing } = await supabase
+                .from('experiment_assignments')
+                .select('variant')
+                .eq('experiment_id', experiment.id)
+                .eq('user_id', userId)
+                .maybeSingle();
+
+            let variant = existing
+                ? (experiment.variants || []).find(v => v.key === existing.variant)
+                : null;
+
+            if (!variant) {
+                variant = this.pickVariant(experiment, userId);
+                const { error } = await supabase
+                    .from('experiment_assignments')
+                    .upsert({
+                        experiment_id: experiment.id,
+                        user_id: userId,
+                        variant: variant.key,
+                        assigned_at: new Date().toISOString()
+                    }, { onConflict: 'experiment_id,user_id', ignoreDuplicates: true });
+
+                if (error) console.error('Error storing experiment assignment:', error);
+            }
+
+            return {
+                experimentId: experiment.id,
+                experimentKey: experiment.key,
+                variant: variant.key,
+                config: variant.config || {}
+            };
+        } catch (error) {
+            // Recommendations must keep working if the experiment tables are unavailable
+            console.error('Error resolving experiment assignment:', error);
+            return null;
+        }
+    }
+}
+
+module.exports = new ExperimentService();
+module.exports.VARIANT_CONFIG_KEYS = Object.keys(VARIANT_CONFIG_KEYS);
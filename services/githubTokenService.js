@@ -0,0 +1,284 @@
+// services/githubTokenService.js - Encrypted GitHub OAuth tokens, OAuth state and scope checks
+const crypto = require('crypto');
+const axios = require('axios');
+const supabase = require('../config/supabase');
+const { encrypt, decrypt, isEncrypted } = require('../utils/encryption');
+
+const GITHUB_CLIENT_ID = process.env.GITHUB_CLIENT_ID;
+const GITHUB_CLIENT_SECRET = process.env.GITHUB_CLIENT_SECRET;
+
+const OAUTH_SCOPES = ['repo', 'read:user', 'user:email'];
+// Scopes needed for repository browsing and linking repositories to projects
+const REPO_SCOPES = ['repo'];
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+// Refresh a little before expiry so a request doesn't start with a token about to lapse
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+// Broader GitHub scopes that include narrower ones
+const IMPLIED_SCOPES = {
+    repo: ['public_repo', 'repo:status', 'repo_deployment', 'repo:invite', 'security_events'],
+    user: ['read:user', 'user:email', 'user:follow'],
+    'admin:repo_hook': ['write:repo_hook', 'read:repo_hook'],
+    'write:repo_hook': ['read:repo_hook']
+};
+
+const hashState = state => crypto.createHash('sha256').update(String(state)).digest('hex');
+
+const githubError = (message, statusCode, code) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = code;
+    return error;
+};
+
+class GitHubTokenService {
+    constructor() {
+        // userId -> in-flight refresh, so concurrent requests share one refresh-token exchange
+        this.refreshes = new Map();
+    }
+
+    parseScopes(scope) {
+        return String(scope || '')
+            .split(/[,\s]+/)
+            .map(s => s.trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Scopes from `required` that the granted scope string does not cover
+     */
+    missingScopes(grantedScope, required) {
+        const granted = new Set();
+        this.parseScopes(grantedScope).forEach(scope => {
+            granted.add(scope);
+            (IMPLIED_SCOPES[scope] || []).forEach(implied => granted.add(implied));
+        });
+        return required.filter(scope => !granted.has(scope));
+    }
+
+    /**
+     * Missing scopes for a stored token. Expiring GitHub App user tokens carry no OAuth scopes
+     * (access comes from the app's permissions), so there is nothing to check for those
+     */
+    missingScopesFor(record, required) {
+        if (!record.scope && record.refresh_token) return [];
+        return this.missingScopes(record.scope, required);
+    }
+
+    /**
+     * Create a one-time OAuth state bound to the user; only its hash is stored
+     */
+    async createOAuthState(userId) {
+        const state = crypto.randomBytes(32).toString('hex');
+        const now = Date.now();
+
+        const { error } = await supabase
+            .from('github_oauth_states')
+            .insert({
+                state_hash: hashState(state),
+                user_id: userId,
+                created_at: new Date(now).toISOString(),
+                expires_at: new Date(now + STATE_TTL_MS).toISOString()
+            });
+
+        if (error) throw error;
+
+        // Opportunistic cleanup of abandoned flows
+        supabase
+            .from('github_oauth_states')
+            .delete()
+            .lt('expires_at', new Date(now).toISOString())
+            .then(({ error: cleanupError }) => {
+                if (cleanupError) console.error('Error cleaning up OAuth states:', cleanupError);
+            });
+
+        return state;
+    }
+
+    /**
+     * Consume an OAuth state; throws unless it was issued to this user and has not expired or been used
+     */
+    async consumeOAuthState(userId, state) {
+        if (!state) throw githubError('OAuth state is required', 400, 'INVALID_OAUTH_STATE');
+
+        const { data, error } = await supabase
+            .from('github_oauth_states')
+            .delete()
+            .eq('state_hash', hashState(state))
+            .eq('user_id', userId)
+            .select('expires_at');
+
+        if (error) throw error;
+
+        const entry = (data || [])[0];
+        if (!entry || new Date(entry.expires_at) <= new Date()) {
+            throw githubError('OAuth state is invalid or has expired, please try connecting again', 400, 'INVALID_OAUTH_STATE');
+        }
+    }
+
+    /**
+     * Fields to store for a token response from GitHub's access_token endpoint
+     * Expiring user tokens (GitHub Apps) also carry a refresh token
+     */
+    tokenFields(tokenData) {
+        const now = Date.now();
+        return {
+            access_token: encrypt(tokenData.access_token),
+            refresh_token: tokenData.refresh_token ? encrypt(tokenData.refresh_token) : null,
+            expires_at: tokenData.expires_in
+                ? new Date(now + Number(tokenData.expires_in) * 1000).toISOString()
+                : null,
+            refresh_token_expires_at: tokenData.refresh_token_expires_in
+                ? new Date(now + Number(tokenData.refresh_token_expires_in) * 1000).toISOString()
+                : null,
+            scope: tokenData.scope || '',
+            token_type: tokenData.token_type || 'bearer',
+            updated_at: new Date(now).toISOString()
+        };
+    }
+
+    async saveToken(userId, tokenData, githubUser) {
+        const { data, error } = await supabase
+            .from('github_oauth_tokens')
+            .upsert({
+                user_id: userId,
+                ...this.tokenFields(tokenData),
+                github_user_id: githubUser.id,
+                github_username: githubUser.login,
+                github_email: githubUser.email,
+                github_name: githubUser.name,
+                github_avatar_url: githubUser.avatar_url,
+                created_at: new Date().toISOString()
+            }, {
+                onConflict: 'user_id'
+            })
+            .select('user_id, github_username, scope, refresh_token')
+            .single();
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Exchange the refresh token for a new access token. GitHub rotates refresh tokens, so only
+     * one exchange per user may run at a time: callers in this process share the pending one,
+     * and the row is only written if nobody else rotated it in the meantime.
+     */
+    refresh(record) {
+        const pending = this.refreshes.get(record.user_id);
+        if (pending) return pending;
+
+        const refresh = this.exchangeRefreshToken(record)
+            .finally(() => this.refreshes.delete(record.user_id));
+        this.refreshes.set(record.user_id, refresh);
+        return refresh;
+    }
+
+    /**
+     * The stored row if another instance has rotated its refresh token since `record` was read
+     */
+    async findRotatedRecord(record) {
+        const { data, error } = await supabase
+            .from('github_oauth_tokens')
+            .select('*')
+            .eq('user_id', record.user_id)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data && data.refresh_token !== record.refresh_token ? data : null;
+    }
+
+    async exchangeRefreshToken(record) {
+        const refreshExpired = record.refresh_token_expires_at &&
+            new Date(record.refresh_token_expires_at) <= new Date();
+
+        if (!record.refresh_token || refreshExpired) {
+            throw githubError('GitHub authorization has expired, please reconnect your account', 401, 'GITHUB_REAUTH_REQUIRED');
+        }
+
+        const response = await axios.post('https://github.com/login/oauth/access_token', {
+            client_id: GITHUB_CLIENT_ID,
+            client_secret: GITHUB_CLIENT_SECRET,
+            grant_type: 'refresh_token',
+            refresh_token: decrypt(record.refresh_token)
+        }, {
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            }
+        });
+
+        if (!response.data.access_token) {
+            // The token may have been used by another instance a moment ago
+            const rotated = await this.findRotatedRecord(record);
+            if (rotated) return rotated;
+
+            console.error('GitHub token refresh failed:', response.data.error);
+            throw githubError('GitHub authorization has expired, please reconnect your account', 401, 'GITHUB_REAUTH_REQUIRED');
+        }
+
+        const fields = this.tokenFields(response.data);
+        const { data, error } = await supabase
+            .from('github_oauth_tokens')
+            .update(fields)
+            .eq('user_id', record.user_id)
+            .eq('refresh_token', record.refresh_token)
+            .select('*')
+            .maybeSingle();
+
+        if (error) throw error;
+        if (data) return data;
+
+        // Lost the race: keep the row the other writer saved
+        const rotated = await this.findRotatedRecord(record);
+        if (!rotated) throw githubError('GitHub account not connected', 404, 'GITHUB_NOT_CONNECTED');
+        return rotated;
+    }
+
+    /**
+     * Decrypted access token for a user, refreshed if it has expired
+     * Throws 404 when GitHub isn't connected and 403 when required scopes were not granted
+     */
+    async getAccessToken(userId, { requiredScopes = [] } = {}) {
+        let { data: record, error } = await supabase
+            .from('github_oauth_tokens')
+            .select('*')
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!record) throw githubError('GitHub account not connected', 404, 'GITHUB_NOT_CONNECTED');
+
+        if (record.expires_at && new Date(record.expires_at).getTime() - REFRESH_MARGIN_MS <= Date.now()) {
+            record = await this.refresh(record);
+        }
+
+        const missing = this.missingScopesFor(record, requiredScopes);
+        if (missing.length > 0) {
+            const scopeError = githubError(
+                `Your GitHub authorization is missing the ${missing.join(', ')} scope. Reconnect GitHub to grant it.`,
+                403,
+                'GITHUB_SCOPE_MISSING'
+            );
+            scopeError.missingScopes = missing;
+            throw scopeError;
+        }
+
+        // Rows written before encryption was introduced are migrated on first use
+        if (!isEncrypted(record.access_token)) {
+            const { error: migrateError } = await supabase
+                .from('github_oauth_tokens')
+                .update({ access_token: encrypt(record.access_token) })
+                .eq('user_id', userId);
+            if (migrateError) console.error('Error encrypting legacy GitHub token:', migrateError);
+            return { accessToken: record.access_token, record };
+        }
+
+        return { accessToken: decrypt(record.access_token), record };
+    }
+}
+
+module.exports = new GitHubTokenService();
+module.exports.OAUTH_SCOPES = OAUTH_SCOPES;
+module.exports.REPO_SCOPES = REPO_SCOPES;
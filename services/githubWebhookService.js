@@ -0,0 +1,362 @@
+// services/githubWebhookService.js - Links GitHub commits, pull requests and issues to project tasks
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+const notificationService = require('./notificationService');
+const { encrypt, decrypt } = require('../utils/encryption');
+const { recordTaskActivity } = require('../utils/taskActivityLogger');
+
+const SUPPORTED_EVENTS = ['ping', 'push', 'pull_request', 'issues'];
+
+// Statuses a merged pull request may move its linked tasks to (project_github_repos.merged_pr_status)
+const MERGE_STATUSES = ['in_review', 'completed'];
+
+// TS-<first 8+ hex chars of the task id> or #task-<full task uuid>
+const SHORT_REF_PATTERN = /\bTS-([0-9a-f]{8,32})\b/gi;
+const UUID_REF_PATTERN = /#task-([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})\b/gi;
+
+class GitHubWebhookService {
+    /**
+     * Random secret for a newly linked repository's webhook; stored encrypted, shown to the user once
+     */
+    createWebhookSecret() {
+        const secret = crypto.randomBytes(32).toString('hex');
+        return { secret, encrypted: encrypt(secret) };
+    }
+
+    /**
+     * X-Hub-Signature-256 value GitHub sends for a body
+     */
+    sign(rawBody, secret) {
+        return `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+    }
+
+    /**
+     * Check the X-Hub-Signature-256 header against the raw request body
+     */
+    verifySignature(rawBody, signature, secret) {
+        if (!secret || !rawBody || !signature || !signature.startsWith('sha256=')) return false;
+
+        const expected = Buffer.from(this.sign(rawBody, secret));
+        const received = Buffer.from(signature);
+        return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    }
+
+    /**
+     * Task references in free text (commit messages, PR and issue titles)
+     */
+    extractTaskReferences(text) {
+        const shortIds = new Set();
+        const taskIds = new Set();
+        const source = String(text || '');
+
+        for (const match of source.matchAll(SHORT_REF_PATTERN)) shortIds.add(match[1].toLowerCase());
+        for (const match of source.matchAll(UUID_REF_PATTERN)) taskIds.add(match[1].toLowerCase());
+
+        return { shortIds: [...shortIds], taskIds: [...taskIds] };
+    }
+
+    hasReferences(refs) {
+        return refs.shortIds.length > 0 || refs.taskIds.length > 0;
+    }
+
+    /**
+     * Projects connected to a repository (case-insensitive on owner/name), with their encrypted webhook secrets
+     */
+    async getLinkedProjects(repositoryFullName) {
+        if (!repositoryFullName) return [];
+        const escaped = repositoryFullName.replace(/[\\%_]/g, char => `\\${char}`);
+
+        const { data, error } = await supabase
+            .from('project_github_repos')
+            .select('project_id, repository_full_name, branch, merged_pr_status, webhook_secret_encrypted')
+            .ilike('repository_full_name', escaped);
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * Projects a delivery may act on: those linked to the repository it names whose own webhook
+     * secret produced the signature. A project owner can only sign for repositories they linked,
+     * so naming another project's repository matches nothing.
+     */
+    async authenticateDelivery(rawBody, signature, repositoryFullName) {
+        const linked = await this.getLinkedProjects(repositoryFullName);
+
+        return linked
+            .filter(project => {
+                if (!project.webhook_secret_encrypted) return false;
+                try {
+                    return this.verifySignature(rawBody, signature, decrypt(project.webhook_secret_encrypted));
+                } catch (error) {
+                    console.error(`Cannot read webhook secret for project ${project.project_id}:`, error.message);
+                    return false;
+                }
+            })
+            .map(({ webhook_secret_encrypted, ...project }) => project);
+    }
+
+    /**
+     * Tasks in the linked projects matching the references. Short ids are task id prefixes
+     * and only count when they identify a single task in the project
+     */
+    async resolveTasks(projectIds, refs) {
+        if (projectIds.length === 0 || !this.hasReferences(refs)) return [];
+
+        const { data: tasks, error } = await supabase
+            .from('project_tasks')
+            .select('id, project_id, title, status, assigned_to')
+            .in('project_id', projectIds);
+
+        if (error) throw error;
+
+        const matched = new Map();
+        (tasks || []).forEach(task => {
+            if (refs.taskIds.includes(task.id.toLowerCase())) matched.set(task.id, task);
+        });
+
+        refs.shortIds.forEach(shortId => {
+            projectIds.forEach(projectId => {
+                const candidates = (tasks || []).filter(task =>
+                    task.project_id === projectId && task.id.replace(/-/g, '').toLowerCase().startsWith(shortId)
+                );
+                if (candidates.length === 1) matched.set(candidates[0].id, candidates[0]);
+            });
+        });
+
+        return [...matched.values()];
+    }
+
+    /**
+     * TechSync user behind a GitHub account, if they connected it
+     */
+    async findUserByGitHubId(githubUserId) {
+        if (!githubUserId) return null;
+
+        const { data } = await supabase
+            .from('github_oauth_tokens')
+            .select('user_id')
+            .eq('github_user_id', githubUserId)
+            .maybeSingle();
+
+        return data?.user_id || null;
+    }
+
+    async upsertLinks(links) {
+        if (links.length === 0) return [];
+
+        const { data, error } = await supabase
+            .from('task_github_links')
+            .upsert(links.map(link => ({ ...link, updated_at: new Date().toISOString() })), {
+                onConflict: 'task_id,link_type,repository_full_name,external_id'
+            })
+            .select('id, task_id, link_type, external_id');
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    async handlePush(payload, projects) {
+        const repository = payload.repository?.full_name;
+        const projectIds = projects.map(project => project.project_id);
+        const branch = String(payload.ref || '').replace(/^refs\/heads\//, '');
+
+        const links = [];
+        for (const commit of payload.commits || []) {
+            if (commit.distinct === false) continue;
+
+            const tasks = await this.resolveTasks(projectIds, this.extractTaskReferences(commit.message));
+            tasks.forEach(task => links.push({
+                task_id: task.id,
+                project_id: task.project_id,
+                link_type: 'commit',
+                external_id: commit.id,
+                title: String(commit.message || '').split('\n')[0].slice(0, 500),
+                url: commit.url,
+                state: branch || null,
+                author_login: commit.author?.username || commit.author?.name || null,
+                repository_full_name: repository
+            }));
+        }
+
+        const saved = await this.upsertLinks(links);
+        return { repository, linked: saved.length };
+    }
+
+    async handlePullRequest(payload, projects) {
+        const pr = payload.pull_request;
+        const repository = payload.repository?.full_name;
+        if (!pr) return { repository, linked: 0 };
+
+        const tasks = await this.resolveTasks(
+            projects.map(project => project.project_id),
+            this.extractTaskReferences(`${pr.title}\n${pr.head?.ref || ''}`)
+        );
+
+        const state = pr.merged ? 'merged' : pr.state;
+        const saved = await this.upsertLinks(tasks.map(task => ({
+            task_id: task.id,
+            project_id: task.project_id,
+            link_type: 'pull_request',
+            external_id: String(pr.number),
+            title: String(pr.title || '').slice(0, 500),
+            url: pr.html_url,
+            state,
+            author_login: pr.user?.login || null,
+            repository_full_name: repository
+        })));
+
+        const moved = [];
+        if (payload.action === 'closed' && pr.merged) {
+            const actorId = await this.findUserByGitHubId(pr.merged_by?.id || payload.sender?.id);
+
+            for (const task of tasks) {
+                const project = projects.find(p => p.project_id === task.project_id);
+                const result = await this.applyMergedStatus(task, project?.merged_pr_status, { pr, actorId });
+                if (result) moved.push(result);
+            }
+        }
+
+        return { repository, linked: saved.length, moved };
+    }
+
+    async handleIssues(payload, projects) {
+        const issue = payload.issue;
+        const repository = payload.repository?.full_name;
+        if (!issue) return { repository, linked: 0 };
+
+        const tasks = await this.resolveTasks(
+            projects.map(project => project.project_id),
+            this.extractTaskReferences(issue.title)
+        );
+
+        const saved = await this.upsertLinks(tasks.map(task => ({
+            task_id: task.id,
+            project_id: task.project_id,
+            link_type: 'issue',
+            external_id: String(issue.number),
+            title: String(issue.title || '').slice(0, 500),
+            url: issue.html_url,
+            state: issue.state,
+            author_login: issue.user?.login || null,
+            repository_full_name: repository
+        })));
+
+        return { repository, linked: saved.length };
+    }
+
+    /**
+     * Move a task linked to a merged PR to the project's configured status
+     * Tasks with open blockers are not completed, matching manual status changes
+     */
+    async applyMergedStatus(task, targetStatus, { pr, actorId }) {
+        if (!MERGE_STATUSES.includes(targetStatus) || task.status === targetStatus || task.status === 'completed') {
+            return null;
+        }
+
+        if (targetStatus === 'completed') {
+            const { data: dependencies } = await supabase
+                .from('task_dependencies')
+                .select('blocker:depends_on_task_id(id, status)')
+                .eq('task_id', task.id);
+
+            const blocked = (dependencies || []).some(dep => dep.blocker && dep.blocker.status !== 'completed');
+            if (blocked) {
+                console.log(`⏸️ Task ${task.id} has open blockers; not completing it from PR #${pr.number}`);
+                return { task_id: task.id, status: task.status, skipped: 'blocked' };
+            }
+        }
+
+        const now = new Date().toISOString();
+        const update = { status: targetStatus, updated_at: now };
+        if (targetStatus === 'completed') update.completed_at = now;
+
+        const { data: updated, error } = await supabase
+            .from('project_tasks')
+            .update(update)
+            .eq('id', task.id)
+            .select('*')
+            .single();
+
+        if (error) throw error;
+
+        await recordTaskActivity({
+            action: 'update',
+            task: updated,
+            before: { ...updated, status: task.status, completed_at: null },
+            after: updated,
+            actorId,
+            source: 'github'
+        });
+
+        if (updated.assigned_to) {
+            await notificationService.publish({
+                userId: updated.assigned_to,
+                type: 'task_github_activity',
+                title: 'Pull Request Merged',
+                message: `PR #${pr.number} was merged and "${updated.title}" moved to ${targetStatus.replace('_', ' ')}`,
+                projectId: updated.project_id,
+                actorId,
+                data: { task_id: updated.id, pull_request: pr.number, url: pr.html_url }
+            });
+        }
+
+        return { task_id: updated.id, status: targetStatus };
+    }
+
+    /**
+     * Process one delivery for the projects it was authenticated for (see authenticateDelivery)
+     * Deliveries are recorded by id so GitHub redeliveries are not applied twice
+     */
+    async handleEvent(event, payload, { deliveryId = null, projects = [] } = {}) {
+        if (!SUPPORTED_EVENTS.includes(event)) {
+            return { ignored: true, reason: `Unsupported event: ${event}` };
+        }
+
+        if (deliveryId) {
+            const { data: existing } = await supabase
+                .from('github_webhook_deliveries')
+                .select('id, result')
+                .eq('delivery_id', deliveryId)
+                .maybeSingle();
+
+            if (existing) return { duplicate: true, ...(existing.result || {}) };
+        }
+
+        let result;
+        switch (event) {
+            case 'ping':
+                result = { pong: true, hook_id: payload.hook_id };
+                break;
+            case 'push':
+                result = await this.handlePush(payload, projects);
+                break;
+            case 'pull_request':
+                result = await this.handlePullRequest(payload, projects);
+                break;
+            case 'issues':
+                result = await this.handleIssues(payload, projects);
+                break;
+        }
+
+        if (deliveryId) {
+            const { error } = await supabase
+                .from('github_webhook_deliveries')
+                .insert({
+                    delivery_id: deliveryId,
+                    event,
+                    action: payload.action || null,
+                    repository_full_name: payload.repository?.full_name || null,
+                    result,
+                    processed_at: new Date().toISOString()
+                });
+            if (error) console.error('Error recording webhook delivery:', error);
+        }
+
+        return result;
+    }
+}
+
+module.exports = new GitHubWebhookService();
+module.exports.SUPPORTED_EVENTS = SUPPORTED_EVENTS;
+module.exports.MERGE_STATUSES = MERGE_STATUSES;
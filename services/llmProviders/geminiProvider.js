@@ -0,0 +1,103 @@
+// services/llmProviders/geminiProvider.js - Google Gemini adapter for llmService
+const { GoogleGenAI } = require('@google/genai');
+
+const toUsage = (usage = {}) => ({
+    inputTokens: usage.promptTokenCount || 0,
+    outputTokens: (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0)
+});
+
+class GeminiProvider {
+    constructor({ apiKey, models }) {
+        this.name = 'gemini';
+        this.configuredModels = models;
+        this.availableModels = [];
+        this.client = apiKey ? new GoogleGenAI({ apiKey }) : null;
+        this.ready = null;
+    }
+
+    /**
+     * Probe the configured models once and keep the ones that respond, in order
+     */
+    initialize() {
+        if (!this.ready) {
+            this.ready = this.probeModels();
+        }
+        return this.ready;
+    }
+
+    async probeModels() {
+        if (!this.client) {
+            console.warn('GEMINI_API_KEY not found. AI features will be disabled.');
+            return;
+        }
+
+        console.log('Initializing Gemini AI...');
+        for (const model of this.configuredModels) {
+            try {
+                await this.client.models.generateContent({ model, contents: 'Hello' });
+                this.availableModels.push(model);
+                console.log(`✅ Gemini model available: ${model}`);
+            } catch (error) {
+                console.log(`❌ Model ${model} not available: ${error.message}`);
+            }
+        }
+
+        if (this.availableModels.length === 0) {
+            console.error('❌ No Gemini models available. AI features will be disabled.');
+        }
+    }
+
+    isAvailable() {
+        return Boolean(this.client) && this.availableModels.length > 0;
+    }
+
+    listModels() {
+        return [...this.availableModels];
+    }
+
+    async generate({ model, contents, config = {}, signal }) {
+        const response = await this.client.models.generateContent({
+            model,
+            contents,
+            config: { ...config, abortSignal: signal }
+        });
+
+        return {
+            text: response.text,
+            model,
+            usage: toUsage(response.usageMetadata)
+        };
+    }
+
+    /**
+     * Yields { text, usage } chunks; usage is cumulative and usually only set on the last chunks
+     */
+    async *generateStream({ model, contents, config = {}, signal }) {
+        const stream = await this.client.models.generateContentStream({
+            model,
+            contents,
+            config: { ...config, abortSignal: signal }
+        });
+
+        for await (const chunk of stream) {
+            yield {
+                text: chunk.text || '',
+                usage: chunk.usageMetadata ? toUsage(chunk.usageMetadata) : null
+            };
+        }
+    }
+
+    /**
+     * Whether an error should move on to the next model rather than be retried on this one
+     */
+    isModelUnavailable(error) {
+        return error.status === 404 || /not found|not supported/i.test(error.message || '');
+    }
+
+    isRetryable(error) {
+        return error.status === 429 || error.status >= 500 || error.name === 'TimeoutError' ||
+            /ECONNRESET|ETIMEDOUT|fetch failed/i.test(error.message || '');
+    }
+}
+
+module.exports = GeminiProvider;
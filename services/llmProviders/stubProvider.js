@@ -0,0 +1,147 @@
+// services/llmProviders/stubProvider.js - Deterministic local provider that replays fixtures
+//
+// Fixtures are JSON files in the fixtures directory, checked in file-name order:
+//   {
+//     "feature": "chat",                 // optional, only used for this llmService feature
+//     "match": "User: .*quiz",           // optional, case-insensitive regex tested against the prompt
+//     "promptHash": "<sha256>",          // optional, exact prompt match (set on recorded fixtures)
+//     "responses": [ ... ]               // replayed in order, the last one repeats; objects are sent as JSON
+//   }
+// "response" can be used instead of "responses" for a single reply. Streams send the reply a few
+// words per chunk.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const hashPrompt = contents => crypto.createHash('sha256')
+    .update(typeof contents === 'string' ? contents : JSON.stringify(contents))
+    .digest('hex');
+
+// Rough token estimate so usage accounting has numbers offline
+const estimateTokens = text => Math.ceil(String(text || '').length / 4);
+
+const WORDS_PER_CHUNK = 3;
+
+const abortError = () => {
+    const error = new Error('Stub stream aborted');
+    error.name = 'AbortError';
+    return error;
+};
+
+class StubProvider {
+    constructor({ fixturesDir }) {
+        this.name = 'stub';
+        this.fixturesDir = path.resolve(__dirname, '../..', fixturesDir);
+        this.fixtures = null;
+        this.calls = new Map();
+    }
+
+    initialize() {
+        this.loadFixtures();
+        console.log(`🧪 Using stub AI provider with ${this.fixtures.length} fixture(s) from ${this.fixturesDir}`);
+        return Promise.resolve();
+    }
+
+    loadFixtures() {
+        if (this.fixtures) return this.fixtures;
+
+        const files = fs.existsSync(this.fixturesDir)
+            ? fs.readdirSync(this.fixturesDir).filter(file => file.endsWith('.json')).sort()
+            : [];
+
+        this.fixtures = files.map(file => {
+            const fixture = JSON.parse(fs.readFileSync(path.join(this.fixturesDir, file), 'utf8'));
+            return {
+                ...fixture,
+                file,
+                pattern: fixture.match ? new RegExp(fixture.match, 'i') : null,
+                responses: fixture.responses || [fixture.response]
+            };
+        });
+        return this.fixtures;
+    }
+
+    /**
+     * Forget replay positions (and reload fixtures) so a scripted sequence starts over
+     */
+    reset() {
+        this.calls.clear();
+        this.fixtures = null;
+    }
+
+    isAvailable() {
+        return true;
+    }
+
+    listModels() {
+        return ['stub'];
+    }
+
+    findFixture(prompt, feature) {
+        const fixtures = this.loadFixtures();
+        const promptHash = hashPrompt(prompt);
+        const text = typeof prompt === 'string' ? prompt : JSON.stringify(prompt);
+
+        return fixtures.find(fixture => fixture.promptHash === promptHash) ||
+            fixtures.find(fixture =>
+                !fixture.promptHash &&
+                (!fixture.feature || fixture.feature === feature) &&
+                (!fixture.pattern || fixture.pattern.test(text))
+            );
+    }
+
+    nextResponse(contents, feature) {
+        const fixture = this.findFixture(contents, feature);
+        if (!fixture) {
+            const error = new Error(`No stub fixture matches this ${feature || 'AI'} prompt (add one to ${this.fixturesDir})`);
+            error.status = 404;
+            throw error;
+        }
+
+        const index = this.calls.get(fixture.file) || 0;
+        this.calls.set(fixture.file, index + 1);
+
+        const response = fixture.responses[Math.min(index, fixture.responses.length - 1)];
+        return typeof response === 'string' ? response : JSON.stringify(response);
+    }
+
+    usageFor(contents, text) {
+        return {
+            inputTokens: estimateTokens(typeof contents === 'string' ? contents : JSON.stringify(contents)),
+            outputTokens: estimateTokens(text)
+        };
+    }
+
+    async generate({ contents, feature }) {
+        const text = this.nextResponse(contents, feature);
+        return { text, model: 'stub', usage: this.usageFor(contents, text) };
+    }
+
+    async *generateStream({ contents, feature, signal }) {
+        const text = this.nextResponse(contents, feature);
+        const words = text.match(/\S+\s*|\s+/g) || [];
+
+        for (let i = 0; i < words.length; i += WORDS_PER_CHUNK) {
+            // Yield to the event loop so cancellation can land between chunks
+            await new Promise(resolve => setImmediate(resolve));
+            if (signal?.aborted) throw abortError();
+
+            const done = i + WORDS_PER_CHUNK >= words.length;
+            yield {
+                text: words.slice(i, i + WORDS_PER_CHUNK).join(''),
+                usage: done ? this.usageFor(contents, text) : null
+            };
+        }
+    }
+
+    isModelUnavailable() {
+        return false;
+    }
+
+    isRetryable() {
+        return false;
+    }
+}
+
+module.exports = StubProvider;
+module.exports.hashPrompt = hashPrompt;
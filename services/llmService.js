@@ -0,0 +1,397 @@
+// services/llmService.js - Provider-independent text generation with fallback, retries and usage accounting
+const fs = require('fs');
+const path = require('path');
+const supabase = require('../config/supabase');
+const llmConfig = require('../config/gemini');
+const GeminiProvider = require('./llmProviders/geminiProvider');
+const StubProvider = require('./llmProviders/stubProvider');
+
+const llmError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const estimateTokens = text => Math.ceil(String(text || '').length / 4);
+
+const timeoutError = (timeoutMs) => {
+    const error = new Error(`AI request timed out after ${timeoutMs}ms`);
+    error.name = 'TimeoutError';
+    return error;
+};
+
+const createProvider = (name) => {
+    if (name === 'gemini') return new GeminiProvider(llmConfig.gemini);
+    if (name === 'stub') return new StubProvider(llmConfig.stub);
+    throw new Error(`Unknown LLM_PROVIDER "${name}" (expected gemini or stub)`);
+};
+
+class LLMService {
+    constructor() {
+        this.provider = createProvider(llmConfig.provider);
+        this.ready = this.provider.initialize();
+    }
+
+    /**
+     * Swap the provider (e.g. to the stub in scripts that must run offline)
+     */
+    useProvider(name) {
+        this.provider = createProvider(name);
+        this.ready = this.provider.initialize();
+        return this.ready;
+    }
+
+    isAvailable() {
+        return this.provider.isAvailable();
+    }
+
+    getStatus() {
+        return {
+            provider: this.provider.name,
+            available: this.provider.isAvailable(),
+            models: this.provider.listModels()
+        };
+    }
+
+    estimateCost(model, usage) {
+        const price = llmConfig.pricing[model] || { input: 0, output: 0 };
+        return (usage.inputTokens * price.input + usage.outputTokens * price.output) / 1e6;
+    }
+
+    async callWithTimeout(request, timeoutMs) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+        try {
+            return await Promise.race([
+                this.provider.generate({ ...request, signal: controller.signal }),
+                new Promise((resolve, reject) => {
+                    controller.signal.addEventListener('abort', () => reject(timeoutError(timeoutMs)));
+                })
+            ]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Generate a response, falling back through the provider's models and retrying transient failures
+     *
+     * @param {Object} options
+     * @param {string|Array} options.contents - prompt
+     * @param {Object} [options.config] - provider generation config (e.g. responseMimeType)
+     * @param {string} [options.userId] - charged for the tokens used
+     * @param {string} [options.feature] - label for accounting and stub fixture matching
+     * @returns {Promise<{ text: string, model: string, usage: Object }>}
+     */
+    async generate({ contents, config = {}, userId = null, feature = 'general', timeoutMs = llmConfig.timeoutMs }) {
+        await this.ready;
+
+        if (!this.provider.isAvailable()) {
+            throw llmError('AI service is not available', 503);
+        }
+
+        if (userId) await this.assertWithinBudget(userId);
+
+        const models = this.provider.listModels();
+        let lastError = null;
+
+        for (const model of models) {
+            for (let attempt = 0; attempt <= llmConfig.maxRetries; attempt++) {
+                const startedAt = Date.now();
+                try {
+                    const result = await this.callWithTimeout({ model, contents, config, feature }, timeoutMs);
+                    await this.recordUsage({ userId, feature, model, usage: result.usage, latencyMs: Date.now() - startedAt, success: true });
+                    this.recordFixture({ feature, contents, text: result.text, model });
+                    return result;
+                } catch (error) {
+                    lastError = error;
+                    await this.recordUsage({
+                        userId, feature, model,
+                        usage: { inputTokens: 0, outputTokens: 0 },
+                        latencyMs: Date.now() - startedAt,
+                        success: false,
+                        error: error.message
+                    });
+
+                    if (this.provider.isModelUnavailable(error)) {
+                        console.warn(`⚠️ ${this.provider.name} model ${model} unavailable, trying next model`);
+                        break;
+                    }
+                    if (!this.provider.isRetryable(error) || attempt === llmConfig.maxRetries) {
+                        break;
+                    }
+
+                    const delay = llmConfig.retryBaseDelayMs * 2 ** attempt;
+                    console.warn(`⚠️ AI request failed (${error.message}), retrying in ${delay}ms`);
+                    await sleep(delay);
+                }
+            }
+
+            // Only unavailable models move on; other failures are final
+            if (lastError && !this.provider.isModelUnavailable(lastError)) break;
+        }
+
+        const error = llmError(lastError?.name === 'TimeoutError' ? 'AI request timed out' : 'AI request failed', lastError?.name === 'TimeoutError' ? 504 : 502);
+        error.cause = lastError;
+        throw error;
+    }
+
+    /**
+     * Stream a response, calling onChunk with each piece of text as it arrives.
+     *
+     * Fallback and retries only happen before the first chunk; once text has been sent a failure
+     * is final. timeoutMs applies to the gap between chunks rather than the whole stream. Aborting
+     * `signal` (the client cancelled) stops generation and resolves with `cancelled: true` and the
+     * text produced so far.
+     *
+     * @param {Object} options - as generate(), plus:
+     * @param {AbortSignal} [options.signal]
+     * @param {Function} [options.onChunk] - async (text) => void
+     * @returns {Promise<{ text: string, model: string, usage: Object, cancelled: boolean }>}
+     */
+    async generateStream({ contents, config = {}, userId = null, feature = 'general', signal, onChunk, timeoutMs = llmConfig.timeoutMs }) {
+        await this.ready;
+
+        if (!this.provider.isAvailable()) {
+            throw llmError('AI service is not available', 503);
+        }
+
+        if (userId) await this.assertWithinBudget(userId);
+
+        const models = this.provider.listModels();
+        let lastError = null;
+        let text = '';
+
+        for (const model of models) {
+            for (let attempt = 0; attempt <= llmConfig.maxRetries; attempt++) {
+                const startedAt = Date.now();
+                let usage = null;
+
+                try {
+                    usage = await this.streamAttempt({ model, contents, config, feature, signal, timeoutMs }, (chunk) => {
+                        text += chunk;
+                        return onChunk && onChunk(chunk);
+                    });
+
+                    usage = usage || { inputTokens: estimateTokens(contents), outputTokens: estimateTokens(text) };
+                    await this.recordUsage({ userId, feature, model, usage, latencyMs: Date.now() - startedAt, success: true });
+                    this.recordFixture({ feature, contents, text, model });
+                    return { text, model, usage, cancelled: false };
+                } catch (error) {
+                    const cancelled = Boolean(signal?.aborted);
+                    // Tokens were spent on whatever was generated before the failure
+                    await this.recordUsage({
+                        userId, feature, model,
+                        usage: { inputTokens: text ? estimateTokens(contents) : 0, outputTokens: estimateTokens(text) },
+                        latencyMs: Date.now() - startedAt,
+                        success: false,
+                        error: cancelled ? 'Cancelled by client' : error.message
+                    });
+
+                    if (cancelled) {
+                        return { text, model, usage: null, cancelled: true };
+                    }
+
+                    lastError = error;
+                    if (text) break;
+
+                    if (this.provider.isModelUnavailable(error)) {
+                        console.warn(`⚠️ ${this.provider.name} model ${model} unavailable, trying next model`);
+                        break;
+                    }
+                    if (!this.provider.isRetryable(error) || attempt === llmConfig.maxRetries) {
+                        break;
+                    }
+
+                    const delay = llmConfig.retryBaseDelayMs * 2 ** attempt;
+                    console.warn(`⚠️ AI stream failed (${error.message}), retrying in ${delay}ms`);
+                    await sleep(delay);
+                }
+            }
+
+            if (text || (lastError && !this.provider.isModelUnavailable(lastError))) break;
+        }
+
+        const error = llmError(lastError?.name === 'TimeoutError' ? 'AI request timed out' : 'AI request failed', lastError?.name === 'TimeoutError' ? 504 : 502);
+        error.cause = lastError;
+        error.partialText = text;
+        throw error;
+    }
+
+    /**
+     * One streaming call. Each chunk wait is raced against the idle timeout and the client's
+     * signal so a stalled provider can't hold the request open. Returns the provider's usage.
+     */
+    async streamAttempt({ model, contents, config, feature, signal, timeoutMs }, onText) {
+        const controller = new AbortController();
+        let timer = null;
+        let abortReason = null;
+
+        const abort = (reason) => {
+            if (abortReason) return;
+            abortReason = reason;
+            controller.abort();
+        };
+        const onClientAbort = () => {
+            const error = new Error('AI stream cancelled');
+            error.name = 'AbortError';
+            abort(error);
+        };
+        const resetTimer = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => abort(timeoutError(timeoutMs)), timeoutMs);
+        };
+
+        if (signal?.aborted) onClientAbort();
+        signal?.addEventListener('abort', onClientAbort);
+
+        const aborted = new Promise((resolve, reject) => {
+            controller.signal.addEventListener('abort', () => reject(abortReason));
+            if (controller.signal.aborted) reject(abortReason);
+        });
+        aborted.catch(() => {});
+
+        const iterator = this.provider.generateStream({ model, contents, config, feature, signal: controller.signal });
+        let usage = null;
+
+        try {
+            resetTimer();
+            for (;;) {
+                const { value: chunk, done } = await Promise.race([iterator.next(), aborted]);
+                if (done) break;
+
+                resetTimer();
+                if (chunk.usage) usage = chunk.usage;
+                if (chunk.text) await onText(chunk.text);
+                if (abortReason) throw abortReason;
+            }
+            return usage;
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onClientAbort);
+            if (abortReason && iterator.return) {
+                // Don't wait: a stalled provider may never settle
+                iterator.return().catch(() => {});
+            }
+        }
+    }
+
+    /**
+     * Tokens used by a user since the start of the current UTC day
+     */
+    async getTokensUsedToday(userId) {
+        const startOfDay = new Date();
+        startOfDay.setUTCHours(0, 0, 0, 0);
+
+        const { data, error } = await supabase
+            .from('ai_usage')
+            .select('input_tokens, output_tokens')
+            .eq('user_id', userId)
+            .gte('created_at', startOfDay.toISOString());
+
+        if (error) throw error;
+        return (data || []).reduce((sum, row) => sum + row.input_tokens + row.output_tokens, 0);
+    }
+
+    async assertWithinBudget(userId) {
+        if (!llmConfig.dailyTokenLimit) return;
+
+        const used = await this.getTokensUsedToday(userId);
+        if (used >= llmConfig.dailyTokenLimit) {
+            throw llmError('Daily AI usage limit reached, please try again tomorrow', 429);
+        }
+    }
+
+    /**
+     * Never throws - accounting must not fail the AI request
+     */
+    async recordUsage({ userId, feature, model, usage, latencyMs, success, error = null }) {
+        try {
+            const { error: insertError } = await supabase
+                .from('ai_usage')
+                .insert({
+                    user_id: userId,
+                    provider: this.provider.name,
+                    model,
+                    feature,
+                    input_tokens: usage.inputTokens,
+                    output_tokens: usage.outputTokens,
+                    cost_usd: this.estimateCost(model, usage),
+                    latency_ms: latencyMs,
+                    success,
+                    error_message: error ? String(error).slice(0, 500) : null,
+                    created_at: new Date().toISOString()
+                });
+            if (insertError) console.error('Error recording AI usage:', insertError.message);
+        } catch (recordError) {
+            console.error('Error recording AI usage:', recordError.message);
+        }
+    }
+
+    /**
+     * Usage totals for a user, overall and per feature
+     */
+    async getUsageSummary(userId, { since } = {}) {
+        let query = supabase
+            .from('ai_usage')
+            .select('feature, model, input_tokens, output_tokens, cost_usd, success')
+            .eq('user_id', userId);
+
+        if (since) query = query.gte('created_at', since);
+
+        const { data, error } = await query;
+        if (error) throw error;
+
+        const summary = { requests: 0, failed: 0, inputTokens: 0, outputTokens: 0, costUsd: 0, byFeature: {} };
+        (data || []).forEach(row => {
+            const feature = summary.byFeature[row.feature] ||
+                (summary.byFeature[row.feature] = { requests: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 });
+
+            summary.requests++;
+            feature.requests++;
+            if (!row.success) summary.failed++;
+            summary.inputTokens += row.input_tokens;
+            summary.outputTokens += row.output_tokens;
+            summary.costUsd += Number(row.cost_usd) || 0;
+            feature.inputTokens += row.input_tokens;
+            feature.outputTokens += row.output_tokens;
+            feature.costUsd += Number(row.cost_usd) || 0;
+        });
+
+        summary.costUsd = Number(summary.costUsd.toFixed(6));
+        Object.values(summary.byFeature).forEach(feature => {
+            feature.costUsd = Number(feature.costUsd.toFixed(6));
+        });
+
+        if (llmConfig.dailyTokenLimit) {
+            summary.dailyTokenLimit = llmConfig.dailyTokenLimit;
+            summary.tokensUsedToday = await this.getTokensUsedToday(userId);
+        }
+
+        return summary;
+    }
+
+    /**
+     * Save a real response as a stub fixture (LLM_RECORD_FIXTURES_DIR)
+     */
+    recordFixture({ feature, contents, text, model }) {
+        if (!llmConfig.recordFixturesDir || this.provider.name === 'stub') return;
+
+        try {
+            const { hashPrompt } = StubProvider;
+            const promptHash = hashPrompt(contents);
+            fs.mkdirSync(llmConfig.recordFixturesDir, { recursive: true });
+            fs.writeFileSync(
+                path.join(llmConfig.recordFixturesDir, `${feature}-${promptHash.slice(0, 12)}.json`),
+                JSON.stringify({ feature, promptHash, model, recordedAt: new Date().toISOString(), response: text }, null, 2)
+            );
+        } catch (error) {
+            console.error('Failed to record AI fixture:', error.message);
+        }
+    }
+}
+
+module.exports = new LLMService();
@@ -0,0 +1,470 @@
+// services/notificationService.js - Unified notification center
+const supabase = require('../config/supabase');
+const emailService = require('./emailService');
+
+const CHANNELS = ['in_app', 'push', 'email'];
+
+// Every notification type the platform can publish, with its default delivery channels
+const NOTIFICATION_TYPES = {
+    project_created: {
+        category: 'projects',
+        description: 'A project you created is ready',
+        defaults: { in_app: true, push: false, email: false }
+    },
+    project_completed: {
+        category: 'projects',
+        description: 'A project you belong to was completed',
+        defaults: { in_app: true, push: true, email: true }
+    },
+    completion_vote: {
+        category: 'projects',
+        description: 'A teammate started or cast a project completion vote',
+        defaults: { in_app: true, push: true, email: false }
+    },
+    member_joined: {
+        category: 'projects',
+        description: 'A new member joined one of your projects',
+        defaults: { in_app: true, push: true, email: false }
+    },
+    project_invitation: {
+        category: 'projects',
+        description: 'You were invited to join a project',
+        defaults: { in_app: true, push: true, email: true }
+    },
+    recruitment_passed: {
+        category: 'projects',
+        description: 'You passed a project recruitment challenge',
+        defaults: { in_app: true, push: true, email: true }
+    },
+    recruitment_failed: {
+        category: 'projects',
+        description: 'A project recruitment attempt did not pass',
+        defaults: { in_app: true, push: false, email: false }
+    },
+    task_assigned: {
+        category: 'tasks',
+        description: 'A task was assigned to you',
+        defaults: { in_app: true, push: true, email: false }
+    },
+    submission_received: {
+        category: 'tasks',
+        description: 'A teammate submitted code for you to review',
+        defaults: { in_app: true, push: true, email: false }
+    },
+    submission_reviewed: {
+        category: 'tasks',
+        description: 'A code submission was approved, rejected or sent back for changes',
+        defaults: { in_app: true, push: true, email: true }
+    },
+    task_github_activity: {
+        category: 'tasks',
+        description: 'A pull request linked to your task was merged',
+        defaults: { in_app: true, push: false, email: false }
+    },
+    task_comment: {
+        category: 'tasks',
+        description: 'Someone commented on a task assigned to you',
+        defaults: { in_app: true, push: true, email: false }
+    },
+    comment_reply: {
+        category: 'tasks',
+        description: 'Someone replied to your comment',
+        defaults: { in_app: true, push: true, email: false }
+    },
+    mention: {
+        category: 'tasks',
+        description: 'Someone mentioned you in a comment',
+        defaults: { in_app: true, push: true, email: true }
+    },
+    friend_request: {
+        category: 'social',
+        description: 'Someone sent you a friend request',
+        defaults: { in_app: true, push: true, email: false }
+    },
+    friend_request_accepted: {
+        category: 'social',
+        description: 'Someone accepted your friend request',
+        defaults: { in_app: true, push: true, email: false }
+    },
+    award_earned: {
+        category: 'achievements',
+        description: 'You earned an award',
+        defaults: { in_app: true, push: true, email: true }
+    }
+};
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const REPLAY_LIMIT = 50;
+const REPLAY_WINDOW_DAYS = 14;
+
+class NotificationService {
+    constructor() {
+        this.types = NOTIFICATION_TYPES;
+        this.io = null;
+    }
+
+    /**
+     * Attach the Socket.IO server used for the push channel
+     */
+    attachSocketServer(io) {
+        this.io = io;
+    }
+
+    isValidType(type) {
+        return Object.prototype.hasOwnProperty.call(this.types, type);
+    }
+
+    /**
+     * Resolve effective channel settings for each recipient
+     * Stored preferences override the type defaults
+     */
+    async getChannelsForUsers(userIds, type) {
+        const defaults = this.types[type].defaults;
+        const channelsByUser = new Map(userIds.map(id => [id, { ...defaults }]));
+
+        const { data: preferences, error } = await supabase
+            .from('notification_preferences')
+            .select('user_id, in_app, push, email')
+            .eq('notification_type', type)
+            .in('user_id', userIds);
+
+        if (error) {
+            console.error('Error fetching notification preferences:', error);
+            return channelsByUser;
+        }
+
+        (preferences || []).forEach(pref => {
+            const channels = channelsByUser.get(pref.user_id);
+            CHANNELS.forEach(channel => {
+                if (typeof pref[channel] === 'boolean') {
+                    channels[channel] = pref[channel];
+                }
+            });
+        });
+
+        return channelsByUser;
+    }
+
+    /**
+     * Publish a notification to one or more users
+     * Never throws - notification failures must not break the calling request
+     */
+    async publish({ userId, userIds, type, title, message, projectId = null, actorId = null, data = {} }) {
+        try {
+            if (!this.isValidType(type)) {
+                console.error(`Unknown notification type: ${type}`);
+                return [];
+            }
+
+            const recipients = Array.from(new Set(userIds || (userId ? [userId] : [])))
+                .filter(id => id && id !== actorId);
+
+            if (recipients.length === 0) return [];
+
+            const channelsByUser = await this.getChannelsForUsers(recipients, type);
+            const now = new Date().toISOString();
+
+            const rows = recipients
+                .filter(id => channelsByUser.get(id).in_app || channelsByUser.get(id).push)
+                .map(id => ({
+                    user_id: id,
+                    project_id: projectId,
+                    actor_id: actorId,
+                    notification_type: type,
+                    title,
+                    message,
+                    data,
+                    is_read: false,
+                    // Push-only notifications never show up in the feed
+                    archived_at: channelsByUser.get(id).in_app ? null : now,
+                    // Nothing to deliver over the socket when push is off
+                    delivered_at: channelsByUser.get(id).push ? null : now,
+                    created_at: now
+                }));
+
+            let created = [];
+            if (rows.length > 0) {
+                const { data: inserted, error } = await supabase
+                    .from('notifications')
+                    .insert(rows)
+                    .select();
+
+                if (error) {
+                    console.error('Error inserting notifications:', error);
+                } else {
+                    created = inserted || [];
+                }
+            }
+
+            created
+                .filter(notification => channelsByUser.get(notification.user_id).push)
+                .forEach(notification => this.push(notification));
+
+            const emailRecipients = recipients.filter(id => channelsByUser.get(id).email);
+            if (emailRecipients.length > 0) {
+                this.sendEmails(emailRecipients, { title, message }).catch(error => {
+                    console.error('Error sending notification emails:', error);
+                });
+            }
+
+            return created;
+        } catch (error) {
+            console.error('Error publishing notification:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Shape a stored notification for the socket `notification` event
+     */
+    toSocketPayload(notification, replayed = false) {
+        return {
+            id: notification.id,
+            type: notification.notification_type,
+            title: notification.title,
+            message: notification.message,
+            project_id: notification.project_id,
+            actor_id: notification.actor_id,
+            data: notification.data || {},
+            created_at: notification.created_at,
+            replayed
+        };
+    }
+
+    /**
+     * Emit a notification to the recipient's socket room
+     * Delivery is confirmed by the client through `notification_ack`
+     */
+    push(notification) {
+        if (!this.io) return;
+        this.io.to(`user_${notification.user_id}`).emit('notification', this.toSocketPayload(notification));
+    }
+
+    /**
+     * Mark pushed notifications as delivered once the client acknowledges them
+     */
+    async markDelivered(userId, notificationIds) {
+        const { data, error } = await supabase
+            .from('notifications')
+            .update({ delivered_at: new Date().toISOString() })
+            .eq('user_id', userId)
+            .in('id', notificationIds)
+            .is('delivered_at', null)
+            .select('id');
+
+        if (error) throw error;
+        return (data || []).map(row => row.id);
+    }
+
+    /**
+     * Undelivered push notifications for a user, oldest first, for replay on reconnect
+     */
+    async getUndelivered(userId) {
+        const since = new Date(Date.now() - REPLAY_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+        const { data, error } = await supabase
+            .from('notifications')
+            .select('*')
+            .eq('user_id', userId)
+            .is('delivered_at', null)
+            .gte('created_at', since)
+            .order('created_at', { ascending: true })
+            .limit(REPLAY_LIMIT);
+
+        if (error) throw error;
+        return (data || []).map(notification => this.toSocketPayload(notification, true));
+    }
+
+    async sendEmails(userIds, { title, message }) {
+        const { data: users, error } = await supabase
+            .from('users')
+            .select('id, email, username')
+            .in('id', userIds);
+
+        if (error) throw error;
+
+        for (const user of users || []) {
+            if (!user.email) continue;
+            await emailService.sendNotificationEmail(user.email, user.username, title, message);
+        }
+    }
+
+    /**
+     * List a user's notifications, newest first, with cursor pagination
+     * The cursor encodes the created_at and id of the last item returned
+     */
+    async list(userId, { cursor, limit = DEFAULT_PAGE_SIZE, types = [], unreadOnly = false, archived = false } = {}) {
+        const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit, 10) || DEFAULT_PAGE_SIZE));
+
+        let query = supabase
+            .from('notifications')
+            .select(`
+                *,
+                actor:actor_id(id, username, full_name, avatar_url)
+            `)
+            .eq('user_id', userId);
+
+        query = archived ? query.not('archived_at', 'is', null) : query.is('archived_at', null);
+
+        if (types.length > 0) {
+            query = query.in('notification_type', types);
+        }
+        if (unreadOnly) {
+            query = query.eq('is_read', false);
+        }
+
+        if (cursor) {
+            const decoded = this.decodeCursor(cursor);
+            if (!decoded) {
+                const error = new Error('Invalid cursor');
+                error.statusCode = 400;
+                throw error;
+            }
+            query = query.or(
+                `created_at.lt.${decoded.createdAt},and(created_at.eq.${decoded.createdAt},id.lt.${decoded.id})`
+            );
+        }
+
+        const { data, error } = await query
+            .order('created_at', { ascending: false })
+            .order('id', { ascending: false })
+            .limit(pageSize + 1);
+
+        if (error) throw error;
+
+        const hasMore = data.length > pageSize;
+        const notifications = hasMore ? data.slice(0, pageSize) : data;
+        const last = notifications[notifications.length - 1];
+
+        return {
+            notifications,
+            nextCursor: hasMore && last ? this.encodeCursor(last) : null
+        };
+    }
+
+    encodeCursor(notification) {
+        return Buffer.from(`${notification.created_at}|${notification.id}`).toString('base64url');
+    }
+
+    decodeCursor(cursor) {
+        try {
+            const [createdAt, id] = Buffer.from(cursor, 'base64url').toString('utf8').split('|');
+            if (!createdAt || !id || isNaN(new Date(createdAt).getTime())) return null;
+            return { createdAt, id };
+        } catch {
+            return null;
+        }
+    }
+
+    async unreadCount(userId) {
+        const { count, error } = await supabase
+            .from('notifications')
+            .select('id', { count: 'exact', head: true })
+            .eq('user_id', userId)
+            .eq('is_read', false)
+            .is('archived_at', null);
+
+        if (error) throw error;
+        return count || 0;
+    }
+
+    async markRead(userId, notificationIds) {
+        const { data, error } = await supabase
+            .from('notifications')
+            .update({ is_read: true, read_at: new Date().toISOString() })
+            .eq('user_id', userId)
+            .in('id', notificationIds)
+            .select('id');
+
+        if (error) throw error;
+        return (data || []).length;
+    }
+
+    async markAllRead(userId, types = []) {
+        let query = supabase
+            .from('notifications')
+            .update({ is_read: true, read_at: new Date().toISOString() })
+            .eq('user_id', userId)
+            .eq('is_read', false);
+
+        if (types.length > 0) {
+            query = query.in('notification_type', types);
+        }
+
+        const { data, error } = await query.select('id');
+        if (error) throw error;
+        return (data || []).length;
+    }
+
+    async archive(userId, notificationIds) {
+        const now = new Date().toISOString();
+        const { data, error } = await supabase
+            .from('notifications')
+            .update({ archived_at: now, is_read: true, read_at: now })
+            .eq('user_id', userId)
+            .in('id', notificationIds)
+            .select('id');
+
+        if (error) throw error;
+        return (data || []).length;
+    }
+
+    /**
+     * Get a user's preferences for every type, merged with defaults
+     */
+    async getPreferences(userId) {
+        const { data, error } = await supabase
+            .from('notification_preferences')
+            .select('notification_type, in_app, push, email')
+            .eq('user_id', userId);
+
+        if (error) throw error;
+
+        const stored = new Map((data || []).map(pref => [pref.notification_type, pref]));
+
+        return Object.entries(this.types).map(([type, definition]) => {
+            const pref = stored.get(type) || {};
+            const channels = {};
+            CHANNELS.forEach(channel => {
+                channels[channel] = typeof pref[channel] === 'boolean' ? pref[channel] : definition.defaults[channel];
+            });
+            return {
+                notification_type: type,
+                category: definition.category,
+                description: definition.description,
+                ...channels
+            };
+        });
+    }
+
+    /**
+     * Upsert preferences; each entry is { notification_type, in_app?, push?, email? }
+     */
+    async updatePreferences(userId, preferences) {
+        const rows = preferences.map(pref => {
+            const row = {
+                user_id: userId,
+                notification_type: pref.notification_type,
+                updated_at: new Date().toISOString()
+            };
+            CHANNELS.forEach(channel => {
+                if (typeof pref[channel] === 'boolean') {
+                    row[channel] = pref[channel];
+                }
+            });
+            return row;
+        });
+
+        const { error } = await supabase
+            .from('notification_preferences')
+            .upsert(rows, { onConflict: 'user_id,notification_type' });
+
+        if (error) throw error;
+        return this.getPreferences(userId);
+    }
+}
+
+module.exports = new NotificationService();
+module.exports.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+module.exports.CHANNELS = CHANNELS;
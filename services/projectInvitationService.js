@@ -0,0 +1,492 @@
+// services/projectInvitationService.js - Invitations sent by project owners and leads
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+const notificationService = require('./notificationService');
+
+// pending            - waiting for the invitee (or, for links, still redeemable)
+// awaiting_challenge - accepted, but the invitee must still pass the recruitment challenge
+const OPEN_STATUSES = ['pending', 'awaiting_challenge'];
+
+const DEFAULT_EXPIRY_DAYS = { user: 14, link: 7 };
+const MAX_EXPIRY_DAYS = 90;
+
+const invitationError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const hashToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const expiryFrom = (days, kind) => {
+    const lifetime = Math.min(MAX_EXPIRY_DAYS, Number(days) || DEFAULT_EXPIRY_DAYS[kind]);
+    return new Date(Date.now() + lifetime * 24 * 60 * 60 * 1000).toISOString();
+};
+
+class ProjectInvitationService {
+    async getProject(projectId) {
+        const { data: project, error } = await supabase
+            .from('projects')
+            .select('id, title, owner_id, current_members, maximum_members, status')
+            .eq('id', projectId)
+            .single();
+
+        if (error || !project) throw invitationError('Project not found', 404);
+        return project;
+    }
+
+    assertHasOpenSlot(project) {
+        if (project.current_members >= project.maximum_members) {
+            throw invitationError('This project is full. No more members can join.', 400);
+        }
+    }
+
+    /**
+     * Reject users who already belong to the project or were removed from it
+     */
+    async assertNotMember(projectId, userId, { self = false } = {}) {
+        const { data: existingMember } = await supabase
+            .from('project_members')
+            .select('id, status')
+            .eq('project_id', projectId)
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (!existingMember) return;
+
+        if (existingMember.status === 'removed') {
+            throw invitationError(self
+                ? 'You were removed from this project and cannot rejoin.'
+                : 'This user was removed from the project and cannot be invited back', 403);
+        }
+        throw invitationError(self
+            ? 'You are already a member of this project.'
+            : 'This user is already a member of the project', 409);
+    }
+
+    /**
+     * Invite a specific user to a project
+     * Rejects current members, removed members, duplicate open invitations and full projects
+     */
+    async inviteUser({
+        projectId,
+        invitedUserId,
+        invitedBy,
+        message = null,
+        requireChallenge = false,
+        expiresInDays = null,
+        source = 'direct'
+    }) {
+        const project = await this.getProject(projectId);
+        this.assertHasOpenSlot(project);
+
+        if (invitedUserId === project.owner_id) {
+            throw invitationError('The project owner cannot be invited', 400);
+        }
+
+        const { data: invitee, error: inviteeError } = await supabase
+            .from('users')
+            .select('id, username, full_name, is_active')
+            .eq('id', invitedUserId)
+            .single();
+
+        if (inviteeError || !invitee || invitee.is_active === false) {
+            throw invitationError('User not found', 404);
+        }
+
+        await this.assertNotMember(projectId, invitedUserId);
+        await this.expireStale({ projectId });
+
+        const { data: open } = await supabase
+            .from('project_invitations')
+            .select('id')
+            .eq('project_id', projectId)
+            .eq('invited_user_id', invitedUserId)
+            .in('status', OPEN_STATUSES)
+            .limit(1);
+
+        if (open && open.length > 0) {
+            throw invitationError('This user already has a pending invitation to the project', 409);
+        }
+
+        const { data: invitation, error } = await supabase
+            .from('project_invitations')
+            .insert({
+                project_id: projectId,
+                kind: 'user',
+                invited_user_id: invitedUserId,
+                invited_by: invitedBy,
+                status: 'pending',
+                require_challenge: Boolean(requireChallenge),
+                message,
+                source,
+                expires_at: expiryFrom(expiresInDays, 'user'),
+                created_at: new Date().toISOString()
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        await notificationService.publish({
+            userId: invitedUserId,
+            type: 'project_invitation',
+            title: 'Project Invitation',
+            message: requireChallenge
+                ? `You have been invited to join ${project.title} (the recruitment challenge is still required)`
+                : `You have been invited to join ${project.title}`,
+            projectId,
+            actorId: invitedBy,
+            data: { invitation_id: invitation.id, require_challenge: Boolean(requireChallenge) }
+        });
+
+        return invitation;
+    }
+
+    /**
+     * Create a shareable link. Only the token hash is stored; the token is returned once.
+     */
+    async createLink({ projectId, invitedBy, requireChallenge = false, expiresInDays = null, maxUses = null }) {
+        const project = await this.getProject(projectId);
+        this.assertHasOpenSlot(project);
+
+        const token = crypto.randomBytes(24).toString('base64url');
+
+        const { data: invitation, error } = await supabase
+            .from('project_invitations')
+            .insert({
+                project_id: projectId,
+                kind: 'link',
+                invited_user_id: null,
+                invited_by: invitedBy,
+                status: 'pending',
+                require_challenge: Boolean(requireChallenge),
+                token_hash: hashToken(token),
+                max_uses: maxUses || null,
+                use_count: 0,
+                source: 'link',
+                expires_at: expiryFrom(expiresInDays, 'link'),
+                created_at: new Date().toISOString()
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        return {
+            invitation: this.toPublic(invitation),
+            token,
+            url: `${process.env.FRONTEND_URL || ''}/invitations/${token}`
+        };
+    }
+
+    /**
+     * Mark open invitations past their expiry as expired
+     */
+    async expireStale({ projectId = null, userId = null } = {}) {
+        let query = supabase
+            .from('project_invitations')
+            .update({ status: 'expired' })
+            .in('status', OPEN_STATUSES)
+            .lt('expires_at', new Date().toISOString());
+
+        if (projectId) query = query.eq('project_id', projectId);
+        if (userId) query = query.eq('invited_user_id', userId);
+
+        const { error } = await query;
+        if (error) console.error('Error expiring stale invitations:', error);
+    }
+
+    toPublic(invitation) {
+        const { token_hash, ...rest } = invitation;
+        return rest;
+    }
+
+    async listForProject(projectId, { status = null } = {}) {
+        await this.expireStale({ projectId });
+
+        let query = supabase
+            .from('project_invitations')
+            .select(`
+                *,
+                invited_user:users!invited_user_id (id, username, full_name, avatar_url),
+                inviter:users!invited_by (id, username, full_name)
+            `)
+            .eq('project_id', projectId)
+            .order('created_at', { ascending: false });
+
+        query = status ? query.eq('status', status) : query.in('status', OPEN_STATUSES);
+
+        const { data, error } = await query;
+        if (error) throw error;
+        return (data || []).map(invitation => this.toPublic(invitation));
+    }
+
+    async listForUser(userId) {
+        await this.expireStale({ userId });
+
+        const { data, error } = await supabase
+            .from('project_invitations')
+            .select(`
+                id, project_id, status, require_challenge, message, expires_at, created_at,
+                projects (id, title, description, current_members, maximum_members),
+                inviter:users!invited_by (id, username, full_name)
+            `)
+            .eq('invited_user_id', userId)
+            .in('status', OPEN_STATUSES)
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    async getById(invitationId) {
+        const { data: invitation, error } = await supabase
+            .from('project_invitations')
+            .select('*')
+            .eq('id', invitationId)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!invitation) throw invitationError('Invitation not found', 404);
+        return invitation;
+    }
+
+    async getByToken(token) {
+        const { data: invitation, error } = await supabase
+            .from('project_invitations')
+            .select('*')
+            .eq('token_hash', hashToken(token))
+            .eq('kind', 'link')
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!invitation) throw invitationError('Invitation link not found', 404);
+        return invitation;
+    }
+
+    /**
+     * Link details shown before accepting; fails for links that can no longer be used
+     */
+    async previewLink(token) {
+        const invitation = await this.getByToken(token);
+        await this.assertRedeemable(invitation);
+        const project = await this.getProject(invitation.project_id);
+
+        return {
+            invitation: this.toPublic(invitation),
+            project: {
+                id: project.id,
+                title: project.title,
+                current_members: project.current_members,
+                maximum_members: project.maximum_members
+            }
+        };
+    }
+
+    async assertRedeemable(invitation) {
+        if (invitation.status === 'pending' && new Date(invitation.expires_at) < new Date()) {
+            await supabase
+                .from('project_invitations')
+                .update({ status: 'expired' })
+                .eq('id', invitation.id);
+            throw invitationError('This invitation has expired', 410);
+        }
+
+        if (invitation.status !== 'pending') {
+            throw invitationError(`This invitation is ${invitation.status.replace('_', ' ')}`, 410);
+        }
+
+        if (invitation.kind === 'link' && invitation.max_uses && invitation.use_count >= invitation.max_uses) {
+            throw invitationError('This invitation link has reached its usage limit', 410);
+        }
+    }
+
+    async accept(invitationId, userId) {
+        const invitation = await this.getById(invitationId);
+        if (invitation.kind !== 'user' || invitation.invited_user_id !== userId) {
+            throw invitationError('Invitation not found', 404);
+        }
+        return this.redeem(invitation, userId);
+    }
+
+    async acceptLink(token, userId) {
+        const invitation = await this.getByToken(token);
+        return this.redeem(invitation, userId);
+    }
+
+    /**
+     * Join the project through an invitation, or hand over to the recruitment
+     * challenge when the inviter asked for it
+     */
+    async redeem(invitation, userId) {
+        await this.assertRedeemable(invitation);
+
+        const project = await this.getProject(invitation.project_id);
+        if (project.owner_id === userId) {
+            throw invitationError('You already own this project.', 409);
+        }
+        this.assertHasOpenSlot(project);
+        await this.assertNotMember(project.id, userId, { self: true });
+
+        const now = new Date().toISOString();
+
+        if (invitation.require_challenge) {
+            if (invitation.kind === 'user') {
+                const { error } = await supabase
+                    .from('project_invitations')
+                    .update({ status: 'awaiting_challenge', responded_at: now })
+                    .eq('id', invitation.id)
+                    .eq('status', 'pending');
+                if (error) throw error;
+            }
+
+            return {
+                joined: false,
+                requiresChallenge: true,
+                project: { id: project.id, title: project.title },
+                challengeUrl: `/api/challenges/project/${project.id}/challenge`
+            };
+        }
+
+        if (invitation.kind === 'link') {
+            // Guard against two users taking the last use at the same time
+            const exhausted = invitation.max_uses && invitation.use_count + 1 >= invitation.max_uses;
+            const { data: claimed, error: claimError } = await supabase
+                .from('project_invitations')
+                .update({
+                    use_count: invitation.use_count + 1,
+                    ...(exhausted ? { status: 'accepted', responded_at: now } : {})
+                })
+                .eq('id', invitation.id)
+                .eq('use_count', invitation.use_count)
+                .select('id');
+
+            if (claimError) throw claimError;
+            if (!claimed || claimed.length === 0) {
+                throw invitationError('This invitation link was just used; please try again', 409);
+            }
+        } else {
+            const { data: claimed, error: claimError } = await supabase
+                .from('project_invitations')
+                .update({ status: 'accepted', responded_at: now })
+                .eq('id', invitation.id)
+                .eq('status', 'pending')
+                .select('id');
+
+            if (claimError) throw claimError;
+            if (!claimed || claimed.length === 0) {
+                throw invitationError('This invitation is no longer pending', 409);
+            }
+        }
+
+        const { data: member, error: memberError } = await supabase
+            .from('project_members')
+            .insert({
+                project_id: project.id,
+                user_id: userId,
+                role: 'member',
+                status: 'active',
+                joined_at: new Date(),
+                contribution_score: 0
+            })
+            .select()
+            .single();
+
+        if (memberError) throw memberError;
+
+        await supabase.rpc('increment_project_members', { project_id: project.id });
+
+        const recipients = [...new Set([project.owner_id, invitation.invited_by].filter(Boolean))];
+        await notificationService.publish({
+            userIds: recipients,
+            type: 'member_joined',
+            title: 'New Member Joined',
+            message: `A new member joined ${project.title} through an invitation`,
+            projectId: project.id,
+            actorId: userId,
+            data: { invitation_id: invitation.id }
+        });
+
+        return { joined: true, requiresChallenge: false, project: { id: project.id, title: project.title }, member };
+    }
+
+    async decline(invitationId, userId) {
+        const invitation = await this.getById(invitationId);
+        if (invitation.kind !== 'user' || invitation.invited_user_id !== userId) {
+            throw invitationError('Invitation not found', 404);
+        }
+        if (!OPEN_STATUSES.includes(invitation.status)) {
+            throw invitationError(`This invitation is ${invitation.status.replace('_', ' ')}`, 410);
+        }
+
+        const { data, error } = await supabase
+            .from('project_invitations')
+            .update({ status: 'declined', responded_at: new Date().toISOString() })
+            .eq('id', invitationId)
+            .select()
+            .single();
+
+        if (error) throw error;
+        return this.toPublic(data);
+    }
+
+    async revoke(projectId, invitationId, revokedBy) {
+        const invitation = await this.getById(invitationId);
+        if (invitation.project_id !== projectId) {
+            throw invitationError('Invitation not found', 404);
+        }
+        if (!OPEN_STATUSES.includes(invitation.status)) {
+            throw invitationError(`This invitation is already ${invitation.status.replace('_', ' ')}`, 409);
+        }
+
+        const { data, error } = await supabase
+            .from('project_invitations')
+            .update({ status: 'revoked', revoked_by: revokedBy, responded_at: new Date().toISOString() })
+            .eq('id', invitationId)
+            .select()
+            .single();
+
+        if (error) throw error;
+        return this.toPublic(data);
+    }
+
+    /**
+     * Close invitations that were waiting on the recruitment challenge once the user joins
+     */
+    async markJoinedViaChallenge(projectId, userId) {
+        const { error } = await supabase
+            .from('project_invitations')
+            .update({ status: 'accepted', responded_at: new Date().toISOString() })
+            .eq('project_id', projectId)
+            .eq('invited_user_id', userId)
+            .in('status', OPEN_STATUSES);
+
+        if (error) console.error('Error closing invitations after challenge:', error);
+    }
+
+    /**
+     * Open invitations for a project, keyed by invited user
+     */
+    async getPendingByUser(projectId) {
+        const { data, error } = await supabase
+            .from('project_invitations')
+            .select('id, invited_user_id, status, created_at')
+            .eq('project_id', projectId)
+            .in('status', OPEN_STATUSES)
+            .gt('expires_at', new Date().toISOString());
+
+        if (error) {
+            console.error('Error fetching pending invitations:', error);
+            return new Map();
+        }
+
+        return new Map((data || [])
+            .filter(invitation => invitation.invited_user_id)
+            .map(invitation => [invitation.invited_user_id, invitation]));
+    }
+}
+
+module.exports = new ProjectInvitationService();
+module.exports.OPEN_STATUSES = OPEN_STATUSES;
+module.exports.MAX_EXPIRY_DAYS = MAX_EXPIRY_DAYS;
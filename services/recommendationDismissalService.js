@@ -0,0 +1,129 @@
+// services/recommendationDismissalService.js - "Not interested" / "hide similar" recommendation feedback
+const supabase = require('../config/supabase');
+
+// Default lifetime of each dismissal type, in days
+const DISMISSAL_TYPES = {
+    not_interested: 90,
+    hide_similar: 30
+};
+
+const MAX_EXPIRY_DAYS = 365;
+
+class RecommendationDismissalService {
+    /**
+     * Technologies and topics of a project, stored with the dismissal so
+     * similarity still works after the project stops recruiting
+     */
+    async getProjectSignature(projectId) {
+        const { data: project, error } = await supabase
+            .from('projects')
+            .select(`
+                id,
+                project_languages ( programming_languages (name) ),
+                project_topics ( topics (name) )
+            `)
+            .eq('id', projectId)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!project) return null;
+
+        return {
+            technologies: (project.project_languages || [])
+                .map(pl => pl.programming_languages?.name)
+                .filter(Boolean),
+            topics: (project.project_topics || [])
+                .map(pt => pt.topics?.name)
+                .filter(Boolean)
+        };
+    }
+
+    async dismiss(userId, { projectId, type, expiresInDays, recommendationId }) {
+        if (!DISMISSAL_TYPES[type]) {
+            const error = new Error(`Type must be one of: ${Object.keys(DISMISSAL_TYPES).join(', ')}`);
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const signature = await this.getProjectSignature(projectId);
+        if (!signature) {
+            const error = new Error('Project not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        const days = Math.min(MAX_EXPIRY_DAYS, Number(expiresInDays) || DISMISSAL_TYPES[type]);
+        const now = new Date();
+
+        const { data, error } = await supabase
+            .from('recommendation_dismissals')
+            .upsert({
+                user_id: userId,
+                project_id: projectId,
+                dismissal_type: type,
+                technologies: signature.technologies,
+                topics: signature.topics,
+                created_at: now.toISOString(),
+                expires_at: new Date(now.getTime() + days * 24 * 60 * 60 * 1000).toISOString()
+            }, { onConflict: 'user_id,project_id' })
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        // Also record it as an ignored recommendation so analytics and weight training see the rejection
+        const { error: feedbackError } = await supabase
+            .from('recommendation_feedback')
+            .insert({
+                user_id: userId,
+                recommendation_id: recommendationId || null,
+                project_id: projectId,
+                action_taken: 'ignored',
+                feedback_score: null
+            });
+
+        if (feedbackError) console.error('Error recording dismissal feedback:', feedbackError);
+
+        return data;
+    }
+
+    async listActive(userId) {
+        const { data, error } = await supabase
+            .from('recommendation_dismissals')
+            .select('*')
+            .eq('user_id', userId)
+            .gt('expires_at', new Date().toISOString())
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * Active dismissals for scoring; recommendations keep working if the lookup fails
+     */
+    async getActiveForScoring(userId) {
+        try {
+            return await this.listActive(userId);
+        } catch (error) {
+            console.error('Error loading recommendation dismissals:', error);
+            return [];
+        }
+    }
+
+    async remove(userId, projectId) {
+        const { data, error } = await supabase
+            .from('recommendation_dismissals')
+            .delete()
+            .eq('user_id', userId)
+            .eq('project_id', projectId)
+            .select('id');
+
+        if (error) throw error;
+        return (data || []).length > 0;
+    }
+}
+
+module.exports = new RecommendationDismissalService();
+module.exports.DISMISSAL_TYPES = DISMISSAL_TYPES;
+module.exports.MAX_EXPIRY_DAYS = MAX_EXPIRY_DAYS;
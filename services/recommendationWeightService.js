@@ -0,0 +1,380 @@
+// services/recommendationWeightService.js - Learns and versions recommendation feature weights
+const supabase = require('../config/supabase');
+
+// Features combined by SkillMatchingService.aggregateScore, read back from stored match_factors
+const FEATURE_SOURCES = {
+    topicCoverage: mf => mf.topicCoverage?.score,
+    languageProficiency: mf => mf.languageFit?.score,
+    difficultyAlignment: mf => mf.difficultyAlignment?.score,
+    interestAffinity: mf => mf.interestAffinity?.score,
+    popularityBoost: mf => mf.popularity?.score,
+    recencyBoost: mf => mf.recency?.score
+};
+const FEATURE_KEYS = Object.keys(FEATURE_SOURCES);
+
+const POSITIVE_ACTIONS = new Set(['applied', 'joined']);
+const NEGATIVE_ACTIONS = new Set(['ignored']);
+const MIN_TRAINING_EXAMPLES = 30;
+const HOLDOUT_FRACTION = 0.2;
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+class RecommendationWeightService {
+    constructor() {
+        this.featureKeys = FEATURE_KEYS;
+        this.activeCache = null;
+        this.activeCacheTime = 0;
+    }
+
+    /**
+     * Active weight set, cached for a few minutes. Returns null when none was promoted yet.
+     */
+    async getActiveWeights() {
+        if (this.activeCacheTime && Date.now() - this.activeCacheTime < CACHE_TTL_MS) {
+            return this.activeCache;
+        }
+
+        const { data, error } = await supabase
+            .from('recommendation_weight_sets')
+            .select('id, version, weights')
+            .eq('is_active', true)
+            .order('activated_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        if (error) {
+            console.error('Error loading active recommendation weights:', error);
+            return this.activeCache;
+        }
+
+        this.activeCache = data || null;
+        this.activeCacheTime = Date.now();
+        return this.activeCache;
+    }
+
+    invalidateCache() {
+        this.activeCache = null;
+        this.activeCacheTime = 0;
+    }
+
+    /**
+     * Turn stored recommendations and their outcomes into labeled examples.
+     * Positive: applied/joined, a 4-5 rating, or an active membership in the project.
+     * Negative: ignored or a 1-2 rating. Recommendations without an outcome are skipped.
+     */
+    async buildTrainingSet({ since } = {}) {
+        let recQuery = supabase
+            .from('project_recommendations')
+            .select('user_id, project_id, match_factors, recommended_at');
+        if (since) recQuery = recQuery.gte('recommended_at', since);
+
+        let feedbackQuery = supabase
+            .from('recommendation_feedback')
+            .select('user_id, project_id, action_taken, feedback_score');
+        if (since) feedbackQuery = feedbackQuery.gte('created_at', since);
+
+        const [recResult, feedbackResult, memberResult] = await Promise.all([
+            recQuery,
+            feedbackQuery,
+            supabase
+                .from('project_members')
+                .select('user_id, project_id')
+                .eq('status', 'active')
+        ]);
+
+        if (recResult.error) throw recResult.error;
+        if (feedbackResult.error) throw feedbackResult.error;
+        if (memberResult.error) throw memberResult.error;
+
+        const key = (userId, projectId) => `${userId}:${projectId}`;
+        const labels = new Map();
+
+        (feedbackResult.data || []).forEach(feedback => {
+            if (!feedback.project_id) return;
+            let label = null;
+            if (POSITIVE_ACTIONS.has(feedback.action_taken) || feedback.feedback_score >= 4) label = 1;
+            else if (NEGATIVE_ACTIONS.has(feedback.action_taken) || (feedback.feedback_score && feedback.feedback_score <= 2)) label = 0;
+            if (label === null) return;
+            // Any positive signal wins over a negative one for the same pair
+            const k = key(feedback.user_id, feedback.project_id);
+            labels.set(k, Math.max(labels.get(k) ?? 0, label));
+        });
+
+        (memberResult.data || []).forEach(member => {
+            labels.set(key(member.user_id, member.project_id), 1);
+        });
+
+        const examples = [];
+        (recResult.data || []).forEach(rec => {
+            const label = labels.get(key(rec.user_id, rec.project_id));
+            if (label === undefined) return;
+            const features = this.extractFeatures(rec.match_factors || {});
+            if (!features) return;
+            examples.push({ userId: rec.user_id, projectId: rec.project_id, features, label });
+        });
+
+        return examples;
+    }
+
+    /**
+     * Feature vector in [0, 1]; null for rows stored before the core features were recorded
+     */
+    extractFeatures(matchFactors) {
+        if (matchFactors.topicCoverage?.score === undefined) return null;
+        return FEATURE_KEYS.map(feature => {
+            const value = Number(FEATURE_SOURCES[feature](matchFactors));
+            return Number.isFinite(value) ? Math.max(0, Math.min(1, value / 100)) : 0;
+        });
+    }
+
+    /**
+     * Fit logistic regression with L2 regularisation by batch gradient descent
+     */
+    fitLogistic(examples, { epochs = 500, learningRate = 0.5, l2 = 0.01 } = {}) {
+        const n = examples.length;
+        const coefficients = new Array(FEATURE_KEYS.length).fill(0);
+        let intercept = 0;
+
+        for (let epoch = 0; epoch < epochs; epoch++) {
+            const gradient = new Array(FEATURE_KEYS.length).fill(0);
+            let interceptGradient = 0;
+
+            for (const example of examples) {
+                const z = intercept + example.features.reduce((sum, x, i) => sum + x * coefficients[i], 0);
+                const error = 1 / (1 + Math.exp(-z)) - example.label;
+                example.features.forEach((x, i) => { gradient[i] += error * x; });
+                interceptGradient += error;
+            }
+
+            coefficients.forEach((w, i) => {
+                coefficients[i] -= learningRate * (gradient[i] / n + l2 * w);
+            });
+            intercept -= learningRate * (interceptGradient / n);
+        }
+
+        return { coefficients, intercept };
+    }
+
+    /**
+     * Map coefficients to non-negative weights with the same total as the baseline,
+     * so scores stay on the 0-100 scale the recommendation threshold expects
+     */
+    toWeights(coefficients, baselineWeights) {
+        const positive = coefficients.map(c => Math.max(0, c));
+        const total = positive.reduce((sum, c) => sum + c, 0);
+        if (total === 0) return null;
+
+        const budget = FEATURE_KEYS.reduce((sum, feature) => sum + (baselineWeights[feature] || 0), 0) || 1;
+        const weights = {};
+        FEATURE_KEYS.forEach((feature, i) => {
+            weights[feature] = Number(((positive[i] / total) * budget).toFixed(4));
+        });
+        return weights;
+    }
+
+    scoreExample(example, weights) {
+        return example.features.reduce((sum, x, i) => sum + x * 100 * (weights[FEATURE_KEYS[i]] || 0), 0);
+    }
+
+    /**
+     * Precision of a weight set on labeled examples:
+     * precision@k over each user's ranked recommendations, and precision of scores above the threshold
+     */
+    evaluate(examples, weights, { k = 5, threshold = 55 } = {}) {
+        const byUser = new Map();
+        examples.forEach(example => {
+            if (!byUser.has(example.userId)) byUser.set(example.userId, []);
+            byUser.get(example.userId).push({ ...example, score: this.scoreExample(example, weights) });
+        });
+
+        let precisionSum = 0;
+        byUser.forEach(userExamples => {
+            const top = userExamples.sort((a, b) => b.score - a.score).slice(0, k);
+            precisionSum += top.filter(e => e.label === 1).length / top.length;
+        });
+
+        const predicted = examples.filter(example => this.scoreExample(example, weights) >= threshold);
+        const truePositives = predicted.filter(example => example.label === 1).length;
+
+        return {
+            precision_at_k: byUser.size ? Number((precisionSum / byUser.size).toFixed(4)) : null,
+            k,
+            precision_at_threshold: predicted.length ? Number((truePositives / predicted.length).toFixed(4)) : null,
+            threshold,
+            recommended: predicted.length,
+            examples: examples.length,
+            positives: examples.filter(example => example.label === 1).length,
+            users: byUser.size
+        };
+    }
+
+    // Deterministic split by user so one user's examples never leak across sets
+    isHoldout(userId) {
+        let hash = 0;
+        for (const char of String(userId)) {
+            hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+        }
+        return (hash % 1000) / 1000 < HOLDOUT_FRACTION;
+    }
+
+    /**
+     * Train a candidate weight set and store it as a new version.
+     * Precision is reported on held-out users for both the current and the new weights.
+     */
+    async trainWeightSet({ since, notes, trainedBy = null, options = {} } = {}) {
+        // Loaded lazily: SkillMatchingService reads active weights from this service
+        const skillMatching = require('./SkillMatchingService');
+
+        const examples = await this.buildTrainingSet({ since });
+        if (examples.length < MIN_TRAINING_EXAMPLES) {
+            const error = new Error(`Not enough labeled feedback to train (${examples.length}/${MIN_TRAINING_EXAMPLES} examples)`);
+            error.statusCode = 422;
+            throw error;
+        }
+
+        let training = examples.filter(example => !this.isHoldout(example.userId));
+        let holdout = examples.filter(example => this.isHoldout(example.userId));
+        if (holdout.length === 0 || training.length === 0) {
+            // Too few users to split; report in-sample precision instead
+            training = examples;
+            holdout = examples;
+        }
+
+        const active = await this.getActiveWeights();
+        const baselineWeights = { ...skillMatching.defaultWeights, ...(active?.weights || {}) };
+
+        const { coefficients, intercept } = this.fitLogistic(training, options);
+        const weights = this.toWeights(coefficients, baselineWeights);
+        if (!weights) {
+            const error = new Error('Training produced no positive feature weights; keep the current set');
+            error.statusCode = 422;
+            throw error;
+        }
+
+        const evalOptions = { threshold: skillMatching.threshold };
+        const metrics = {
+            before: this.evaluate(holdout, baselineWeights, evalOptions),
+            after: this.evaluate(holdout, weights, evalOptions),
+            baseline_version: active?.version ?? null,
+            training_examples: training.length,
+            holdout_examples: holdout.length,
+            coefficients: Object.fromEntries(FEATURE_KEYS.map((feature, i) => [feature, Number(coefficients[i].toFixed(4))])),
+            intercept: Number(intercept.toFixed(4))
+        };
+
+        const { data: latest } = await supabase
+            .from('recommendation_weight_sets')
+            .select('version')
+            .order('version', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        const { data: weightSet, error } = await supabase
+            .from('recommendation_weight_sets')
+            .insert({
+                version: (latest?.version || 0) + 1,
+                weights,
+                metrics,
+                status: 'candidate',
+                is_active: false,
+                trained_by: trainedBy,
+                trained_since: since || null,
+                notes: notes || null,
+                created_at: new Date().toISOString()
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+        return weightSet;
+    }
+
+    async listWeightSets() {
+        const { data, error } = await supabase
+            .from('recommendation_weight_sets')
+            .select('*')
+            .order('version', { ascending: false });
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * Make a weight set the one recommendProjects uses
+     */
+    async activate(weightSetId, adminId = null) {
+        const { data: target, error: fetchError } = await supabase
+            .from('recommendation_weight_sets')
+            .select('id, version')
+            .eq('id', weightSetId)
+            .maybeSingle();
+
+        if (fetchError) throw fetchError;
+        if (!target) {
+            const error = new Error('Weight set not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        const { error: retireError } = await supabase
+            .from('recommendation_weight_sets')
+            .update({ is_active: false, status: 'retired' })
+            .eq('is_active', true)
+            .neq('id', weightSetId);
+
+        if (retireError) throw retireError;
+
+        const { data, error } = await supabase
+            .from('recommendation_weight_sets')
+            .update({
+                is_active: true,
+                status: 'active',
+                activated_at: new Date().toISOString(),
+                activated_by: adminId
+            })
+            .eq('id', weightSetId)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        this.invalidateCache();
+        return data;
+    }
+
+    /**
+     * Re-activate the previously active weight set and mark the current one as rolled back.
+     * With no earlier set, deactivate the current one so the built-in defaults apply again.
+     */
+    async rollback(adminId = null) {
+        this.invalidateCache();
+        const active = await this.getActiveWeights();
+
+        let query = supabase
+            .from('recommendation_weight_sets')
+            .select('id')
+            .not('activated_at', 'is', null)
+            .neq('status', 'rolled_back')
+            .order('activated_at', { ascending: false })
+            .limit(1);
+        if (active) query = query.neq('id', active.id);
+
+        const { data: previous, error } = await query.maybeSingle();
+        if (error) throw error;
+
+        const restored = previous ? await this.activate(previous.id, adminId) : null;
+
+        if (active) {
+            const { error: rollbackError } = await supabase
+                .from('recommendation_weight_sets')
+                .update({ is_active: false, status: 'rolled_back' })
+                .eq('id', active.id);
+            if (rollbackError) throw rollbackError;
+        }
+
+        this.invalidateCache();
+        return restored;
+    }
+}
+
+module.exports = new RecommendationWeightService();
+module.exports.FEATURE_KEYS = FEATURE_KEYS;
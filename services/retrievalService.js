@@ -0,0 +1,371 @@
+// services/retrievalService.js - Searchable index of a project's tasks, comments, notes, goals and chat
+const supabase = require('../config/supabase');
+const { getProjectAccess } = require('../utils/projectAccess');
+const { tokenize, buildIndex, search } = require('../utils/bm25');
+
+const SOURCES = ['task', 'task_comment', 'solo_note', 'solo_goal', 'chat_message'];
+// Readable only by the owner of a solo project, like the solo project endpoints
+const SOLO_SOURCES = ['solo_note', 'solo_goal'];
+
+const INDEX_TTL_MS = 2 * 60 * 1000;
+const MAX_CACHED_INDEXES = 50;
+const MAX_SEARCH_PROJECTS = 10;
+const RECENT_CHAT_DAYS = 14;
+const SNIPPET_LENGTH = 240;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const retrievalError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// "this week", "today", ... restrict results to that period and are removed from the search terms
+const TIME_WINDOWS = [
+    { pattern: /\btoday\b/i, since: () => { const d = new Date(); d.setUTCHours(0, 0, 0, 0); return d; } },
+    { pattern: /\byesterday\b/i, since: () => new Date(Date.now() - 2 * DAY_MS), until: () => new Date(Date.now() - DAY_MS) },
+    { pattern: /\blast week\b/i, since: () => new Date(Date.now() - 14 * DAY_MS), until: () => new Date(Date.now() - 7 * DAY_MS) },
+    { pattern: /\b(this|past) week\b|\bweekly\b/i, since: () => new Date(Date.now() - 7 * DAY_MS) },
+    { pattern: /\b(this|past|last) month\b/i, since: () => new Date(Date.now() - 30 * DAY_MS) },
+    { pattern: /\b(recent|recently|lately|latest)\b/i, since: () => new Date(Date.now() - 7 * DAY_MS) }
+];
+
+const parseTimeWindow = (query) => {
+    const window = TIME_WINDOWS.find(candidate => candidate.pattern.test(query));
+    if (!window) return { terms: query, since: null, until: null };
+
+    return {
+        terms: query.replace(window.pattern, ' '),
+        since: window.since(),
+        until: window.until ? window.until() : null
+    };
+};
+
+const personName = user => user?.full_name || user?.username || 'someone';
+
+/**
+ * Text around the first matched term, so citations show why a record was picked
+ */
+const buildSnippet = (text, terms = []) => {
+    const clean = String(text || '').replace(/\s+/g, ' ').trim();
+    if (clean.length <= SNIPPET_LENGTH) return clean;
+
+    const lower = clean.toLowerCase();
+    const positions = terms.map(term => lower.indexOf(term)).filter(position => position >= 0);
+    const start = positions.length > 0 ? Math.max(0, Math.min(...positions) - 60) : 0;
+    const snippet = clean.slice(start, start + SNIPPET_LENGTH);
+
+    return `${start > 0 ? '…' : ''}${snippet}${start + SNIPPET_LENGTH < clean.length ? '…' : ''}`;
+};
+
+class RetrievalService {
+    constructor() {
+        this.indexes = new Map(); // projectId -> { builtAt, promise }
+    }
+
+    /**
+     * What a user may retrieve from a project; null when they can't see it at all
+     */
+    async getAccess(projectId, userId) {
+        const access = await getProjectAccess(projectId, userId);
+        if (!access || (!access.isOwner && !access.isMember)) return null;
+
+        return {
+            sources: access.isOwner && access.project.maximum_members === 1
+                ? SOURCES
+                : SOURCES.filter(source => !SOLO_SOURCES.includes(source))
+        };
+    }
+
+    /**
+     * Projects searched when the caller doesn't name one: the ones they own or are active in,
+     * most recently updated first
+     */
+    async getUserProjectIds(userId) {
+        const [{ data: owned, error: ownedError }, { data: memberships, error: memberError }] = await Promise.all([
+            supabase.from('projects').select('id, updated_at').eq('owner_id', userId),
+            supabase
+                .from('project_members')
+                .select('project:project_id(id, updated_at)')
+                .eq('user_id', userId)
+                .eq('status', 'active')
+        ]);
+
+        if (ownedError) throw ownedError;
+        if (memberError) throw memberError;
+
+        const projects = new Map();
+        [...(owned || []), ...(memberships || []).map(membership => membership.project).filter(Boolean)]
+            .forEach(project => projects.set(project.id, project));
+
+        return [...projects.values()]
+            .sort((a, b) => new Date(b.updated_at || 0) - new Date(a.updated_at || 0))
+            .slice(0, MAX_SEARCH_PROJECTS)
+            .map(project => project.id);
+    }
+
+    /**
+     * Every indexable record of a project as { id, source, recordId, projectId, title, text, date }
+     */
+    async loadDocuments(projectId) {
+        const { data: project, error: projectError } = await supabase
+            .from('projects')
+            .select('id, title')
+            .eq('id', projectId)
+            .single();
+
+        if (projectError || !project) return [];
+
+        const base = { projectId, projectTitle: project.title };
+        const recentChatSince = new Date(Date.now() - RECENT_CHAT_DAYS * DAY_MS).toISOString();
+
+        const [tasksResult, notesResult, goalsResult, roomsResult] = await Promise.all([
+            supabase
+                .from('project_tasks')
+                .select('id, title, description, status, priority, due_date, created_at, updated_at, assigned_user:assigned_to(full_name, username)')
+                .eq('project_id', projectId)
+                .limit(1000),
+            supabase
+                .from('solo_project_notes')
+                .select('id, title, content, category, created_at, updated_at')
+                .eq('project_id', projectId)
+                .limit(500),
+            supabase
+                .from('solo_project_goals')
+                .select('id, title, description, status, progress, target_date, created_at, updated_at')
+                .eq('project_id', projectId)
+                .limit(500),
+            supabase
+                .from('chat_rooms')
+                .select('id, name')
+                .eq('project_id', projectId)
+        ]);
+
+        [tasksResult, notesResult, goalsResult, roomsResult].forEach(({ error }) => {
+            if (error) throw error;
+        });
+
+        const tasks = tasksResult.data || [];
+        const taskIds = tasks.map(task => task.id);
+        const rooms = roomsResult.data || [];
+        const roomNames = new Map(rooms.map(room => [room.id, room.name]));
+
+        const [commentsResult, dependenciesResult, messagesResult] = await Promise.all([
+            taskIds.length > 0
+                ? supabase
+                    .from('task_comments')
+                    .select('id, task_id, content, created_at, author:users!user_id(full_name, username)')
+                    .in('task_id', taskIds)
+                    .order('created_at', { ascending: false })
+                    .limit(1000)
+                : { data: [] },
+            taskIds.length > 0
+                ? supabase
+                    .from('task_dependencies')
+                    .select('task_id, blocker:depends_on_task_id(id, title, status)')
+                    .in('task_id', taskIds)
+                : { data: [] },
+            rooms.length > 0
+                ? supabase
+                    .from('chat_messages')
+                    .select('id, room_id, content, created_at, author:users!user_id(full_name, username)')
+                    .in('room_id', rooms.map(room => room.id))
+                    .gte('created_at', recentChatSince)
+                    .order('created_at', { ascending: false })
+                    .limit(500)
+                : { data: [] }
+        ]);
+
+        [commentsResult, dependenciesResult, messagesResult].forEach(({ error }) => {
+            if (error) throw error;
+        });
+
+        const taskTitles = new Map(tasks.map(task => [task.id, task.title]));
+        const openBlockers = new Map();
+        (dependenciesResult.data || []).forEach(dependency => {
+            if (!dependency.blocker || dependency.blocker.status === 'completed') return;
+            if (!openBlockers.has(dependency.task_id)) openBlockers.set(dependency.task_id, []);
+            openBlockers.get(dependency.task_id).push(dependency.blocker.title);
+        });
+
+        const documents = [];
+
+        tasks.forEach(task => {
+            const blockers = openBlockers.get(task.id) || [];
+            documents.push({
+                ...base,
+                id: `task:${task.id}`,
+                source: 'task',
+                recordId: task.id,
+                title: task.title,
+                date: task.updated_at || task.created_at,
+                text: [
+                    task.title,
+                    task.description,
+                    `Status: ${task.status}. Priority: ${task.priority || 'none'}.`,
+                    task.assigned_user ? `Assigned to ${personName(task.assigned_user)}.` : 'Unassigned.',
+                    task.due_date ? `Due ${task.due_date}.` : null,
+                    blockers.length > 0 ? `Blocked by: ${blockers.join(', ')}.` : null
+                ].filter(Boolean).join('\n')
+            });
+        });
+
+        (commentsResult.data || []).forEach(comment => {
+            documents.push({
+                ...base,
+                id: `task_comment:${comment.id}`,
+                source: 'task_comment',
+                recordId: comment.id,
+                taskId: comment.task_id,
+                title: `Comment by ${personName(comment.author)} on "${taskTitles.get(comment.task_id) || 'a task'}"`,
+                date: comment.created_at,
+                text: `${taskTitles.get(comment.task_id) || ''}\n${comment.content}`
+            });
+        });
+
+        (notesResult.data || []).forEach(note => {
+            documents.push({
+                ...base,
+                id: `solo_note:${note.id}`,
+                source: 'solo_note',
+                recordId: note.id,
+                title: note.title,
+                date: note.updated_at || note.created_at,
+                text: [note.title, note.content, note.category ? `Category: ${note.category}` : null].filter(Boolean).join('\n')
+            });
+        });
+
+        (goalsResult.data || []).forEach(goal => {
+            documents.push({
+                ...base,
+                id: `solo_goal:${goal.id}`,
+                source: 'solo_goal',
+                recordId: goal.id,
+                title: goal.title,
+                date: goal.updated_at || goal.created_at,
+                text: [
+                    goal.title,
+                    goal.description,
+                    `Status: ${goal.status}.${goal.progress != null ? ` Progress: ${goal.progress}%.` : ''}`,
+                    goal.target_date ? `Target date ${goal.target_date}.` : null
+                ].filter(Boolean).join('\n')
+            });
+        });
+
+        (messagesResult.data || []).forEach(message => {
+            documents.push({
+                ...base,
+                id: `chat_message:${message.id}`,
+                source: 'chat_message',
+                recordId: message.id,
+                roomId: message.room_id,
+                title: `${personName(message.author)} in #${roomNames.get(message.room_id) || 'chat'}`,
+                date: message.created_at,
+                text: message.content
+            });
+        });
+
+        return documents;
+    }
+
+    /**
+     * Cached index of a project; rebuilt after INDEX_TTL_MS so edits show up within minutes
+     */
+    getIndex(projectId) {
+        const cached = this.indexes.get(projectId);
+        if (cached && Date.now() - cached.builtAt < INDEX_TTL_MS) {
+            return cached.promise;
+        }
+
+        const promise = this.loadDocuments(projectId).then(buildIndex);
+        promise.catch(() => this.indexes.delete(projectId));
+
+        this.indexes.delete(projectId);
+        this.indexes.set(projectId, { builtAt: Date.now(), promise });
+
+        // Oldest entries first in Map order
+        while (this.indexes.size > MAX_CACHED_INDEXES) {
+            this.indexes.delete(this.indexes.keys().next().value);
+        }
+
+        return promise;
+    }
+
+    /**
+     * Search the records a user can access
+     *
+     * @param {string} userId
+     * @param {string} query
+     * @param {Object} [options]
+     * @param {string} [options.projectId] - search one project (404/403 when not accessible); default is all of the user's projects
+     * @param {number} [options.limit]
+     * @returns {Promise<Array<{ source, recordId, projectId, projectTitle, title, snippet, date, score }>>}
+     */
+    async search(userId, query, { projectId = null, limit = 8 } = {}) {
+        let projectIds;
+
+        if (projectId) {
+            const access = await getProjectAccess(projectId, userId);
+            if (!access) throw retrievalError('Project not found', 404);
+            if (!access.isOwner && !access.isMember) {
+                throw retrievalError('Access denied. You must be a project member.', 403);
+            }
+            projectIds = [projectId];
+        } else {
+            projectIds = await this.getUserProjectIds(userId);
+        }
+
+        const { terms, since, until } = parseTimeWindow(String(query || ''));
+        const inWindow = (document) => {
+            if (!since) return true;
+            const date = new Date(document.date);
+            return date >= since && (!until || date <= until);
+        };
+
+        const hits = [];
+
+        for (const id of projectIds) {
+            // Access is checked on every search, never cached with the index
+            const access = await this.getAccess(id, userId);
+            if (!access) continue;
+
+            const index = await this.getIndex(id);
+            const allowed = document => access.sources.includes(document.source) && inWindow(document);
+
+            const ranked = search(index, terms, { filter: allowed, limit });
+            hits.push(...ranked);
+
+            // A period with nothing else to match on ("summarise this week") means its most recent records
+            if (since && ranked.length < limit) {
+                const seen = new Set(ranked.map(hit => hit.document.id));
+                index.documents
+                    .filter(document => allowed(document) && !seen.has(document.id))
+                    .sort((a, b) => new Date(b.date) - new Date(a.date))
+                    .slice(0, limit - ranked.length)
+                    .forEach(document => hits.push({ document, score: 0, terms: [] }));
+            }
+        }
+
+        const queryTerms = tokenize(terms);
+
+        return hits
+            .sort((a, b) => b.score - a.score || new Date(b.document.date) - new Date(a.document.date))
+            .slice(0, limit)
+            .map(({ document, score }) => ({
+                source: document.source,
+                recordId: document.recordId,
+                projectId: document.projectId,
+                projectTitle: document.projectTitle,
+                taskId: document.taskId,
+                roomId: document.roomId,
+                title: document.title,
+                snippet: buildSnippet(document.text, queryTerms),
+                date: document.date,
+                score: Number(score.toFixed(4))
+            }));
+    }
+}
+
+module.exports = new RetrievalService();
+module.exports.SOURCES = SOURCES;
+module.exports.parseTimeWindow = parseTimeWindow;
@@ -0,0 +1,243 @@
+// services/sessionService.js - Access/refresh tokens and server-side login sessions
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const supabase = require('../config/supabase');
+
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_EXPIRE || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+// Revocation checks are cached briefly so authenticated requests do not all hit the database.
+// Revoking through this process clears the entry immediately; other instances catch up within the TTL.
+const SESSION_CACHE_TTL_MS = 30 * 1000;
+
+const hashToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const sessionError = (message, statusCode = 401) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+class SessionService {
+    constructor() {
+        this.sessionCache = new Map();
+    }
+
+    signAccessToken(userId, sessionId) {
+        return jwt.sign(
+            {
+                userId,
+                id: userId, // Include both for compatibility
+                sid: sessionId
+            },
+            process.env.JWT_SECRET,
+            { expiresIn: ACCESS_TOKEN_TTL }
+        );
+    }
+
+    generateRefreshToken() {
+        return crypto.randomBytes(48).toString('base64url');
+    }
+
+    /**
+     * Device metadata recorded with a session so users can recognise it in the session list
+     */
+    describeDevice(req) {
+        const userAgent = (req?.headers?.['user-agent'] || '').slice(0, 500) || null;
+        const forwarded = req?.headers?.['x-forwarded-for'];
+        const ipAddress = (forwarded ? forwarded.split(',')[0].trim() : req?.ip) || null;
+        const deviceName = (req?.body?.device_name || req?.headers?.['x-device-name'] || '').slice(0, 100) || null;
+        return { user_agent: userAgent, ip_address: ipAddress, device_name: deviceName };
+    }
+
+    tokenResponse(session, refreshToken) {
+        return {
+            token: this.signAccessToken(session.user_id, session.id),
+            refreshToken,
+            expiresIn: ACCESS_TOKEN_TTL,
+            refreshExpiresAt: session.expires_at,
+            sessionId: session.id
+        };
+    }
+
+    /**
+     * Start a session at login/registration and issue its first token pair
+     */
+    async createSession(userId, req) {
+        const refreshToken = this.generateRefreshToken();
+        const now = new Date();
+
+        const { data: session, error } = await supabase
+            .from('user_sessions')
+            .insert({
+                user_id: userId,
+                refresh_token_hash: hashToken(refreshToken),
+                ...this.describeDevice(req),
+                created_at: now.toISOString(),
+                last_used_at: now.toISOString(),
+                expires_at: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString()
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+        return this.tokenResponse(session, refreshToken);
+    }
+
+    /**
+     * Exchange a refresh token for a new pair. Each refresh token works once; presenting
+     * an already-rotated token means it leaked, so the whole session is revoked.
+     */
+    async rotate(refreshToken, req) {
+        const tokenHash = hashToken(refreshToken);
+
+        const { data: session, error } = await supabase
+            .from('user_sessions')
+            .select('*')
+            .eq('refresh_token_hash', tokenHash)
+            .maybeSingle();
+
+        if (error) throw error;
+
+        if (!session) {
+            const { data: reused } = await supabase
+                .from('user_sessions')
+                .select('id, user_id, revoked_at')
+                .eq('previous_token_hash', tokenHash)
+                .maybeSingle();
+
+            if (reused && !reused.revoked_at) {
+                console.warn(`⚠️ Refresh token reuse detected for session ${reused.id}; revoking it`);
+                await this.revokeSession(reused.user_id, reused.id, 'refresh_token_reuse');
+            }
+            throw sessionError('Invalid refresh token');
+        }
+
+        if (session.revoked_at) throw sessionError('Session has been revoked');
+        if (new Date(session.expires_at) <= new Date()) throw sessionError('Session has expired');
+
+        const { data: user } = await supabase
+            .from('users')
+            .select('id, is_active, is_suspended, suspended_until')
+            .eq('id', session.user_id)
+            .single();
+
+        const suspended = user?.is_suspended &&
+            (!user.suspended_until || new Date(user.suspended_until) > new Date());
+
+        if (!user || !user.is_active || suspended) {
+            await this.revokeSession(session.user_id, session.id, 'account_disabled');
+            throw sessionError('Account is not active');
+        }
+
+        const nextToken = this.generateRefreshToken();
+        const { data: updated, error: updateError } = await supabase
+            .from('user_sessions')
+            .update({
+                refresh_token_hash: hashToken(nextToken),
+                previous_token_hash: tokenHash,
+                last_used_at: new Date().toISOString(),
+                ...this.describeDevice(req)
+            })
+            .eq('id', session.id)
+            .eq('refresh_token_hash', tokenHash) // lost race with a concurrent refresh
+            .select()
+            .maybeSingle();
+
+        if (updateError) throw updateError;
+        if (!updated) throw sessionError('Refresh token was already used');
+
+        return this.tokenResponse(updated, nextToken);
+    }
+
+    /**
+     * Whether an access token's session is still valid (not revoked or expired)
+     */
+    async isSessionActive(sessionId, userId) {
+        const cached = this.sessionCache.get(sessionId);
+        if (cached && Date.now() - cached.checkedAt < SESSION_CACHE_TTL_MS) {
+            return cached.active && cached.userId === userId;
+        }
+
+        const { data: session, error } = await supabase
+            .from('user_sessions')
+            .select('user_id, revoked_at, expires_at')
+            .eq('id', sessionId)
+            .maybeSingle();
+
+        if (error) throw error;
+
+        const active = Boolean(session && !session.revoked_at && new Date(session.expires_at) > new Date());
+        this.pruneSessionCache();
+        this.sessionCache.set(sessionId, { active, userId: session?.user_id, checkedAt: Date.now() });
+        return active && session.user_id === userId;
+    }
+
+    pruneSessionCache() {
+        const now = Date.now();
+        for (const [sessionId, entry] of this.sessionCache) {
+            if (now - entry.checkedAt >= SESSION_CACHE_TTL_MS) this.sessionCache.delete(sessionId);
+        }
+    }
+
+    async listSessions(userId) {
+        const { data, error } = await supabase
+            .from('user_sessions')
+            .select('id, user_agent, ip_address, device_name, created_at, last_used_at, expires_at')
+            .eq('user_id', userId)
+            .is('revoked_at', null)
+            .gt('expires_at', new Date().toISOString())
+            .order('last_used_at', { ascending: false });
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    async revokeSession(userId, sessionId, reason = 'logout') {
+        const { data, error } = await supabase
+            .from('user_sessions')
+            .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+            .eq('id', sessionId)
+            .eq('user_id', userId)
+            .is('revoked_at', null)
+            .select('id');
+
+        if (error) throw error;
+        this.sessionCache.delete(sessionId);
+        return (data || []).length > 0;
+    }
+
+    /**
+     * Revoke every session of a user, optionally keeping one (the caller's)
+     * Also invalidates access tokens issued before sessions existed
+     */
+    async revokeAllSessions(userId, { exceptSessionId = null, reason = 'revoke_all' } = {}) {
+        const now = new Date().toISOString();
+
+        let query = supabase
+            .from('user_sessions')
+            .update({ revoked_at: now, revoked_reason: reason })
+            .eq('user_id', userId)
+            .is('revoked_at', null);
+
+        if (exceptSessionId) query = query.neq('id', exceptSessionId);
+
+        const { data, error } = await query.select('id');
+        if (error) throw error;
+
+        (data || []).forEach(session => this.sessionCache.delete(session.id));
+
+        // Tokens without a session id are checked against this timestamp instead
+        const { error: userError } = await supabase
+            .from('users')
+            .update({ sessions_revoked_at: now })
+            .eq('id', userId);
+        if (userError) console.error('Error recording session revocation time:', userError);
+
+        return (data || []).length;
+    }
+}
+
+module.exports = new SessionService();
+module.exports.ACCESS_TOKEN_TTL = ACCESS_TOKEN_TTL;
+module.exports.REFRESH_TOKEN_TTL_DAYS = REFRESH_TOKEN_TTL_DAYS;
@@ -0,0 +1,271 @@
+// services/taskRecurrenceService.js - Generates instances of recurring project tasks
+const cron = require('node-cron');
+const supabase = require('../config/supabase');
+const { recordTaskActivity } = require('../utils/taskActivityLogger');
+const {
+    toDateString,
+    addDays,
+    parseDate,
+    listOccurrences,
+    occurrenceDueDate
+} = require('../utils/taskRecurrence');
+
+// Task fields copied from a recurrence onto every generated instance
+const SERIES_FIELDS = ['title', 'description', 'task_type', 'priority', 'estimated_hours', 'assigned_to'];
+
+const HORIZON_DAYS = Number(process.env.TASK_RECURRENCE_HORIZON_DAYS || 14);
+const SCHEDULE = process.env.TASK_RECURRENCE_CRON || '5 * * * *';
+
+class TaskRecurrenceService {
+    constructor() {
+        this.job = null;
+        this.running = false;
+    }
+
+    /**
+     * Create the instances of one recurrence that fall inside the generation horizon
+     * Instances are unique per (recurrence_id, occurrence_date), so reruns are harmless
+     */
+    async generateForRecurrence(recurrence, now = new Date()) {
+        if (!recurrence.is_active) return [];
+
+        const today = parseDate(now);
+        const horizon = addDays(today, HORIZON_DAYS);
+        const alreadyUntil = recurrence.generated_until ? parseDate(recurrence.generated_until) : null;
+        const from = alreadyUntil && alreadyUntil >= today ? addDays(alreadyUntil, 1) : today;
+
+        if (from > horizon) return [];
+
+        const occurrences = listOccurrences(recurrence, from, horizon);
+        const fields = recurrence.task_fields || {};
+        let created = [];
+
+        if (occurrences.length > 0) {
+            const rows = occurrences.map(occurrenceDate => {
+                const row = {
+                    project_id: recurrence.project_id,
+                    status: 'todo',
+                    created_by: recurrence.created_by,
+                    due_date: occurrenceDueDate(recurrence, occurrenceDate),
+                    recurrence_id: recurrence.id,
+                    occurrence_date: occurrenceDate,
+                    is_exception: false
+                };
+                SERIES_FIELDS.forEach(field => {
+                    row[field] = fields[field] ?? null;
+                });
+                row.task_type = row.task_type || 'development';
+                row.priority = row.priority || 'medium';
+                return row;
+            });
+
+            const { data, error } = await supabase
+                .from('project_tasks')
+                .upsert(rows, { onConflict: 'recurrence_id,occurrence_date', ignoreDuplicates: true })
+                .select();
+
+            if (error) throw error;
+            created = data || [];
+
+            for (const task of created) {
+                await recordTaskActivity({
+                    action: 'create',
+                    task,
+                    after: task,
+                    actorId: null,
+                    source: 'scheduler'
+                });
+            }
+        }
+
+        const { error: updateError } = await supabase
+            .from('task_recurrences')
+            .update({
+                generated_until: toDateString(horizon),
+                last_run_at: new Date().toISOString()
+            })
+            .eq('id', recurrence.id);
+
+        if (updateError) throw updateError;
+
+        return created;
+    }
+
+    /**
+     * Generate instances for every active recurrence that is behind the horizon
+     */
+    async runDue(now = new Date()) {
+        if (this.running) {
+            console.log('⏭️  Task recurrence run already in progress, skipping');
+            return { recurrences: 0, created: 0 };
+        }
+
+        this.running = true;
+        try {
+            const horizon = toDateString(addDays(parseDate(now), HORIZON_DAYS));
+
+            const { data: recurrences, error } = await supabase
+                .from('task_recurrences')
+                .select('*')
+                .eq('is_active', true)
+                .or(`generated_until.is.null,generated_until.lt.${horizon}`);
+
+            if (error) throw error;
+
+            let created = 0;
+            for (const recurrence of recurrences || []) {
+                try {
+                    const tasks = await this.generateForRecurrence(recurrence, now);
+                    created += tasks.length;
+                } catch (recurrenceError) {
+                    console.error(`❌ Failed to generate tasks for recurrence ${recurrence.id}:`, recurrenceError);
+                }
+            }
+
+            if (created > 0) {
+                console.log(`🔁 Generated ${created} recurring task(s) from ${recurrences.length} recurrence(s)`);
+            }
+
+            return { recurrences: (recurrences || []).length, created };
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Remove generated instances that nobody has touched yet, from a day onwards
+     * Edited ("this occurrence") and started instances are kept; each removal is recorded in
+     * the task activity trail, attributed to actorId when a user triggered it
+     */
+    async removeUntouchedInstances(recurrenceId, fromDate, { actorId = null } = {}) {
+        const { data, error } = await supabase
+            .from('project_tasks')
+            .delete()
+            .eq('recurrence_id', recurrenceId)
+            .eq('status', 'todo')
+            .eq('is_exception', false)
+            .gte('occurrence_date', fromDate)
+            .select('*');
+
+        if (error) throw error;
+
+        const removed = data || [];
+        for (const task of removed) {
+            await recordTaskActivity({
+                action: 'delete',
+                task,
+                before: task,
+                actorId,
+                source: 'scheduler'
+            });
+        }
+
+        return removed.length;
+    }
+
+    /**
+     * Rebuild upcoming instances after a schedule change
+     */
+    async regenerate(recurrence, now = new Date(), { actorId = null } = {}) {
+        const today = toDateString(parseDate(now));
+        const removed = await this.removeUntouchedInstances(recurrence.id, today, { actorId });
+        const created = await this.generateForRecurrence({ ...recurrence, generated_until: null }, now);
+        return { removed, created };
+    }
+
+    /**
+     * Apply series-level changes to the recurrence and all of its future, unedited instances
+     * Every instance that changes gets an update entry in the task activity trail
+     */
+    async applyToFuture(recurrence, fromDate, changes, { actorId = null } = {}) {
+        const seriesChanges = {};
+        SERIES_FIELDS.forEach(field => {
+            if (changes[field] !== undefined) seriesChanges[field] = changes[field];
+        });
+
+        if (Object.keys(seriesChanges).length === 0) return [];
+
+        const { error: recurrenceError } = await supabase
+            .from('task_recurrences')
+            .update({
+                task_fields: { ...(recurrence.task_fields || {}), ...seriesChanges },
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', recurrence.id);
+
+        if (recurrenceError) throw recurrenceError;
+
+        const futureInstances = query => query
+            .eq('recurrence_id', recurrence.id)
+            .eq('is_exception', false)
+            .neq('status', 'completed')
+            .gte('occurrence_date', fromDate);
+
+        const { data: before, error: beforeError } = await futureInstances(
+            supabase.from('project_tasks').select('*')
+        );
+
+        if (beforeError) throw beforeError;
+
+        const { data, error } = await futureInstances(
+            supabase.from('project_tasks').update({ ...seriesChanges, updated_at: new Date().toISOString() })
+        ).select();
+
+        if (error) throw error;
+
+        const beforeById = new Map((before || []).map(task => [task.id, task]));
+        for (const task of data || []) {
+            await recordTaskActivity({
+                action: 'update',
+                task,
+                before: beforeById.get(task.id) || null,
+                after: task,
+                actorId,
+                source: 'scheduler'
+            });
+        }
+
+        return data || [];
+    }
+
+    /**
+     * Start the cron job that keeps recurring tasks generated ahead of time
+     */
+    start() {
+        if (this.job) return;
+
+        if (process.env.TASK_RECURRENCE_SCHEDULER === 'off') {
+            console.log('⏸️  Task recurrence scheduler disabled');
+            return;
+        }
+
+        if (!cron.validate(SCHEDULE)) {
+            console.error(`❌ Invalid TASK_RECURRENCE_CRON expression: ${SCHEDULE}`);
+            return;
+        }
+
+        this.job = cron.schedule(SCHEDULE, () => {
+            this.runDue().catch(error => {
+                console.error('❌ Task recurrence run failed:', error);
+            });
+        });
+
+        console.log(`🔁 Task recurrence scheduler started (${SCHEDULE}, ${HORIZON_DAYS} day horizon)`);
+
+        // Catch up immediately instead of waiting for the first tick
+        this.runDue().catch(error => {
+            console.error('❌ Initial task recurrence run failed:', error);
+        });
+    }
+
+    stop() {
+        if (this.job) {
+            this.job.stop();
+            this.job = null;
+        }
+    }
+}
+
+module.exports = new TaskRecurrenceService();
+module.exports.SERIES_FIELDS = SERIES_FIELDS;
+module.exports.HORIZON_DAYS = HORIZON_DAYS;
@@ -0,0 +1,341 @@
+// services/twoFactorService.js - TOTP two-factor authentication, recovery codes and the 2FA policy
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const supabase = require('../config/supabase');
+const totp = require('../utils/totp');
+const { encrypt, decrypt } = require('../utils/encryption');
+
+const ISSUER = process.env.TOTP_ISSUER || 'TechSync';
+const RECOVERY_CODE_COUNT = 10;
+
+// Login challenge issued after a correct password, exchanged for a session with a valid code
+const CHALLENGE_TTL = '5m';
+// Attempts and the single-use flag are tracked in this process's memory (this.challenges), so
+// they are not shared between instances or kept across restarts: behind a load balancer a
+// challenge gets up to this many attempts per instance within its TTL. The TOTP step and
+// recovery code checks themselves are enforced in the database.
+const CHALLENGE_MAX_ATTEMPTS = 5;
+
+// Roles that may be required to use 2FA, stored in system_settings as a comma separated list
+const POLICY_SETTING_KEY = 'two_factor_required_roles';
+const POLICY_ROLES = ['admin', 'moderator'];
+const POLICY_CACHE_TTL_MS = 60 * 1000;
+
+const hashCode = code => crypto.createHash('sha256').update(String(code)).digest('hex');
+
+// Recovery codes are compared case-insensitively and without separators
+const normalizeRecoveryCode = code => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const twoFactorError = (message, statusCode = 400, code = undefined) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    if (code) error.code = code;
+    return error;
+};
+
+// Challenge tokens use a derived secret so they are never accepted as access tokens
+const challengeSecret = () => `${process.env.JWT_SECRET}:2fa-challenge`;
+
+class TwoFactorService {
+    constructor() {
+        this.policyCache = null;
+        this.policyCacheTime = 0;
+        // jti -> { attempts, used, expiresAt }
+        this.challenges = new Map();
+    }
+
+    async getRecord(userId) {
+        const { data, error } = await supabase
+            .from('user_two_factor')
+            .select('*')
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data;
+    }
+
+    async getStatus(user) {
+        const [record, requiredRoles] = await Promise.all([
+            this.getRecord(user.id),
+            this.getRequiredRoles()
+        ]);
+
+        let remainingRecoveryCodes = 0;
+        if (record?.enabled) {
+            const { count } = await supabase
+                .from('user_recovery_codes')
+                .select('id', { count: 'exact', head: true })
+                .eq('user_id', user.id)
+                .is('used_at', null);
+            remainingRecoveryCodes = count || 0;
+        }
+
+        return {
+            enabled: Boolean(record?.enabled),
+            confirmedAt: record?.confirmed_at || null,
+            pendingEnrollment: Boolean(record && !record.enabled),
+            remainingRecoveryCodes,
+            requiredByPolicy: requiredRoles.includes(user.role)
+        };
+    }
+
+    /**
+     * Start enrolment: store a new (unconfirmed) secret and return it with an otpauth URI for QR codes
+     * Calling again before confirming replaces the pending secret
+     */
+    async beginEnrollment(user) {
+        const existing = await this.getRecord(user.id);
+        if (existing?.enabled) {
+            throw twoFactorError('Two-factor authentication is already enabled', 409);
+        }
+
+        const secret = totp.generateSecret();
+        const { error } = await supabase
+            .from('user_two_factor')
+            .upsert({
+                user_id: user.id,
+                secret_encrypted: encrypt(secret),
+                enabled: false,
+                confirmed_at: null,
+                last_used_step: null,
+                updated_at: new Date().toISOString()
+            }, { onConflict: 'user_id' });
+
+        if (error) throw error;
+
+        return {
+            secret,
+            otpauthUri: totp.buildOtpauthUri({ secret, accountName: user.email || user.username, issuer: ISSUER }),
+            digits: totp.DIGITS,
+            period: totp.STEP_SECONDS
+        };
+    }
+
+    /**
+     * Confirm enrolment with a code from the authenticator app
+     * Returns the recovery codes, which are only ever shown this once
+     */
+    async confirmEnrollment(userId, code) {
+        const record = await this.getRecord(userId);
+        if (!record) throw twoFactorError('Start two-factor setup first', 400);
+        if (record.enabled) throw twoFactorError('Two-factor authentication is already enabled', 409);
+
+        const step = totp.verifyCode(decrypt(record.secret_encrypted), code);
+        if (step === null) throw twoFactorError('Invalid verification code', 400, 'INVALID_CODE');
+
+        const now = new Date().toISOString();
+        const { error } = await supabase
+            .from('user_two_factor')
+            .update({ enabled: true, confirmed_at: now, last_used_step: step, updated_at: now })
+            .eq('user_id', userId);
+        if (error) throw error;
+
+        await this.setUserFlag(userId, true);
+        return this.regenerateRecoveryCodes(userId);
+    }
+
+    async setUserFlag(userId, enabled) {
+        const { error } = await supabase
+            .from('users')
+            .update({ two_factor_enabled: enabled, updated_at: new Date().toISOString() })
+            .eq('id', userId);
+        if (error) throw error;
+    }
+
+    /**
+     * Replace all recovery codes; returns the plain codes (stored only as hashes)
+     */
+    async regenerateRecoveryCodes(userId) {
+        const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+            const raw = crypto.randomBytes(5).toString('hex');
+            return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+        });
+
+        const { error: deleteError } = await supabase
+            .from('user_recovery_codes')
+            .delete()
+            .eq('user_id', userId);
+        if (deleteError) throw deleteError;
+
+        const now = new Date().toISOString();
+        const { error } = await supabase
+            .from('user_recovery_codes')
+            .insert(codes.map(code => ({
+                user_id: userId,
+                code_hash: hashCode(normalizeRecoveryCode(code)),
+                created_at: now
+            })));
+        if (error) throw error;
+
+        return codes;
+    }
+
+    /**
+     * Check an authenticator code or an unused recovery code
+     * Returns { method } on success; each TOTP step and recovery code works only once
+     */
+    async verifyCode(userId, code) {
+        const record = await this.getRecord(userId);
+        if (!record?.enabled) throw twoFactorError('Two-factor authentication is not enabled', 400);
+
+        const step = totp.verifyCode(decrypt(record.secret_encrypted), code);
+        if (step !== null) {
+            if (record.last_used_step !== null && step <= Number(record.last_used_step)) {
+                throw twoFactorError('This code has already been used', 401, 'INVALID_CODE');
+            }
+
+            // Conditional update so two concurrent requests cannot both use the same code
+            const { data: updated, error } = await supabase
+                .from('user_two_factor')
+                .update({ last_used_step: step, updated_at: new Date().toISOString() })
+                .eq('user_id', userId)
+                .or(`last_used_step.is.null,last_used_step.lt.${step}`)
+                .select('user_id');
+            if (error) throw error;
+            if (!updated || updated.length === 0) {
+                throw twoFactorError('This code has already been used', 401, 'INVALID_CODE');
+            }
+            return { method: 'totp' };
+        }
+
+        const normalized = normalizeRecoveryCode(code);
+        if (normalized.length === 10) {
+            const { data: used, error } = await supabase
+                .from('user_recovery_codes')
+                .update({ used_at: new Date().toISOString() })
+                .eq('user_id', userId)
+                .eq('code_hash', hashCode(normalized))
+                .is('used_at', null)
+                .select('id');
+            if (error) throw error;
+            if (used && used.length > 0) return { method: 'recovery_code' };
+        }
+
+        throw twoFactorError('Invalid verification code', 401, 'INVALID_CODE');
+    }
+
+    /**
+     * Turn 2FA off. Not allowed while the user's role is covered by the 2FA policy
+     */
+    async disable(user) {
+        if (await this.isRequiredForRole(user.role)) {
+            throw twoFactorError(`Two-factor authentication is required for the ${user.role} role`, 403);
+        }
+
+        const { error } = await supabase
+            .from('user_two_factor')
+            .delete()
+            .eq('user_id', user.id);
+        if (error) throw error;
+
+        const { error: codesError } = await supabase
+            .from('user_recovery_codes')
+            .delete()
+            .eq('user_id', user.id);
+        if (codesError) throw codesError;
+
+        await this.setUserFlag(user.id, false);
+    }
+
+    createChallenge(userId) {
+        const jti = crypto.randomUUID();
+        const token = jwt.sign(
+            { sub: userId, purpose: '2fa_login' },
+            challengeSecret(),
+            { expiresIn: CHALLENGE_TTL, jwtid: jti }
+        );
+        return { challengeToken: token, expiresIn: CHALLENGE_TTL };
+    }
+
+    /**
+     * Validate a login challenge and count the attempt against it
+     * Returns { userId, complete } - call complete() once the code checks out so the token cannot be reused
+     */
+    verifyChallenge(token) {
+        let decoded;
+        try {
+            decoded = jwt.verify(token, challengeSecret());
+        } catch (error) {
+            throw twoFactorError('Login challenge is invalid or has expired, please sign in again', 401, 'CHALLENGE_EXPIRED');
+        }
+
+        if (decoded.purpose !== '2fa_login' || !decoded.jti) {
+            throw twoFactorError('Invalid login challenge', 401, 'CHALLENGE_EXPIRED');
+        }
+
+        this.pruneChallenges();
+        const entry = this.challenges.get(decoded.jti) || { attempts: 0, used: false, expiresAt: decoded.exp * 1000 };
+
+        if (entry.used) {
+            throw twoFactorError('Login challenge has already been used, please sign in again', 401, 'CHALLENGE_EXPIRED');
+        }
+        if (entry.attempts >= CHALLENGE_MAX_ATTEMPTS) {
+            throw twoFactorError('Too many attempts, please sign in again', 429, 'CHALLENGE_EXPIRED');
+        }
+
+        entry.attempts += 1;
+        this.challenges.set(decoded.jti, entry);
+
+        return {
+            userId: decoded.sub,
+            complete: () => { entry.used = true; }
+        };
+    }
+
+    pruneChallenges() {
+        const now = Date.now();
+        for (const [jti, entry] of this.challenges) {
+            if (entry.expiresAt <= now) this.challenges.delete(jti);
+        }
+    }
+
+    async getRequiredRoles() {
+        if (this.policyCache && Date.now() - this.policyCacheTime < POLICY_CACHE_TTL_MS) {
+            return this.policyCache;
+        }
+
+        const { data, error } = await supabase
+            .from('system_settings')
+            .select('value')
+            .eq('key', POLICY_SETTING_KEY)
+            .maybeSingle();
+
+        if (error) {
+            console.error('Error loading 2FA policy:', error);
+            return this.policyCache || [];
+        }
+
+        this.policyCache = String(data?.value || '')
+            .split(',')
+            .map(role => role.trim())
+            .filter(role => POLICY_ROLES.includes(role));
+        this.policyCacheTime = Date.now();
+        return this.policyCache;
+    }
+
+    async isRequiredForRole(role) {
+        return (await this.getRequiredRoles()).includes(role);
+    }
+
+    async setRequiredRoles(roles) {
+        const invalid = roles.filter(role => !POLICY_ROLES.includes(role));
+        if (invalid.length > 0) {
+            throw twoFactorError(`2FA can only be required for: ${POLICY_ROLES.join(', ')}`, 400);
+        }
+
+        const unique = [...new Set(roles)];
+        const { error } = await supabase
+            .from('system_settings')
+            .upsert({ key: POLICY_SETTING_KEY, value: unique.join(',') }, { onConflict: 'key' });
+        if (error) throw error;
+
+        this.policyCache = unique;
+        this.policyCacheTime = Date.now();
+        return unique;
+    }
+}
+
+module.exports = new TwoFactorService();
+module.exports.POLICY_ROLES = POLICY_ROLES;
+module.exports.POLICY_SETTING_KEY = POLICY_SETTING_KEY;
@@ -0,0 +1,59 @@
+// backend/utils/aiProjectFormat.js
+// Turn a validated AI project suggestion (schemas/projectSchemas.js) into what the API hands out
+
+/**
+ * projectData for POST /api/ai-chat/create-project - one task per week, subtasks in the description
+ */
+const toCreateProjectData = (project) => ({
+  title: project.title,
+  description: project.description,
+  detailed_description: [
+    project.description,
+    '',
+    'Key Features:',
+    ...project.features.map(feature => `- ${feature}`)
+  ].join('\n'),
+  estimated_duration_weeks: project.weeks,
+  difficulty_level: project.difficulty,
+  programming_languages: [project.language],
+  topics: project.topics || [],
+  tasks: project.weeklyTasks.map(task => ({
+    title: `Week ${task.week}: ${task.title}`,
+    description: task.subtasks.map(subtask => `- ${subtask}`).join('\n'),
+    priority: 'medium',
+    category: 'learning'
+  }))
+});
+
+const capitalize = value => value.charAt(0).toUpperCase() + value.slice(1);
+
+/**
+ * The Markdown layout the chat UI has always displayed, rendered from validated data
+ * rather than trusting the model to produce it
+ */
+const toMarkdown = (project) => [
+  `**${project.title}**`,
+  '',
+  project.description,
+  '',
+  'Key Features:',
+  ...project.features.map(feature => `- ${feature}`),
+  '',
+  `Technologies: ${project.language}`,
+  '',
+  `Time Estimate: ${project.weeks} week${project.weeks === 1 ? '' : 's'}`,
+  '',
+  `Difficulty: ${capitalize(project.difficulty)}`,
+  '',
+  'Weekly Task Breakdown:',
+  ...project.weeklyTasks.flatMap(task => [
+    '',
+    `Week ${task.week}: ${task.title}`,
+    ...task.subtasks.map(subtask => `- ${subtask}`)
+  ])
+].join('\n');
+
+module.exports = {
+  toCreateProjectData,
+  toMarkdown
+};
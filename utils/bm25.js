@@ -0,0 +1,104 @@
+// backend/utils/bm25.js
+// Small in-memory BM25 full-text index for ranking project records against a question
+
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from', 'has', 'have',
+  'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our', 'so', 'that', 'the',
+  'their', 'there', 'this', 'to', 'us', 'was', 'we', 'what', 'when', 'where', 'which', 'who', 'why', 'will',
+  'with', 'you', 'your'
+]);
+
+// Suffixes stripped so "blocking", "blocked" and "blockers" all index as "block"
+const SUFFIXES = ['ing', 'ers', 'ed', 'er', 'es', 's'];
+
+const stem = (word) => {
+  for (const suffix of SUFFIXES) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= 3) {
+      return word.slice(0, -suffix.length);
+    }
+  }
+  return word;
+};
+
+const tokenize = text => String(text || '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(word => word.length > 1 && !STOPWORDS.has(word))
+  .map(stem);
+
+/**
+ * Build an index over documents shaped { id, text, ... }; the documents are kept as given
+ */
+const buildIndex = (documents) => {
+  const postings = new Map(); // term -> Map(docIndex -> term frequency)
+  const lengths = [];
+
+  documents.forEach((document, docIndex) => {
+    const terms = tokenize(document.text);
+    lengths.push(terms.length);
+
+    terms.forEach(term => {
+      if (!postings.has(term)) postings.set(term, new Map());
+      const frequencies = postings.get(term);
+      frequencies.set(docIndex, (frequencies.get(docIndex) || 0) + 1);
+    });
+  });
+
+  const totalLength = lengths.reduce((sum, length) => sum + length, 0);
+
+  return {
+    documents,
+    postings,
+    lengths,
+    averageLength: documents.length > 0 ? totalLength / documents.length : 0
+  };
+};
+
+/**
+ * Rank documents for a query
+ *
+ * @param {Object} index - from buildIndex
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {Function} [options.filter] - document => boolean, applied before ranking
+ * @param {number} [options.limit]
+ * @returns {Array<{ document: Object, score: number, terms: string[] }>} best first; only documents matching a query term
+ */
+const search = (index, query, { filter, limit = 10 } = {}) => {
+  const queryTerms = [...new Set(tokenize(query))];
+  const total = index.documents.length;
+  const scores = new Map();
+
+  queryTerms.forEach(term => {
+    const frequencies = index.postings.get(term);
+    if (!frequencies) return;
+
+    const idf = Math.log(1 + (total - frequencies.size + 0.5) / (frequencies.size + 0.5));
+
+    frequencies.forEach((frequency, docIndex) => {
+      if (filter && !filter(index.documents[docIndex])) return;
+
+      const lengthNorm = 1 - B + B * (index.lengths[docIndex] / (index.averageLength || 1));
+      const score = idf * (frequency * (K1 + 1)) / (frequency + K1 * lengthNorm);
+
+      const entry = scores.get(docIndex) || { score: 0, terms: [] };
+      entry.score += score;
+      entry.terms.push(term);
+      scores.set(docIndex, entry);
+    });
+  });
+
+  return [...scores.entries()]
+    .sort((a, b) => b[1].score - a[1].score)
+    .slice(0, limit)
+    .map(([docIndex, { score, terms }]) => ({ document: index.documents[docIndex], score, terms }));
+};
+
+module.exports = {
+  tokenize,
+  buildIndex,
+  search
+};
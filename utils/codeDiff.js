@@ -0,0 +1,191 @@
+// backend/utils/codeDiff.js
+// Line-based unified diff (Myers' O(ND) algorithm) for comparing code submissions
+
+const DEFAULT_CONTEXT_LINES = 3;
+// Past this many edits the two versions share almost nothing; report a full replacement instead
+const MAX_EDIT_DISTANCE = 2000;
+
+const splitLines = (text) => {
+  const normalized = String(text ?? '').replace(/\r\n/g, '\n');
+  if (normalized === '') return [];
+  const lines = normalized.split('\n');
+  // A trailing newline does not start another line
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+};
+
+/**
+ * Compute the shortest edit script between two line arrays
+ * Returns [{ type: 'equal' | 'delete' | 'insert', line }] in order
+ */
+const diffLines = (oldLines, newLines) => {
+  const n = oldLines.length;
+  const m = newLines.length;
+  const max = n + m;
+  const offset = max;
+  const v = new Array(2 * max + 2).fill(0);
+  const trace = [];
+  let found = false;
+
+  for (let d = 0; d <= Math.min(max, MAX_EDIT_DISTANCE); d++) {
+    // Only diagonals -d-1..d+1 can be read back for this step
+    trace.push({ start: offset - d - 1, values: v.slice(offset - d - 1, offset + d + 2) });
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && oldLines[x] === newLines[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+    if (found) break;
+  }
+
+  if (!found) {
+    return [
+      ...oldLines.map(line => ({ type: 'delete', line })),
+      ...newLines.map(line => ({ type: 'insert', line }))
+    ];
+  }
+
+  // Walk the trace backwards to recover the edit script
+  const edits = [];
+  let x = n;
+  let y = m;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const { start, values } = trace[d];
+    const at = (diagonal) => values[offset + diagonal - start];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      edits.push({ type: 'equal', line: oldLines[x - 1] });
+      x--;
+      y--;
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        edits.push({ type: 'insert', line: newLines[y - 1] });
+      } else {
+        edits.push({ type: 'delete', line: oldLines[x - 1] });
+      }
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  return edits.reverse();
+};
+
+/**
+ * Group an edit script into unified diff hunks with surrounding context
+ */
+const buildHunks = (edits, contextLines = DEFAULT_CONTEXT_LINES) => {
+  const hunks = [];
+  let oldLine = 1;
+  let newLine = 1;
+
+  const positions = edits.map(edit => {
+    const position = { ...edit, oldLine, newLine };
+    if (edit.type !== 'insert') oldLine++;
+    if (edit.type !== 'delete') newLine++;
+    return position;
+  });
+
+  const changes = [];
+  positions.forEach((edit, index) => {
+    if (edit.type !== 'equal') changes.push(index);
+  });
+
+  if (changes.length === 0) return [];
+
+  // Changes whose unchanged gap fits the trailing plus leading context share one hunk,
+  // keeping every line of the gap; otherwise the hunk ends after contextLines of context
+  let start = Math.max(0, changes[0] - contextLines);
+  let lastChange = changes[0];
+  const closeHunk = () => {
+    hunks.push({ lines: positions.slice(start, Math.min(positions.length, lastChange + 1 + contextLines)) });
+  };
+
+  changes.slice(1).forEach(index => {
+    if (index - lastChange - 1 > 2 * contextLines) {
+      closeHunk();
+      start = index - contextLines;
+    }
+    lastChange = index;
+  });
+  closeHunk();
+
+  return hunks.map(hunk => {
+    const oldLines = hunk.lines.filter(line => line.type !== 'insert');
+    const newLines = hunk.lines.filter(line => line.type !== 'delete');
+    const first = hunk.lines[0];
+
+    return {
+      old_start: oldLines.length > 0 ? oldLines[0].oldLine : first.oldLine - 1,
+      old_lines: oldLines.length,
+      new_start: newLines.length > 0 ? newLines[0].newLine : first.newLine - 1,
+      new_lines: newLines.length,
+      lines: hunk.lines.map(line => ({
+        type: line.type,
+        content: line.line,
+        old_line: line.type === 'insert' ? null : line.oldLine,
+        new_line: line.type === 'delete' ? null : line.newLine
+      }))
+    };
+  });
+};
+
+const PREFIX = { equal: ' ', delete: '-', insert: '+' };
+
+/**
+ * Render hunks in the standard unified diff format
+ */
+const formatUnifiedDiff = (hunks, { fromLabel = 'a', toLabel = 'b' } = {}) => {
+  if (hunks.length === 0) return '';
+
+  const output = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+  hunks.forEach(hunk => {
+    output.push(`@@ -${hunk.old_start},${hunk.old_lines} +${hunk.new_start},${hunk.new_lines} @@`);
+    hunk.lines.forEach(line => output.push(`${PREFIX[line.type]}${line.content}`));
+  });
+
+  return `${output.join('\n')}\n`;
+};
+
+/**
+ * Diff two versions of source code
+ * Returns { hunks, unified, stats: { additions, deletions, unchanged } }
+ */
+const createUnifiedDiff = (oldText, newText, { contextLines = DEFAULT_CONTEXT_LINES, fromLabel, toLabel } = {}) => {
+  const edits = diffLines(splitLines(oldText), splitLines(newText));
+  const hunks = buildHunks(edits, contextLines);
+
+  return {
+    hunks,
+    unified: formatUnifiedDiff(hunks, { fromLabel, toLabel }),
+    stats: {
+      additions: edits.filter(edit => edit.type === 'insert').length,
+      deletions: edits.filter(edit => edit.type === 'delete').length,
+      unchanged: edits.filter(edit => edit.type === 'equal').length
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_CONTEXT_LINES,
+  diffLines,
+  createUnifiedDiff
+};
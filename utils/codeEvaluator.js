@@ -1,15 +1,18 @@
 // backend/utils/codeEvaluator.js
 // Forgiving checker: don't send expected_output to Judge0; compare JSON/text in backend.
 // Provides detailed per-test diffs for UI.
+// Execution goes through a provider (Judge0 or local sandbox) picked by CODE_EXECUTION_PROVIDER.
 
 const axios = require('axios');
 const { resolveLanguageId } = require('./judge0Languages');
+const localExecutor = require('./localExecutor');
 
 const JUDGE0_URL = process.env.JUDGE0_URL || 'https://judge0-ce.p.rapidapi.com';
 const JUDGE0_KEY = process.env.JUDGE0_KEY || process.env.RAPIDAPI_KEY || null;
 const JUDGE0_HOST = process.env.JUDGE0_HOST || 'judge0-ce.p.rapidapi.com';
 const JSON_NUM_TOLERANCE = Number(process.env.JUDGE0_JSON_TOLERANCE || '0'); // e.g. 0.000001
 const DEBUG = process.env.JUDGE0_DEBUG === '1';
+const DEFAULT_PROVIDER = (process.env.CODE_EXECUTION_PROVIDER || 'judge0').toLowerCase();
 
 function log(...args) { if (DEBUG) console.log('[Judge0]', ...args); }
 
@@ -229,7 +232,32 @@ async function getExecutionResult(token) {
   }
 }
 
-async function executeTestCase({ sourceCode, languageId, testCase, timeLimitMs = 5000, memoryLimitMb = 256 }) {
+// -------- execution providers --------
+// A provider exposes:
+//   name
+//   resolveLanguage(languageName) -> provider-specific language id (or null if unsupported)
+//   execute({ sourceCode, language, stdin, timeLimitMs, memoryLimitMb }) -> { status, stdout, stderr, compile_output, time, memory, exit_code }
+const judge0Provider = {
+  name: 'judge0',
+  resolveLanguage: (languageName) => resolveLanguageId(languageName),
+  async execute({ sourceCode, language, stdin, timeLimitMs, memoryLimitMb }) {
+    const token = await submitExecution({ sourceCode, languageId: language, stdin, timeLimitMs, memoryLimitMb });
+    return getExecutionResult(token);
+  }
+};
+
+const providers = {
+  judge0: judge0Provider,
+  local: localExecutor
+};
+
+function getExecutionProvider(name = DEFAULT_PROVIDER) {
+  const provider = providers[String(name || '').toLowerCase()];
+  if (!provider) throw new Error(`Unknown code execution provider: ${name}`);
+  return provider;
+}
+
+async function executeTestCase({ sourceCode, languageId, testCase, timeLimitMs = 5000, memoryLimitMb = 256, provider = DEFAULT_PROVIDER }) {
   try {
     const start = Date.now();
 
@@ -238,8 +266,8 @@ async function executeTestCase({ sourceCode, languageId, testCase, timeLimitMs =
       testCase.expected_output || testCase.output || testCase.expectedOutput || testCase.expected || ''
     );
 
-    const token = await submitExecution({ sourceCode, languageId, stdin: input, timeLimitMs, memoryLimitMb });
-    const res = await getExecutionResult(token);
+    const executor = typeof provider === 'string' ? getExecutionProvider(provider) : provider;
+    const res = await executor.execute({ sourceCode, language: languageId, stdin: input, timeLimitMs, memoryLimitMb });
     const end = Date.now();
 
     const errorStatusIds = new Set([5,6,7,8,9,10,11,12]); // TLE, CE, RE, etc.
@@ -340,9 +368,10 @@ async function getExpectedSolution(challengeId) {
 }
 
 // -------- main runner --------
-async function runTests({ sourceCode, languageName, testCases, challengeId = null, timeLimitMs = 5000, memoryLimitMb = 256 }) {
-  log('Running tests for', languageName);
-  const languageId = await resolveLanguageId(languageName);
+async function runTests({ sourceCode, languageName, testCases, challengeId = null, timeLimitMs = 5000, memoryLimitMb = 256, provider = DEFAULT_PROVIDER }) {
+  const executor = getExecutionProvider(provider);
+  log('Running tests for', languageName, 'with provider', executor.name);
+  const languageId = await executor.resolveLanguage(languageName);
   if (!languageId) throw new Error(`Unsupported language: ${languageName}`);
 
   let finalTestCases = parseTestCases(testCases);
@@ -362,7 +391,7 @@ async function runTests({ sourceCode, languageName, testCases, challengeId = nul
   const perTest = Math.max(1500, Math.min(10000, Math.floor(timeLimitMs)));
 
   for (let i = 0; i < finalTestCases.length; i++) {
-    const r = await executeTestCase({ sourceCode, languageId, testCase: finalTestCases[i], timeLimitMs: perTest, memoryLimitMb });
+    const r = await executeTestCase({ sourceCode, languageId, testCase: finalTestCases[i], timeLimitMs: perTest, memoryLimitMb, provider: executor });
     results.push({ testNumber: i + 1, ...r });
     totalTime += r.executionTime;
     peakMem = Math.max(peakMem, r.memoryUsage || 0);
@@ -377,6 +406,7 @@ async function runTests({ sourceCode, languageName, testCases, challengeId = nul
     tests: results,
     language: languageName,
     languageId,
+    provider: executor.name,
     allPassed: passedCount === finalTestCases.length,
     challengeId
   };
@@ -397,6 +427,7 @@ module.exports = {
   submitExecution,
   getExecutionResult,
   testJudge0Connection,
+  getExecutionProvider,
   parseTestCases,
   getExpectedSolution
 };
\ No newline at end of file
@@ -0,0 +1,134 @@
+// backend/utils/encryption.js
+// Envelope encryption (AES-256-GCM) for secrets stored in the database
+//
+// Each value is encrypted with its own random data key, and that data key is wrapped with a
+// versioned master key. Master keys come from DATA_ENCRYPTION_KEYS ("id:secret,id:secret");
+// DATA_ENCRYPTION_KEY_ID picks the key used for new values (defaults to the first). Older keys
+// stay in the list so existing values decrypt until scripts/reencryptSecrets.js has rewrapped them.
+//
+// The "default" key is derived from DATA_ENCRYPTION_KEY (or JWT_SECRET). It is used for new values
+// when DATA_ENCRYPTION_KEYS is not set, and is always kept in the keyring so values written before
+// DATA_ENCRYPTION_KEYS was introduced still decrypt; leave that variable unchanged until the script
+// has rewrapped them.
+
+const crypto = require('crypto');
+
+const VERSION = 'v2';
+const DEFAULT_KEY_ID = 'default';
+
+let warnedAboutFallback = false;
+
+const deriveKey = secret => crypto.createHash('sha256').update(String(secret)).digest();
+
+/**
+ * Master keys by id, read from the environment on each call so rotations apply without code changes
+ */
+const getKeyring = () => {
+  const keys = new Map();
+
+  (process.env.DATA_ENCRYPTION_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .forEach(entry => {
+      const separator = entry.indexOf(':');
+      if (separator <= 0) throw new Error('DATA_ENCRYPTION_KEYS entries must look like "id:secret"');
+      keys.set(entry.slice(0, separator), deriveKey(entry.slice(separator + 1)));
+    });
+
+  const configuredKeyId = keys.keys().next().value;
+
+  if (!keys.has(DEFAULT_KEY_ID)) {
+    const defaultSecret = process.env.DATA_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    if (defaultSecret) keys.set(DEFAULT_KEY_ID, deriveKey(defaultSecret));
+  }
+
+  if (keys.size === 0) {
+    throw new Error('DATA_ENCRYPTION_KEYS (or JWT_SECRET) is required to encrypt secrets');
+  }
+
+  const currentKeyId = process.env.DATA_ENCRYPTION_KEY_ID || configuredKeyId || DEFAULT_KEY_ID;
+  if (!keys.has(currentKeyId)) {
+    throw new Error(`DATA_ENCRYPTION_KEY_ID "${currentKeyId}" is not in the keyring`);
+  }
+
+  if (currentKeyId === DEFAULT_KEY_ID && !configuredKeyId && !process.env.DATA_ENCRYPTION_KEY && !warnedAboutFallback) {
+    console.warn('⚠️  DATA_ENCRYPTION_KEYS not set - deriving the encryption key from JWT_SECRET');
+    warnedAboutFallback = true;
+  }
+
+  return { keys, currentKeyId };
+};
+
+// iv | tag | ciphertext, base64
+const seal = (key, plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+};
+
+const open = (key, sealed) => {
+  const buffer = Buffer.from(sealed, 'base64');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, buffer.subarray(0, 12));
+  decipher.setAuthTag(buffer.subarray(12, 28));
+  return Buffer.concat([decipher.update(buffer.subarray(28)), decipher.final()]);
+};
+
+/**
+ * Encrypt a string; the result is "v2:<key id>:<wrapped data key>:<ciphertext>"
+ */
+const encrypt = (plaintext) => {
+  const { keys, currentKeyId } = getKeyring();
+  const dataKey = crypto.randomBytes(32);
+
+  return [
+    VERSION,
+    currentKeyId,
+    seal(keys.get(currentKeyId), dataKey),
+    seal(dataKey, Buffer.from(String(plaintext), 'utf8'))
+  ].join(':');
+};
+
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(`${VERSION}:`);
+
+/**
+ * Key id a value was wrapped with, or null for unencrypted values
+ */
+const getKeyId = (value) => {
+  if (typeof value !== 'string' || !value.startsWith(`${VERSION}:`)) return null;
+  return value.split(':')[1];
+};
+
+/**
+ * Whether a stored value should be rewritten with the current key
+ */
+const needsReencryption = (value) => getKeyId(value) !== getKeyring().currentKeyId;
+
+const decrypt = (payload) => {
+  const parts = String(payload).split(':');
+  const { keys } = getKeyring();
+
+  if (parts[0] === VERSION && parts.length === 4) {
+    const [, keyId, wrappedKey, sealed] = parts;
+    const masterKey = keys.get(keyId);
+    if (!masterKey) throw new Error(`Encryption key "${keyId}" is not in the keyring`);
+    return open(open(masterKey, wrappedKey), sealed).toString('utf8');
+  }
+
+  throw new Error('Unrecognised encrypted value');
+};
+
+/**
+ * Decrypt with whichever key wrapped the value and encrypt again with the current key
+ */
+const reencrypt = (payload) => encrypt(decrypt(payload));
+
+module.exports = {
+  encrypt,
+  decrypt,
+  reencrypt,
+  isEncrypted,
+  getKeyId,
+  needsReencryption
+};
@@ -0,0 +1,145 @@
+// backend/utils/glicko2.js
+// Glicko-2 rating math (http://www.glicko.net/glicko/glicko2.pdf)
+// Ratings stay on the familiar ELO-like scale; conversion to the internal scale happens here.
+
+const SCALE = 173.7178;
+const DEFAULT_RATING = 1200;
+const DEFAULT_RD = 350;
+const MIN_RD = 30;
+const DEFAULT_VOLATILITY = 0.06;
+const TAU = Number(process.env.GLICKO_TAU || 0.5); // constrains volatility change
+const RATING_PERIOD_DAYS = Number(process.env.GLICKO_RATING_PERIOD_DAYS || 7);
+const CONVERGENCE_TOLERANCE = 0.000001;
+
+const toMu = (rating) => (rating - 1500) / SCALE;
+const toPhi = (rd) => rd / SCALE;
+const fromMu = (mu) => mu * SCALE + 1500;
+const fromPhi = (phi) => phi * SCALE;
+
+const g = (phi) => 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+const expectedScore = (mu, muJ, phiJ) => 1 / (1 + Math.exp(-g(phiJ) * (mu - muJ)));
+
+/**
+ * Normalise a stored row into { rating, rd, volatility } with defaults
+ */
+const fromRow = (row, fallbackRating = DEFAULT_RATING) => ({
+  rating: row?.rating ?? fallbackRating,
+  rd: row?.rating_deviation ?? DEFAULT_RD,
+  volatility: row?.volatility ?? DEFAULT_VOLATILITY
+});
+
+/**
+ * Raise rating deviation for rating periods without any games.
+ * Each idle period adds volatility² to φ², capped at the default (unrated) deviation.
+ */
+const applyInactivity = (player, lastUpdated, now = new Date()) => {
+  if (!lastUpdated) return { ...player };
+
+  const idleDays = (now.getTime() - new Date(lastUpdated).getTime()) / (1000 * 60 * 60 * 24);
+  const periods = Math.floor(idleDays / RATING_PERIOD_DAYS);
+  if (periods <= 0) return { ...player };
+
+  const phi = toPhi(player.rd);
+  const decayedPhi = Math.sqrt(phi * phi + periods * player.volatility * player.volatility);
+
+  return {
+    ...player,
+    rd: Math.min(DEFAULT_RD, Math.round(fromPhi(decayedPhi) * 100) / 100)
+  };
+};
+
+/**
+ * Solve for the new volatility (step 5 of the paper, Illinois algorithm)
+ */
+const computeVolatility = (phi, sigma, delta, v) => {
+  const a = Math.log(sigma * sigma);
+  const f = (x) => {
+    const ex = Math.exp(x);
+    const num = ex * (delta * delta - phi * phi - v - ex);
+    const den = 2 * Math.pow(phi * phi + v + ex, 2);
+    return num / den - (x - a) / (TAU * TAU);
+  };
+
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * TAU) < 0) k++;
+    B = a - k * TAU;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+
+  while (Math.abs(B - A) > CONVERGENCE_TOLERANCE) {
+    const C = A + ((A - B) * fA) / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA = fA / 2;
+    }
+    B = C;
+    fB = fC;
+  }
+
+  return Math.exp(A / 2);
+};
+
+/**
+ * Rate a player after a single game against an opponent.
+ * score is 1 for a win (challenge passed) and 0 for a loss.
+ */
+const rate = (player, opponent, score) => {
+  const mu = toMu(player.rating);
+  const phi = toPhi(player.rd);
+  const muJ = toMu(opponent.rating);
+  const phiJ = toPhi(opponent.rd);
+
+  const gPhiJ = g(phiJ);
+  const E = expectedScore(mu, muJ, phiJ);
+  const v = 1 / (gPhiJ * gPhiJ * E * (1 - E));
+  const delta = v * gPhiJ * (score - E);
+
+  const newSigma = computeVolatility(phi, player.volatility, delta, v);
+  const phiStar = Math.sqrt(phi * phi + newSigma * newSigma);
+  const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+  const newMu = mu + newPhi * newPhi * gPhiJ * (score - E);
+
+  return {
+    rating: Math.round(fromMu(newMu)),
+    rd: Math.max(MIN_RD, Math.round(fromPhi(newPhi) * 100) / 100),
+    volatility: Math.round(newSigma * 1e6) / 1e6
+  };
+};
+
+/**
+ * Probability that the player beats the opponent, accounting for both deviations
+ */
+const winProbability = (player, opponent) => {
+  const combinedPhi = Math.sqrt(Math.pow(toPhi(player.rd), 2) + Math.pow(toPhi(opponent.rd), 2));
+  return expectedScore(toMu(player.rating), toMu(opponent.rating), combinedPhi);
+};
+
+/**
+ * Confidence interval around a rating (95% by default)
+ */
+const confidenceInterval = (player, z = 1.96) => ({
+  lower: Math.round(player.rating - z * player.rd),
+  upper: Math.round(player.rating + z * player.rd)
+});
+
+module.exports = {
+  DEFAULT_RATING,
+  DEFAULT_RD,
+  DEFAULT_VOLATILITY,
+  RATING_PERIOD_DAYS,
+  fromRow,
+  applyInactivity,
+  rate,
+  winProbability,
+  confidenceInterval
+};
@@ -0,0 +1,245 @@
+// backend/utils/localExecutor.js
+// Local execution backend: runs submissions in a sandboxed child process.
+// Used instead of Judge0 for offline grading and CI (CODE_EXECUTION_PROVIDER=local).
+//
+// Sandbox: each run is started as root in its own network namespace (no network) and PID
+// namespace, capped to LOCAL_EXEC_MAX_PROCESSES processes, then drops to a dedicated unprivileged
+// account (LOCAL_EXEC_UID / LOCAL_EXEC_GID) with no_new_privs, in an empty working directory.
+// Killing the run ends the namespace's first process, and the kernel then kills everything left
+// in the namespace - including programs that escaped the process group with setsid.
+// Requirements:
+//   - the server runs as root (needed for unshare and setpriv) and util-linux is installed
+//   - the account owns nothing else, and the app's files (.env in particular) are not readable by it
+//   - the runtimes are installed where that account can execute them (e.g. /usr/bin, not under /root)
+// Without LOCAL_EXEC_UID execution is refused. LOCAL_EXEC_UNSANDBOXED=1 skips the sandbox for
+// development machines only - never expose that to users.
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const MAX_OUTPUT_BYTES = Number(process.env.LOCAL_EXEC_MAX_OUTPUT_BYTES || 64 * 1024);
+const MAX_FILE_SIZE_KB = Number(process.env.LOCAL_EXEC_MAX_FILE_KB || 1024);
+const DEBUG = process.env.LOCAL_EXEC_DEBUG === '1';
+
+const SANDBOX_UID = process.env.LOCAL_EXEC_UID ? Number(process.env.LOCAL_EXEC_UID) : null;
+const SANDBOX_GID = process.env.LOCAL_EXEC_GID ? Number(process.env.LOCAL_EXEC_GID) : SANDBOX_UID;
+const MAX_PROCESSES = Number(process.env.LOCAL_EXEC_MAX_PROCESSES || 32);
+const UNSANDBOXED = process.env.LOCAL_EXEC_UNSANDBOXED === '1';
+
+function log(...args) { if (DEBUG) console.log('[LocalExec]', ...args); }
+
+// Judge0-compatible status ids so executeTestCase can treat both backends alike
+const STATUS = {
+  ACCEPTED: { id: 3, description: 'Accepted' },
+  TIME_LIMIT: { id: 5, description: 'Time Limit Exceeded' },
+  RUNTIME_ERROR: { id: 11, description: 'Runtime Error (NZEC)' },
+  OUTPUT_LIMIT: { id: 12, description: 'Runtime Error (Output Limit Exceeded)' },
+  INTERNAL_ERROR: { id: 13, description: 'Internal Error' }
+};
+
+// Supported runtimes. V8 reserves far more address space than it uses,
+// so node is capped through its heap flag instead of `ulimit -v`.
+const RUNTIMES = {
+  javascript: {
+    fileName: 'main.js',
+    command: () => process.env.LOCAL_EXEC_NODE || process.execPath,
+    args: (file, memoryLimitMb) => [`--max-old-space-size=${memoryLimitMb}`, file],
+    limitAddressSpace: false
+  },
+  python: {
+    fileName: 'main.py',
+    command: () => process.env.LOCAL_EXEC_PYTHON || 'python3',
+    args: (file) => ['-I', '-S', file],
+    limitAddressSpace: true
+  }
+};
+
+const ALIASES = {
+  javascript: 'javascript',
+  js: 'javascript',
+  node: 'javascript',
+  'node.js': 'javascript',
+  nodejs: 'javascript',
+  python: 'python',
+  python3: 'python',
+  py: 'python'
+};
+
+function resolveRuntime(languageName) {
+  const key = ALIASES[String(languageName || '').toLowerCase().trim()];
+  return key || null;
+}
+
+// unshare/prlimit/setpriv prefix that isolates the network and PIDs, caps processes and drops privileges
+function sandboxPrefix() {
+  return [
+    'unshare', '--net', '--pid', '--fork', '--kill-child', '--',
+    'prlimit', `--nproc=${MAX_PROCESSES}:${MAX_PROCESSES}`, '--',
+    'setpriv', `--reuid=${SANDBOX_UID}`, `--regid=${SANDBOX_GID}`, '--clear-groups', '--no-new-privs'
+  ];
+}
+
+let sandboxCheck = null;
+
+/**
+ * Refuse to run anything until the sandbox is configured and works; checked once per process
+ */
+function ensureSandbox() {
+  if (UNSANDBOXED) return Promise.resolve();
+
+  if (!sandboxCheck) {
+    sandboxCheck = new Promise((resolve, reject) => {
+      if (SANDBOX_UID === null || !Number.isInteger(SANDBOX_UID) || SANDBOX_UID <= 0 || !Number.isInteger(SANDBOX_GID) || SANDBOX_GID <= 0) {
+        reject(new Error('Local code execution requires LOCAL_EXEC_UID and LOCAL_EXEC_GID of a dedicated unprivileged account'));
+        return;
+      }
+
+      const [command, ...args] = sandboxPrefix();
+      const probe = spawn(command, [...args, '/bin/true'], { stdio: 'ignore' });
+      probe.on('error', error => reject(new Error(`Local execution sandbox is unavailable: ${error.message}`)));
+      probe.on('close', code => (code === 0
+        ? resolve()
+        : reject(new Error('Local execution sandbox is unavailable (the server must run as root with util-linux installed)'))));
+    });
+    // Let a later call retry after fixing the environment
+    sandboxCheck.catch(() => { sandboxCheck = null; });
+  }
+
+  return sandboxCheck;
+}
+
+// Wrap the runtime in a shell that applies CPU, file size and (optionally) memory limits
+function buildCommand(runtime, file, { timeLimitMs, memoryLimitMb }) {
+  const cpuSeconds = Math.max(1, Math.ceil(timeLimitMs / 1000));
+  const limits = [`ulimit -t ${cpuSeconds}`, `ulimit -f ${MAX_FILE_SIZE_KB}`];
+  if (runtime.limitAddressSpace) {
+    limits.push(`ulimit -v ${memoryLimitMb * 1024}`);
+  }
+
+  const script = `${limits.join(' && ')} && exec "$0" "$@"`;
+  const shell = ['/bin/sh', '-c', script, runtime.command(), ...runtime.args(file, memoryLimitMb)];
+  const [command, ...args] = UNSANDBOXED ? shell : [...sandboxPrefix(), ...shell];
+
+  return { command, args };
+}
+
+function killGroup(child) {
+  try {
+    process.kill(-child.pid, 'SIGKILL');
+  } catch {
+    try { child.kill('SIGKILL'); } catch { /* already exited */ }
+  }
+}
+
+/**
+ * Execute source code once with the given stdin.
+ * Resolves with the same shape as codeEvaluator's Judge0 getExecutionResult.
+ */
+async function execute({ sourceCode, language, stdin = '', timeLimitMs = 5000, memoryLimitMb = 256 }) {
+  const runtime = RUNTIMES[language];
+  if (!runtime) throw new Error(`Local executor does not support language: ${language}`);
+
+  await ensureSandbox();
+
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'techsync-exec-'));
+  const file = path.join(workDir, runtime.fileName);
+
+  try {
+    await fs.writeFile(file, String(sourceCode ?? ''), 'utf8');
+    if (!UNSANDBOXED) {
+      // The (empty) working directory is the only place the sandbox account can write
+      await fs.chown(workDir, SANDBOX_UID, SANDBOX_GID);
+      await fs.chown(file, SANDBOX_UID, SANDBOX_GID);
+    }
+
+    const { command, args } = buildCommand(runtime, file, { timeLimitMs, memoryLimitMb });
+    log('Spawning', language, 'in', workDir);
+
+    return await new Promise((resolve, reject) => {
+      const start = process.hrtime.bigint();
+      const child = spawn(command, args, {
+        cwd: workDir,
+        detached: true, // own process group so the whole tree can be killed
+        stdio: ['pipe', 'pipe', 'pipe'],
+        env: {
+          PATH: UNSANDBOXED ? process.env.PATH : '/usr/local/bin:/usr/bin:/bin',
+          HOME: workDir,
+          TMPDIR: workDir,
+          LANG: 'C.UTF-8',
+          PYTHONDONTWRITEBYTECODE: '1',
+          PYTHONIOENCODING: 'utf-8'
+        }
+      });
+
+      const stdout = [];
+      const stderr = [];
+      let outputBytes = 0;
+      let timedOut = false;
+      let outputExceeded = false;
+
+      const collect = (chunks) => (chunk) => {
+        outputBytes += chunk.length;
+        if (outputBytes > MAX_OUTPUT_BYTES) {
+          if (!outputExceeded) {
+            outputExceeded = true;
+            killGroup(child);
+          }
+          return;
+        }
+        chunks.push(chunk);
+      };
+
+      child.stdout.on('data', collect(stdout));
+      child.stderr.on('data', collect(stderr));
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        killGroup(child);
+      }, timeLimitMs);
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(new Error(`Failed to start ${language} runtime: ${error.message}`));
+      });
+
+      child.on('close', (code, signal) => {
+        clearTimeout(timer);
+        const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+        let status = STATUS.ACCEPTED;
+        if (timedOut || signal === 'SIGXCPU') {
+          status = STATUS.TIME_LIMIT;
+        } else if (outputExceeded) {
+          status = STATUS.OUTPUT_LIMIT;
+        } else if (code !== 0) {
+          status = STATUS.RUNTIME_ERROR;
+        }
+
+        resolve({
+          status,
+          stdout: Buffer.concat(stdout).toString('utf8'),
+          stderr: Buffer.concat(stderr).toString('utf8').split(workDir).join('.'),
+          compile_output: '',
+          time: elapsedMs / 1000,
+          memory: 0,
+          exit_code: code === null ? -1 : code
+        });
+      });
+
+      child.stdin.on('error', () => { /* process exited before reading stdin */ });
+      child.stdin.end(stdin ? String(stdin) : '');
+    });
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+module.exports = {
+  name: 'local',
+  STATUS,
+  resolveLanguage: async (languageName) => resolveRuntime(languageName),
+  execute,
+  supportedLanguages: () => Object.keys(RUNTIMES)
+};
@@ -0,0 +1,56 @@
+// backend/utils/projectAccess.js
+const supabase = require('../config/supabase');
+
+// Roles allowed to manage project work (review code, edit templates and schedules)
+const MANAGER_ROLES = ['owner', 'lead'];
+
+/**
+ * Check that a user is the owner or an active member of a project
+ * Returns { project, isOwner, isMember, role } or null if the project does not exist
+ */
+const getProjectAccess = async (projectId, userId) => {
+  const { data: project, error: projectError } = await supabase
+    .from('projects')
+    .select('owner_id, maximum_members')
+    .eq('id', projectId)
+    .single();
+
+  if (projectError || !project) {
+    return null;
+  }
+
+  const isOwner = project.owner_id === userId;
+  let isMember = false;
+  let role = isOwner ? 'owner' : null;
+
+  if (!isOwner) {
+    const { data: projectMember, error: memberError } = await supabase
+      .from('project_members')
+      .select('role')
+      .eq('project_id', projectId)
+      .eq('user_id', userId)
+      .eq('status', 'active')
+      .single();
+
+    if (!memberError && projectMember) {
+      isMember = true;
+      role = projectMember.role;
+    }
+  }
+
+  return { project, isOwner, isMember, role };
+};
+
+/**
+ * Check that a user can be assigned work in a project (owner or active member)
+ */
+const isProjectParticipant = async (projectId, userId) => {
+  const access = await getProjectAccess(projectId, userId);
+  return Boolean(access && (access.isOwner || access.isMember));
+};
+
+module.exports = {
+  MANAGER_ROLES,
+  getProjectAccess,
+  isProjectParticipant
+};
@@ -2,6 +2,10 @@
 require('dotenv').config();
 const { createClient } = require('@supabase/supabase-js');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const notificationService = require('../services/notificationService');
+const { isTokenRevoked } = require('../middleware/auth');
+const aiChatService = require('../services/aiChatService');
 
 // Validate environment variables
 if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
@@ -146,12 +150,13 @@ const setupSocketHandlers = (io) => {
       }
 
       // ✅ OPTIMIZATION: Check cache first
+      // Tokens without a session id are checked against sessions_revoked_at, so always re-read it for them
       let user = userCache.get(userId);
       
-      if (!user || Date.now() - user.cachedAt > USER_CACHE_TTL) {
+      if (!user || !decoded.sid || Date.now() - user.cachedAt > USER_CACHE_TTL) {
         const { data: userData, error } = await supabase
           .from('users')
-          .select('id, username, full_name, avatar_url')
+          .select('id, username, full_name, avatar_url, sessions_revoked_at')
           .eq('id', userId)
           .single();
 
@@ -163,6 +168,10 @@ const setupSocketHandlers = (io) => {
         userCache.set(userId, user);
       }
 
+      if (await isTokenRevoked(decoded, user)) {
+        return next(new Error('Session has been revoked'));
+      }
+
       // Check connection limit
       const userConnectionCount = connectionManager.getUserSocketCount(user.id);
       if (userConnectionCount >= MAX_CONNECTIONS_PER_USER) {
@@ -224,6 +233,99 @@ const setupSocketHandlers = (io) => {
       });
     }
 
+    // ============== NOTIFICATIONS ==============
+    // Every socket joins its personal room so REST controllers can push to it
+    socket.join(`user_${socket.userId}`);
+
+    // Replay notifications that were pushed while the user was offline
+    const replayUndeliveredNotifications = async () => {
+      try {
+        const notifications = await notificationService.getUndelivered(socket.userId);
+        if (notifications.length > 0) {
+          socket.emit('notification_replay', { notifications });
+        }
+      } catch (error) {
+        console.error('❌ [Notifications] Replay error:', error.message);
+      }
+    };
+
+    replayUndeliveredNotifications();
+
+    socket.on('notifications_sync', replayUndeliveredNotifications);
+
+    // Client confirms receipt: { ids: [...] }
+    socket.on('notification_ack', async (data, callback) => {
+      try {
+        const ids = Array.isArray(data?.ids) ? data.ids.filter(id => typeof id === 'string').slice(0, 200) : [];
+        if (ids.length === 0) {
+          if (typeof callback === 'function') callback({ success: false, delivered: [] });
+          return;
+        }
+
+        const delivered = await notificationService.markDelivered(socket.userId, ids);
+        if (typeof callback === 'function') callback({ success: true, delivered });
+      } catch (error) {
+        console.error('❌ [Notifications] Ack error:', error.message);
+        if (typeof callback === 'function') callback({ success: false, delivered: [] });
+      }
+    });
+
+    // ============== AI CHAT STREAMING ==============
+    // Streams of this socket, aborted if it disconnects mid-response
+    const aiStreams = new Map(); // streamId -> AbortController
+    const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    const STREAM_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+    // { message, conversationId?, project_id?, streamId? } -> ai_chat_stream_start/chunk/done/cancelled/error,
+    // each with the streamId; the ack reports whether the stream started
+    socket.on('ai_chat_stream', async (data, callback) => {
+      const ack = typeof callback === 'function' ? callback : () => {};
+      const message = typeof data?.message === 'string' ? data.message.trim() : '';
+      const { conversationId = null, project_id: projectId = null } = data || {};
+      const streamId = data?.streamId || crypto.randomUUID();
+
+      if (!message || message.length > 4000) {
+        return ack({ success: false, error: 'Message must be between 1 and 4000 characters' });
+      }
+      if ((conversationId && !UUID_PATTERN.test(conversationId)) || (projectId && !UUID_PATTERN.test(projectId))) {
+        return ack({ success: false, error: 'Invalid conversation or project ID' });
+      }
+      if (!STREAM_ID_PATTERN.test(streamId) || aiStreams.has(streamId)) {
+        return ack({ success: false, error: 'Invalid stream ID' });
+      }
+
+      const connection = new AbortController();
+      aiStreams.set(streamId, connection);
+      let started = false;
+
+      try {
+        await aiChatService.streamChat(socket.userId, {
+          message,
+          conversationId,
+          projectId,
+          streamId,
+          signal: connection.signal,
+          onEvent: (event, payload) => {
+            if (event === 'start') {
+              started = true;
+              ack({ success: true, streamId, conversationId: payload.conversationId });
+            }
+            socket.emit(`ai_chat_stream_${event}`, { ...payload, streamId });
+          }
+        });
+      } catch (error) {
+        console.error('❌ [AI Chat] Stream error:', error.message);
+        if (!started) ack({ success: false, error: error.statusCode ? error.message : 'Failed to get AI response' });
+      } finally {
+        aiStreams.delete(streamId);
+      }
+    });
+
+    socket.on('ai_chat_cancel', (data, callback) => {
+      const cancelled = aiChatService.cancelStream(socket.userId, data?.streamId);
+      if (typeof callback === 'function') callback({ success: cancelled });
+    });
+
     // ============== FRIENDS CHAT ==============
     socket.on('join_friends_chat', async () => {
       try {
@@ -837,6 +939,9 @@ socket.on('video_call_message', (data) => {
       const userId = socket.userId;
       const username = socket.user?.username;
 
+      aiStreams.forEach(connection => connection.abort());
+      aiStreams.clear();
+
       if (isDev) {
         console.log(`🔌 [Disconnect] ${username} - ${reason}`);
       }
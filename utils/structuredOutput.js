@@ -0,0 +1,95 @@
+// backend/utils/structuredOutput.js
+// Ask a model for JSON matching a schema, validate it with Joi, and repair or retry when it doesn't
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+const structuredOutputError = (message, details) => {
+  const error = new Error(message);
+  error.statusCode = 502;
+  error.details = details;
+  return error;
+};
+
+/**
+ * Parse a JSON model response, tolerating Markdown code fences and text around the object
+ */
+const parseJsonResponse = (text) => {
+  const raw = String(text || '').trim();
+  const fenced = raw.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = fenced ? fenced[1].trim() : raw;
+
+  try {
+    return JSON.parse(candidate);
+  } catch (error) {
+    const start = candidate.indexOf('{');
+    const end = candidate.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+      return JSON.parse(candidate.slice(start, end + 1));
+    }
+    throw error;
+  }
+};
+
+const buildRepairPrompt = (prompt, previousOutput, problems) => `${prompt}
+
+=== YOUR PREVIOUS RESPONSE WAS INVALID ===
+${String(previousOutput || '').slice(0, 6000)}
+
+Problems:
+${problems.map(problem => `- ${problem}`).join('\n')}
+
+Return the corrected response as a single JSON object that fixes every problem. No Markdown, no commentary.`;
+
+/**
+ * Generate and validate structured output
+ *
+ * @param {Function} generate - async ({ contents, config }) => ({ text })
+ * @param {Object} options
+ * @param {string} options.prompt - instructions for the model
+ * @param {Object} options.schema - Joi schema the parsed JSON must satisfy
+ * @param {Object} [options.jsonSchema] - JSON Schema passed to the model as its response schema
+ * @param {number} [options.maxAttempts]
+ * @returns {Promise<{ value: Object, raw: string, attempts: number, usage: Object }>}
+ */
+const generateStructured = async (generate, { prompt, schema, jsonSchema, maxAttempts = DEFAULT_MAX_ATTEMPTS }) => {
+  const config = { responseMimeType: 'application/json' };
+  if (jsonSchema) config.responseJsonSchema = jsonSchema;
+
+  let contents = prompt;
+  let lastProblems = [];
+  // Summed over attempts, when the generate function reports usage
+  const usage = { inputTokens: 0, outputTokens: 0 };
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const response = await generate({ contents, config });
+    const raw = response.text;
+    usage.inputTokens += response.usage?.inputTokens || 0;
+    usage.outputTokens += response.usage?.outputTokens || 0;
+
+    let parsed;
+    try {
+      parsed = parseJsonResponse(raw);
+    } catch (parseError) {
+      lastProblems = [`Response was not valid JSON (${parseError.message})`];
+      console.warn(`⚠️ Structured output attempt ${attempt}/${maxAttempts}: invalid JSON`);
+      contents = buildRepairPrompt(prompt, raw, lastProblems);
+      continue;
+    }
+
+    const { value, error } = schema.validate(parsed, { abortEarly: false, stripUnknown: true, convert: true });
+    if (!error) {
+      return { value, raw, attempts: attempt, usage };
+    }
+
+    lastProblems = error.details.map(detail => detail.message);
+    console.warn(`⚠️ Structured output attempt ${attempt}/${maxAttempts}: ${lastProblems.join('; ')}`);
+    contents = buildRepairPrompt(prompt, raw, lastProblems);
+  }
+
+  throw structuredOutputError('AI response did not match the expected format', lastProblems);
+};
+
+module.exports = {
+  parseJsonResponse,
+  generateStructured
+};
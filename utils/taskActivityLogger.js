@@ -0,0 +1,91 @@
+// backend/utils/taskActivityLogger.js
+// Audit trail for project_tasks: who changed what, and when
+
+const supabase = require('../config/supabase');
+
+// Fields whose changes are recorded in the audit trail
+const TRACKED_FIELDS = [
+  'title', 'description', 'task_type', 'priority', 'status',
+  'assigned_to', 'estimated_hours', 'actual_hours', 'due_date', 'completed_at'
+];
+
+const normalizeValue = (field, value) => {
+  if (value === undefined || value === '') return null;
+  if ((field === 'due_date' || field === 'completed_at') && value) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? value : date.toISOString();
+  }
+  return value;
+};
+
+/**
+ * Build a field-level diff between two versions of a task
+ * Returns { field: { before, after } } for changed tracked fields only
+ */
+const diffTaskFields = (before = {}, after = {}) => {
+  const changes = {};
+
+  TRACKED_FIELDS.forEach(field => {
+    const oldValue = normalizeValue(field, before ? before[field] : null);
+    const newValue = normalizeValue(field, after ? after[field] : null);
+
+    if (oldValue !== newValue) {
+      changes[field] = { before: oldValue, after: newValue };
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Record a create / update / delete event for a task
+ * Never throws - a failed audit write must not fail the task operation
+ */
+const recordTaskActivity = async ({ action, task, before = null, after = null, actorId, source = 'api' }) => {
+  try {
+    const changes = action === 'create'
+      ? diffTaskFields({}, after)
+      : action === 'delete'
+        ? diffTaskFields(before, {})
+        : diffTaskFields(before, after);
+
+    const changedFields = Object.keys(changes);
+
+    // Updates that touched nothing tracked are not worth an entry
+    if (action === 'update' && changedFields.length === 0) {
+      return null;
+    }
+
+    const { data, error } = await supabase
+      .from('task_activity')
+      .insert({
+        task_id: task.id,
+        project_id: task.project_id,
+        task_title: (after || before || task).title,
+        actor_id: actorId || null,
+        action,
+        source,
+        changes,
+        changed_fields: changedFields,
+        created_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ Error recording task activity:', error);
+      return null;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('❌ Error recording task activity:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  diffTaskFields,
+  recordTaskActivity
+};
@@ -0,0 +1,204 @@
+// backend/utils/taskDependencyGraph.js
+// Graph helpers for task_dependencies (task_id depends on depends_on_task_id)
+
+// Tasks without an estimate are treated as one working day
+const DEFAULT_TASK_HOURS = 8;
+
+/**
+ * Build an adjacency map of task -> tasks it depends on
+ */
+const buildDependencyMap = (dependencies = []) => {
+  const map = new Map();
+
+  dependencies.forEach(dep => {
+    if (!map.has(dep.task_id)) {
+      map.set(dep.task_id, new Set());
+    }
+    map.get(dep.task_id).add(dep.depends_on_task_id);
+  });
+
+  return map;
+};
+
+/**
+ * Check whether adding "taskId depends on dependsOnTaskId" would create a cycle.
+ * Returns the offending path (dependsOnTaskId -> ... -> taskId) or null.
+ */
+const findCycle = (dependencies, taskId, dependsOnTaskId) => {
+  if (taskId === dependsOnTaskId) {
+    return [taskId, taskId];
+  }
+
+  const map = buildDependencyMap(dependencies);
+  const visited = new Set();
+  const stack = [[dependsOnTaskId, [dependsOnTaskId]]];
+
+  while (stack.length > 0) {
+    const [current, path] = stack.pop();
+
+    if (current === taskId) {
+      return [taskId, ...path];
+    }
+
+    if (visited.has(current)) continue;
+    visited.add(current);
+
+    const next = map.get(current);
+    if (next) {
+      next.forEach(id => stack.push([id, [...path, id]]));
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Topologically sort tasks so every task comes after the tasks it depends on.
+ * Throws if the graph contains a cycle.
+ */
+const topologicalSort = (taskIds, dependencies) => {
+  const inDegree = new Map(taskIds.map(id => [id, 0]));
+  const dependents = new Map(taskIds.map(id => [id, []]));
+
+  dependencies.forEach(dep => {
+    if (!inDegree.has(dep.task_id) || !inDegree.has(dep.depends_on_task_id)) return;
+    inDegree.set(dep.task_id, inDegree.get(dep.task_id) + 1);
+    dependents.get(dep.depends_on_task_id).push(dep.task_id);
+  });
+
+  const queue = taskIds.filter(id => inDegree.get(id) === 0);
+  const order = [];
+
+  while (queue.length > 0) {
+    const id = queue.shift();
+    order.push(id);
+
+    dependents.get(id).forEach(dependentId => {
+      inDegree.set(dependentId, inDegree.get(dependentId) - 1);
+      if (inDegree.get(dependentId) === 0) {
+        queue.push(dependentId);
+      }
+    });
+  }
+
+  if (order.length !== taskIds.length) {
+    throw new Error('Task dependency graph contains a cycle');
+  }
+
+  return order;
+};
+
+/**
+ * Compute the critical path through the project's task DAG.
+ * Duration comes from estimated_hours (completed tasks count as zero),
+ * and projected finish dates are compared against each task's due_date.
+ */
+const computeCriticalPath = (tasks, dependencies, now = new Date()) => {
+  const taskMap = new Map(tasks.map(task => [task.id, task]));
+  const edges = dependencies.filter(dep =>
+    taskMap.has(dep.task_id) && taskMap.has(dep.depends_on_task_id)
+  );
+  const order = topologicalSort(tasks.map(task => task.id), edges);
+  const dependsOn = buildDependencyMap(edges);
+
+  const duration = (task) => {
+    if (task.status === 'completed') return 0;
+    const hours = parseInt(task.estimated_hours);
+    return isNaN(hours) || hours <= 0 ? DEFAULT_TASK_HOURS : hours;
+  };
+
+  // Forward pass: earliest start / finish
+  const schedule = new Map();
+  order.forEach(id => {
+    const blockers = Array.from(dependsOn.get(id) || []);
+    const earliestStart = blockers.reduce(
+      (max, blockerId) => Math.max(max, schedule.get(blockerId).earliestFinish),
+      0
+    );
+    schedule.set(id, {
+      earliestStart,
+      earliestFinish: earliestStart + duration(taskMap.get(id)),
+      predecessor: blockers.reduce((best, blockerId) => {
+        if (!best) return blockerId;
+        return schedule.get(blockerId).earliestFinish > schedule.get(best).earliestFinish
+          ? blockerId
+          : best;
+      }, null)
+    });
+  });
+
+  const projectHours = order.reduce(
+    (max, id) => Math.max(max, schedule.get(id).earliestFinish),
+    0
+  );
+
+  // Backward pass: latest start / finish
+  const dependents = new Map(order.map(id => [id, []]));
+  edges.forEach(dep => dependents.get(dep.depends_on_task_id).push(dep.task_id));
+
+  [...order].reverse().forEach(id => {
+    const entry = schedule.get(id);
+    const latestFinish = dependents.get(id).reduce(
+      (min, dependentId) => Math.min(min, schedule.get(dependentId).latestStart),
+      projectHours
+    );
+    entry.latestFinish = latestFinish;
+    entry.latestStart = latestFinish - duration(taskMap.get(id));
+    entry.slack = entry.latestStart - entry.earliestStart;
+  });
+
+  // Walk back from the task that finishes last
+  const criticalPath = [];
+  let cursor = order.reduce((last, id) => {
+    if (!last) return id;
+    return schedule.get(id).earliestFinish > schedule.get(last).earliestFinish ? id : last;
+  }, null);
+
+  while (cursor) {
+    criticalPath.unshift(cursor);
+    cursor = schedule.get(cursor).predecessor;
+  }
+
+  const hoursToDate = (hours) => new Date(now.getTime() + hours * 60 * 60 * 1000).toISOString();
+
+  const nodes = order.map(id => {
+    const task = taskMap.get(id);
+    const entry = schedule.get(id);
+    const projectedFinish = hoursToDate(entry.earliestFinish);
+
+    return {
+      id,
+      title: task.title,
+      status: task.status,
+      assigned_to: task.assigned_to || null,
+      estimated_hours: task.estimated_hours ?? null,
+      due_date: task.due_date || null,
+      earliest_start_hours: entry.earliestStart,
+      earliest_finish_hours: entry.earliestFinish,
+      slack_hours: entry.slack,
+      projected_finish: task.status === 'completed' ? task.completed_at || null : projectedFinish,
+      at_risk: task.status !== 'completed' && !!task.due_date && new Date(projectedFinish) > new Date(task.due_date),
+      is_critical: criticalPath.includes(id)
+    };
+  });
+
+  return {
+    nodes,
+    edges: edges.map(dep => ({
+      id: dep.id,
+      from: dep.depends_on_task_id,
+      to: dep.task_id
+    })),
+    criticalPath,
+    totalHours: projectHours,
+    projectedCompletion: hoursToDate(projectHours)
+  };
+};
+
+module.exports = {
+  DEFAULT_TASK_HOURS,
+  buildDependencyMap,
+  findCycle,
+  topologicalSort,
+  computeCriticalPath
+};
@@ -0,0 +1,140 @@
+// backend/utils/taskRecurrence.js
+// Recurrence rules for repeating project tasks. All dates are calendar days in UTC ('YYYY-MM-DD').
+
+const FREQUENCIES = ['daily', 'weekly', 'every_n_days', 'monthly_nth_weekday'];
+const DEFAULT_DUE_TIME = '17:00';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+const parseDate = (value) => {
+  if (value instanceof Date) return new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+  const date = new Date(`${String(value).slice(0, 10)}T00:00:00Z`);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+const daysBetween = (from, to) => Math.round((to.getTime() - from.getTime()) / DAY_MS);
+const startOfWeek = (date) => addDays(date, -date.getUTCDay());
+
+/**
+ * Validate a recurrence rule
+ * Returns an error message or null
+ */
+const validateRule = (rule) => {
+  if (!FREQUENCIES.includes(rule.frequency)) {
+    return `Frequency must be one of: ${FREQUENCIES.join(', ')}`;
+  }
+
+  const start = parseDate(rule.start_date);
+  if (!start) return 'start_date must be a valid date';
+
+  if (rule.end_date) {
+    const end = parseDate(rule.end_date);
+    if (!end) return 'end_date must be a valid date';
+    if (end < start) return 'end_date must not be before start_date';
+  }
+
+  const interval = rule.interval ?? 1;
+  if (!Number.isInteger(interval) || interval < 1 || interval > 365) {
+    return 'interval must be an integer between 1 and 365';
+  }
+
+  if (rule.frequency === 'weekly' && rule.weekdays !== undefined && rule.weekdays !== null) {
+    if (!Array.isArray(rule.weekdays) || rule.weekdays.length === 0 ||
+        rule.weekdays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      return 'weekdays must be a non-empty list of days 0 (Sunday) to 6 (Saturday)';
+    }
+  }
+
+  if (rule.frequency === 'monthly_nth_weekday') {
+    if (![1, 2, 3, 4, 5, -1].includes(rule.nth)) {
+      return 'nth must be 1-5, or -1 for the last weekday of the month';
+    }
+    if (!Number.isInteger(rule.weekday) || rule.weekday < 0 || rule.weekday > 6) {
+      return 'weekday must be between 0 (Sunday) and 6 (Saturday)';
+    }
+  }
+
+  if (rule.due_time && !/^([01]\d|2[0-3]):[0-5]\d$/.test(rule.due_time)) {
+    return 'due_time must be in HH:MM format';
+  }
+
+  return null;
+};
+
+/**
+ * Check whether a calendar day is an occurrence of the rule
+ */
+const matches = (rule, date, start) => {
+  const interval = rule.interval || 1;
+
+  switch (rule.frequency) {
+    case 'daily':
+    case 'every_n_days':
+      return daysBetween(start, date) % interval === 0;
+
+    case 'weekly': {
+      const weekdays = rule.weekdays && rule.weekdays.length > 0 ? rule.weekdays : [start.getUTCDay()];
+      if (!weekdays.includes(date.getUTCDay())) return false;
+      const weeks = daysBetween(startOfWeek(start), startOfWeek(date)) / 7;
+      return weeks % interval === 0;
+    }
+
+    case 'monthly_nth_weekday': {
+      if (date.getUTCDay() !== rule.weekday) return false;
+      if (rule.nth === -1) {
+        return addDays(date, 7).getUTCMonth() !== date.getUTCMonth();
+      }
+      return Math.ceil(date.getUTCDate() / 7) === rule.nth;
+    }
+
+    default:
+      return false;
+  }
+};
+
+/**
+ * List occurrence days of a rule between two dates (inclusive)
+ */
+const listOccurrences = (rule, from, until) => {
+  const start = parseDate(rule.start_date);
+  const end = rule.end_date ? parseDate(rule.end_date) : null;
+  let cursor = parseDate(from);
+  let last = parseDate(until);
+
+  if (!start || !cursor || !last) return [];
+  if (cursor < start) cursor = start;
+  if (end && last > end) last = end;
+
+  const occurrences = [];
+  while (cursor <= last) {
+    if (matches(rule, cursor, start)) {
+      occurrences.push(toDateString(cursor));
+    }
+    cursor = addDays(cursor, 1);
+  }
+
+  return occurrences;
+};
+
+/**
+ * Due timestamp for an occurrence day
+ */
+const occurrenceDueDate = (rule, occurrenceDate) => {
+  const [hours, minutes] = (rule.due_time || DEFAULT_DUE_TIME).split(':').map(Number);
+  const date = parseDate(occurrenceDate);
+  date.setUTCHours(hours, minutes, 0, 0);
+  return date.toISOString();
+};
+
+module.exports = {
+  FREQUENCIES,
+  DEFAULT_DUE_TIME,
+  toDateString,
+  addDays,
+  parseDate,
+  validateRule,
+  listOccurrences,
+  occurrenceDueDate
+};